@@ -19,7 +19,11 @@
 import ZeroShotFieldClassifier from './zero-shot-classifier.js';
 import SemanticSimilarityClassifier from './semantic-similarity.js';
 import VerifiedFieldClassifier from './verified-field-classifier-v8.js';  // v8: Trust Cascade!
-import { WorkdayPlatform } from './platforms/workday.js';
+import { detectPlatform, WorkdayPlatform } from './platforms/index.js';
+import { RepeatedSectionFiller } from './section-filler.js';
+import { installDeepSelectors, getFieldFrames, frameAsPage } from './dom-traversal.js';
+import { FillEventLog, withFillEvents } from './fill-events.js';
+import { UsageLedger, withUsage } from './llm-provider.js';
 
 // Classification thresholds
 const STAGE1_THRESHOLD = 0.45;  // 45% - if below, use Stage 2
@@ -44,17 +48,28 @@ const DATE_CONTEXTS = {
 };
 
 export class AIFormFiller {
-  constructor(page, profile) {
+  constructor(page, profile, options = {}) {
     this.page = page;
     this.profile = profile;
-    this.stage1Classifier = new ZeroShotFieldClassifier();
-    this.stage2Classifier = new SemanticSimilarityClassifier();
+    // Batch workers pass in classifiers whose models are already loaded
+    this.stage1Classifier = options.stage1Classifier || new ZeroShotFieldClassifier();
+    this.stage2Classifier = options.stage2Classifier || new SemanticSimilarityClassifier();
     this.filled = 0;
     this.failed = 0;
     this.skipped = 0;
     this.results = [];
-    // Use Workday platform's proven fill methods
+    // Structured per-field events, saved with the logs (see fill-events.js)
+    this.events = new FillEventLog();
+    // Model calls made while classifying and filling each field
+    this.fieldUsage = new Map();
+    // Platform adapter is picked from the URL in fillAllFields();
+    // Workday's proven fill methods are the fallback for unknown sites
     this.platform = WorkdayPlatform;
+    // Document the form lives in - the page itself unless the adapter
+    // points at a frame (iCIMS renders inside #icims_content_iframe)
+    this.fieldContext = null;
+    // Child frames fields were discovered in; field.frameIndex points here
+    this.fieldFrames = [null];
     // For backward compatibility
     this.classifier = this.stage1Classifier;
     
@@ -723,6 +738,12 @@ export class AIFormFiller {
   }
 
   async fillAllFields() {
+    // Adapters report option lists and choices through fillEvent()
+    const result = await withFillEvents(this.events, () => this.fillPage());
+    return { ...result, events: this.events.events };
+  }
+
+  async fillPage() {
     console.log('🤖 [AI-FormFiller] Starting TWO-STAGE AI form analysis...\n');
     
     // Step 1: Load Stage 1 model (Zero-Shot)
@@ -733,15 +754,28 @@ export class AIFormFiller {
     // v5: Set application context for cache (extracts ATS platform and company)
     const currentUrl = this.page.url();
     this.verifiedClassifier.setApplicationContext(currentUrl);
+    this.selectPlatform(currentUrl);
+    this.fieldContext = await this.resolveFieldContext();
+    // window.__jobfillDeepQuery resolves `host >>> inner` selectors inside page.evaluate
+    await installDeepSelectors(this.page);
+
+    // Platform-owned blocks (e.g. Greenhouse EEOC) are filled up front
+    const handledSelectors = await this.fillPlatformBlocks();
+
+    // Work Experience / Education: one panel per profile entry
+    const sectionScopes = await this.fillRepeatedSections();
 
     // Step 2: Discover all interactive fields on the page
     console.log('🔍 Discovering form fields...');
-    const fields = await this.discoverFields();
+    const fields = await this.excludeHandledFields(await this.discoverFields(), handledSelectors, sectionScopes);
     console.log(`   Found ${fields.length} interactive fields\n`);
+    for (const field of fields) {
+      this.events.record('field_discovered', { required: !!field.required, options: field.options?.length || 0 }, field);
+    }
 
     if (fields.length === 0) {
       console.log('⚠️ No fields found on this page');
-      return { filled: 0, failed: 0, skipped: 0 };
+      return { filled: this.filled, failed: this.failed, skipped: this.skipped, details: this.results, platform: this.platform.name };
     }
 
     // Step 3: Classify each field with AI
@@ -751,6 +785,7 @@ export class AIFormFiller {
     // Step 4: Fill each field based on classification
     console.log('\n📝 Filling fields based on AI understanding...\n');
     await this.fillClassifiedFields(classifications);
+    this.recordFieldUsage();
 
     // Summary
     console.log('\n' + '═'.repeat(50));
@@ -765,16 +800,213 @@ export class AIFormFiller {
       filled: this.filled,
       failed: this.failed,
       skipped: this.skipped,
-      details: this.results
+      details: this.results,
+      platform: this.platform.name
     };
   }
 
+  usageOf(field) {
+    if (!this.fieldUsage.has(field)) this.fieldUsage.set(field, new UsageLedger());
+    return this.fieldUsage.get(field);
+  }
+
+  // Charge the model calls made inside fn() to `field`
+  chargeTo(field, fn) {
+    return withUsage(this.usageOf(field), fn);
+  }
+
+  // One llm_usage event per field that cost anything
+  recordFieldUsage() {
+    for (const [field, ledger] of this.fieldUsage) {
+      if (ledger.calls.length === 0) continue;
+      const { byRole, ...totals } = ledger.totals();
+      this.events.record('llm_usage', { ...totals, roles: Object.keys(byRole) }, field);
+    }
+  }
+
+  // ============================================
+  // PLATFORM SELECTION
+  // ============================================
+  selectPlatform(url) {
+    const detected = detectPlatform(url);
+    this.platform = detected || WorkdayPlatform;
+    console.log(`🧩 Platform adapter: ${this.platform.name}${detected ? '' : ' (fallback)'}`);
+    return this.platform;
+  }
+
+  // Page or Frame that discovery should evaluate in
+  async resolveFieldContext() {
+    if (typeof this.platform.getFormFrame !== 'function') return this.page;
+
+    const frame = await this.platform.getFormFrame(this.page);
+    if (frame && frame !== this.page.mainFrame()) {
+      console.log(`🪟 Form is inside a frame: ${frame.url().substring(0, 80)}`);
+    }
+    return frame || this.page;
+  }
+
+  // Let the adapter fill sections it knows better than the classifier
+  // (contact blocks, EEO surveys). Returns the selectors it handled so
+  // discovery can skip them.
+  async fillPlatformBlocks() {
+    const handled = new Set();
+    const blocks = [
+      ['fillContactFields', 'contact'],
+      ['fillDemographicQuestions', 'demographics']
+    ];
+
+    for (const [method, classification] of blocks) {
+      if (typeof this.platform[method] !== 'function') continue;
+
+      const { filled, failed } = await this.platform[method](this.page, this.profile);
+      const handlers = [`${this.platform.name}.${method}`];
+      for (const f of filled) {
+        handled.add(f.selector);
+        this.filled++;
+        this.results.push({ field: f.label, status: 'filled', classification, value: f.value, handlers });
+        this.events.record('field_filled', { field: f.label, control: classification, handler: handlers[0] });
+      }
+      for (const f of failed) {
+        this.failed++;
+        this.results.push({ field: f.label, status: 'failed', classification, value: f.value, error: f.error, handlers });
+        this.events.record('field_failed', { field: f.label, control: classification, handler: handlers[0], error: f.error });
+      }
+    }
+    return handled;
+  }
+
+  // Add and fill repeated section panels (see section-filler.js).
+  // Returns the panel selectors it filled.
+  async fillRepeatedSections() {
+    if (!this.platform.repeatedSections) return [];
+
+    const sectionFiller = new RepeatedSectionFiller(this.page, this.platform, this.profile, {
+      fillDatePart: this.platform === WorkdayPlatform
+        ? async (selector, label, value) => {
+            const handled = await this.fillWorkdayDateField({ selector, label }, value);
+            if (handled !== null) return handled;
+            return (await this.platform.fillTextInput(this.page, selector, value, label)).success;
+          }
+        : null
+    });
+
+    const { scopes, results } = await sectionFiller.fillAll();
+    for (const r of results) {
+      if (r.status === 'filled') this.filled++;
+      else this.failed++;
+      this.results.push({ ...r, handlers: ['RepeatedSectionFiller.fillEntry'] });
+      this.events.record(r.status === 'filled' ? 'field_filled' : 'field_failed', {
+        field: r.field,
+        control: r.fieldType,
+        handler: 'RepeatedSectionFiller.fillEntry',
+        ...(r.error ? { error: r.error } : {})
+      });
+    }
+    return scopes;
+  }
+
+  // Drop discovered fields that a platform block or section panel already filled
+  async excludeHandledFields(fields, handledSelectors, scopes = []) {
+    // Handled selectors and scopes refer to the base document, not child frames
+    let remaining = fields.filter(f => f.frameIndex || !handledSelectors.has(f.selector));
+    if (scopes.length === 0) return remaining;
+
+    const context = this.fieldContext || this.page;
+    const inScope = await context.evaluate((selectors, scopeSel) => {
+      return selectors.map(sel => {
+        try {
+          return !!window.__jobfillDeepQuery(sel)?.closest(scopeSel);
+        } catch (e) {
+          return false;
+        }
+      });
+    }, remaining.map(f => f.selector), scopes.join(', '));
+
+    remaining = remaining.filter((f, i) => f.frameIndex || !inScope[i]);
+    return remaining;
+  }
+
   // ============================================
   // STEP 1: DISCOVER ALL FIELDS
   // ============================================
   async discoverFields() {
-    const rawFields = await this.page.evaluate(() => {
+    const context = this.fieldContext || this.page;
+    const rawFields = await this.discoverInContext(context);
+
+    // Same-origin / ATS child frames (embedded application forms)
+    const baseFrame = typeof context.mainFrame === 'function' ? context.mainFrame() : context;
+    this.fieldFrames = [null];
+    for (const frame of getFieldFrames(this.page, baseFrame)) {
+      const frameFields = await this.discoverInContext(frame).catch(() => []);
+      if (frameFields.length === 0) continue;
+      const frameIndex = this.fieldFrames.push(frame) - 1;
+      console.log(`   🪟 ${frameFields.length} field(s) in child frame ${frame.url().substring(0, 80)}`);
+      rawFields.push(...frameFields.map(f => ({ ...f, frameIndex, frameUrl: frame.url() })));
+    }
+
+    // Widgets the generic pass can't see or splits up (iCIMS hidden
+    // selects, Lever checkbox cards) - the adapter's view wins
+    if (typeof this.platform.discoverCustomFields === 'function') {
+      const extra = await this.platform.discoverCustomFields(this.page);
+      const replaced = new Set(extra.map(f => f.selector));
+      for (let i = rawFields.length - 1; i >= 0; i--) {
+        if (!rawFields[i].frameIndex && replaced.has(rawFields[i].selector)) rawFields.splice(i, 1);
+      }
+      rawFields.push(...extra);
+    }
+    
+    // Additional filtering - skip fields that already have values
+    return rawFields.filter(f => {
+      // Skip dropdowns that already have a non-empty value
+      if (f.type === 'dropdown' && !f.isEmpty) {
+        console.log(`   ⏭️ Skipping "${f.label}" - already filled`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Scan one document (page or frame), including its open shadow roots.
+  // Fields inside a shadow root get a `host >>> inner` selector.
+  async discoverInContext(context) {
+    return context.evaluate(() => {
       const fields = [];
+
+      // querySelectorAll over the document and every open shadow root in it
+      function queryAllDeep(selector) {
+        const results = [];
+        const visit = (root) => {
+          results.push(...root.querySelectorAll(selector));
+          root.querySelectorAll('*').forEach(el => {
+            if (el.shadowRoot) visit(el.shadowRoot);
+          });
+        };
+        visit(document);
+        return results;
+      }
+
+      // Selector for a shadow host, unique within its own root
+      function hostSelector(host) {
+        const path = [];
+        for (let node = host; node instanceof Element; node = node.parentNode) {
+          if (node.id) {
+            path.unshift(`#${CSS.escape(node.id)}`);
+            break;
+          }
+          const index = Array.from(node.parentNode.children).indexOf(node) + 1;
+          path.unshift(`${node.tagName.toLowerCase()}:nth-child(${index})`);
+        }
+        return path.join(' > ');
+      }
+
+      // Prefix `inner` with the chain of shadow hosts around el
+      function deepSelector(el, inner) {
+        const hosts = [];
+        for (let root = el.getRootNode(); root instanceof ShadowRoot; root = root.host.getRootNode()) {
+          hosts.unshift(root.host);
+        }
+        return [...hosts.map(hostSelector), inner].join(' >>> ');
+      }
       
       // Fields to SKIP - these are UI elements, not form fields
       const SKIP_PATTERNS = [
@@ -845,7 +1077,7 @@ export class AIFormFiller {
         // Try associated label
         const id = el.id;
         if (id) {
-          const label = document.querySelector(`label[for="${id}"]`);
+          const label = el.getRootNode().querySelector(`label[for="${id}"]`);
           if (label) return label.textContent.trim();
         }
         
@@ -872,6 +1104,13 @@ export class AIFormFiller {
         // Use placeholder
         if (el.placeholder) return el.placeholder;
         
+        // Inside a web component - the host usually carries the label
+        const root = el.getRootNode();
+        if (root instanceof ShadowRoot) {
+          const hostLabel = root.host.getAttribute('label') || root.host.getAttribute('aria-label');
+          if (hostLabel) return hostLabel.trim();
+        }
+        
         // Use name/id as last resort
         return el.name || el.id || '';
       }
@@ -936,7 +1175,7 @@ export class AIFormFiller {
       }
 
       // ========== TEXT INPUTS ==========
-      document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], input:not([type])').forEach(input => {
+      queryAllDeep('input[type="text"], input[type="email"], input[type="tel"], input:not([type])').forEach(input => {
         if (input.offsetParent === null) return; // Hidden
         if (input.disabled || input.readOnly) return;
         if (isHoneypot(input)) return; // Skip honeypot fields
@@ -946,7 +1185,7 @@ export class AIFormFiller {
         
         fields.push({
           type: 'text',
-          selector: input.id ? `#${input.id}` : `input[name="${input.name}"]`,
+          selector: deepSelector(input, input.id ? `#${input.id}` : `input[name="${input.name}"]`),
           id: input.id,
           name: input.name,
           label: label,
@@ -960,7 +1199,7 @@ export class AIFormFiller {
       });
 
       // ========== TEXTAREAS ==========
-      document.querySelectorAll('textarea').forEach(textarea => {
+      queryAllDeep('textarea').forEach(textarea => {
         if (textarea.offsetParent === null) return; // Hidden
         if (textarea.disabled || textarea.readOnly) return;
         if (isHoneypot(textarea)) return; // Skip honeypot fields
@@ -974,7 +1213,7 @@ export class AIFormFiller {
         
         fields.push({
           type: 'textarea',
-          selector: textarea.id ? `#${textarea.id}` : `textarea[name="${textarea.name}"]`,
+          selector: deepSelector(textarea, textarea.id ? `#${textarea.id}` : `textarea[name="${textarea.name}"]`),
           id: textarea.id,
           name: textarea.name,
           label: label,
@@ -987,7 +1226,7 @@ export class AIFormFiller {
       });
 
       // ========== DROPDOWN BUTTONS ==========
-      document.querySelectorAll('button[aria-haspopup="listbox"]').forEach(btn => {
+      queryAllDeep('button[aria-haspopup="listbox"]').forEach(btn => {
         if (btn.offsetParent === null) return;
         if (isHoneypot(btn)) return; // Skip honeypot fields
         
@@ -1000,7 +1239,7 @@ export class AIFormFiller {
         
         fields.push({
           type: 'dropdown',
-          selector: btn.id ? `#${btn.id}` : `button[aria-label="${btn.getAttribute('aria-label')}"]`,
+          selector: deepSelector(btn, btn.id ? `#${btn.id}` : `button[aria-label="${btn.getAttribute('aria-label')}"]`),
           id: btn.id,
           name: btn.name,
           label: label,
@@ -1012,21 +1251,52 @@ export class AIFormFiller {
         });
       });
 
+      // ========== NATIVE SELECTS ==========
+      queryAllDeep('select').forEach(sel => {
+        if (sel.offsetParent === null) return; // Hidden (select2 keeps the original off-screen, not display:none)
+        if (sel.disabled) return;
+        if (isHoneypot(sel)) return; // Skip honeypot fields
+        
+        const label = getLabel(sel);
+        if (shouldSkip(label, sel.id, sel.name)) return;
+        
+        const options = Array.from(sel.options)
+          .filter(o => o.value !== '')
+          .map(o => ({ value: o.value, label: o.textContent.trim() }));
+        const selectedText = sel.selectedIndex >= 0 ? sel.options[sel.selectedIndex]?.textContent?.trim() || '' : '';
+        
+        fields.push({
+          type: 'dropdown',
+          selector: deepSelector(sel, sel.id ? `#${sel.id}` : `select[name="${sel.name}"]`),
+          id: sel.id,
+          name: sel.name,
+          label: label,
+          section: getSection(sel),
+          ariaLabel: sel.getAttribute('aria-label'),
+          required: sel.required || sel.getAttribute('aria-required') === 'true',
+          options: options,
+          currentValue: selectedText,
+          isEmpty: !sel.value || selectedText.toLowerCase().includes('select'),
+          isNativeSelect: true
+        });
+      });
+
       // ========== RADIO BUTTONS ==========
       const radioGroups = new Set();
-      document.querySelectorAll('input[type="radio"]').forEach(radio => {
+      queryAllDeep('input[type="radio"]').forEach(radio => {
         if (radio.offsetParent === null) return;
         if (isHoneypot(radio)) return; // Skip honeypot fields
-        if (radioGroups.has(radio.name)) return;
-        radioGroups.add(radio.name);
+        const groupKey = deepSelector(radio, radio.name);
+        if (radioGroups.has(groupKey)) return;
+        radioGroups.add(groupKey);
         
         const label = getLabel(radio);
         if (shouldSkip(label, radio.id, radio.name)) return;
         
         // Get all options for this radio group
         const options = [];
-        document.querySelectorAll(`input[name="${radio.name}"]`).forEach(r => {
-          const lbl = r.labels?.[0] || document.querySelector(`label[for="${r.id}"]`);
+        radio.getRootNode().querySelectorAll(`input[name="${radio.name}"]`).forEach(r => {
+          const lbl = r.labels?.[0] || r.getRootNode().querySelector(`label[for="${r.id}"]`);
           options.push({
             value: r.value,
             label: lbl?.textContent?.trim() || r.value,
@@ -1036,7 +1306,7 @@ export class AIFormFiller {
         
         fields.push({
           type: 'radio',
-          selector: `input[name="${radio.name}"]`,
+          selector: deepSelector(radio, `input[name="${radio.name}"]`),
           id: radio.id,
           name: radio.name,
           label: label,
@@ -1048,7 +1318,7 @@ export class AIFormFiller {
       });
 
       // ========== CHECKBOXES (Single) ==========
-      document.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+      queryAllDeep('input[type="checkbox"]').forEach(cb => {
         if (cb.offsetParent === null) return;
         if (isHoneypot(cb)) return; // Skip honeypot fields
         
@@ -1061,7 +1331,7 @@ export class AIFormFiller {
         
         fields.push({
           type: 'checkbox',
-          selector: cb.id ? `#${cb.id}` : `input[name="${cb.name}"]`,
+          selector: deepSelector(cb, cb.id ? `#${cb.id}` : `input[name="${cb.name}"]`),
           id: cb.id,
           name: cb.name,
           label: label,
@@ -1072,7 +1342,7 @@ export class AIFormFiller {
       });
 
       // ========== CHECKBOX GROUPS (Fieldsets) ==========
-      document.querySelectorAll('fieldset').forEach(fs => {
+      queryAllDeep('fieldset').forEach(fs => {
         if (fs.offsetParent === null) return;
         
         const checkboxes = fs.querySelectorAll('input[type="checkbox"]');
@@ -1080,7 +1350,7 @@ export class AIFormFiller {
         
         const options = [];
         checkboxes.forEach(cb => {
-          const lbl = cb.labels?.[0] || document.querySelector(`label[for="${cb.id}"]`);
+          const lbl = cb.labels?.[0] || cb.getRootNode().querySelector(`label[for="${cb.id}"]`);
           options.push({
             value: cb.value,
             label: lbl?.textContent?.trim() || cb.value,
@@ -1100,7 +1370,7 @@ export class AIFormFiller {
         
         fields.push({
           type: 'checkboxGroup',
-          selector: fs.id ? `#${fs.id}` : `fieldset[data-automation-id="${fs.getAttribute('data-automation-id')}"]`,
+          selector: deepSelector(fs, fs.id ? `#${fs.id}` : `fieldset[data-automation-id="${fs.getAttribute('data-automation-id')}"]`),
           id: fs.id,
           label: label,
           fullText: fullText,
@@ -1112,11 +1382,14 @@ export class AIFormFiller {
       });
 
       // ========== FILE INPUTS ==========
-      const fileUpload = document.querySelector('[data-automation-id="file-upload-drop-zone"], input[type="file"]');
+      const fileUpload = queryAllDeep('[data-automation-id="file-upload-drop-zone"], input[type="file"]')[0];
       if (fileUpload) {
+        const inShadow = fileUpload.getRootNode() instanceof ShadowRoot;
         fields.push({
           type: 'file',
-          selector: '[data-automation-id="select-files"], input[type="file"]',
+          selector: inShadow
+            ? deepSelector(fileUpload, 'input[type="file"]')
+            : '[data-automation-id="select-files"], input[type="file"]',
           label: 'Resume/CV Upload',
           section: getSection(fileUpload),
           required: true
@@ -1125,16 +1398,6 @@ export class AIFormFiller {
 
       return fields;
     });
-    
-    // Additional filtering - skip fields that already have values
-    return rawFields.filter(f => {
-      // Skip dropdowns that already have a non-empty value
-      if (f.type === 'dropdown' && !f.isEmpty) {
-        console.log(`   ⏭️ Skipping "${f.label}" - already filled`);
-        return false;
-      }
-      return true;
-    });
   }
 
   // ============================================
@@ -1157,15 +1420,17 @@ export class AIFormFiller {
     // Give classifier awareness of ALL fields on this page (for batch context)
     this.verifiedClassifier.setPageFields(fields);
     
+    // Use the SMART verified classifier - returns both type AND answer!
+    // Tiers 1-2 go field by field; what's left shares one Tier 3 request
+    const results = await this.verifiedClassifier.classifyPage(fields, {
+      chargeTo: (field, fn) => this.chargeTo(field, fn)
+    });
+    
+    console.log('');
     for (let i = 0; i < fields.length; i++) {
       const field = fields[i];
-      const fieldNum = i + 1;
-      
-      process.stdout.write(`   [${fieldNum}/${fields.length}] 🧠 "${field.label || field.id}"...`);
-      console.log('');
-      
-      // Use the SMART verified classifier - returns both type AND answer!
-      const result = await this.verifiedClassifier.classifyField(field);
+      const result = results[i];
+      if (result.sharedUsage) this.usageOf(field).add(result.sharedUsage);
       
       // Build classification object with Claude's answer
       const classification = {
@@ -1176,6 +1441,7 @@ export class AIFormFiller {
       };
       
       // Show result
+      console.log(`   [${i + 1}/${fields.length}] "${(field.label || field.id || '').substring(0, 60)}"`);
       if (result.answer) {
         console.log(`      → ${result.field_type} (${(result.confidence * 100).toFixed(1)}%) [${result.source}] ✓`);
         console.log(`      💡 Answer: "${result.answer}"`);
@@ -1334,6 +1600,21 @@ export class AIFormFiller {
       if (!classification) {
         this.skipped++;
         this.results.push({ field: field.label, status: 'skipped', reason: 'No context' });
+        this.events.record('field_skipped', { reason: 'No context' }, field);
+        continue;
+      }
+      this.events.record('field_classified', {
+        classification: classification.label,
+        confidence: classification.confidence,
+        source: classification.source
+      }, field);
+      
+      // Over the model budget: left for the review queue
+      if (classification.source === 'tier3_deferred') {
+        console.log(`   ⏭️ "${field.label}" - over budget, queued for review`);
+        this.skipped++;
+        this.results.push({ field: field.label, status: 'skipped', reason: 'Over budget: queued for review', source: classification.source });
+        this.events.record('field_skipped', { reason: 'Over budget' }, field);
         continue;
       }
       
@@ -1344,8 +1625,10 @@ export class AIFormFiller {
         this.results.push({ 
           field: field.label, 
           status: 'skipped', 
-          reason: `Low confidence: ${classification.label} (${(classification.confidence * 100).toFixed(1)}%)` 
+          reason: `Low confidence: ${classification.label} (${(classification.confidence * 100).toFixed(1)}%)`,
+          source: classification.source
         });
+        this.events.record('field_skipped', { reason: 'Low confidence' }, field);
         continue;
       }
       
@@ -1771,22 +2054,33 @@ export class AIFormFiller {
         this.results.push({ 
           field: field.label, 
           status: 'skipped', 
-          reason: `No profile value for: ${classification.label}` 
+          reason: `No profile value for: ${classification.label}`,
+          source: classification.source,
+          handlers: ['VerifiedFieldClassifier.getAnswerFromProfile', 'AIFormFiller.getValueForClassification']
         });
+        this.events.record('field_skipped', { reason: `No profile value for: ${classification.label}` }, field);
         continue;
       }
       
       // Fill the field
-      const success = await this.fillField(field, value, classification.label);
+      const success = await this.chargeTo(field, () => this.fillField(field, value, classification.label));
+      // Which code handled it, for the analyzer (see source-locator.js)
+      const trace = {
+        fieldType: field.type,
+        source: classification.source,
+        handlers: ['AIFormFiller.fillField', this.lastFillHandler].filter(Boolean)
+      };
       
       if (success) {
         console.log(`   ✅ "${field.label}" → ${classification.label} = "${value}"`);
         this.filled++;
-        this.results.push({ field: field.label, status: 'filled', classification: classification.label, value });
+        this.results.push({ field: field.label, status: 'filled', classification: classification.label, value, ...trace });
+        this.events.record('field_filled', {}, field);
       } else {
         console.log(`   ❌ "${field.label}" → Failed to fill`);
         this.failed++;
-        this.results.push({ field: field.label, status: 'failed', classification: classification.label, value });
+        this.results.push({ field: field.label, status: 'failed', classification: classification.label, value, ...trace });
+        this.events.record('field_failed', { error: this.lastFillError || 'No handler for this field type' }, field);
       }
     }
   }
@@ -2440,6 +2734,14 @@ export class AIFormFiller {
   // ============================================
   async fillField(field, value, classificationLabel) {
     const label = field.label || field.id || 'unknown';
+    const page = this.pageForField(field);
+    const via = (method) => {
+      this.lastFillHandler = method.includes('.') ? method : `${this.platform.name}.${method}`;
+      this.events.record('fill_started', { handler: this.lastFillHandler, value: Array.isArray(value) ? value.join(', ') : value });
+    };
+    this.lastFillHandler = null;
+    this.lastFillError = null;
+    this.events.focus(field);
     
     try {
       let result;
@@ -2447,8 +2749,9 @@ export class AIFormFiller {
       // Special handling for Workday skills field (multi-select)
       if (classificationLabel === 'skills' && Array.isArray(value) && value.length > 0) {
         console.log(`   🎯 Detected SKILLS field - using simple multi-select handler`);
+        via('fillSkillsField');
         const skillsResult = await this.platform.fillSkillsField(
-          this.page,
+          page,
           field.selector,
           value,
           field.label
@@ -2459,18 +2762,21 @@ export class AIFormFiller {
           return { success: true, value: skillsResult.addedSkills.join(', ') };
         } else {
           console.log(`   ❌ Skills: Failed to add skills`);
+          this.lastFillError = skillsResult.error;
           return { success: false, error: skillsResult.error };
         }
       }
       
       // Check if this is a Workday date field (spinbutton with 0x0 size)
       // These need special handling
-      if (field.type === 'text' && 
+      if (this.platform === WorkdayPlatform &&
+          field.type === 'text' && 
           (field.label?.toLowerCase() === 'month' || 
            field.label?.toLowerCase() === 'day' || 
            field.label?.toLowerCase() === 'year' ||
            field.id?.includes('dateSection') ||
            field.id?.includes('dateSigned'))) {
+        via('AIFormFiller.fillWorkdayDateField');
         const dateResult = await this.fillWorkdayDateField(field, value);
         if (dateResult !== null) {
           return dateResult;
@@ -2481,51 +2787,68 @@ export class AIFormFiller {
       switch (field.type) {
         case 'text':
           if (field.isSearchable) {
-            result = await this.platform.fillSearchable(this.page, field.selector, value, label, this.classifier);
+            via('fillSearchable');
+            result = await this.platform.fillSearchable(page, field.selector, value, label, this.classifier);
           } else {
-            result = await this.platform.fillTextInput(this.page, field.selector, value, label);
+            via('fillTextInput');
+            result = await this.platform.fillTextInput(page, field.selector, value, label);
           }
           break;
           
         case 'textarea':
           // Use fillTextInput for textareas - same typing logic works
-          result = await this.platform.fillTextInput(this.page, field.selector, value, label);
+          via('fillTextInput');
+          result = await this.platform.fillTextInput(page, field.selector, value, label);
           break;
           
         case 'dropdown':
-          result = await this.platform.fillDropdown(this.page, field.selector, value, label, this.classifier);
+          via('fillDropdown');
+          result = await this.platform.fillDropdown(page, field.selector, value, label, this.classifier);
           break;
           
         case 'radio':
-          result = await this.platform.fillRadio(this.page, field.selector, value, label);
+          via('fillRadio');
+          result = await this.platform.fillRadio(page, field.selector, value, label);
           break;
           
         case 'checkbox':
           // Handle various truthy values: true, 'true', 'Yes', 'yes', etc.
           const shouldCheck = value === true || value === 'true' || 
                              (typeof value === 'string' && value.toLowerCase() === 'yes');
-          result = await this.platform.fillCheckbox(this.page, field.selector, shouldCheck, label);
+          via('fillCheckbox');
+          result = await this.platform.fillCheckbox(page, field.selector, shouldCheck, label);
           break;
           
         case 'checkboxGroup':
-          result = await this.platform.fillCheckboxGroup(this.page, field.selector, value, label, this.classifier);
+          via('fillCheckboxGroup');
+          result = await this.platform.fillCheckboxGroup(page, field.selector, value, label, this.classifier);
           break;
           
         case 'file':
+          via('AIFormFiller.fillFile');
           return await this.fillFile(field, value);
           
         default:
           return false;
       }
       
+      if (!result?.success) this.lastFillError = result?.error || 'Handler reported failure';
       return result?.success || false;
       
     } catch (e) {
       console.log(`      ❌ Error filling ${label}: ${e.message}`);
+      this.lastFillError = e.message;
       return false;
     }
   }
 
+  // Page-like handle for the document a field lives in
+  pageForField(field) {
+    const frame = field.frameIndex ? this.fieldFrames[field.frameIndex] : null;
+    if (!frame || frame.isDetached()) return this.page;
+    return frameAsPage(this.page, frame);
+  }
+
   // ============================================
   // WORKDAY DATE PICKER HANDLER
   // Handles Workday's hidden spinbutton date inputs
@@ -2548,7 +2871,7 @@ export class AIFormFiller {
       
       // Check if element is a hidden spinbutton (0x0 size)
       const elementInfo = await this.page.evaluate((sel) => {
-        const el = document.querySelector(sel);
+        const el = window.__jobfillDeepQuery(sel);
         if (!el) return null;
         
         const rect = el.getBoundingClientRect();
@@ -2614,7 +2937,7 @@ export class AIFormFiller {
       
       // Find a clickable parent element
       const clickableInfo = await this.page.evaluate((sel) => {
-        const el = document.querySelector(sel);
+        const el = window.__jobfillDeepQuery(sel);
         if (!el) return null;
         
         // Walk up the DOM to find a clickable element with size
@@ -2696,7 +3019,7 @@ export class AIFormFiller {
       
       // Verify the value was entered
       const finalValue = await this.page.evaluate((sel) => {
-        const el = document.querySelector(sel);
+        const el = window.__jobfillDeepQuery(sel);
         return el ? el.value : null;
       }, field.selector);
       
@@ -2711,7 +3034,7 @@ export class AIFormFiller {
         console.log(`  │ Direct click approach didn't work, trying JS injection...`);
         
         const jsResult = await this.page.evaluate((sel, val) => {
-          const el = document.querySelector(sel);
+          const el = window.__jobfillDeepQuery(sel);
           if (!el) return false;
           
           // Set value via JS
@@ -2749,9 +3072,16 @@ export class AIFormFiller {
 
   async fillFile(field, resumePath) {
     if (!resumePath) return false;
+    const page = this.pageForField(field);
+    
+    // Non-Workday adapters know where their own upload widget lives
+    if (this.platform !== WorkdayPlatform && typeof this.platform.uploadResume === 'function') {
+      const result = await this.platform.uploadResume(page, resumePath, field.label || 'Resume');
+      return result?.success || false;
+    }
     
     try {
-      const btn = await this.page.$('[data-automation-id="select-files"]');
+      const btn = await page.$('[data-automation-id="select-files"]');
       if (btn) {
         const [chooser] = await Promise.all([
           this.page.waitForFileChooser({ timeout: 5000 }),
@@ -2761,7 +3091,7 @@ export class AIFormFiller {
         return true;
       }
       
-      const input = await this.page.$('input[type="file"]');
+      const input = await page.$(field.selector.includes('>>>') ? field.selector : 'input[type="file"]');
       if (input) {
         await input.uploadFile(resumePath);
         return true;
@@ -1,132 +1,226 @@
 #!/usr/bin/env node
-// Standalone Log Analyzer - Analyze existing logs without running browser
-// Usage: node analyze-logs.js <log-file.json>
+// Standalone Log Analyzer - failure modes per control type, read from the
+// structured fill events saved in logs/*.json (see fill-events.js).
+// No browser needed.
+//
+// Usage:
+//   node analyze-logs.js                    # last 5 logs in logs/
+//   node analyze-logs.js <log.json> [...]   # specific logs
+//   node analyze-logs.js --all              # every log in logs/
+//   node analyze-logs.js --verbose          # also print each failed field's events
+//   node analyze-logs.js --claude           # ask Claude for root causes and fixes
 
-import { readFile, writeFile, readdir } from 'fs/promises';
+import { readFile, readdir } from 'fs/promises';
 import { join, basename } from 'path';
-import Anthropic from '@anthropic-ai/sdk';
 import config from './config.js';
+import { getLLMProvider } from './llm-provider.js';
 
-async function analyzeLogFile(logPath) {
-  console.log(`\n📂 Analyzing: ${basename(logPath)}`);
-  
+// Controls whose fill reads an option list before choosing
+const OPTION_CONTROLS = new Set(['dropdown', 'searchable', 'radio', 'checkboxGroup']);
+
+const quote = (value) => `"${String(value ?? '').substring(0, 50)}"`;
+const percent = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '—');
+
+/**
+ * Group a log's events into one trace per field, in the order the fields
+ * were first seen. Fields filled outside discovery (platform blocks, section
+ * panels) have no id and are grouped by label.
+ */
+export function fieldTraces(events) {
+  const traces = new Map();
+  for (const event of events) {
+    const key = event.id !== undefined
+      ? `${event.pass || 1}:${event.id}`
+      : `${event.pass || 1}:${event.control}:${event.field}`;
+    if (!traces.has(key)) traces.set(key, { field: event.field, control: event.control || 'unknown', events: [] });
+    const trace = traces.get(key);
+    if (event.control && trace.control === 'unknown') trace.control = event.control;
+    trace.events.push(event);
+  }
+
+  return [...traces.values()].map(trace => {
+    const last = (type) => trace.events.filter(e => e.type === type).at(-1);
+    const outcome = last('field_filled') ? 'filled'
+      : last('field_failed') ? 'failed'
+        : last('field_skipped') ? 'skipped'
+          : 'not attempted';
+    return {
+      ...trace,
+      outcome,
+      classification: last('field_classified')?.classification || null,
+      source: last('field_classified')?.source || null,
+      handler: last('fill_started')?.handler || last('field_filled')?.handler || last('field_failed')?.handler || null,
+      value: last('fill_started')?.value,
+      error: last('field_failed')?.error || null,
+      reason: last('field_skipped')?.reason || null
+    };
+  });
+}
+
+/**
+ * Why a failed field failed, from the furthest stage its events reached.
+ * @returns { mode, detail }
+ */
+export function failureMode(trace) {
+  const has = (type) => trace.events.some(e => e.type === type);
+  const last = (type) => trace.events.filter(e => e.type === type).at(-1);
+  const error = trace.error || '';
+
+  if (/not found/i.test(error)) return { mode: 'element not found', detail: error };
+  if (/focus/i.test(error)) return { mode: 'input would not take focus', detail: error };
+
+  if (has('verify_failed') && !has('field_verified')) {
+    const v = last('verify_failed');
+    return { mode: 'choice did not register', detail: `chose ${quote(v.expected)}, control shows ${quote(v.shown)}` };
+  }
+  if (has('option_chosen')) {
+    return { mode: 'chosen option not confirmed', detail: `chose ${quote(last('option_chosen').option)}${error ? ` - ${error}` : ''}` };
+  }
+  if (has('options_read')) {
+    const read = last('options_read');
+    if (read.count === 0) return { mode: 'option list empty', detail: `via ${read.via}` };
+    return { mode: 'no option matched the value', detail: `${quote(trace.value)} among ${read.count} option(s): ${(read.sample || []).map(quote).join(', ')}` };
+  }
+  if (OPTION_CONTROLS.has(trace.control) && /popup|options/i.test(error)) {
+    return { mode: 'option list never opened', detail: error };
+  }
+  if (!has('fill_started') && !trace.handler) return { mode: 'no handler ran', detail: error };
+  return { mode: `handler error: ${error || 'unknown'}`, detail: trace.handler || '' };
+}
+
+// Skip reasons without the field-specific part ("No profile value for: x")
+const skipCategory = (reason) => (reason || 'unknown').split(':')[0];
+
+/**
+ * Per control type: attempts, outcomes, failure modes (with an example
+ * field each), skip reasons, and how options were chosen.
+ */
+export function summarizeTraces(traces) {
+  const controls = new Map();
+  for (const trace of traces) {
+    if (!controls.has(trace.control)) {
+      controls.set(trace.control, {
+        control: trace.control,
+        fields: 0,
+        filled: 0,
+        failed: 0,
+        skipped: 0,
+        notAttempted: 0,
+        modes: new Map(),
+        skips: new Map(),
+        chosenVia: new Map()
+      });
+    }
+    const summary = controls.get(trace.control);
+    summary.fields++;
+
+    for (const event of trace.events.filter(e => e.type === 'option_chosen')) {
+      summary.chosenVia.set(event.via, (summary.chosenVia.get(event.via) || 0) + 1);
+    }
+
+    if (trace.outcome === 'filled') summary.filled++;
+    else if (trace.outcome === 'not attempted') summary.notAttempted++;
+    else if (trace.outcome === 'skipped') {
+      summary.skipped++;
+      const category = skipCategory(trace.reason);
+      summary.skips.set(category, (summary.skips.get(category) || 0) + 1);
+    } else {
+      summary.failed++;
+      const { mode, detail } = failureMode(trace);
+      if (!summary.modes.has(mode)) summary.modes.set(mode, { mode, count: 0, examples: [] });
+      const entry = summary.modes.get(mode);
+      entry.count++;
+      if (entry.examples.length < 3) entry.examples.push({ field: trace.field, detail });
+    }
+  }
+
+  // Worst controls first
+  return [...controls.values()].sort((a, b) => b.failed - a.failed || b.fields - a.fields);
+}
+
+export async function analyzeLogFile(logPath) {
   const logData = JSON.parse(await readFile(logPath, 'utf-8'));
-  
-  // Extract JobFill-specific logs
-  const jobfillLogs = logData.consoleLogs.filter(l => 
-    l.text.includes('JobFill') || l.text.includes('[JobFill')
-  );
-  
-  const debugLogs = jobfillLogs.filter(l => l.text.includes('DEBUG'));
-  const errorLogs = logData.errors || [];
-  
-  console.log(`   Total logs: ${logData.consoleLogs.length}`);
-  console.log(`   JobFill logs: ${jobfillLogs.length}`);
-  console.log(`   Debug logs: ${debugLogs.length}`);
-  console.log(`   Errors: ${errorLogs.length}`);
-  
-  // Identify patterns
-  const patterns = analyzePatterns(debugLogs);
-  console.log('\n📊 Detected Patterns:');
-  console.log(`   Dropdowns attempted: ${patterns.dropdownAttempts}`);
-  console.log(`   Dropdowns succeeded: ${patterns.dropdownSuccesses}`);
-  console.log(`   Radio buttons attempted: ${patterns.radioAttempts}`);
-  console.log(`   Radio buttons succeeded: ${patterns.radioSuccesses}`);
-  console.log(`   Stale popup issues: ${patterns.stalePopups}`);
-  console.log(`   No match found: ${patterns.noMatchFound}`);
-  
+  const events = logData.fillEvents || [];
   return {
     logPath,
-    summary: logData.summary,
-    patterns,
-    debugLogs,
-    errorLogs
+    url: logData.url,
+    errors: logData.errors || [],
+    hasEvents: Array.isArray(logData.fillEvents),
+    traces: fieldTraces(events)
   };
 }
 
-function analyzePatterns(logs) {
-  const patterns = {
-    dropdownAttempts: 0,
-    dropdownSuccesses: 0,
-    radioAttempts: 0,
-    radioSuccesses: 0,
-    stalePopups: 0,
-    noMatchFound: 0,
-    failedFields: []
-  };
-  
-  for (const log of logs) {
-    const text = log.text;
-    
-    if (text.includes('handleSapUI5Select')) patterns.dropdownAttempts++;
-    if (text.includes('EXACT match, clicking') || text.includes('CONTAINS match')) patterns.dropdownSuccesses++;
-    if (text.includes('handleSapUI5RadioGroup')) patterns.radioAttempts++;
-    if (text.includes('Clicking radio for')) patterns.radioSuccesses++;
-    if (text.includes('Available options:') && text.includes('Looking for:')) {
-      // Check if options seem wrong for the field
-      const optionsMatch = text.match(/Available options: \[(.*?)\]/);
-      const lookingMatch = text.match(/Looking for: (.*)/);
-      if (optionsMatch && lookingMatch) {
-        // Detect stale popup by checking if options don't match expected
-        const options = optionsMatch[1].toLowerCase();
-        const looking = lookingMatch[1].toLowerCase();
-        if (!options.includes(looking.split(' ')[0])) {
-          patterns.stalePopups++;
-        }
+function printSummary(summaries) {
+  console.log('\n📊 Failure modes by control type:');
+  for (const s of summaries) {
+    const attempted = s.filled + s.failed;
+    console.log(`\n   ${s.control.padEnd(14)} ${s.fields} field(s)  filled ${s.filled}/${attempted} (${percent(s.filled, attempted)})  failed ${s.failed}  skipped ${s.skipped}${s.notAttempted ? `  not attempted ${s.notAttempted}` : ''}`);
+    for (const entry of [...s.modes.values()].sort((a, b) => b.count - a.count)) {
+      console.log(`      ❌ ${String(entry.count).padStart(3)}  ${entry.mode}`);
+      for (const example of entry.examples) {
+        console.log(`              ${quote(example.field)}${example.detail ? `  ${example.detail}` : ''}`);
       }
     }
-    if (text.includes('No matching item found for:')) {
-      patterns.noMatchFound++;
-      const match = text.match(/No matching item found for: (.*)/);
-      if (match) patterns.failedFields.push(match[1]);
+    for (const [reason, count] of s.skips) {
+      console.log(`      ⏭️ ${String(count).padStart(3)}  ${reason}`);
+    }
+    if (s.chosenVia.size) {
+      console.log(`      options chosen via: ${[...s.chosenVia].map(([via, count]) => `${via} ${count}`).join(', ')}`);
     }
   }
-  
-  return patterns;
 }
 
-async function sendToClaude(analysis) {
-  if (!config.anthropicApiKey) {
+function describeEvent(event) {
+  const { t, type, id, pass, field, control, ...data } = event;
+  return `${type.padEnd(16)} ${Object.entries(data).map(([k, v]) => `${k}=${typeof v === 'string' ? quote(v) : JSON.stringify(v)}`).join(' ')}`;
+}
+
+function printTraces(traces) {
+  const failed = traces.filter(t => t.outcome === 'failed');
+  if (failed.length === 0) return;
+  console.log('\n🔎 Failed fields:');
+  for (const trace of failed) {
+    console.log(`\n   ${quote(trace.field)} (${trace.control}${trace.classification ? `, ${trace.classification}` : ''})`);
+    for (const event of trace.events) console.log(`      ${describeEvent(event)}`);
+  }
+}
+
+async function sendToClaude(summaries, traces) {
+  const llm = getLLMProvider();
+  if (!llm.available) {
     console.log('\n⚠️ No API key - skipping Claude analysis');
     return null;
   }
-  
+
   console.log('\n🤖 Sending to Claude for deep analysis...');
-  
-  const client = new Anthropic({ apiKey: config.anthropicApiKey });
-  
-  const prompt = `Analyze these JobFill Pro debug logs and identify issues:
-
-## Summary
-- Debug logs: ${analysis.debugLogs.length}
-- Dropdown attempts: ${analysis.patterns.dropdownAttempts}, successes: ${analysis.patterns.dropdownSuccesses}
-- Radio attempts: ${analysis.patterns.radioAttempts}, successes: ${analysis.patterns.radioSuccesses}
-- Stale popup issues detected: ${analysis.patterns.stalePopups}
-- No match found: ${analysis.patterns.noMatchFound}
-- Failed fields: ${analysis.patterns.failedFields.join(', ')}
-
-## Debug Logs
-\`\`\`
-${analysis.debugLogs.map(l => l.text).join('\n')}
-\`\`\`
 
-## Errors
-\`\`\`
-${analysis.errorLogs.map(l => l.message || l.text).join('\n')}
+  const failed = traces.filter(t => t.outcome === 'failed').slice(0, 30);
+
+  const prompt = `Analyze these JobFill form-fill results and identify why fields fail.
+
+Each field's fill is recorded as events: field_discovered → field_classified → fill_started (handler) → options_read → option_chosen → field_verified / verify_failed → field_filled / field_failed.
+
+## Failure modes by control type
+${summaries.map(s => `### ${s.control}: ${s.filled} filled, ${s.failed} failed, ${s.skipped} skipped
+${[...s.modes.values()].map(m => `- ${m.count}× ${m.mode} (e.g. ${m.examples.map(e => `${quote(e.field)} ${e.detail}`).join('; ')})`).join('\n') || '- no failures'}`).join('\n\n')}
+
+## Failed fields (${failed.length})
+${failed.map(trace => `### ${quote(trace.field)} (${trace.control}, handler ${trace.handler || 'none'})
 \`\`\`
+${trace.events.map(describeEvent).join('\n')}
+\`\`\``).join('\n\n')}
 
 Please:
-1. Identify the root causes of failures
-2. Explain what's happening in the logs
+1. Identify the root cause behind each failure mode
+2. Point to the handler (e.g. workday.fillDropdown) that needs to change
 3. Suggest specific code fixes`;
 
   try {
-    const response = await client.messages.create({
-      model: config.model,
+    const response = await llm.complete('analyzer', {
       max_tokens: 4000,
       messages: [{ role: 'user', content: prompt }]
     });
-    
+
     return response.content[0].text;
   } catch (error) {
     console.error(`Claude API error: ${error.message}`);
@@ -136,46 +230,50 @@ Please:
 
 async function main() {
   const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
-    // Analyze all logs in logs directory
-    console.log('📁 Analyzing all logs in logs/ directory...');
-    
-    try {
-      const files = await readdir(config.logsDir);
-      const logFiles = files.filter(f => f.endsWith('.json'));
-      
-      if (logFiles.length === 0) {
-        console.log('No log files found. Run the auto-debugger first.');
-        return;
-      }
-      
-      for (const file of logFiles.slice(-5)) { // Last 5 logs
-        const analysis = await analyzeLogFile(join(config.logsDir, file));
-        
-        if (args.includes('--claude')) {
-          const claudeAnalysis = await sendToClaude(analysis);
-          if (claudeAnalysis) {
-            console.log('\n📝 Claude Analysis:');
-            console.log(claudeAnalysis);
-          }
-        }
-      }
-    } catch (error) {
-      console.error(`Error reading logs directory: ${error.message}`);
+  const files = args.filter(a => !a.startsWith('--'));
+
+  let logPaths = files;
+  if (logPaths.length === 0) {
+    const names = (await readdir(config.logsDir).catch(() => [])).filter(f => f.endsWith('.json')).sort();
+    if (names.length === 0) {
+      console.log('No log files found. Run the auto-debugger first.');
+      return;
     }
-  } else {
-    // Analyze specific file
-    const analysis = await analyzeLogFile(args[0]);
-    
-    if (args.includes('--claude')) {
-      const claudeAnalysis = await sendToClaude(analysis);
-      if (claudeAnalysis) {
-        console.log('\n📝 Claude Analysis:');
-        console.log(claudeAnalysis);
-      }
+    logPaths = (args.includes('--all') ? names : names.slice(-5)).map(f => join(config.logsDir, f));
+    console.log(`📁 Analyzing ${logPaths.length} log(s) in logs/...`);
+  }
+
+  const traces = [];
+  for (const logPath of logPaths) {
+    const analysis = await analyzeLogFile(logPath);
+    if (!analysis.hasEvents) {
+      console.log(`   ⏭️ ${basename(logPath)}: no fill events (written before they were recorded)`);
+      continue;
+    }
+    const failed = analysis.traces.filter(t => t.outcome === 'failed').length;
+    console.log(`   📂 ${basename(logPath)}: ${analysis.traces.length} field(s), ${failed} failed, ${analysis.errors.length} page error(s)`);
+    traces.push(...analysis.traces);
+  }
+
+  if (traces.length === 0) {
+    console.log('\nNo fill events to analyze.');
+    return;
+  }
+
+  const summaries = summarizeTraces(traces);
+  printSummary(summaries);
+  if (args.includes('--verbose')) printTraces(traces);
+
+  if (args.includes('--claude')) {
+    const claudeAnalysis = await sendToClaude(summaries, traces);
+    if (claudeAnalysis) {
+      console.log('\n📝 Claude Analysis:');
+      console.log(claudeAnalysis);
     }
   }
 }
 
-main().catch(console.error);
+const isMainModule = process.argv[1]?.includes('analyze-logs');
+if (isMainModule) {
+  main().catch(console.error);
+}
@@ -1,39 +1,54 @@
 // Claude Analyzer - Sends logs to Claude API and generates fixes
-import Anthropic from '@anthropic-ai/sdk';
 import { readFile, writeFile } from 'fs/promises';
 import { join } from 'path';
 import config from './config.js';
+import { getLLMProvider } from './llm-provider.js';
+import { SourceLocator } from './source-locator.js';
+import { parseUnifiedDiff } from './unified-diff.js';
+import { cropFailureRegions } from './screenshot-regions.js';
+
+// Drop the newline after the opening tag and trailing whitespace, but keep
+// the first line's indentation
+const blockText = (text) => text.replace(/^[ \t]*\r?\n/, '').replace(/\s+$/, '');
 
 export class ClaudeAnalyzer {
   constructor() {
-    this.client = new Anthropic({
-      apiKey: config.anthropicApiKey
-    });
+    this.llm = getLLMProvider();
     this.conversationHistory = [];
+    this.sourceLocator = new SourceLocator();
   }
 
   async analyzeAndFix(testResult) {
-    const { logs, domState, fillResults, screenshot, iteration, url } = testResult;
+    const { logs, domState, fillResults, screenshot, iteration, url, rolledBack = [] } = testResult;
     
     console.log('🤖 Sending to Claude for analysis...');
     
+    // Source of the functions that handled each failed field
+    const excerpts = await this.locateSource(domState, fillResults);
+    if (excerpts.length > 0) {
+      console.log(`📄 Including source: ${excerpts.map(e => `${e.file}#${e.fn}`).join(', ')}`);
+    }
+    
+    // What the page looked like around the failed fields
+    const regions = await this.screenshotRegions(screenshot, domState, fillResults);
+    
     // Build the analysis prompt
-    const prompt = this.buildAnalysisPrompt(logs, domState, fillResults, iteration, url);
+    const prompt = this.buildAnalysisPrompt(logs, domState, fillResults, iteration, url, excerpts, rolledBack, regions);
     
     try {
-      const response = await this.client.messages.create({
-        model: config.model,
+      const response = await this.llm.complete('analyzer', {
         max_tokens: 8000,
         system: this.getSystemPrompt(),
         messages: [
           ...this.conversationHistory,
-          { role: 'user', content: prompt }
+          { role: 'user', content: this.withImages(prompt, regions) }
         ]
       });
       
       const assistantMessage = response.content[0].text;
       
-      // Add to conversation history for context in subsequent iterations
+      // Add to conversation history for context in subsequent iterations.
+      // Images are left out - the next iteration sends fresh ones
       this.conversationHistory.push(
         { role: 'user', content: prompt },
         { role: 'assistant', content: assistantMessage }
@@ -52,6 +67,8 @@ export class ClaudeAnalyzer {
       return {
         analysis: assistantMessage,
         fixes: fixes,
+        sources: excerpts.map(({ code, ...e }) => e),
+        screenshots: regions.map(r => ({ path: r.path, fields: r.fields })),
         rawResponse: response
       };
     } catch (error) {
@@ -64,26 +81,123 @@ export class ClaudeAnalyzer {
     }
   }
 
+  /**
+   * One corrective round: send the fixes that didn't apply back with the
+   * exact mismatch and get corrected versions.
+   * @param fixes    Fixes as sent to the patcher
+   * @param results  CodePatcher.applyFixes results, same order
+   * @returns corrected fixes (empty if nothing to correct)
+   */
+  async requestCorrections(fixes, results) {
+    const failed = results
+      .map((result, i) => ({ fix: fixes[i], result }))
+      .filter(({ result }) => !result.success && result.retryable);
+    if (failed.length === 0) return [];
+    
+    console.log(`\n🔁 Asking Claude to correct ${failed.length} fix(es) that did not apply...`);
+    const prompt = `Some of your fixes could not be applied to the current source.
+
+${failed.map(({ fix, result }, i) => `### Fix ${i + 1}: ${fix.description} (${fix.file})
+Error: ${result.error}
+${result.mismatch ? `${result.mismatch}\n` : ''}${result.hunks?.length ? `Hunk confidence: ${result.hunks.map(h => `line ${h.line} ${h.method} ${Math.round(h.confidence * 100)}%`).join(', ')}\n` : ''}`).join('\n')}
+Resend ONLY corrected versions of these fixes, in the same formats. Copy <search> text and diff context from the "Actual" lines above, or replace the whole function.`;
+    
+    try {
+      const response = await this.llm.complete('analyzer', {
+        max_tokens: 8000,
+        system: this.getSystemPrompt(),
+        messages: [
+          ...this.conversationHistory,
+          { role: 'user', content: prompt }
+        ]
+      });
+      
+      const assistantMessage = response.content[0].text;
+      this.conversationHistory.push(
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: assistantMessage }
+      );
+      
+      const corrected = this.parseFixesFromResponse(assistantMessage);
+      console.log(`✅ Got ${corrected.length} corrected fix(es)`);
+      return corrected;
+    } catch (error) {
+      console.error(`❌ Claude API error: ${error.message}`);
+      return [];
+    }
+  }
+
+  async screenshotRegions(screenshot, domState, fillResults) {
+    if (!screenshot || !config.attachScreenshots) return [];
+    try {
+      const regions = await cropFailureRegions(screenshot, domState, fillResults, {
+        padding: config.screenshotPadding,
+        maxRegions: config.maxScreenshotRegions
+      });
+      if (regions.length > 0) {
+        console.log(`🖼️  Including ${regions.length} screenshot region(s) around failed fields`);
+      }
+      return regions;
+    } catch (error) {
+      console.log(`⚠️ Could not crop screenshot: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Text prompt followed by one image block per screenshot region
+  withImages(prompt, regions) {
+    if (regions.length === 0) return prompt;
+    return [
+      { type: 'text', text: prompt },
+      ...regions.map(region => ({
+        type: 'image',
+        source: { type: 'base64', media_type: 'image/png', data: region.png.toString('base64') }
+      }))
+    ];
+  }
+
+  async locateSource(domState, fillResults) {
+    const fieldLog = fillResults?.fieldLog || [];
+    const logged = new Set(fieldLog.map(f => f.field));
+    const missingFields = (domState.fields || [])
+      .filter(f => f.required && !f.filled && f.label && !logged.has(f.label.trim()))
+      .map(f => f.label.trim());
+    
+    try {
+      return await this.sourceLocator.locateFailures(fieldLog, { missingFields });
+    } catch (error) {
+      console.log(`⚠️ Could not read source excerpts: ${error.message}`);
+      return [];
+    }
+  }
+
   getSystemPrompt() {
-    return `You are an expert JavaScript developer specializing in web automation with Puppeteer. You are debugging a direct form filler that automatically fills job application forms.
+    return `You are an expert JavaScript developer specializing in web automation with Puppeteer. You are debugging a form filler that automatically fills job application forms.
 
 Your task is to analyze console logs and field results from failed form fills, identify the root cause, and generate precise code fixes.
 
 The form filler architecture (files in the src/ directory):
-- direct-form-filler.js: Main form filling logic - handles Workday, Greenhouse, and generic forms using page.evaluate()
+- ai-form-filler.js: AIFormFiller - discovers fields (discoverInContext), classifies them, maps classifications to profile values (getValueForClassification) and dispatches each field to a platform fill method (fillField)
+- verified-field-classifier-v8.js: VerifiedFieldClassifier - tiered classification (_tier1Certain, _tier2HaikuVerify, _tier3OpusFull, textareaGuard) and profile answers (getAnswerFromProfile)
+- platforms/<name>.js: one adapter per ATS (workday, greenhouse, lever, icims, successfactors, taleo) with fillTextInput, fillDropdown, fillSearchable, fillRadio, fillCheckbox, fillCheckboxGroup and optional fillContactFields / fillDemographicQuestions
+- platforms/spec-platform.js + platforms/specs/*.js: declarative adapters (ashby, smartrecruiters, jobvite)
+- section-filler.js: repeated Work Experience / Education panels
+- dom-traversal.js: shadow DOM and child frame support
 - multi-page-navigator.js: Handles multi-page forms, navigation, and button detection
-- runner.js: Puppeteer browser automation, screenshot capture, profile injection
+- runner.js: Puppeteer browser automation, screenshot capture, profile loading
+
+Each failed field is listed with the functions that handled it, and the source of those functions is included. Fix the function that owns the behavior - a dropdown that won't open is the platform's fillDropdown, a wrong answer is the classifier or value mapping.
 
 Key technical details:
-- All browser interactions happen inside page.evaluate() which runs in browser context
+- Browser interactions happen inside page.evaluate() which runs in browser context
 - Uses data-automation-id attributes for Workday fields
 - Workday dropdowns need: click to open → type in searchBox → wait 500ms → click promptOption
-- The code must be valid ES6 JavaScript that runs in browser context (inside page.evaluate)
 
-When generating fixes, output them in this exact format:
+When generating fixes, output each one in ONE of these formats:
 
+1. Search/replace:
 <fix>
-<file>direct-form-filler.js</file>
+<file>platforms/workday.js</file>
 <description>Brief description of what this fix does</description>
 <search>
 EXACT code to find (must be unique in file)
@@ -93,11 +207,35 @@ New code to replace it with
 </replace>
 </fix>
 
+2. Unified diff (3 lines of context per hunk, paths relative to src/):
+<fix>
+<description>Brief description of what this fix does</description>
+<diff>
+--- a/platforms/workday.js
++++ b/platforms/workday.js
+@@ -120,7 +120,8 @@
+ context line
+-old line
++new line
+ context line
+</diff>
+</fix>
+
+3. Whole-function replacement (best for larger rewrites of one method):
+<fix>
+<file>platforms/workday.js</file>
+<function>WorkdayPlatform.fillDropdown</function>
+<description>Brief description of what this fix does</description>
+<replace>
+The complete new definition, from its first line to its closing brace
+</replace>
+</fix>
+
 IMPORTANT RULES:
-1. The <search> content must be an EXACT match of existing code (copy-paste precision)
+1. <search> text and diff context/removed lines must match existing code - copy them from the source excerpts provided. Small whitespace differences are tolerated; every fix is reported with a match confidence
 2. Each fix should be minimal and targeted
-3. Include the full context needed to make the search string unique
-4. ONLY suggest fixes to: direct-form-filler.js, multi-page-navigator.js, or runner.js
+3. Include the full context needed to make the search string or hunk unique
+4. ONLY suggest fixes to these files (paths relative to src/): ${config.patchableFiles.join(', ')}
 5. Code inside page.evaluate() runs in BROWSER context (has access to document, window, etc.)
 6. Code outside page.evaluate() runs in NODE context (has access to this.page, puppeteer, etc.)
 
@@ -106,10 +244,11 @@ Common issues to look for:
 - Wrong data-automation-id patterns for Workday
 - Not waiting long enough for async content
 - Event dispatching not triggering React/framework updates
-- Dropdown options not loading before trying to click`;
+- Dropdown options not loading before trying to click
+- Fields classified as the wrong type, or a type with no profile value`;
   }
 
-  buildAnalysisPrompt(logs, domState, fillResults, iteration, url) {
+  buildAnalysisPrompt(logs, domState, fillResults, iteration, url, excerpts = [], rolledBack = [], regions = []) {
     const jobfillLogs = logs.filter(l => 
       l.text.includes('JobFill') || l.text.includes('[JobFill') || l.text.includes('[DirectFiller]')
     );
@@ -123,8 +262,15 @@ Common issues to look for:
     
     // Get field log if available
     const fieldLog = fillResults?.fieldLog || [];
-    const failedFills = fieldLog.filter(f => !f.success);
-    const successFills = fieldLog.filter(f => f.success);
+    const failedFills = fieldLog.filter(f => f.status === 'failed');
+    const skippedFills = fieldLog.filter(f => f.status === 'skipped');
+    const successFills = fieldLog.filter(f => f.status === 'filled');
+    const describe = (f) => [
+      f.classification && `as ${f.classification}`,
+      f.fieldType && `type=${f.fieldType}`,
+      f.source && `classified by ${f.source}`,
+      f.handlers?.length && `handled by ${f.handlers.join(' → ')}`
+    ].filter(Boolean).join(', ');
 
     return `## Debug Iteration ${iteration} for ${url}
 
@@ -135,19 +281,22 @@ Common issues to look for:
 ${fillResults?.error ? `- Error: ${fillResults.error}` : ''}
 
 ### Successful Fills
-${successFills.length > 0 ? successFills.map(f => `✅ ${f.label}: "${f.value}"`).join('\n') : 'None'}
+${successFills.length > 0 ? successFills.map(f => `✅ ${f.field}: "${f.value}"`).join('\n') : 'None'}
 
 ### Failed Fills (FOCUS ON THESE)
-${failedFills.length > 0 ? failedFills.map(f => `❌ ${f.label}: "${f.value}" - ${f.error || 'Unknown error'}`).join('\n') : 'None'}
+${failedFills.length > 0 ? failedFills.map(f => `❌ ${f.field}: "${f.value}" - ${f.error || 'Unknown error'} (${describe(f)})`).join('\n') : 'None'}
+
+### Skipped Fields
+${skippedFills.length > 0 ? skippedFills.map(f => `⏭️ ${f.field}: ${f.reason || 'no reason'}${describe(f) ? ` (${describe(f)})` : ''}`).join('\n') : 'None'}
 
 ### DOM State
-- Platform Detected: ${domState.platform}
+- Platform Detected: ${fillResults?.platform || domState.platform}
 - Total Fields: ${domState.totalFields}
 - Required Fields: ${domState.requiredFields}
 - Required Filled: ${domState.requiredFilled}
-
+${domState.frames?.length ? `- Child Frames Scanned: ${domState.frames.join(', ')}\n` : ''}
 ### Required Fields Still Empty
-${failedFields.map(f => `- ${f.label || f.name}: type=${f.type}, id=${f.id || 'none'}, classes=${f.classes?.substring(0, 50)}`).join('\n') || 'None detected'}
+${failedFields.map(f => `- ${f.label || f.name}: type=${f.type}, id=${f.id || 'none'}, classes=${f.classes?.substring(0, 50)}${f.inShadow ? ', in shadow DOM' : ''}${f.frame ? `, frame=${f.frame}` : ''}`).join('\n') || 'None detected'}
 
 ### Console Logs
 \`\`\`
@@ -159,10 +308,25 @@ ${debugLogs.slice(-30).map(l => l.text).join('\n')}
 ${errorLogs.map(l => l.text).join('\n') || 'None'}
 \`\`\`
 
+### Source of the Functions That Handled Failed Fields
+${excerpts.length > 0 ? excerpts.map(e => `#### ${e.file} › ${e.fn} (lines ${e.startLine}-${e.endLine})
+Fields: ${e.fields.map(label => `"${label}"`).join(', ')}
+\`\`\`js
+${e.code}
+\`\`\``).join('\n\n') : 'None located'}
+${regions.length > 0 ? `
+### Screenshots Around Failed Fields
+The attached images are crops of the page, in this order. Every field is boxed: red = failed or required and empty, orange = skipped, green = filled, grey = other.
+Look for dropdowns or popups left open, validation messages, wrong options selected and overlays covering the fields.
+${regions.map((r, i) => `${i + 1}. Page area y=${Math.round(r.rect.y)}-${Math.round(r.rect.y + r.rect.height)}: ${r.fields.map(label => `"${label}"`).join(', ')}`).join('\n')}
+` : ''}${rolledBack.length > 0 ? `
+### Rolled Back Fixes (do not repeat these)
+${rolledBack.map(f => `↩️ ${f.file}: ${f.description} - ${f.reason}`).join('\n')}
+` : ''}
 ### Analysis Request
 1. Look at the "Failed Fills" section - these are the specific fields that didn't work
 2. Analyze WHY each field failed (selector not found? wrong pattern? timing issue?)
-3. Generate targeted code fixes for direct-form-filler.js to resolve the issues
+3. Generate targeted code fixes in the file that owns each failing function (see the source above)
 4. Each fix should address a specific failed field
 
 Please provide your analysis and fixes in the format specified.`;
@@ -180,13 +344,29 @@ Please provide your analysis and fixes in the format specified.`;
       const descMatch = fixContent.match(/<description>(.*?)<\/description>/s);
       const searchMatch = fixContent.match(/<search>([\s\S]*?)<\/search>/);
       const replaceMatch = fixContent.match(/<replace>([\s\S]*?)<\/replace>/);
+      const diffMatch = fixContent.match(/<diff>([\s\S]*?)<\/diff>/);
+      const functionMatch = fixContent.match(/<function>(.*?)<\/function>/s);
+      const description = descMatch ? descMatch[1].trim() : 'No description';
       
-      if (fileMatch && searchMatch && replaceMatch) {
+      if (diffMatch) {
+        // One fix per file in the diff
+        const diff = blockText(diffMatch[1]) + '\n';
+        for (const { file } of parseUnifiedDiff(diff)) {
+          fixes.push({ file, description, diff });
+        }
+      } else if (fileMatch && functionMatch && replaceMatch) {
+        fixes.push({
+          file: fileMatch[1].trim(),
+          description,
+          function: functionMatch[1].trim(),
+          replace: blockText(replaceMatch[1])
+        });
+      } else if (fileMatch && searchMatch && replaceMatch) {
         fixes.push({
           file: fileMatch[1].trim(),
-          description: descMatch ? descMatch[1].trim() : 'No description',
-          search: searchMatch[1].trim(),
-          replace: replaceMatch[1].trim()
+          description,
+          search: blockText(searchMatch[1]),
+          replace: blockText(replaceMatch[1])
         });
       }
     }
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 // Assisted Mode - Manual login, then automated form filling
-// Usage: node assisted-mode.js <url>
+// Usage: node assisted-mode.js <url> [--profile <name>] [--allow-submit]
 
 import readline from 'readline';
 import { PuppeteerRunner } from './runner.js';
@@ -9,11 +9,14 @@ import { MultiPageNavigator } from './multi-page-navigator.js';
 import { ProfileManager } from './profile-manager.js';
 import { ClaudeAnalyzer } from './analyzer.js';
 import { CodePatcher } from './patcher.js';
+import { importFresh } from './module-reloader.js';
 import { sleep, extractPlatformFromUrl } from './utils.js';
 import config from './config.js';
+import { getLLMProvider } from './llm-provider.js';
 
 class AssistedDebugger {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.runner = null;
     this.sessionManager = null;
     this.navigator = null;
@@ -24,7 +27,11 @@ class AssistedDebugger {
   }
 
   async initialize() {
-    this.runner = new PuppeteerRunner();
+    this.runner = new PuppeteerRunner({
+      profile: this.options.profile,
+      allowSubmit: this.options.allowSubmit,
+      confirmSubmit: async (question) => (await this.prompt(question)) === 'y'
+    });
     await this.runner.initialize();
     
     this.sessionManager = new SessionManager(this.runner);
@@ -32,7 +39,7 @@ class AssistedDebugger {
     
     this.navigator = new MultiPageNavigator(this.runner);
     
-    this.profileManager = new ProfileManager();
+    this.profileManager = new ProfileManager({ profile: this.runner.profileName });
     const profile = await this.profileManager.initialize();
     
     if (!profile) {
@@ -52,6 +59,12 @@ class AssistedDebugger {
     return this;
   }
 
+  // Pick up patches to multi-page-navigator.js
+  async reloadNavigator() {
+    const { MultiPageNavigator: Navigator } = await importFresh('./multi-page-navigator.js');
+    this.navigator = new Navigator(this.runner);
+  }
+
   async prompt(question) {
     return new Promise(resolve => {
       this.rl.question(question, answer => {
@@ -92,7 +105,7 @@ class AssistedDebugger {
     }
 
     // Check if we're on a login page
-    const isLogin = await this.navigator.isLoginPage();
+    const isLogin = this.runner.loginRequired || await this.navigator.isLoginPage();
     if (isLogin) {
       console.log('\n🔐 LOGIN REQUIRED');
       console.log('   Please log in manually in the browser window.');
@@ -122,6 +135,8 @@ class AssistedDebugger {
     
     let iteration = 0;
     const maxIterations = config.maxIterationsPerUrl;
+    // Fields filled by the run whose fixes were just applied
+    let filledBeforePatch = null;
 
     while (iteration < maxIterations) {
       iteration++;
@@ -145,9 +160,9 @@ class AssistedDebugger {
         
         // Take screenshot
         const timestamp = Date.now();
-        await this.runner.captureScreenshot(`assisted_iter${iteration}_${timestamp}.png`);
+        const screenshot = await this.runner.captureScreenshot(`assisted_iter${iteration}_${timestamp}.png`);
         
-        return { fillResult, domState };
+        return { fillResult, domState, screenshot };
       });
 
       // Log navigation result
@@ -168,6 +183,19 @@ class AssistedDebugger {
       const successRate = totalRequired > 0 ? totalFilled / totalRequired : 0;
       console.log(`   Overall success: ${(successRate * 100).toFixed(1)}% (${totalFilled}/${totalRequired})`);
 
+      const filledFields = (navResult.results || [])
+        .reduce((sum, r) => sum + (r.fillResult?.fillResult?.filled || 0), 0);
+      if (filledBeforePatch !== null) {
+        const rolledBack = await this.patcher.rollbackIfRegressed(filledBeforePatch, filledFields);
+        filledBeforePatch = null;
+        if (rolledBack) {
+          await this.reloadNavigator();
+          console.log('🔄 Fixes rolled back - rerunning with the previous code...');
+          await this.runner.page.goto(url, { waitUntil: 'networkidle2' });
+          continue;
+        }
+      }
+
       // Check if we're done
       if (successRate >= config.minSuccessRate) {
         console.log('\n🎉 SUCCESS! Minimum success rate achieved.');
@@ -181,9 +209,10 @@ class AssistedDebugger {
 
       if (navResult.reason === 'submission_page') {
         console.log('\n✅ Reached submission page.');
-        const submit = await this.prompt('Submit the application? (y/n): ');
-        if (submit === 'y') {
-          console.log('⚠️  Submission not implemented - please submit manually');
+        // Asks before clicking; without --allow-submit it only records the attempt
+        const { submitted, reason } = await this.navigator.submitApplication();
+        if (!submitted && reason === 'blocked' && !this.options.allowSubmit) {
+          console.log('🛑 Not submitted - rerun with --allow-submit to submit from here, or submit manually');
         }
         break;
       }
@@ -196,6 +225,8 @@ class AssistedDebugger {
           logs: this.runner.consoleLogs,
           domState: navResult.results?.[0]?.fillResult?.domState || {},
           fillResults: navResult.results?.[0]?.fillResult?.fillResult || {},
+          screenshot: navResult.results?.[0]?.fillResult?.screenshot,
+          rolledBack: this.patcher.rolledBackPatches,
           iteration,
           url
         });
@@ -208,7 +239,15 @@ class AssistedDebugger {
 
           const applyFixes = await this.prompt('\nApply these fixes? (y/n): ');
           if (applyFixes === 'y') {
-            await this.patcher.applyFixes(analysis.fixes);
+            let patchResults = await this.patcher.applyFixes(analysis.fixes, { url, iteration });
+            
+            const corrections = await this.analyzer.requestCorrections(analysis.fixes, patchResults);
+            if (corrections.length > 0) {
+              corrections.forEach((fix, i) => console.log(`   ${i + 1}. ${fix.description} (corrected)`));
+              patchResults = [...patchResults, ...await this.patcher.applyFixes(corrections, { url, iteration })];
+            }
+            if (patchResults.some(r => r.success)) filledBeforePatch = filledFields;
+            await this.reloadNavigator();
             
             // Reload the page to test with new code
             console.log('🔄 Reloading page to test fixes...');
@@ -238,6 +277,11 @@ class AssistedDebugger {
     console.log('='.repeat(60));
     console.log(`Iterations: ${iteration}`);
     console.log(`Fixes applied: ${this.patcher.getAppliedPatches().length}`);
+    const blocked = this.runner.submissionGuard.blocked;
+    if (blocked.length > 0) {
+      console.log(`Blocked submit attempts: ${blocked.length}`);
+      blocked.forEach(b => console.log(`   🛑 "${b.text}" (${b.reason}) - ${b.decision}`));
+    }
     
     // Save logs
     await this.runner.saveLogs(`assisted_${Date.now()}_final.json`);
@@ -282,20 +326,32 @@ class AssistedDebugger {
 
 // Main
 async function main() {
-  const url = process.argv[2];
+  const args = process.argv.slice(2);
+  let profile = null;
+  const flagIndex = args.indexOf('--profile');
+  if (flagIndex !== -1) {
+    profile = args[flagIndex + 1];
+    args.splice(flagIndex, 2);
+  }
+  const allowSubmitIndex = args.indexOf('--allow-submit');
+  const allowSubmit = allowSubmitIndex !== -1;
+  if (allowSubmit) args.splice(allowSubmitIndex, 1);
+  const url = args[0];
   
   if (!url) {
-    console.log('Usage: node assisted-mode.js <job-application-url>');
+    console.log('Usage: node assisted-mode.js <job-application-url> [--profile <name>] [--allow-submit]');
     console.log('\nExample:');
     console.log('  node assisted-mode.js "https://company.wd5.myworkdayjobs.com/careers/job/12345"');
+    console.log('  node assisted-mode.js "https://company.wd5.myworkdayjobs.com/careers/job/12345" --profile h1b');
+    console.log('\n--allow-submit lets the session submit the application once you confirm at the prompt.');
     process.exit(1);
   }
 
-  if (!config.anthropicApiKey) {
+  if (!getLLMProvider().available) {
     console.error('⚠️  Warning: ANTHROPIC_API_KEY not set. Fix suggestions will be limited.');
   }
 
-  const debugger_ = new AssistedDebugger();
+  const debugger_ = new AssistedDebugger({ profile, allowSubmit });
   
   try {
     await debugger_.initialize();
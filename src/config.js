@@ -11,7 +11,29 @@ const __dirname = dirname(__filename);
 export const config = {
   // Anthropic API
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-  model: 'claude-sonnet-4-20250514',
+  
+  // Model backend per role (see llm-provider.js)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'anthropic',        // anthropic | openai (OpenAI-compatible endpoint)
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',  // openai only
+    apiKey: process.env.LLM_API_KEY,                          // openai only, if the endpoint wants one
+    models: {
+      classifier: process.env.LLM_CLASSIFIER_MODEL || 'claude-opus-4-5-20251101',  // Tier 3
+      verifier: process.env.LLM_VERIFIER_MODEL || 'claude-haiku-4-5-20251001',     // Tier 2 yes/no checks
+      analyzer: process.env.LLM_ANALYZER_MODEL || 'claude-sonnet-4-20250514'       // fix suggestions
+    },
+    cassette: process.env.LLM_CASSETTE || 'off',               // off | record | replay
+    cassettesDir: join(__dirname, '../cassettes'),
+    // USD per million tokens; models not listed (local ones) cost nothing
+    prices: {
+      'claude-opus-4-5-20251101': { input: 5, output: 25 },
+      'claude-haiku-4-5-20251001': { input: 1, output: 5 },
+      'claude-sonnet-4-20250514': { input: 3, output: 15 }
+    },
+    // USD per run. Once spent, Tier 3 queues fields for review instead of
+    // calling the classifier model (--budget overrides)
+    budget: process.env.LLM_BUDGET ? parseFloat(process.env.LLM_BUDGET) : null
+  },
   
   // Paths
   extensionPath: process.env.EXTENSION_PATH,  // Optional - forms filled directly by Puppeteer
@@ -20,6 +42,8 @@ export const config = {
   screenshotsDir: join(__dirname, '../screenshots'),
   patchesDir: join(__dirname, '../patches'),
   reportsDir: join(__dirname, '../reports'),
+  fixturesDir: join(__dirname, '../fixtures'),  // Recorded pages for offline replay
+  runsDir: join(__dirname, '../runs'),          // Run history index (npm run runs)
   
   // Test settings
   maxIterationsPerUrl: 5,        // Max debug iterations per job URL
@@ -27,20 +51,50 @@ export const config = {
   pageLoadTimeout: 30000,        // Time to wait for page load (ms)
   
   // Batch settings
-  batchSize: 10,                 // URLs to test in parallel
-  pauseBetweenBatches: 5000,     // Pause between batches (ms)
+  batchSize: 10,                 // URLs to test in parallel (workers; --concurrency overrides)
+  pauseBetweenBatches: 5000,     // Pause between waves, after queued fixes are applied (ms)
   
   // Success criteria
   minSuccessRate: 0.85,          // 85% fields filled = success
   requiredFieldsMustPass: true,  // All required fields must be filled
   
+  // Patching
+  minPatchConfidence: 0.7,       // Fixes anchored less surely than this are not applied
+  
+  // Vision - crops of the screenshot around failed fields go to the analyzer
+  attachScreenshots: true,
+  maxScreenshotRegions: 4,       // Crops per analysis request
+  screenshotPadding: 150,        // Page context kept around each failed field (CSS px)
+  
+  // Career-site accounts for login-then-apply flows (keyed by platform name)
+  credentials: {
+    successfactors: {
+      username: process.env.SF_USERNAME,
+      password: process.env.SF_PASSWORD
+    }
+  },
+  
   // Browser settings
   headless: false,               // Set to true for faster execution
   slowMo: 50,                    // Slow down actions for debugging
   
-  // Files to patch (relative to src directory - these are the auto-debugger's own files)
+  // Files to patch (relative to src directory - these are the auto-debugger's own files).
+  // The analyzer only accepts fixes to these.
   patchableFiles: [
-    'direct-form-filler.js',
+    'ai-form-filler.js',               // discovery, value mapping, fill dispatch
+    'verified-field-classifier-v8.js', // field classification and profile answers
+    'section-filler.js',               // repeated Work Experience / Education panels
+    'dom-traversal.js',                // shadow roots and child frames
+    'platforms/workday.js',
+    'platforms/greenhouse.js',
+    'platforms/lever.js',
+    'platforms/icims.js',
+    'platforms/successfactors.js',
+    'platforms/taleo.js',
+    'platforms/spec-platform.js',
+    'platforms/specs/ashby.js',
+    'platforms/specs/smartrecruiters.js',
+    'platforms/specs/jobvite.js',
     'multi-page-navigator.js',
     'runner.js'
   ]
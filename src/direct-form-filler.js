@@ -4,10 +4,11 @@
 import { AIFormFiller } from './ai-form-filler.js';
 
 export class DirectFormFiller {
-  constructor(page, profile) {
+  // options: { stage1Classifier, stage2Classifier } - loaded models to reuse
+  constructor(page, profile, options = {}) {
     this.page = page;
     this.profile = profile;
-    this.formFiller = new AIFormFiller(page, profile);
+    this.formFiller = new AIFormFiller(page, profile, options);
     this.filled = 0;
     this.failed = 0;
     this.skipped = 0;
@@ -29,7 +30,9 @@ export class DirectFormFiller {
       filled: this.filled,
       failed: this.failed,
       skipped: this.skipped,
-      fieldLog: result.details || []
+      fieldLog: result.details || [],
+      events: result.events || [],
+      platform: result.platform
     };
   }
 }
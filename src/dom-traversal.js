@@ -0,0 +1,103 @@
+// DOM Traversal - reach fields inside open shadow roots and child frames
+//
+// Field selectors for elements inside shadow roots use the `host >>> inner`
+// deep combinator. Puppeteer's page.$/$$/select already understand it. Code
+// that runs inside page.evaluate resolves them with window.__jobfillDeepQuery
+// (or __jobfillDeepQueryAll) instead of document.querySelector; the page's own
+// querySelector is left as it is, since the site's scripts use it too.
+import { detectPlatform } from './platforms/index.js';
+
+const installedPages = new WeakSet();
+
+// Runs in the page. Selectors without `>>>` go straight to the native
+// querySelectorAll, captured here in case the site replaces it later.
+export function deepQueryHelper() {
+  if (window.__jobfillDeepQuery) return;
+
+  const nativeAll = new Map([Document, DocumentFragment, Element].map(type => [type, type.prototype.querySelectorAll]));
+  const queryAll = (node, selector) => {
+    const type = node instanceof Element ? Element : node instanceof Document ? Document : DocumentFragment;
+    return Array.from(nativeAll.get(type).call(node, selector));
+  };
+
+  // The node plus every open shadow root below it
+  const rootsUnder = (node) => {
+    const roots = [node];
+    if (node.shadowRoot) roots.push(...rootsUnder(node.shadowRoot));
+    for (const el of queryAll(node, '*')) {
+      if (el.shadowRoot) roots.push(...rootsUnder(el.shadowRoot));
+    }
+    return roots;
+  };
+
+  const deepAll = (selector, scope = document) => {
+    const parts = selector.split('>>>').map(s => s.trim()).filter(Boolean);
+    let current = queryAll(scope, parts[0]);
+    for (const part of parts.slice(1)) {
+      const next = new Set();
+      for (const host of current) {
+        for (const root of rootsUnder(host)) {
+          queryAll(root, part).forEach(el => next.add(el));
+        }
+      }
+      current = Array.from(next);
+    }
+    return current;
+  };
+
+  window.__jobfillDeepQueryAll = deepAll;
+  window.__jobfillDeepQuery = (selector, scope) => deepAll(selector, scope)[0] || null;
+}
+
+// Install the helper for future documents and every frame already loaded
+export async function installDeepSelectors(page) {
+  if (!installedPages.has(page)) {
+    installedPages.add(page);
+    await page.evaluateOnNewDocument(deepQueryHelper);
+  }
+  for (const frame of page.frames()) {
+    await frame.evaluate(deepQueryHelper).catch(() => {});
+  }
+}
+
+function originOf(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+function isInside(frame, ancestor) {
+  for (let f = frame.parentFrame(); f; f = f.parentFrame()) {
+    if (f === ancestor) return true;
+  }
+  return false;
+}
+
+// Child frames of `baseFrame` worth scanning for fields: same-origin ones and
+// ones hosted by a known ATS. Captcha, analytics and ad frames are left out.
+export function getFieldFrames(page, baseFrame) {
+  const baseOrigin = originOf(baseFrame.url());
+  return page.frames().filter(frame => {
+    if (frame === baseFrame || frame.isDetached() || !isInside(frame, baseFrame)) return false;
+    const origin = originOf(frame.url());
+    if (!origin) return false;
+    return origin === baseOrigin || detectPlatform(frame.url()) !== null;
+  });
+}
+
+// Let a Frame stand in for the Page in adapter fill methods: queries, clicks
+// and evaluate run in the frame; keyboard, mouse and file choosers come from the page
+export function frameAsPage(page, frame) {
+  return new Proxy(frame, {
+    get(target, prop) {
+      const source = prop in target ? target : page;
+      const value = source[prop];
+      return typeof value === 'function' ? value.bind(source) : value;
+    }
+  });
+}
+
+export default { deepQueryHelper, installDeepSelectors, getFieldFrames, frameAsPage };
@@ -0,0 +1,93 @@
+// Fill Events - a structured record of what the fill pipeline did to each
+// field, saved with the run's logs and read back by analyze-logs.js
+//
+//   { t, type, id, field, control, ...data }
+//
+//   field_discovered  { required, options }          AIFormFiller discovery
+//   field_classified  { classification, confidence, source }
+//   field_skipped     { reason }
+//   fill_started      { handler, value }
+//   options_read      { count, via, sample }          adapter read the option list
+//   option_chosen     { option, via, confidence }     via: exact | type_ahead | ai | match
+//   field_verified    { shown }                       control shows the choice
+//   verify_failed     { shown, expected }
+//   field_filled / field_failed { error }            outcome for the field
+//   llm_usage         { calls, inputTokens, outputTokens, cost, roles }  model calls for the field
+//
+// AIFormFiller records the field lifecycle on its FillEventLog; platform
+// adapters only know a field's label, so they call fillEvent() and the event
+// lands on whichever log is active (AsyncLocalStorage keeps parallel batch
+// workers apart, as in url-log.js).
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+// Control type as the analyzer groups it
+export const controlOf = (field) => (field.isSearchable ? 'searchable' : field.type || 'unknown');
+
+const quote = (value) => `"${String(value).substring(0, 60)}"`;
+
+// Console line for each adapter-level event
+const DESCRIBE = {
+  options_read: e => `${e.count} option(s) via ${e.via}${e.sample?.length ? `: ${e.sample.map(quote).join(', ')}${e.count > e.sample.length ? ', ...' : ''}` : ''}`,
+  option_chosen: e => `${quote(e.option)} via ${e.via}${e.confidence !== undefined ? ` (${(e.confidence * 100).toFixed(0)}%)` : ''}`,
+  field_verified: e => `shows ${quote(e.shown)}`,
+  verify_failed: e => `shows ${quote(e.shown ?? '')}, expected ${quote(e.expected ?? '')}`
+};
+
+export class FillEventLog {
+  constructor() {
+    this.events = [];
+    this.ids = new Map();
+    this.current = null;
+  }
+
+  // One number per discovered field object, so a field's events group
+  // together even when labels repeat across sections
+  idOf(field) {
+    if (!this.ids.has(field)) this.ids.set(field, this.ids.size + 1);
+    return this.ids.get(field);
+  }
+
+  // Field the adapter events that follow belong to (null between fields)
+  focus(field) {
+    this.current = field
+      ? { id: this.idOf(field), field: field.label || field.id || 'unknown', control: controlOf(field) }
+      : null;
+  }
+
+  /**
+   * @param field  discovered field object; defaults to the focused field.
+   *               Events that name a different `field` label aren't attributed to it.
+   */
+  record(type, data = {}, field = null) {
+    let owner = field
+      ? { id: this.idOf(field), field: field.label || field.id || 'unknown', control: controlOf(field) }
+      : this.current;
+    if (owner && data.field !== undefined && data.field !== owner.field) owner = null;
+    const event = { t: Date.now(), type, ...owner, ...data };
+    this.events.push(event);
+    return event;
+  }
+}
+
+/**
+ * Run `fn` with `log` receiving the fillEvent() calls made inside it.
+ */
+export function withFillEvents(log, fn) {
+  return storage.run(log, fn);
+}
+
+/**
+ * Record an adapter-level event on the active log and print it.
+ * @param data  { field: label, control, ... } - see the event list above
+ */
+export function fillEvent(type, data = {}) {
+  const log = storage.getStore();
+  const event = log ? log.record(type, data) : { type, ...data };
+  const describe = DESCRIBE[type];
+  console.log(`      · ${type.padEnd(14)} ${describe ? describe(event) : ''}`);
+  return event;
+}
+
+export default { FillEventLog, withFillEvents, fillEvent, controlOf };
@@ -0,0 +1,205 @@
+// Fixtures - snapshot an application page (DOM, scripts, network responses)
+// to disk and serve it back to Puppeteer offline through request interception
+//
+// fixtures/<name>/
+//   manifest.json   { name, url, startUrl, platform, recordedAt, responses: [...] }
+//   bodies/<n>      raw response bodies, referenced by manifest.responses[i].body
+//   dom.html        rendered DOM at snapshot time (served if the page URL itself wasn't recorded)
+//   expected.json   optional per-field expectations for the replay harness
+import { readFile, writeFile, mkdir, readdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import config from './config.js';
+import { detectPlatform } from './platforms/index.js';
+
+// Query params that change on every request and would break URL matching
+const VOLATILE_PARAMS = ['_', 'cb', 't', 'ts', 'timestamp', 'rnd', 'random', 'nocache', 'clientRequestID'];
+
+// Re-encoding is done by the replayer; these would describe the original bytes
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+export function fixtureDir(name) {
+  return join(config.fixturesDir, name);
+}
+
+// Request key used by both recorder and replayer
+export function requestKey(method, url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    for (const param of VOLATILE_PARAMS) u.searchParams.delete(param);
+    u.searchParams.sort();
+    return `${method.toUpperCase()} ${u.toString()}`;
+  } catch {
+    return `${method.toUpperCase()} ${url}`;
+  }
+}
+
+export async function listFixtures() {
+  if (!existsSync(config.fixturesDir)) return [];
+  const entries = await readdir(config.fixturesDir, { withFileTypes: true });
+  return entries
+    .filter(e => e.isDirectory() && existsSync(join(config.fixturesDir, e.name, 'manifest.json')))
+    .map(e => e.name)
+    .sort();
+}
+
+export async function loadFixture(name) {
+  const dir = fixtureDir(name);
+  const manifestPath = join(dir, 'manifest.json');
+  if (!existsSync(manifestPath)) throw new Error(`Fixture "${name}" not found (${dir})`);
+
+  const manifest = JSON.parse(await readFile(manifestPath, 'utf-8'));
+  const expectedPath = join(dir, 'expected.json');
+  const expected = existsSync(expectedPath) ? JSON.parse(await readFile(expectedPath, 'utf-8')) : null;
+  return { ...manifest, dir, expected };
+}
+
+export class FixtureRecorder {
+  constructor(page) {
+    this.page = page;
+    this.responses = [];
+    this.pending = [];
+    this.startUrl = null;
+    this.onResponse = (response) => this.pending.push(this.capture(response));
+  }
+
+  start(startUrl) {
+    this.startUrl = startUrl;
+    this.page.on('response', this.onResponse);
+  }
+
+  async capture(response) {
+    const request = response.request();
+    const url = response.url();
+    if (url.startsWith('data:') || url.startsWith('blob:')) return;
+
+    const entry = {
+      method: request.method(),
+      url,
+      resourceType: request.resourceType(),
+      status: response.status(),
+      headers: Object.fromEntries(
+        Object.entries(response.headers()).filter(([k]) => !DROPPED_HEADERS.includes(k.toLowerCase()))
+      ),
+      body: null
+    };
+
+    // Redirects and some cached/preflight responses have no body to read
+    if (entry.status < 300 || entry.status >= 400) {
+      try {
+        entry.buffer = await response.buffer();
+      } catch {
+        entry.buffer = null;
+      }
+    }
+    this.responses.push(entry);
+  }
+
+  stop() {
+    this.page.off('response', this.onResponse);
+  }
+
+  /**
+   * Stop recording and write the fixture.
+   * @returns the fixture directory
+   */
+  async save(name) {
+    this.stop();
+    await Promise.allSettled(this.pending);
+
+    const dir = fixtureDir(name);
+    await rm(dir, { recursive: true, force: true });
+    await mkdir(join(dir, 'bodies'), { recursive: true });
+
+    const responses = [];
+    for (const [i, entry] of this.responses.entries()) {
+      const { buffer, ...meta } = entry;
+      if (buffer) {
+        meta.body = `bodies/${i}`;
+        await writeFile(join(dir, meta.body), buffer);
+      }
+      responses.push(meta);
+    }
+
+    const url = this.page.url();
+    await writeFile(join(dir, 'dom.html'), await this.page.content());
+    await writeFile(join(dir, 'manifest.json'), JSON.stringify({
+      name,
+      url,
+      startUrl: this.startUrl,
+      platform: detectPlatform(url)?.name || 'unknown',
+      recordedAt: new Date().toISOString(),
+      responses
+    }, null, 2));
+
+    console.log(`📼 Fixture "${name}": ${responses.length} responses → ${dir}`);
+    return dir;
+  }
+}
+
+export class FixtureReplayer {
+  constructor(page, fixture) {
+    this.page = page;
+    this.fixture = fixture;
+    this.byKey = new Map();
+    this.served = new Map();
+    this.missed = [];
+    this.onRequest = (request) => this.handle(request).catch(() => {});
+  }
+
+  async start() {
+    for (const entry of this.fixture.responses) {
+      const key = requestKey(entry.method, entry.url);
+      if (!this.byKey.has(key)) this.byKey.set(key, []);
+      this.byKey.get(key).push(entry);
+    }
+    this.domHtml = existsSync(join(this.fixture.dir, 'dom.html'))
+      ? await readFile(join(this.fixture.dir, 'dom.html'))
+      : null;
+
+    await this.page.setRequestInterception(true);
+    this.page.on('request', this.onRequest);
+  }
+
+  async stop() {
+    this.page.off('request', this.onRequest);
+    await this.page.setRequestInterception(false);
+    if (this.missed.length > 0) {
+      console.log(`   ⚠️ ${this.missed.length} request(s) not in fixture (served 404)`);
+    }
+  }
+
+  // Repeated requests for one URL get the recorded responses in order,
+  // then the last one again
+  nextResponse(key) {
+    const entries = this.byKey.get(key);
+    if (!entries) return null;
+    const count = this.served.get(key) || 0;
+    this.served.set(key, count + 1);
+    return entries[Math.min(count, entries.length - 1)];
+  }
+
+  async handle(request) {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    if (url.startsWith('data:') || url.startsWith('blob:')) return request.continue();
+
+    const entry = this.nextResponse(requestKey(request.method(), url));
+    if (entry) {
+      const body = entry.body ? await readFile(join(this.fixture.dir, entry.body)) : '';
+      return request.respond({ status: entry.status, headers: entry.headers, body });
+    }
+
+    // SPA routes change the URL without a document request - fall back to the snapshot
+    if (request.isNavigationRequest() && request.frame() === this.page.mainFrame() && this.domHtml) {
+      return request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: this.domHtml });
+    }
+
+    // Never reach the network during replay
+    this.missed.push(`${request.method()} ${url}`);
+    return request.respond({ status: 404, contentType: 'text/plain', body: '' });
+  }
+}
+
+export default { FixtureRecorder, FixtureReplayer, listFixtures, loadFixture, fixtureDir, requestKey };
@@ -9,9 +9,17 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
 import { PuppeteerRunner } from './runner.js';
+import { MultiPageNavigator } from './multi-page-navigator.js';
 import { ClaudeAnalyzer } from './analyzer.js';
 import { CodePatcher } from './patcher.js';
+import { ProfileManager } from './profile-manager.js';
+import { WorkerPool } from './worker-pool.js';
+import { withUrlLog } from './url-log.js';
+import { writeHtmlReport, updatePlatformStats } from './reporter.js';
+import { RunStore } from './run-store.js';
+import { detectPlatform } from './platforms/index.js';
 import config from './config.js';
+import { getLLMProvider, UsageLedger, withUsage, formatUsage, formatCost, CASSETTE_MODES } from './llm-provider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,23 +35,28 @@ class AutoDebugger {
     this.successfulFixes = 0;
   }
 
-  async initialize() {
+  /**
+   * @param launch  Start the single-URL browser (batch runs start their own worker pool)
+   */
+  async initialize({ launch = true } = {}) {
     // Ensure directories exist
     await mkdir(config.logsDir, { recursive: true });
     await mkdir(config.screenshotsDir, { recursive: true });
     await mkdir(config.patchesDir, { recursive: true });
     await mkdir(config.reportsDir, { recursive: true });
+    if (!launch) return this;
     
     // Initialize browser
-    this.runner = new PuppeteerRunner();
+    this.runner = new PuppeteerRunner({ profile: this.options.profile, allowSubmit: this.options.allowSubmit });
     await this.runner.initialize();
+    // URLs without their own persona go back to this one
+    this.defaultProfile = this.runner.profileName;
     
     return this;
   }
 
   async runSingleUrl(url, maxIterations = null) {
     const iterations = maxIterations || this.options.maxIterationsPerUrl;
-    const urlSlug = new URL(url).hostname.replace(/\./g, '_');
     
     console.log('\n' + '='.repeat(60));
     console.log(`🎯 Testing: ${url}`);
@@ -51,64 +64,39 @@ class AutoDebugger {
     
     let lastResult = null;
     let success = false;
+    // Filled count of the fill whose analysis produced the last applied patches
+    let filledBeforePatch = null;
+    const trace = this.newTrace({ url });
+    // Model calls made for this URL
+    const usage = new UsageLedger();
     
     for (let i = 1; i <= iterations; i++) {
       console.log(`\n--- Iteration ${i}/${iterations} ---`);
       this.totalIterations++;
       
-      // Navigate to the job application
-      const navigated = await this.runner.navigateToJob(url);
-      if (!navigated) {
-        console.log('❌ Failed to navigate, skipping...');
-        break;
-      }
-      
-      // Run the fill
-      const fillResults = await this.runner.runFill();
-      console.log('Fill results:', fillResults);
-      
-      // Capture DOM state
-      const domState = await this.runner.captureDOM();
-      
-      // Capture screenshot
-      const screenshotFile = `${urlSlug}_iter${i}_${Date.now()}.png`;
-      await this.runner.captureScreenshot(screenshotFile);
+      const fillResults = await withUsage(usage, () => this.fillUrl(this.runner, url));
+      if (!fillResults) break;
       
-      // Save logs
-      const logFile = `${urlSlug}_iter${i}_${Date.now()}.json`;
-      await this.runner.saveLogs(logFile);
-      
-      // Check success criteria
-      const successRate = domState.requiredFilled / Math.max(domState.requiredFields, 1);
-      console.log(`📊 Success rate: ${(successRate * 100).toFixed(1)}% (${domState.requiredFilled}/${domState.requiredFields} required fields)`);
-      
-      if (successRate >= this.options.minSuccessRate) {
-        console.log('🎉 SUCCESS! Minimum success rate achieved.');
-        success = true;
-        break;
+      // A patch that made things worse is undone and the fill retried
+      if (filledBeforePatch !== null) {
+        const rolledBack = await this.patcher.rollbackIfRegressed(filledBeforePatch, fillResults.filled || 0);
+        filledBeforePatch = null;
+        if (rolledBack) {
+          this.successfulFixes -= rolledBack.length;
+          this.recordAttempt(trace, i, fillResults, { rolledBack: true });
+          continue;
+        }
       }
       
-      if (domState.requiredFilled === domState.requiredFields) {
-        console.log('🎉 SUCCESS! All required fields filled.');
+      const attempt = await withUsage(usage, () => this.inspectFill(this.runner, this.analyzer, url, i, fillResults));
+      if (attempt.success) attempt.submitted = await this.submitIfAllowed(this.runner, fillResults);
+      this.recordAttempt(trace, i, fillResults, attempt);
+      if (attempt.success) {
         success = true;
         break;
       }
       
-      // If not successful, analyze and fix
-      console.log('🔍 Analyzing failures...');
-      
-      const analysisResult = await this.analyzer.analyzeAndFix({
-        logs: this.runner.consoleLogs,
-        domState: domState,
-        fillResults: fillResults,
-        iteration: i,
-        url: url
-      });
-      
-      // Save analysis
-      const analysisFile = `${urlSlug}_analysis_iter${i}_${Date.now()}.json`;
-      await this.analyzer.saveAnalysis(analysisResult, analysisFile);
-      
+      const analysisResult = attempt.analysisResult;
       if (analysisResult.fixes.length === 0) {
         console.log('⚠️ No fixes generated. Claude may need more context.');
         
@@ -117,22 +105,8 @@ class AutoDebugger {
           console.log('❌ No progress being made, stopping iterations.');
           break;
         }
-      } else {
-        // Apply fixes
-        const patchResults = await this.patcher.applyFixes(analysisResult.fixes);
-        const successfulPatches = patchResults.filter(r => r.success);
-        
-        this.successfulFixes += successfulPatches.length;
-        
-        if (successfulPatches.length === 0) {
-          console.log('⚠️ No patches could be applied.');
-        } else {
-          console.log(`✅ Applied ${successfulPatches.length}/${analysisResult.fixes.length} fixes`);
-          
-          // Give browser time to reload extension changes
-          console.log('🔄 Waiting for extension to reload...');
-          await new Promise(r => setTimeout(r, 2000));
-        }
+      } else if (await withUsage(usage, () => this.applyAnalysisFixes(this.analyzer, analysisResult.fixes, { url, iteration: i })) > 0) {
+        filledBeforePatch = fillResults.filled || 0;
       }
       
       lastResult = analysisResult;
@@ -140,56 +114,354 @@ class AutoDebugger {
     
     const result = {
       url,
+      profile: this.runner.profileName,
       success,
       iterations: this.totalIterations,
-      fixesApplied: this.patcher.getAppliedPatches().length
+      fixesApplied: this.patcher.getAppliedPatches().length,
+      ...trace,
+      usage: usage.totals()
     };
+    for (const b of trace.blockedSubmissions) {
+      console.log(`🛑 Blocked submit (iteration ${b.iteration}): "${b.text}" (${b.reason})`);
+    }
+    if (usage.calls.length > 0) {
+      console.log(`💰 Model cost for this URL: ${formatUsage(result.usage)}`);
+    }
     
     this.results.push(result);
     return result;
   }
 
-  async runBatch(urls) {
+  // Navigate and fill once. Null if the page didn't load.
+  async fillUrl(runner, url) {
+    const blockedBefore = runner.submissionGuard.blocked.length;
+    const navigated = await runner.navigateToJob(url);
+    if (!navigated) {
+      console.log('❌ Failed to navigate, skipping...');
+      return null;
+    }
+    
+    const fillResults = await runner.runFill();
+    // Submit clicks the page guard cancelled during this fill
+    fillResults.blockedSubmissions = runner.submissionGuard.since(blockedBefore);
+    console.log('Fill results:', fillResults);
+    return fillResults;
+  }
+
+  // --allow-submit: a URL whose fill succeeded is submitted after a yes at
+  // the prompt. A refusal joins the fill's blocked attempts.
+  async submitIfAllowed(runner, fillResults) {
+    if (!this.options.allowSubmit) return false;
+    const blockedBefore = runner.submissionGuard.blocked.length;
+    const { submitted } = await new MultiPageNavigator(runner).submitApplication();
+    fillResults.blockedSubmissions = [...(fillResults.blockedSubmissions || []), ...runner.submissionGuard.since(blockedBefore)];
+    return submitted;
+  }
+
+  /**
+   * Capture the filled page and, if it falls short, ask Claude for fixes.
+   * @returns { domState, success, analysisResult }
+   */
+  async inspectFill(runner, analyzer, url, i, fillResults) {
+    const urlSlug = new URL(url).hostname.replace(/\./g, '_');
+    
+    // Capture DOM state
+    const domState = await runner.captureDOM();
+    
+    // Capture screenshot
+    const screenshotFile = `${urlSlug}_iter${i}_${Date.now()}.png`;
+    const screenshot = await runner.captureScreenshot(screenshotFile);
+    
+    // Save logs
+    const logFile = `${urlSlug}_iter${i}_${Date.now()}.json`;
+    const log = await runner.saveLogs(logFile);
+    const artifacts = { screenshot, log };
+    
+    // Check success criteria
+    const successRate = domState.requiredFilled / Math.max(domState.requiredFields, 1);
+    console.log(`📊 Success rate: ${(successRate * 100).toFixed(1)}% (${domState.requiredFilled}/${domState.requiredFields} required fields)`);
+    
+    if (successRate >= this.options.minSuccessRate) {
+      console.log('🎉 SUCCESS! Minimum success rate achieved.');
+      return { domState, screenshot, artifacts, success: true };
+    }
+    
+    if (domState.requiredFilled === domState.requiredFields) {
+      console.log('🎉 SUCCESS! All required fields filled.');
+      return { domState, screenshot, artifacts, success: true };
+    }
+    
+    // If not successful, analyze and fix
+    console.log('🔍 Analyzing failures...');
+    
+    const analysisResult = await analyzer.analyzeAndFix({
+      logs: runner.consoleLogs,
+      domState: domState,
+      fillResults: fillResults,
+      screenshot,
+      rolledBack: this.patcher.rolledBackPatches,
+      iteration: i,
+      url: url
+    });
+    
+    // Save analysis
+    const analysisFile = `${urlSlug}_analysis_iter${i}_${Date.now()}.json`;
+    artifacts.analysis = await analyzer.saveAnalysis(analysisResult, analysisFile);
+    
+    return { domState, screenshot, artifacts, success: false, analysisResult };
+  }
+
+  // Per-URL record for the report: one trend entry per iteration, plus the
+  // field log and screenshots of the latest one. The platform comes from the
+  // URL: an unknown site is 'custom', whichever adapter filled it as fallback
+  newTrace({ url, platform = null, company = null }) {
+    return { url, platform, company, detectedPlatform: detectPlatform(url)?.name || 'custom', trend: [], fields: [], screenshot: null, regions: [], blockedSubmissions: [], submitted: false };
+  }
+
+  // A rolled-back attempt only adds its trend step: its fill ran against the
+  // patches that were just undone, so the field list and screenshots stay as they were
+  recordAttempt(trace, iteration, fillResults, attempt) {
+    const { domState = {} } = attempt;
+    trace.trend.push({
+      iteration,
+      filled: fillResults.filled || 0,
+      failed: fillResults.failed || 0,
+      skipped: fillResults.skipped || 0,
+      requiredFilled: domState.requiredFilled,
+      requiredFields: domState.requiredFields,
+      artifacts: attempt.artifacts,
+      ...(attempt.rolledBack ? { rolledBack: true } : {})
+    });
+    trace.blockedSubmissions.push(...(fillResults.blockedSubmissions || []).map(b => ({ iteration, ...b })));
+    if (attempt.submitted) trace.submitted = true;
+    if (attempt.rolledBack) return;
+
+    // Model cost per field label, from this fill's llm_usage events
+    const costs = new Map();
+    for (const event of (fillResults.events || []).filter(e => e.type === 'llm_usage')) {
+      costs.set(event.field, (costs.get(event.field) || 0) + event.cost);
+    }
+    trace.fields = (fillResults.fieldLog || []).map(({ field, status, classification, source, fieldType }) =>
+      ({ field, status, classification, source, fieldType, ...(costs.has(field) ? { cost: costs.get(field) } : {}) }));
+    trace.screenshot = attempt.screenshot;
+    trace.regions = (attempt.analysisResult?.screenshots || []).map(r => r.path);
+  }
+
+  // Apply fixes with one corrective round. Returns how many applied.
+  async applyAnalysisFixes(analyzer, fixes, context) {
+    let patchResults = await this.patcher.applyFixes(fixes, context);
+    
+    // One corrective round for fixes that didn't anchor
+    const corrections = await analyzer.requestCorrections(fixes, patchResults);
+    if (corrections.length > 0) {
+      patchResults = [...patchResults, ...await this.patcher.applyFixes(corrections, context)];
+    }
+    const successfulPatches = patchResults.filter(r => r.success);
+    
+    this.successfulFixes += successfulPatches.length;
+    
+    if (successfulPatches.length === 0) {
+      console.log('⚠️ No patches could be applied.');
+    } else {
+      console.log(`✅ Applied ${successfulPatches.length}/${fixes.length} fixes`);
+    }
+    return successfulPatches.length;
+  }
+
+  /**
+   * Test many URLs in waves. Each wave runs one iteration of every unfinished
+   * URL across `concurrency` workers (incognito contexts in one browser);
+   * fixes proposed during a wave are queued and applied once it finishes,
+   * so no worker's code changes under it mid-fill.
+   */
+  async runBatch(urls, { concurrency = this.options.batchSize } = {}) {
     console.log(`\n${'🚀'.repeat(20)}`);
     console.log(`Starting batch test of ${urls.length} URLs`);
     console.log(`${'🚀'.repeat(20)}\n`);
     
     const startTime = Date.now();
     
-    for (let i = 0; i < urls.length; i++) {
-      const urlConfig = typeof urls[i] === 'string' ? { url: urls[i] } : urls[i];
-      
-      console.log(`\n[${i + 1}/${urls.length}] ${urlConfig.platform || 'unknown'}: ${urlConfig.company || urlConfig.url}`);
+    // Check every pinned persona up front rather than dying mid-batch
+    const personas = new Set(urls.map(u => u?.profile).filter(Boolean));
+    for (const name of personas) {
+      await new ProfileManager({ profile: name }).load();
+    }
+    
+    const states = urls.map((u, index) => ({
+      index,
+      entry: typeof u === 'string' ? { url: u } : u,
+      // One conversation per URL - analyses of different sites run side by side
+      analyzer: new ClaudeAnalyzer(),
+      trace: this.newTrace(typeof u === 'string' ? { url: u } : u),
+      // Model calls made for this URL, across waves
+      usage: new UsageLedger(),
+      lastResult: null,
+      lastFilled: null,
+      iterations: 0,
+      success: false,
+      done: false,
+      error: null
+    }));
+    
+    const pool = new WorkerPool({
+      concurrency: Math.max(1, Math.min(concurrency, states.length)),
+      profile: this.options.profile,
+      allowSubmit: this.options.allowSubmit
+    });
+    const runStamp = Date.now();
+    
+    try {
+      await pool.start();
+      this.defaultProfile = pool.defaultProfile;
+      let patchedAfterWave = false;
       
-      try {
-        await this.runSingleUrl(urlConfig.url);
-      } catch (error) {
-        console.error(`Error testing ${urlConfig.url}: ${error.message}`);
-        this.results.push({
-          url: urlConfig.url,
-          success: false,
-          error: error.message
+      for (let wave = 1; wave <= this.options.maxIterationsPerUrl; wave++) {
+        const pending = states.filter(s => !s.done);
+        if (pending.length === 0) break;
+        
+        console.log(`\n🌊 Wave ${wave}/${this.options.maxIterationsPerUrl}: ${pending.length} URL(s) on ${pool.size} worker(s)`);
+        const filledBeforePatch = pending.reduce((sum, s) => sum + (s.lastFilled || 0), 0);
+        
+        const attempts = await pool.run(pending, (runner, state, worker) =>
+          this.attemptInWorker(runner, state, wave, worker, runStamp));
+        this.totalIterations += pending.length;
+        
+        // Patches from the last wave that made things worse are undone;
+        // this wave's analyses were made against that code, so they're dropped too
+        if (patchedAfterWave) {
+          patchedAfterWave = false;
+          const filled = attempts.reduce((sum, a) => sum + (a.fillResults?.filled || 0), 0);
+          const rolledBack = await this.patcher.rollbackIfRegressed(filledBeforePatch, filled);
+          if (rolledBack) {
+            this.successfulFixes -= rolledBack.length;
+            // The wave still ran: count it and keep its fill in the trend
+            pending.forEach((state, i) => {
+              const attempt = attempts[i];
+              state.iterations++;
+              if (attempt.error || !attempt.fillResults) {
+                state.done = true;
+                state.error = attempt.error || 'Failed to navigate';
+                return;
+              }
+              this.recordAttempt(state.trace, wave, attempt.fillResults, { ...attempt, rolledBack: true });
+              if (attempt.success) state.success = state.done = true;
+            });
+            continue;
+          }
+        }
+        
+        // Queue what each URL proposed
+        const queued = [];
+        pending.forEach((state, i) => {
+          const attempt = attempts[i];
+          state.iterations++;
+          if (attempt.error || !attempt.fillResults) {
+            state.done = true;
+            state.error = attempt.error || 'Failed to navigate';
+            return;
+          }
+          state.lastFilled = attempt.fillResults.filled || 0;
+          this.recordAttempt(state.trace, wave, attempt.fillResults, attempt);
+          if (attempt.success) {
+            state.success = state.done = true;
+            return;
+          }
+          const { fixes } = attempt.analysisResult;
+          if (fixes.length === 0 && state.lastResult?.fixes.length === 0) {
+            console.log(`❌ No progress being made on ${state.entry.url}, stopping.`);
+            state.done = true;
+          } else if (fixes.length > 0) {
+            queued.push({ state, fixes });
+          }
+          state.lastResult = attempt.analysisResult;
         });
+        
+        if (queued.length > 0 && states.some(s => !s.done)) {
+          patchedAfterWave = await this.applyQueuedFixes(queued, wave) > 0;
+        }
+        
+        if (states.some(s => !s.done) && wave < this.options.maxIterationsPerUrl) {
+          console.log(`\n⏳ Pausing ${this.options.pauseBetweenBatches / 1000}s before the next wave...`);
+          await new Promise(r => setTimeout(r, this.options.pauseBetweenBatches));
+        }
       }
-      
-      // Pause between URLs
-      if (i < urls.length - 1) {
-        console.log(`\n⏳ Pausing ${this.options.pauseBetweenBatches / 1000}s before next URL...`);
-        await new Promise(r => setTimeout(r, this.options.pauseBetweenBatches));
-      }
+    } finally {
+      await pool.close();
+    }
+    
+    for (const state of states) {
+      this.results.push({
+        url: state.entry.url,
+        profile: state.entry.profile || this.defaultProfile,
+        success: state.success,
+        iterations: state.iterations,
+        ...state.trace,
+        usage: state.usage.totals(),
+        ...(state.error ? { error: state.error } : {})
+      });
     }
     
     const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
     
-    // Generate summary report
-    await this.generateReport(duration);
+    // Generate summary report; batch results also count towards platformStats
+    await this.generateReport(duration, { updateStats: true });
     
     return this.results;
   }
 
-  async generateReport(duration) {
+  // One iteration of one URL on a pool worker, its console output kept in the URL's own log
+  async attemptInWorker(runner, state, wave, worker, runStamp) {
+    const { entry } = state;
+    const urlSlug = new URL(entry.url).hostname.replace(/\./g, '_');
+    const logPath = join(config.logsDir, `${urlSlug}_${state.index + 1}_batch_${runStamp}.log`);
+    state.trace.consoleLog = logPath;
+    
+    return withUrlLog(`w${worker + 1} ${urlSlug}`, logPath, () => withUsage(state.usage, async () => {
+      console.log(`\n[${state.index + 1}] ${entry.platform || 'unknown'}: ${entry.company || entry.url} (wave ${wave})`);
+      try {
+        await runner.useProfile(entry.profile || this.defaultProfile);
+        const fillResults = await this.fillUrl(runner, entry.url);
+        if (!fillResults) return { fillResults: null };
+        const attempt = await this.inspectFill(runner, state.analyzer, entry.url, wave, fillResults);
+        // While this worker's page is still on the filled form
+        if (attempt.success) attempt.submitted = await this.submitIfAllowed(runner, fillResults);
+        return { fillResults, ...attempt };
+      } catch (error) {
+        console.error(`Error testing ${entry.url}: ${error.message}`);
+        return { error: error.message };
+      }
+    }));
+  }
+
+  // Apply the fixes queued during a wave, URL by URL. Identical fixes
+  // proposed for several URLs are applied once.
+  async applyQueuedFixes(queued, wave) {
+    console.log(`\n🔧 Applying fixes queued during wave ${wave}...`);
+    const seen = new Set();
+    let applied = 0;
+    
+    for (const { state, fixes } of queued) {
+      const fresh = fixes.filter(fix => {
+        const key = JSON.stringify([fix.file, fix.search, fix.diff, fix.function, fix.replace]);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      if (fresh.length === 0) continue;
+      
+      console.log(`\n💡 ${fresh.length} fix(es) from ${state.entry.url}`);
+      applied += await withUsage(state.usage, () => this.applyAnalysisFixes(state.analyzer, fresh, { url: state.entry.url, iteration: wave }));
+    }
+    return applied;
+  }
+
+  /**
+   * @param updateStats  Add these results to platformStats in test-urls.json
+   */
+  async generateReport(duration, { updateStats = false } = {}) {
     const successful = this.results.filter(r => r.success).length;
     const failed = this.results.filter(r => !r.success).length;
+    const llm = getLLMProvider();
     
     const report = {
       timestamp: new Date().toISOString(),
@@ -200,14 +472,23 @@ class AutoDebugger {
         failed,
         successRate: `${((successful / this.results.length) * 100).toFixed(1)}%`,
         totalIterations: this.totalIterations,
-        totalFixesApplied: this.successfulFixes
+        totalFixesApplied: this.successfulFixes,
+        blockedSubmissions: this.results.reduce((sum, r) => sum + (r.blockedSubmissions?.length || 0), 0),
+        submitted: this.results.filter(r => r.submitted).length,
+        usage: llm.usage.totals(),
+        budget: llm.budget,
+        overBudget: llm.overBudget
       },
       results: this.results,
-      appliedPatches: this.patcher.getAppliedPatches()
+      appliedPatches: this.patcher.getAppliedPatches(),
+      // reporter.js --update-stats skips a report already counted
+      platformStatsUpdated: updateStats && !!(await updatePlatformStats(this.results))
     };
     
     const reportPath = join(config.reportsDir, `report_${Date.now()}.json`);
     await writeFile(reportPath, JSON.stringify(report, null, 2));
+    const htmlPath = await writeHtmlReport(report, reportPath.replace(/\.json$/, '.html'));
+    const run = await new RunStore().recordRun(report, { report: reportPath, dashboard: htmlPath });
     
     // Print summary
     console.log('\n' + '='.repeat(60));
@@ -219,7 +500,20 @@ class AutoDebugger {
     console.log(`Failed: ${failed}`);
     console.log(`Total Iterations: ${this.totalIterations}`);
     console.log(`Fixes Applied: ${this.successfulFixes}`);
+    if (report.summary.submitted > 0) {
+      console.log(`📨 Submitted: ${report.summary.submitted}`);
+    }
+    if (report.summary.blockedSubmissions > 0) {
+      console.log(`🛑 Blocked Submit Attempts: ${report.summary.blockedSubmissions}`);
+    }
+    const { usage } = report.summary;
+    console.log(`💰 Model Cost: ${formatUsage(usage)}${llm.budget !== null ? ` of ${formatCost(llm.budget)} budget${llm.overBudget ? ' - reached, Tier 3 deferred to review' : ''}` : ''}`);
+    for (const [role, totals] of Object.entries(usage.byRole)) {
+      console.log(`   ${role.padEnd(11)} ${formatUsage(totals)}`);
+    }
     console.log(`Report saved: ${reportPath}`);
+    console.log(`Dashboard: ${htmlPath}`);
+    console.log(`Run: ${run} (npm run runs -- compare latest~1 latest)`);
     console.log('='.repeat(60));
     
     return report;
@@ -234,6 +528,10 @@ class AutoDebugger {
   async revertAllChanges() {
     await this.patcher.revertAll();
   }
+
+  async revertPatch(id) {
+    return this.patcher.revertPatch(id);
+  }
 }
 
 // CLI interface
@@ -247,47 +545,71 @@ async function main() {
     .option('-u, --url <url>', 'Test a single URL')
     .option('-b, --batch', 'Run batch test from test-urls.json')
     .option('-i, --iterations <n>', 'Max iterations per URL', parseInt)
+    .option('-c, --concurrency <n>', `URLs tested in parallel in batch mode (default ${config.batchSize})`, parseInt)
     .option('--headless', 'Run in headless mode')
-    .option('--revert', 'Revert all applied patches')
+    .option('-p, --profile <name>', 'Profile to fill with (profiles/<name>.json, "default" = profile.json)')
+    .option('--revert [id]', 'Revert one patch by id (see npm run patches -- list), or all applied patches')
+    .option('--budget <dollars>', 'Model spend for the run; past it, Tier 3 queues fields for review', parseFloat)
+    .option('--allow-submit', 'Submit applications whose fill succeeded, after you confirm each at the prompt')
+    .option('--cassette <mode>', `Record model responses to cassettes/, or replay them without network (${CASSETTE_MODES.join(' | ')})`)
     .parse();
 
   const options = program.opts();
   
-  // Check for API key
-  if (!config.anthropicApiKey) {
+  // Reverting only touches files - no browser or API key needed
+  if (options.revert) {
+    const patcher = new CodePatcher();
+    const ok = options.revert === true
+      ? await patcher.revertAll()
+      : await patcher.revertPatch(options.revert);
+    process.exitCode = ok ? 0 : 1;
+    return;
+  }
+  
+  if (options.cassette) config.llm.cassette = options.cassette;
+  if (options.budget !== undefined) config.llm.budget = options.budget;
+  
+  // Check for API key (a local endpoint or replayed cassettes need none)
+  const llm = getLLMProvider();
+  if (!llm.available) {
     console.error('❌ ANTHROPIC_API_KEY not set. Create a .env file with your API key.');
     console.log('\nExample .env file:');
     console.log('ANTHROPIC_API_KEY=sk-ant-...');
     console.log('EXTENSION_PATH=/path/to/jobfill-pro-v5/chrome-extension');
     process.exit(1);
   }
+  console.log(`🧠 Models: ${llm.describe()}`);
   
   const debugger_ = new AutoDebugger({
     headless: options.headless || false,
-    maxIterationsPerUrl: options.iterations || 5
+    maxIterationsPerUrl: options.iterations || 5,
+    profile: options.profile,
+    allowSubmit: !!options.allowSubmit
   });
   
   try {
-    await debugger_.initialize();
+    await debugger_.initialize({ launch: !options.batch });
     
-    if (options.revert) {
-      await debugger_.revertAllChanges();
-    } else if (options.url) {
+    if (options.url) {
       // Single URL mode
       await debugger_.runSingleUrl(options.url);
     } else if (options.batch) {
       // Batch mode
       const testUrlsPath = join(__dirname, '../test-urls.json');
       const testUrls = JSON.parse(await readFile(testUrlsPath, 'utf-8'));
-      await debugger_.runBatch(testUrls.urls);
+      await debugger_.runBatch(testUrls.urls, { concurrency: options.concurrency || config.batchSize });
     } else {
       // Interactive mode - prompt for URL
       console.log('Usage:');
       console.log('  --url <url>     Test a single URL');
       console.log('  --batch         Run batch test from test-urls.json');
       console.log('  --iterations <n> Max iterations per URL');
+      console.log('  --concurrency <n> URLs tested in parallel in batch mode');
       console.log('  --headless      Run in headless mode');
-      console.log('  --revert        Revert all patches');
+      console.log('  --profile <name> Fill with a named profile');
+      console.log('  --revert [id]   Revert one patch, or all patches');
+      console.log('  --budget <dollars> Model spend cap; Tier 3 queues for review past it');
+      console.log('  --cassette <mode> Record or replay model responses (record | replay)');
     }
     
   } catch (error) {
@@ -0,0 +1,313 @@
+// LLM Provider - the one place model calls go through
+//
+// Callers name a role, not a model:
+//   classifier  Tier 3 field classification and direct answers (v8 classifier)
+//   verifier    Tier 2 yes/no checks, textarea guard, dropdown match checks
+//   analyzer    fix suggestions (analyzer.js, analyze-logs.js --claude)
+//
+// Requests and responses use the Anthropic Messages shape whatever the
+// backend, so call sites keep reading response.content[0].text:
+//   anthropic  Anthropic API
+//   openai     any OpenAI-compatible /chat/completions endpoint (Ollama,
+//              vLLM, llama.cpp server, LM Studio, ...)
+//
+// Cassettes make runs reproducible without network access. In `record` mode
+// every response is written to cassettes/<role>/<hash>.json, keyed by the
+// role, model and prompt text with timestamps and durations blanked out (the
+// analyzer's prompts carry them in page logs); `replay` answers from those
+// files only and fails the call (as an API error would) when a request was
+// never recorded.
+//
+// Every answered call is charged, at config.llm.prices, to the provider's
+// run-wide ledger and to any ledgers opened with withUsage() around it (a
+// URL, a field). With a budget set, `overBudget` tells Tier 3 to stop.
+import Anthropic from '@anthropic-ai/sdk';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+import config from './config.js';
+
+export const ROLES = ['classifier', 'verifier', 'analyzer'];
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Ledgers the current call is charged to besides the run's, outermost first
+const scopes = new AsyncLocalStorage();
+
+/**
+ * Dollar cost of one response's usage at config.llm.prices.
+ */
+export function costOf(model, usage = {}) {
+  const price = config.llm.prices[model];
+  if (!price) return 0;
+  return ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1e6;
+}
+
+export const formatCost = (cost) => `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+
+// "$0.0312 (3 calls, 2,140→61 tokens)"
+export const formatUsage = (totals) =>
+  `${formatCost(totals.cost)} (${totals.calls} call${totals.calls === 1 ? '' : 's'}, ${totals.inputTokens.toLocaleString('en-US')}→${totals.outputTokens.toLocaleString('en-US')} tokens)`;
+
+export class UsageLedger {
+  constructor() {
+    this.calls = [];
+  }
+
+  add(call) {
+    this.calls.push(call);
+  }
+
+  get cost() {
+    return this.calls.reduce((sum, call) => sum + call.cost, 0);
+  }
+
+  /**
+   * @returns { calls, inputTokens, outputTokens, cost, byRole: { <role>: { calls, inputTokens, outputTokens, cost } } }
+   */
+  totals() {
+    const sum = (calls) => ({
+      calls: calls.length,
+      inputTokens: calls.reduce((n, c) => n + c.inputTokens, 0),
+      outputTokens: calls.reduce((n, c) => n + c.outputTokens, 0),
+      cost: calls.reduce((n, c) => n + c.cost, 0)
+    });
+    const roles = [...new Set(this.calls.map(c => c.role))];
+    return {
+      ...sum(this.calls),
+      byRole: Object.fromEntries(roles.map(role => [role, sum(this.calls.filter(c => c.role === role))]))
+    };
+  }
+}
+
+/**
+ * Run `fn` with the calls made inside it also charged to `ledger`.
+ * Scopes nest: a field's ledger inside a URL's gets the same calls.
+ */
+export function withUsage(ledger, fn) {
+  return scopes.run([...(scopes.getStore() || []), ledger], fn);
+}
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// Image data is left out of the stored request; its hash stands in
+const withoutImageData = (messages) => messages.map(message => ({
+  ...message,
+  content: Array.isArray(message.content)
+    ? message.content.map(block => (block.type === 'image'
+      ? { type: 'image', media_type: block.source?.media_type, sha256: sha256(block.source?.data || '') }
+      : block))
+    : message.content
+}));
+
+// Prompt parts that differ between runs of the same page: ISO timestamps,
+// clock times, epoch milliseconds and durations
+const VOLATILE = [
+  /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g,
+  /\b\d{1,2}:\d{2}:\d{2}(\.\d+)?\b/g,
+  /\b1\d{12}\b/g,
+  /\b\d+(\.\d+)?(ms|s)\b/g
+];
+const normalizeText = (text) => VOLATILE.reduce((t, pattern) => t.replace(pattern, '#'), text || '');
+
+/**
+ * Cassette key: role, model and the normalized prompt text. Images count
+ * by type only - a re-taken screenshot of the same failure is the same question.
+ */
+export function cassetteKey(role, request) {
+  const prompt = (request.messages || []).map(message => ({
+    role: message.role,
+    content: Array.isArray(message.content)
+      ? message.content.map(block => (block.type === 'image' ? `[${block.source?.media_type} image]` : normalizeText(block.text)))
+      : normalizeText(message.content)
+  }));
+  return sha256(JSON.stringify({ role, model: request.model, system: normalizeText(request.system), prompt }));
+}
+
+// Anthropic content (string or blocks) → OpenAI message content
+function toOpenAIContent(content) {
+  if (typeof content === 'string') return content;
+  return content.map(block => {
+    if (block.type === 'image') {
+      return { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } };
+    }
+    return { type: 'text', text: block.text };
+  });
+}
+
+export class LLMProvider {
+  /**
+   * @param options  overrides for config.llm:
+   *   { provider, apiKey, baseUrl, models: { classifier, verifier, analyzer }, cassette, cassettesDir, budget }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.llm, ...options };
+    this.provider = settings.provider;
+    // config.llm.apiKey is the local endpoint's (often none)
+    this.apiKey = options.apiKey ?? (settings.provider === 'openai' ? settings.apiKey : config.anthropicApiKey);
+    this.baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+    this.models = { ...config.llm.models, ...options.models };
+    this.cassette = settings.cassette || 'off';
+    this.cassettesDir = settings.cassettesDir;
+    this.budget = settings.budget ?? null;
+    // Everything this provider answered - the whole run for the shared one
+    this.usage = new UsageLedger();
+    this.client = null;
+
+    if (!['anthropic', 'openai'].includes(this.provider)) {
+      throw new Error(`Unknown LLM provider "${this.provider}" (anthropic or openai)`);
+    }
+    if (!CASSETTE_MODES.includes(this.cassette)) {
+      throw new Error(`Unknown cassette mode "${this.cassette}" (${CASSETTE_MODES.join(', ')})`);
+    }
+  }
+
+  // Whether complete() can answer at all. A local endpoint needs no key,
+  // and replay needs neither key nor endpoint.
+  get available() {
+    if (this.cassette === 'replay') return true;
+    if (this.provider === 'openai') return !!this.baseUrl;
+    return !!this.apiKey;
+  }
+
+  // The budget is spent; Tier 3 stops calling the model
+  get overBudget() {
+    return this.budget !== null && this.usage.cost >= this.budget;
+  }
+
+  modelFor(role) {
+    const model = this.models[role];
+    if (!model) throw new Error(`No model configured for role "${role}"`);
+    return model;
+  }
+
+  describe() {
+    const models = ROLES.map(role => `${role}=${this.models[role]}`).join(', ');
+    return `${this.provider}${this.provider === 'openai' ? ` at ${this.baseUrl}` : ''} (${models})${this.cassette !== 'off' ? `, cassette ${this.cassette}` : ''}${this.budget !== null ? `, budget ${formatCost(this.budget)}` : ''}`;
+  }
+
+  /**
+   * One Messages call for `role`.
+   * @param params  { system, messages, max_tokens, temperature } - no model
+   * @returns { id, model, content: [{ type: 'text', text }], stop_reason, usage }
+   */
+  async complete(role, params) {
+    const request = { model: this.modelFor(role), ...params };
+    const response = await this.answer(role, request);
+    this.charge(role, request.model, response);
+    return response;
+  }
+
+  async answer(role, request) {
+    if (this.cassette === 'off') return this.send(request);
+
+    const key = cassetteKey(role, request);
+    const path = join(this.cassettesDir, role, `${key.substring(0, 32)}.json`);
+
+    if (this.cassette === 'replay') {
+      let recorded;
+      try {
+        recorded = JSON.parse(await readFile(path, 'utf-8'));
+      } catch {
+        throw new Error(`No recorded ${role} response for this request (cassette ${path})`);
+      }
+      return { ...recorded.response, replayed: true };
+    }
+
+    const response = await this.send(request);
+    await mkdir(join(this.cassettesDir, role), { recursive: true });
+    await writeFile(path, JSON.stringify({
+      recordedAt: new Date().toISOString(),
+      provider: this.provider,
+      role,
+      request: { ...request, messages: withoutImageData(request.messages) },
+      response
+    }, null, 2));
+    return response;
+  }
+
+  // Replayed calls are priced as if live, so a budget cuts in at the same
+  // field when a run is replayed
+  charge(role, model, response) {
+    const call = {
+      role,
+      model,
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0,
+      cost: costOf(model, response.usage),
+      ...(response.replayed ? { replayed: true } : {})
+    };
+    const wasOver = this.overBudget;
+    for (const ledger of [this.usage, ...(scopes.getStore() || [])]) ledger.add(call);
+    if (!wasOver && this.overBudget) {
+      console.log(`💸 Budget of ${formatCost(this.budget)} reached (${formatCost(this.usage.cost)} spent) - Tier 3 now queues fields for review`);
+    }
+  }
+
+  async send(request) {
+    return this.provider === 'openai' ? this.sendOpenAI(request) : this.sendAnthropic(request);
+  }
+
+  async sendAnthropic(request) {
+    if (!this.apiKey) throw new Error('ANTHROPIC_API_KEY not set');
+    this.client ||= new Anthropic({ apiKey: this.apiKey });
+    const response = await this.client.messages.create(request);
+    return {
+      id: response.id,
+      model: response.model,
+      content: response.content.filter(block => block.type === 'text').map(block => ({ type: 'text', text: block.text })),
+      stop_reason: response.stop_reason,
+      usage: response.usage
+    };
+  }
+
+  async sendOpenAI({ model, system, messages, max_tokens, temperature }) {
+    const body = {
+      model,
+      max_tokens,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => ({ role: message.role, content: toOpenAIContent(message.content) }))
+      ]
+    };
+    if (temperature !== undefined) body.temperature = temperature;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`${this.baseUrl} returned ${response.status}: ${(await response.text()).substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    return {
+      id: data.id,
+      model: data.model || model,
+      content: [{ type: 'text', text: choice?.message?.content || '' }],
+      stop_reason: choice?.finish_reason === 'length' ? 'max_tokens' : 'end_turn',
+      usage: {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+let shared = null;
+
+/**
+ * The provider built from config.llm, shared by every caller in the process.
+ * CLI flags that change config.llm must run before the first call.
+ */
+export function getLLMProvider() {
+  shared ||= new LLMProvider();
+  return shared;
+}
+
+export default LLMProvider;
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+// Local Head - a classifier trained on the verified cache, run between the
+// Haiku and Opus tiers of the v8 classifier (free, no model call)
+//
+// Training examples are the label → field_type pairs a person has vouched for:
+//   exact-question-cache.json  entries from the seed bank or approved reviews
+//   questionnaire-bank.json    the same sources
+//   learned-patterns.json      approved patterns, or ones a person verified
+//                              (originalLabel)
+// Model guesses (Opus, Haiku confirmations) are left out, so the head never
+// learns from its own kind of mistake. That includes learned patterns the
+// cache auto-verifies in development (verifiedBy 'auto_development') and
+// anything flagged by validateBeforeLearning (learnedFrom '*_flagged').
+//
+// The head is k-nearest-neighbours on BGE embeddings. A field's probability
+// per type is a softmax over its k most similar examples. The temperature is
+// fitted by leave-one-out on the training set, so the probabilities are
+// calibrated, and the acceptance threshold is the lowest confidence at which
+// the leave-one-out answers are still `targetPrecision` correct.
+//
+// Usage:
+//   node local-head.js train [--cache-dir ./cache]
+//   node local-head.js status [--cache-dir ./cache]
+
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+
+export const HEAD_FILE = 'local-head.json';
+
+// Exact cache / question bank sources that a person stands behind
+export const VERIFIED_SOURCES = ['seed', 'approved'];
+
+// A learned pattern a person stands behind. `verified` alone is not enough:
+// the cache sets it on every pattern learned in development.
+export function isVerifiedPattern(pattern) {
+  if (!pattern || /_flagged$/.test(pattern.learnedFrom || '')) return false;
+  return pattern.learnedFrom === 'approved' ||
+    (pattern.verified === true && pattern.verifiedBy !== 'auto_development');
+}
+
+const DEFAULTS = {
+  k: 7,
+  temperatures: [0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2],
+  targetPrecision: 0.95,
+  minConfidence: 0.6,   // never accept below this, whatever leave-one-out says
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+/**
+ * Verified label → field_type pairs from the three stores, one per text.
+ * Texts the stores disagree on are left out.
+ * @param stores  { exactCache, questionBank, learnedPatterns } as loaded from cache/
+ * @returns [{ text, field_type, source }]
+ */
+export function collectExamples({ exactCache = {}, questionBank = [], learnedPatterns = {} }) {
+  const candidates = [
+    ...Object.values(exactCache)
+      .filter(entry => VERIFIED_SOURCES.includes(entry.source))
+      .map(entry => ({ text: entry.original_text, field_type: entry.field_type, source: `exact_cache_${entry.source}` })),
+    ...questionBank
+      .filter(entry => VERIFIED_SOURCES.includes(entry.source))
+      .map(entry => ({ text: entry.text, field_type: entry.field_type, source: `question_bank_${entry.source}` })),
+    ...Object.values(learnedPatterns)
+      .filter(isVerifiedPattern)
+      .map(pattern => ({ text: pattern.originalLabel, field_type: pattern.type, source: 'learned_pattern' }))
+  ];
+
+  const byText = new Map();
+  const conflicting = new Set();
+  for (const example of candidates) {
+    const text = (example.text || '').replace(/\s+/g, ' ').trim();
+    if (text.length < 3 || !example.field_type) continue;
+    const key = text.toLowerCase();
+    const existing = byText.get(key);
+    if (existing && existing.field_type !== example.field_type) conflicting.add(key);
+    if (!existing) byText.set(key, { ...example, text });
+  }
+  for (const key of conflicting) byText.delete(key);
+  return [...byText.values()];
+}
+
+/**
+ * Type probabilities from the k nearest examples.
+ * @param neighbors  [{ similarity, field_type }], most similar first
+ * @returns [{ fieldType, probability }], most likely first
+ */
+function neighborVote(neighbors, temperature) {
+  const top = neighbors[0]?.similarity ?? 0;
+  const scores = new Map();
+  for (const { similarity, field_type } of neighbors) {
+    // Shifted by the top similarity so exp() stays in range
+    scores.set(field_type, (scores.get(field_type) || 0) + Math.exp((similarity - top) / temperature));
+  }
+  const total = [...scores.values()].reduce((sum, score) => sum + score, 0);
+  return [...scores]
+    .map(([fieldType, score]) => ({ fieldType, probability: score / total }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+function nearest(embedding, examples, k, skip = -1) {
+  const scored = [];
+  for (let i = 0; i < examples.length; i++) {
+    if (i === skip) continue;
+    scored.push({ index: i, similarity: dot(embedding, examples[i].embedding), field_type: examples[i].field_type });
+  }
+  return scored.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+}
+
+/**
+ * Fit temperature and threshold by leave-one-out.
+ * @param examples  [{ text, field_type, embedding }] with unit-length embeddings
+ * @returns { k, temperature, threshold, evaluation: { examples, accuracy, coverage, precision } }
+ */
+export function fitHead(examples, options = {}) {
+  const { k, temperatures, targetPrecision, minConfidence } = { ...DEFAULTS, ...options };
+  const neighborsOf = examples.map((example, i) => nearest(example.embedding, examples, k, i));
+
+  // Temperature with the lowest leave-one-out negative log-likelihood
+  let best = null;
+  for (const temperature of temperatures) {
+    let nll = 0;
+    for (let i = 0; i < examples.length; i++) {
+      const vote = neighborVote(neighborsOf[i], temperature);
+      const p = vote.find(v => v.fieldType === examples[i].field_type)?.probability || 0;
+      nll -= Math.log(Math.max(p, 1e-6));
+    }
+    if (!best || nll < best.nll) best = { temperature, nll };
+  }
+
+  const predictions = examples.map((example, i) => {
+    const [top] = neighborVote(neighborsOf[i], best.temperature);
+    return { confidence: top?.probability || 0, correct: top?.fieldType === example.field_type };
+  }).sort((a, b) => b.confidence - a.confidence);
+
+  // Walk down the confidences; keep the lowest one whose answers at or above
+  // it are still precise enough
+  let threshold = null;
+  let correct = 0;
+  for (let i = 0; i < predictions.length; i++) {
+    if (predictions[i].correct) correct++;
+    const next = predictions[i + 1];
+    if (next && next.confidence === predictions[i].confidence) continue;
+    if (correct / (i + 1) >= targetPrecision) threshold = predictions[i].confidence;
+  }
+  // Nothing precise enough: the head stays trained but never answers
+  threshold = threshold === null ? Infinity : Math.max(threshold, minConfidence);
+
+  const accepted = predictions.filter(p => p.confidence >= threshold);
+  return {
+    k,
+    temperature: best.temperature,
+    threshold,
+    evaluation: {
+      examples: examples.length,
+      accuracy: predictions.filter(p => p.correct).length / (predictions.length || 1),
+      coverage: accepted.length / (predictions.length || 1),
+      precision: accepted.length ? accepted.filter(p => p.correct).length / accepted.length : null
+    }
+  };
+}
+
+export class LocalHead {
+  /**
+   * @param options  { path } - where the trained head is saved (cache/local-head.json)
+   */
+  constructor(options = {}) {
+    this.path = options.path || path.join('./cache', HEAD_FILE);
+    this.model = null;
+    // Set when approved review items changed the verified stores
+    this.stale = false;
+  }
+
+  get ready() {
+    return !!this.model && this.model.examples.length > 0;
+  }
+
+  get threshold() {
+    return this.model?.threshold ?? Infinity;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.path)) {
+        this.model = JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+        // JSON has no Infinity
+        if (this.model.threshold === null) this.model.threshold = Infinity;
+        console.log(`[LocalHead] Loaded ${this.model.examples.length} examples (trained ${this.model.trainedAt.substring(0, 10)}, threshold ${describeThreshold(this.model.threshold)})`);
+      }
+    } catch (error) {
+      console.warn(`[LocalHead] Load error: ${error.message}`);
+      this.model = null;
+    }
+    return this.model;
+  }
+
+  /**
+   * Embed the examples (reusing the saved embeddings of texts seen before),
+   * fit the head and save it.
+   * @param examples  from collectExamples()
+   * @param embed     async (text) => unit-length embedding
+   * @param info      { embeddingModel } - recorded with the head
+   */
+  async train(examples, embed, info = {}) {
+    const known = new Map((this.model?.examples || []).map(e => [e.text, e.embedding]));
+    const embedded = [];
+    let computed = 0;
+    for (const example of examples) {
+      let embedding = known.get(example.text);
+      if (!embedding) {
+        embedding = (await embed(example.text)).map(v => Math.round(v * 1e6) / 1e6);
+        computed++;
+      }
+      embedded.push({ ...example, embedding });
+    }
+
+    const fit = fitHead(embedded);
+    this.model = {
+      version: 1,
+      trainedAt: new Date().toISOString(),
+      embeddingModel: info.embeddingModel || null,
+      ...fit,
+      examples: embedded
+    };
+    this.stale = false;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify({ ...this.model, threshold: Number.isFinite(fit.threshold) ? fit.threshold : null }));
+    console.log(`[LocalHead] Trained on ${embedded.length} examples (${computed} newly embedded): ${describeEvaluation(this.model)}`);
+    return this.model;
+  }
+
+  /**
+   * Most likely field_type for an embedding.
+   * @returns { fieldType, confidence, neighbor: { text, similarity } } or null when untrained
+   */
+  predict(embedding) {
+    if (!this.ready) return null;
+    const neighbors = nearest(embedding, this.model.examples, this.model.k);
+    const [top] = neighborVote(neighbors, this.model.temperature);
+    const closest = neighbors.find(n => n.field_type === top.fieldType);
+    return {
+      fieldType: top.fieldType,
+      confidence: top.probability,
+      neighbor: { text: this.model.examples[closest.index].text, similarity: closest.similarity }
+    };
+  }
+}
+
+const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+const describeThreshold = (threshold) => (Number.isFinite(threshold) ? percent(threshold) : 'none - head disabled');
+
+// "leave-one-out accuracy 91.2%, answers 74.0% at ≥ 88.3% with 96.1% precision"
+export function describeEvaluation(model) {
+  const { accuracy, coverage, precision } = model.evaluation;
+  if (!Number.isFinite(model.threshold)) {
+    return `leave-one-out accuracy ${percent(accuracy)}, no threshold reaches the target precision - head disabled`;
+  }
+  return `leave-one-out accuracy ${percent(accuracy)}, answers ${percent(coverage)} at ≥ ${percent(model.threshold)} with ${percent(precision)} precision`;
+}
+
+// Verified stores as saved in cacheDir
+export function readStores(cacheDir) {
+  const read = (name, fallback) => {
+    const file = path.join(cacheDir, name);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : fallback;
+  };
+  return {
+    exactCache: read('exact-question-cache.json', {}),
+    questionBank: read('questionnaire-bank.json', {}).questions || [],
+    learnedPatterns: read('learned-patterns.json', {})
+  };
+}
+
+async function main() {
+  program
+    .name('local-head')
+    .description('Train the local classifier head on the verified cache');
+
+  program
+    .command('train')
+    .description('Embed the verified examples with BGE and fit the head')
+    .option('--cache-dir <dir>', 'Cache directory holding the verified stores', './cache')
+    .action(async (options) => {
+      const examples = collectExamples(readStores(options.cacheDir));
+      if (examples.length === 0) {
+        console.log(`No verified examples in ${options.cacheDir}`);
+        return;
+      }
+      const counts = examples.reduce((acc, e) => ({ ...acc, [e.source]: (acc[e.source] || 0) + 1 }), {});
+      console.log(`📚 ${examples.length} verified examples, ${new Set(examples.map(e => e.field_type)).size} field types`);
+      for (const [source, count] of Object.entries(counts)) console.log(`   ${source.padEnd(28)} ${count}`);
+
+      // Loaded here only: the classifier passes in its own BGE instance
+      const { default: SemanticSimilarityClassifier } = await import('./semantic-similarity.js');
+      const bge = new SemanticSimilarityClassifier();
+      await bge.loadModel();
+
+      const head = new LocalHead({ path: path.join(options.cacheDir, HEAD_FILE) });
+      head.load();
+      await head.train(examples, text => bge.getEmbedding(text), { embeddingModel: bge.modelName });
+      console.log(`✅ Saved ${head.path}`);
+    });
+
+  program
+    .command('status')
+    .description('Show the trained head and how it scored')
+    .option('--cache-dir <dir>', 'Cache directory holding the head', './cache')
+    .action((options) => {
+      const head = new LocalHead({ path: path.join(options.cacheDir, HEAD_FILE) });
+      if (!head.load()) {
+        console.log('No head trained yet. Run: npm run train-head');
+        return;
+      }
+      const { model } = head;
+      console.log(`Trained ${model.trainedAt.replace('T', ' ').substring(0, 16)} on ${model.examples.length} examples (${model.embeddingModel || 'unknown embedding model'})`);
+      console.log(`k=${model.k}, temperature ${model.temperature}`);
+      console.log(describeEvaluation(model));
+      const trained = new Set(model.examples.map(e => e.text));
+      const pending = collectExamples(readStores(options.cacheDir)).filter(e => !trained.has(e.text)).length;
+      if (pending > 0) console.log(`${pending} verified example(s) added since - retrain with: npm run train-head`);
+    });
+
+  await program.parseAsync();
+}
+
+// Exact file name: the test file shares the stem
+const isMainModule = process.argv[1]?.endsWith('local-head.js');
+if (isMainModule) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default LocalHead;
@@ -0,0 +1,33 @@
+// Module Reloader - lets a running session use code the patcher just changed.
+// Node caches ES modules by URL, so after a patch the next import goes through
+// a new `?rev=N` URL and reload-hooks.js carries it down the src/ import graph.
+import { register } from 'module';
+
+let revision = 0;
+let hooksRegistered = false;
+
+// Call after patched files change on disk (applied or rolled back)
+export function bumpRevision() {
+  if (!hooksRegistered) {
+    register('./reload-hooks.js', import.meta.url);
+    hooksRegistered = true;
+  }
+  revision++;
+  return revision;
+}
+
+export function currentRevision() {
+  return revision;
+}
+
+/**
+ * Import a src/ module (path relative to src/) at the current revision.
+ * Before any patch this is a plain cached import.
+ */
+export async function importFresh(specifier) {
+  const url = new URL(specifier, import.meta.url);
+  if (revision > 0) url.searchParams.set('rev', String(revision));
+  return import(url.href);
+}
+
+export default { bumpRevision, currentRevision, importFresh };
@@ -1,5 +1,7 @@
 // Multi-Page Navigator - Handles multi-step job applications
 import { sleep } from './utils.js';
+import { detectPlatform } from './platforms/index.js';
+import config from './config.js';
 
 export class MultiPageNavigator {
   constructor(runner) {
@@ -8,11 +10,29 @@ export class MultiPageNavigator {
     this.totalPages = 0;
     this.pageHistory = [];
     this.maxPages = 10; // Safety limit
+    // Set when the only way forward was a final-submit button
+    this.atSubmit = false;
+  }
+
+  get guard() {
+    return this.runner.submissionGuard;
+  }
+
+  // Adapter for the current URL, if it drives its own steps (e.g. iCIMS iframe)
+  getPlatform() {
+    return detectPlatform(this.runner.page.url());
   }
 
   // Detect what page/step we're on
   async detectCurrentStep() {
     const page = this.runner.page;
+
+    const platform = this.getPlatform();
+    if (typeof platform?.detectStep === 'function') {
+      const stepInfo = await platform.detectStep(page);
+      console.log(`📍 Current step (${platform.name}): ${stepInfo.pageType || stepInfo.text || 'unknown'}`);
+      return stepInfo;
+    }
     
     const stepInfo = await page.evaluate(() => {
       // Common step indicator patterns
@@ -110,18 +130,45 @@ export class MultiPageNavigator {
     return stepInfo;
   }
 
-  // Find and click the "Next" button
+  // Find and click the "Next" button. Final-submit buttons are never
+  // clicked here (see submitApplication)
   async clickNext() {
     const page = this.runner.page;
+    this.atSubmit = false;
+
+    const platform = this.getPlatform();
+    if (typeof platform?.clickNext === 'function') {
+      const blockedBefore = this.guard.blocked.length;
+      const clicked = await platform.clickNext(page);
+      if (this.guard.blocked.length > blockedBefore) {
+        // The page guard cancelled it - the adapter's Next was the submit button
+        this.atSubmit = true;
+        return false;
+      }
+      if (clicked.clicked) {
+        console.log(`➡️ Clicked: "${clicked.text}"`);
+        return true;
+      }
+      console.log('❌ No Next/Continue button found');
+      return false;
+    }
+
+    // Full-page postbacks (Taleo) replace the document, so mark the
+    // current one before clicking and wait for a document without the mark
+    if (platform?.fullPagePostback) {
+      await platform.markDocument(page);
+    }
     
     const nextButtonSelectors = [
+      // Platform-specific buttons first (e.g. Taleo "Save and Continue" ids)
+      ...[].concat(platform?.selectors?.nextButton || []),
+
       // Common button text patterns
       'button:has-text("Next")',
       'button:has-text("Continue")',
       'button:has-text("Save and Continue")',
       'button:has-text("Save & Continue")',
       'button:has-text("Proceed")',
-      'button:has-text("Submit")',
       
       // Input submit buttons
       'input[type="submit"][value*="Next" i]',
@@ -135,7 +182,6 @@ export class MultiPageNavigator {
       // By class/id patterns
       '[class*="next-button"]',
       '[class*="continue-button"]',
-      '[class*="submit-button"]',
       '#next-button',
       '#continue-button',
       '#btnNext',
@@ -155,6 +201,9 @@ export class MultiPageNavigator {
       try {
         // Use a more robust approach - evaluate in page context
         const clicked = await page.evaluate((sel) => {
+          // "Save and Submit" can match a Next pattern - leave it to submitApplication
+          const submitReason = (el) => window.__jobfillSubmitGuard?.reasonFor(el) || null;
+
           // Handle :has-text pseudo selector manually
           if (sel.includes(':has-text(')) {
             const match = sel.match(/(.*):has-text\("(.*)"\)/);
@@ -165,6 +214,8 @@ export class MultiPageNavigator {
                 if (el.textContent.trim().toLowerCase().includes(text.toLowerCase())) {
                   // Check if button is visible and enabled
                   if (el.offsetParent !== null && !el.disabled) {
+                    const reason = submitReason(el);
+                    if (reason) return { success: false, submit: { text: el.textContent.trim(), reason } };
                     el.click();
                     return { success: true, text: el.textContent.trim() };
                   }
@@ -177,12 +228,19 @@ export class MultiPageNavigator {
           // Standard selector
           const el = document.querySelector(sel);
           if (el && el.offsetParent !== null && !el.disabled) {
+            const reason = submitReason(el);
+            if (reason) return { success: false, submit: { text: el.textContent?.trim() || el.value, reason } };
             el.click();
             return { success: true, text: el.textContent?.trim() || el.value };
           }
           return { success: false };
         }, selector);
         
+        if (clicked.submit && !this.atSubmit) {
+          this.atSubmit = true;
+          this.guard.record({ ...clicked.submit, url: page.url(), source: 'navigator', decision: 'not clicked as Next' });
+        }
+        
         if (clicked.success) {
           console.log(`➡️ Clicked: "${clicked.text}"`);
           
@@ -203,6 +261,13 @@ export class MultiPageNavigator {
   async waitForPageChange() {
     const page = this.runner.page;
     const startUrl = page.url();
+
+    // Postbacks often return to the same URL, so URL checks can't see them
+    const platform = this.getPlatform();
+    if (platform?.fullPagePostback) {
+      await platform.waitForPostback(page);
+      return;
+    }
     
     try {
       // Wait for either navigation or DOM change
@@ -229,6 +294,32 @@ export class MultiPageNavigator {
     }
   }
 
+  /**
+   * Click the final-submit button - only with --allow-submit and a yes at
+   * the prompt (see submission-guard.js).
+   * @returns { submitted, reason }
+   */
+  async submitApplication() {
+    const page = this.runner.page;
+
+    for (const frame of page.frames()) {
+      const controls = await frame.evaluate(() => window.__jobfillSubmitGuard?.controls() || []).catch(() => []);
+      if (controls.length === 0) continue;
+
+      const control = controls[0];
+      const allowed = await this.guard.allow({ ...control, url: frame.url() });
+      if (!allowed) return { submitted: false, reason: 'blocked' };
+
+      await this.guard.withSubmitAllowed(frame, () => frame.evaluate(() => window.__jobfillSubmitGuard.first()?.click()));
+      console.log(`📨 Submitted: "${control.text}"`);
+      await this.waitForPageChange();
+      return { submitted: true, reason: 'submitted' };
+    }
+
+    console.log('❌ No submit button found');
+    return { submitted: false, reason: 'no_submit_button' };
+  }
+
   // Check for validation errors on current page
   async checkForErrors() {
     const page = this.runner.page;
@@ -289,6 +380,11 @@ export class MultiPageNavigator {
   // Check if we're on the final submission page
   async isSubmissionPage() {
     const page = this.runner.page;
+
+    const platform = this.getPlatform();
+    if (typeof platform?.isSubmissionPage === 'function') {
+      return platform.isSubmissionPage(page);
+    }
     
     return await page.evaluate(() => {
       const text = document.body.innerText.toLowerCase();
@@ -343,6 +439,15 @@ export class MultiPageNavigator {
     });
   }
 
+  // Let the adapter sign in with configured credentials
+  async tryPlatformLogin() {
+    const platform = this.getPlatform();
+    if (typeof platform?.login !== 'function') return false;
+
+    const result = await platform.login(this.runner.page, config.credentials?.[platform.name]);
+    return result.success;
+  }
+
   // Navigate through all pages of the application
   async navigateAllPages(fillFunction, options = {}) {
     const { maxPages = this.maxPages, stopAtSubmit = true } = options;
@@ -356,7 +461,7 @@ export class MultiPageNavigator {
       this.pageHistory.push(stepInfo);
       
       // Check if we're on login page
-      if (stepInfo.pageType === 'login') {
+      if (stepInfo.pageType === 'login' && !(await this.tryPlatformLogin())) {
         console.log('🔐 Login page detected - manual intervention required');
         return { 
           completed: false, 
@@ -393,6 +498,15 @@ export class MultiPageNavigator {
       
       // Try to go to next page
       const hasNext = await this.clickNext();
+      if (!hasNext && this.atSubmit) {
+        console.log('✅ Reached submission page (only a submit button left)');
+        return {
+          completed: true,
+          reason: 'submission_page',
+          pageHistory: this.pageHistory,
+          results
+        };
+      }
       if (!hasNext) {
         console.log('📍 No more pages or could not proceed');
         return {
@@ -0,0 +1,197 @@
+// Patch Anchor - finds where a fix's "before" lines sit in the current file
+// when they don't match byte for byte, and says how sure it is
+//
+//   exact       same lines                                  confidence 1.0
+//   whitespace  same once indentation/spacing is ignored    0.9
+//   fuzzy       most similar window of lines                similarity × 0.9
+//   position    insertion with no lines to match, between    0.9 (0.8 when
+//               two statements by the lines around it         reindented)
+//
+// Blank lines are ignored when comparing. On failure the closest window is
+// returned as a readable expected/actual mismatch for the model to correct.
+
+const FUZZY_MIN_SIMILARITY = 0.75;
+const FUZZY_MIN_MARGIN = 0.08;   // best window must beat the runner-up by this much
+
+const normalize = (line) => line.trim().replace(/\s+/g, ' ');
+const tokens = (line) => new Set(line.toLowerCase().match(/[a-z_$][\w$]*|\d+|[^\s\w]/g) || []);
+
+// Dice coefficient over identifier/punctuation tokens
+function lineSimilarity(a, b) {
+  if (a.text === b.text) return 1;
+  if (a.tokens.size === 0 && b.tokens.size === 0) return 1;
+  let shared = 0;
+  for (const t of a.tokens) if (b.tokens.has(t)) shared++;
+  return (2 * shared) / (a.tokens.size + b.tokens.size);
+}
+
+// Non-blank lines with their original index
+function significant(lines) {
+  const out = [];
+  lines.forEach((line, index) => {
+    const text = normalize(line);
+    if (text) out.push({ index, text, tokens: tokens(text) });
+  });
+  return out;
+}
+
+function nearest(candidates, hint) {
+  return candidates.reduce((best, c) => (Math.abs(c - hint) < Math.abs(best - hint) ? c : best));
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0];
+}
+
+/**
+ * Shift `replacement` lines by the indentation difference between what the
+ * fix expected and what the file has, so a whitespace/fuzzy match keeps the
+ * file's indentation.
+ */
+export function reindent(replacement, expectedLines, actualLines) {
+  const expected = expectedLines.find(l => l.trim());
+  const actual = actualLines.find(l => l.trim());
+  if (expected === undefined || actual === undefined) return replacement;
+
+  const delta = indentOf(actual).length - indentOf(expected).length;
+  if (delta === 0) return replacement;
+  return replacement.map(line => {
+    if (!line.trim()) return line;
+    if (delta > 0) return ' '.repeat(delta) + line;
+    const strip = Math.min(-delta, indentOf(line).length);
+    return line.slice(strip);
+  });
+}
+
+/**
+ * Locate `searchLines` in `fileLines`.
+ * @param hint  0-based line where the fix expects them (diff hunks), if known
+ * @returns { start, end, confidence, method } (end exclusive) or
+ *          { error, mismatch } when there is no confident single match
+ */
+export function locateLines(fileLines, searchLines, { hint = null } = {}) {
+  const m = searchLines.length;
+  if (m === 0) return { error: 'nothing to match' };
+
+  // Exact
+  const exact = [];
+  for (let i = 0; i + m <= fileLines.length; i++) {
+    if (searchLines.every((line, j) => fileLines[i + j] === line)) exact.push(i);
+  }
+  if (exact.length === 1 || (exact.length > 1 && hint !== null && exact.includes(hint))) {
+    const start = exact.length === 1 ? exact[0] : hint;
+    return { start, end: start + m, confidence: 1, method: 'exact' };
+  }
+  if (exact.length > 1) {
+    return { error: `matches ${exact.length} places exactly (lines ${exact.map(i => i + 1).join(', ')}) - add context to make it unique` };
+  }
+
+  const want = significant(searchLines);
+  const have = significant(fileLines);
+  if (want.length === 0) return { error: 'only blank lines to match' };
+  const span = (k) => ({ start: have[k].index, end: have[k + want.length - 1].index + 1 });
+
+  // Whitespace-insensitive
+  const loose = [];
+  for (let k = 0; k + want.length <= have.length; k++) {
+    if (want.every((w, j) => have[k + j].text === w.text)) loose.push(k);
+  }
+  if (loose.length === 1 || (loose.length > 1 && hint !== null)) {
+    const k = loose.length === 1 ? loose[0] : nearest(loose, have.findIndex(h => h.index >= hint));
+    return { ...span(k), confidence: loose.length === 1 ? 0.9 : 0.85, method: 'whitespace' };
+  }
+  if (loose.length > 1) {
+    return { error: `matches ${loose.length} places ignoring whitespace - add context to make it unique` };
+  }
+
+  // Fuzzy: average line similarity of every window
+  const scores = [];
+  for (let k = 0; k + want.length <= have.length; k++) {
+    let total = 0;
+    for (let j = 0; j < want.length; j++) total += lineSimilarity(want[j], have[k + j]);
+    scores.push({ k, score: total / want.length });
+  }
+  scores.sort((a, b) => b.score - a.score);
+  const best = scores[0];
+  if (!best) return { error: 'file is shorter than the lines to match' };
+
+  // Runner-up that doesn't overlap the best window
+  const second = scores.find(s => Math.abs(s.k - best.k) >= want.length);
+  const margin = best.score - (second?.score || 0);
+  const bestSpan = span(best.k);
+
+  if (best.score >= FUZZY_MIN_SIMILARITY && margin >= FUZZY_MIN_MARGIN) {
+    return { ...bestSpan, confidence: Math.round(best.score * 0.9 * 100) / 100, method: 'fuzzy' };
+  }
+
+  return {
+    error: best.score >= FUZZY_MIN_SIMILARITY
+      ? `ambiguous: two places are ${Math.round(best.score * 100)}% / ${Math.round(second.score * 100)}% similar`
+      : `no match - closest is ${Math.round(best.score * 100)}% similar`,
+    mismatch: describeMismatch(searchLines, fileLines, bestSpan)
+  };
+}
+
+// The line before closes a statement, opens or closes a block, ends a list
+// entry, or is a comment
+const ENDS_STATEMENT = /([;{},]|\*\/)$|^(\/\/|\/\*|\*)/;
+// The line after carries on the expression of the line before
+const CONTINUES = /^([.?:)\]]|&&|\|\||[-+*/%=<>](?![/*]))/;
+const CLOSES_BLOCK = /^[}\])]/;
+
+/**
+ * Place the lines of a hunk that has nothing to match (no context or removed
+ * lines). Its line number is all there is, so the lines around that point
+ * are the anchor: it must fall between two statements, and the new lines are
+ * indented like the code they join.
+ * @param at  0-based index the lines go in front of
+ * @returns { start, end, confidence, method, lines } (end === start) or { error, mismatch }
+ */
+export function locateInsertion(fileLines, at, insertLines) {
+  if (at < 0 || at > fileLines.length) {
+    return { error: `insertion at line ${at + 1} is past the end of the file (${fileLines.length} lines)` };
+  }
+  const have = significant(fileLines);
+  const before = have.filter(h => h.index < at).at(-1);
+  const after = have.find(h => h.index >= at);
+  const surroundings = () => fileLines.slice(Math.max(0, at - 3), at + 3).map((line, i) => {
+    const n = Math.max(0, at - 3) + i;
+    return `${n === at ? '>' : ' '} ${String(n + 1).padStart(5)}  ${line}`;
+  }).join('\n');
+
+  if ((before && !ENDS_STATEMENT.test(before.text)) || (after && CONTINUES.test(after.text))) {
+    return {
+      error: `insertion at line ${at + 1} falls inside a statement - add context lines to the hunk`,
+      mismatch: `Lines around the insertion point (> marks where it would go):\n${surroundings()}`
+    };
+  }
+
+  // New code sits at the level of the statement after it; in front of a
+  // closing brace, at the level of the one before (a level deeper right
+  // after an opening brace - this codebase indents by 2)
+  const first = insertLines.find(l => l.trim());
+  if (first === undefined) return { start: at, end: at, confidence: 0.9, method: 'position', lines: insertLines };
+  let expected = 0;
+  if (after && !CLOSES_BLOCK.test(after.text)) expected = indentOf(fileLines[after.index]).length;
+  else if (before) expected = indentOf(fileLines[before.index]).length + (/\{$/.test(before.text) ? 2 : 0);
+  const aligned = indentOf(first).length === expected;
+  return {
+    start: at,
+    end: at,
+    confidence: aligned ? 0.9 : 0.8,
+    method: 'position',
+    lines: aligned ? insertLines : reindent(insertLines, [first], [' '.repeat(expected) + first.trim()])
+  };
+}
+
+// Expected vs actual lines of the closest window, for the corrective round
+export function describeMismatch(searchLines, fileLines, { start, end }) {
+  const actual = fileLines.slice(start, end);
+  const out = [`Closest match is at lines ${start + 1}-${end}.`, 'Expected:'];
+  out.push(...searchLines.map(l => `  | ${l}`));
+  out.push('Actual:');
+  out.push(...actual.map(l => `  | ${l}`));
+  return out.join('\n');
+}
+
+export default { locateLines, locateInsertion, reindent, describeMismatch };
@@ -0,0 +1,165 @@
+// Patch History - every applied fix is kept as a unified diff with metadata in
+// patches/history/<id>.json, so patches can be listed, shown, reverted and
+// squashed from any later session
+//
+// { id, timestamp, description, status, files: [{ file, diff }], url, iteration, reason, squashedInto, squashed }
+// status: applied | reverted | rolled_back | squashed
+import { readFile, writeFile, readdir, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import config from './config.js';
+import { createUnifiedDiff, applyUnifiedDiff } from './unified-diff.js';
+
+export class PatchHistory {
+  constructor(dir = join(config.patchesDir, 'history'), srcDir = config.srcDir) {
+    this.dir = dir;
+    this.srcDir = srcDir;
+  }
+
+  async list() {
+    if (!existsSync(this.dir)) return [];
+    const names = (await readdir(this.dir)).filter(n => /^\d+\.json$/.test(n)).sort();
+    const records = [];
+    for (const name of names) {
+      records.push(JSON.parse(await readFile(join(this.dir, name), 'utf-8')));
+    }
+    return records;
+  }
+
+  async get(id) {
+    const path = join(this.dir, `${String(id).padStart(4, '0')}.json`);
+    if (!existsSync(path)) throw new Error(`No patch with id ${id}`);
+    return JSON.parse(await readFile(path, 'utf-8'));
+  }
+
+  async save(record) {
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(join(this.dir, `${record.id}.json`), JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  async nextId() {
+    const records = await this.list();
+    const last = records.length ? parseInt(records[records.length - 1].id) : 0;
+    return String(last + 1).padStart(4, '0');
+  }
+
+  /**
+   * Record an applied change.
+   * @param files  [{ file, before, after }] - file relative to src/
+   * @param meta   { url, iteration, ... } stored as-is
+   */
+  async record(description, files, meta = {}) {
+    return this.save({
+      id: await this.nextId(),
+      timestamp: new Date().toISOString(),
+      description,
+      status: 'applied',
+      files: files.map(({ file, before, after }) => ({ file, diff: createUnifiedDiff(before, after, file) })),
+      ...meta
+    });
+  }
+
+  async setStatus(id, status, extra = {}) {
+    const record = await this.get(id);
+    return this.save({ ...record, ...extra, status, statusChangedAt: new Date().toISOString() });
+  }
+
+  // Current text of each file with the record's diffs undone, without writing
+  async unapplied(record, texts = new Map()) {
+    for (const { file, diff } of record.files) {
+      const current = texts.get(file) ?? await readFile(join(this.srcDir, file), 'utf-8');
+      try {
+        texts.set(file, applyUnifiedDiff(current, diff, { reverse: true }));
+      } catch (error) {
+        throw new Error(`patch ${record.id} no longer applies to ${file} (${error.message}) - a later patch changed the same lines; revert that one first`);
+      }
+    }
+    return texts;
+  }
+
+  /**
+   * Undo one applied patch. All of its files are checked before any is written.
+   * @returns the updated record
+   */
+  async revert(id) {
+    const record = await this.get(id);
+    if (record.status !== 'applied') throw new Error(`patch ${record.id} is ${record.status}, not applied`);
+
+    const texts = await this.unapplied(record);
+    for (const [file, text] of texts) {
+      await writeFile(join(this.srcDir, file), text, 'utf-8');
+    }
+    return this.setStatus(record.id, 'reverted');
+  }
+
+  /**
+   * Undo every applied patch, newest first.
+   * @returns { reverted: [ids], failed: [{ id, error }] }
+   */
+  async revertAll() {
+    const applied = (await this.list()).filter(r => r.status === 'applied').reverse();
+    const reverted = [];
+    const failed = [];
+    for (const record of applied) {
+      try {
+        await this.revert(record.id);
+        reverted.push(record.id);
+      } catch (error) {
+        failed.push({ id: record.id, error: error.message });
+      }
+    }
+    return { reverted, failed };
+  }
+
+  /**
+   * Fold applied patches into one record (default: every applied patch).
+   * A patch outside the set that touches the same files in between them
+   * must be included or reverted first.
+   * @returns the new record
+   */
+  async squash(ids = []) {
+    const all = await this.list();
+    const applied = all.filter(r => r.status === 'applied');
+    const wanted = ids.length ? ids.map(id => String(id).padStart(4, '0')) : applied.map(r => r.id);
+
+    const set = applied.filter(r => wanted.includes(r.id));
+    const missing = wanted.filter(id => !set.some(r => r.id === id));
+    if (missing.length) throw new Error(`not applied: ${missing.join(', ')}`);
+    if (set.length < 2) throw new Error('need at least two applied patches to squash');
+
+    const files = [...new Set(set.flatMap(r => r.files.map(f => f.file)))];
+    const first = set[0].id;
+    const touches = (r) => r.files.some(f => files.includes(f.file));
+
+    // Undo newest first: patches after the set give the "after" text,
+    // then the set itself gives the "before" text
+    const texts = new Map();
+    const after = new Map();
+    for (const record of applied.filter(touches).reverse()) {
+      if (record.id < first) break;
+      const inSet = wanted.includes(record.id);
+      if (!inSet && after.size > 0) {
+        throw new Error(`patch ${record.id} sits between the patches being squashed - include it or revert it first`);
+      }
+      if (inSet && after.size === 0) {
+        for (const file of files) {
+          after.set(file, texts.get(file) ?? await readFile(join(this.srcDir, file), 'utf-8'));
+        }
+      }
+      await this.unapplied(record, texts);
+    }
+
+    const squashed = await this.record(
+      set.map(r => r.description).join('; '),
+      files.map(file => ({ file, before: texts.get(file), after: after.get(file) })),
+      { squashed: set.map(r => r.id) }
+    );
+    for (const record of set) {
+      await this.setStatus(record.id, 'squashed', { squashedInto: squashed.id });
+    }
+    return squashed;
+  }
+}
+
+export default PatchHistory;
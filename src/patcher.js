@@ -2,39 +2,144 @@
 import { readFile, writeFile, copyFile } from 'fs/promises';
 import { join, basename } from 'path';
 import { existsSync } from 'fs';
+import { spawnSync } from 'child_process';
 import config from './config.js';
+import { bumpRevision, importFresh } from './module-reloader.js';
+import { PatchHistory } from './patch-history.js';
+import { parseUnifiedDiff, hunkSides } from './unified-diff.js';
+import { locateLines, locateInsertion, reindent, describeMismatch } from './patch-anchor.js';
+import { findFunctionRange } from './source-locator.js';
 
 export class CodePatcher {
   constructor() {
     this.appliedPatches = [];
+    this.rolledBackPatches = [];
     this.backups = new Map();
+    // Batches applied since the last fill, checked by rollbackIfRegressed
+    this.pendingBatches = [];
+    this.history = new PatchHistory();
+    // Stored with each history record (url, iteration)
+    this.context = {};
   }
 
-  async applyFixes(fixes) {
+  /**
+   * Apply fixes, then load the patched modules fresh so the next fill runs
+   * the new code. A batch whose modules fail to load is rolled back.
+   * @param context  { url, iteration } recorded in the patch history
+   */
+  async applyFixes(fixes, context = {}) {
+    this.context = context;
     const results = [];
+    // file → content before this batch, for rollback
+    const before = new Map();
+    const applied = [];
     
     for (const fix of fixes) {
       console.log(`\n🔧 Applying fix to ${fix.file}...`);
       console.log(`   Description: ${fix.description}`);
       
+      const filepath = join(config.srcDir, fix.file);
+      if (!before.has(filepath) && existsSync(filepath)) {
+        before.set(filepath, await readFile(filepath, 'utf-8'));
+      }
+      
       const result = await this.applyFix(fix);
       results.push(result);
       
       if (result.success) {
-        console.log(`   ✅ Fix applied successfully`);
+        console.log(`   ✅ Fix applied successfully (patch ${result.patchId})`);
+        fix.patchId = result.patchId;
         this.appliedPatches.push(fix);
+        applied.push({ fix, result });
       } else {
         console.log(`   ❌ Fix failed: ${result.error}`);
       }
     }
     
+    if (applied.length === 0) return results;
+    
+    const batch = {
+      fixes: applied.map(a => a.fix),
+      before: new Map([...before].filter(([filepath]) => applied.some(a => join(config.srcDir, a.fix.file) === filepath)))
+    };
+    
+    const loadError = await this.loadPatchedModules(batch);
+    if (loadError) {
+      await this.rollback(batch, loadError);
+      for (const { result } of applied) {
+        result.success = false;
+        result.error = `Rolled back: ${loadError}`;
+      }
+      return results;
+    }
+    
+    this.pendingBatches.push(batch);
     return results;
   }
 
+  // Import every patched module at a new revision. Returns an error message
+  // if one fails to evaluate (bad import, top-level throw, ...).
+  async loadPatchedModules(batch) {
+    const revision = bumpRevision();
+    for (const file of new Set(batch.fixes.map(f => f.file))) {
+      try {
+        await importFresh(`./${file}`);
+      } catch (error) {
+        return `${file} failed to load: ${error.message}`;
+      }
+    }
+    console.log(`   🔄 Patched modules reloaded (rev ${revision})`);
+    return null;
+  }
+
+  // Restore the files a batch touched and reload
+  async rollback(batch, reason) {
+    console.log(`\n↩️  Rolling back ${batch.fixes.length} fix(es): ${reason}`);
+    for (const [filepath, content] of batch.before) {
+      await writeFile(filepath, content, 'utf-8');
+      console.log(`   ✅ Restored: ${basename(filepath)}`);
+    }
+    
+    this.appliedPatches = this.appliedPatches.filter(fix => !batch.fixes.includes(fix));
+    this.rolledBackPatches.push(...batch.fixes.map(fix => ({ ...fix, reason })));
+    for (const fix of batch.fixes) {
+      await this.history.setStatus(fix.patchId, 'rolled_back', { reason });
+    }
+    this.pendingBatches = this.pendingBatches.filter(b => b !== batch);
+    bumpRevision();
+    return batch.fixes;
+  }
+
+  /**
+   * Undo the batches applied since the last fill if the fill after them
+   * filled fewer fields than the fill before them.
+   * @returns the rolled back fixes, or null
+   */
+  async rollbackIfRegressed(filledBefore, filledAfter) {
+    const batches = this.pendingBatches;
+    this.pendingBatches = [];
+    if (batches.length === 0 || filledAfter >= filledBefore) return null;
+    
+    const reason = `filled ${filledAfter} field(s) after the patch, ${filledBefore} before`;
+    const rolledBack = [];
+    for (const batch of [...batches].reverse()) {
+      rolledBack.push(...await this.rollback(batch, reason));
+    }
+    return rolledBack;
+  }
+
   async applyFix(fix) {
     // Use srcDir for auto-debugger files
     const filepath = join(config.srcDir, fix.file);
     
+    if (!config.patchableFiles.includes(fix.file)) {
+      return {
+        success: false,
+        file: fix.file,
+        error: `Not a patchable file (see config.patchableFiles)`
+      };
+    }
+    
     // Validate file exists
     if (!existsSync(filepath)) {
       return {
@@ -53,62 +158,70 @@ export class CodePatcher {
         await this.createBackup(filepath);
       }
       
-      // Check if search string exists
-      if (!content.includes(fix.search)) {
-        // Try to find similar content for debugging
-        const lines = fix.search.split('\n');
-        const firstLine = lines[0].trim();
-        
-        if (content.includes(firstLine)) {
-          return {
-            success: false,
-            file: fix.file,
-            error: `Search string not found exactly. First line found but full match failed. Check whitespace/indentation.`,
-            hint: `First line "${firstLine.substring(0, 50)}..." exists in file`
-          };
-        }
-        
+      const patched = this.patchContent(content, fix);
+      if (patched.error) {
         return {
           success: false,
           file: fix.file,
-          error: `Search string not found in file`,
-          searchPreview: fix.search.substring(0, 100)
+          error: patched.error,
+          mismatch: patched.mismatch,
+          hunks: patched.hunks,
+          retryable: true
         };
       }
       
-      // Check for multiple occurrences
-      const occurrences = content.split(fix.search).length - 1;
-      if (occurrences > 1) {
+      const newContent = patched.text;
+      const confidence = Math.min(...patched.hunks.map(h => h.confidence));
+      for (const hunk of patched.hunks) {
+        console.log(`   📍 line ${hunk.line}: ${hunk.method} match (${Math.round(hunk.confidence * 100)}%)`);
+      }
+      
+      if (confidence < config.minPatchConfidence) {
         return {
           success: false,
           file: fix.file,
-          error: `Search string found ${occurrences} times. Must be unique.`
+          error: `Match confidence ${Math.round(confidence * 100)}% is below ${Math.round(config.minPatchConfidence * 100)}%`,
+          mismatch: patched.hunks.map(h => h.mismatch).filter(Boolean).join('\n\n') || undefined,
+          hunks: patched.hunks,
+          retryable: true
         };
       }
       
-      // Apply the fix
-      const newContent = content.replace(fix.search, fix.replace);
-      
       // Validate the replacement was made
       if (newContent === content) {
         return {
           success: false,
           file: fix.file,
-          error: 'Replacement resulted in no change'
+          error: 'Replacement resulted in no change',
+          retryable: true
+        };
+      }
+      
+      // Never write a file that no longer parses
+      const syntax = await this.validateSyntax(filepath, newContent);
+      if (!syntax.valid) {
+        return {
+          success: false,
+          file: fix.file,
+          error: `Patch breaks parsing: ${syntax.error}${syntax.line ? ` (line ${syntax.line})` : ''}`,
+          retryable: true
         };
       }
       
       // Write the patched file
       await writeFile(filepath, newContent, 'utf-8');
       
-      // Save patch for records
-      await this.savePatch(fix);
+      // Keep it as a unified diff so it can be reverted in a later session
+      const record = await this.history.record(fix.description, [{ file: fix.file, before: content, after: newContent }], { ...this.context, confidence });
       
       return {
         success: true,
         file: fix.file,
+        patchId: record.id,
         description: fix.description,
-        linesChanged: fix.replace.split('\n').length - fix.search.split('\n').length
+        confidence,
+        hunks: patched.hunks,
+        linesChanged: newContent.split('\n').length - content.split('\n').length
       };
       
     } catch (error) {
@@ -120,6 +233,121 @@ export class CodePatcher {
     }
   }
 
+  /**
+   * Apply one fix to a file's text without writing it.
+   * Fixes come as search/replace, a unified diff, or a whole-function replacement.
+   * @returns { text, hunks: [{ line, confidence, method }] } or { error, mismatch }
+   */
+  patchContent(content, fix) {
+    if (fix.diff) return this.applyDiffHunks(content, fix);
+    if (fix.function) return this.replaceFunction(content, fix);
+    return this.replaceSearch(content, fix);
+  }
+
+  replaceSearch(content, fix) {
+    const occurrences = content.split(fix.search).length - 1;
+    if (occurrences > 1) {
+      return { error: `Search string found ${occurrences} times. Must be unique.` };
+    }
+    if (occurrences === 1) {
+      const line = content.slice(0, content.indexOf(fix.search)).split('\n').length;
+      // Function replacement so `$&` etc. in the fix stay literal
+      return {
+        text: content.replace(fix.search, () => fix.replace),
+        hunks: [{ line, confidence: 1, method: 'exact' }]
+      };
+    }
+    
+    // Not byte-exact: anchor on whole lines, ignoring whitespace or fuzzily
+    const lines = content.split('\n');
+    const searchLines = fix.search.split('\n');
+    const found = locateLines(lines, searchLines);
+    if (found.error) {
+      return { error: `Search string not found exactly: ${found.error}`, mismatch: found.mismatch };
+    }
+    
+    const mismatch = describeMismatch(searchLines, lines, found);
+    const replacement = reindent(fix.replace.split('\n'), searchLines, lines.slice(found.start, found.end));
+    lines.splice(found.start, found.end - found.start, ...replacement);
+    return {
+      text: lines.join('\n'),
+      hunks: [{ line: found.start + 1, confidence: found.confidence, method: found.method, mismatch }]
+    };
+  }
+
+  applyDiffHunks(content, fix) {
+    const fileDiff = parseUnifiedDiff(fix.diff).find(d => d.file === fix.file);
+    if (!fileDiff || fileDiff.hunks.length === 0) {
+      return { error: `Diff has no hunks for ${fix.file}` };
+    }
+    
+    const endsWithNewline = content.endsWith('\n');
+    let lines = (endsWithNewline ? content.slice(0, -1) : content).split('\n');
+    let delta = 0;
+    const hunks = [];
+    
+    for (const hunk of fileDiff.hunks) {
+      const { from, to } = hunkSides(hunk);
+      const hint = Math.max(0, hunk.oldStart - 1 + delta);
+      const header = `@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`;
+      
+      // Pure insertion with no context - anchored on the lines around its
+      // line number (after line oldStart)
+      if (from.length === 0) {
+        const found = locateInsertion(lines, hunk.oldStart + delta, to);
+        if (found.error) {
+          return { error: `Hunk ${header}: ${found.error}`, mismatch: found.mismatch, hunks };
+        }
+        lines = [...lines.slice(0, found.start), ...found.lines, ...lines.slice(found.start)];
+        delta += found.lines.length;
+        hunks.push({ line: found.start + 1, confidence: found.confidence, method: found.method });
+        continue;
+      }
+      
+      const found = locateLines(lines, from, { hint });
+      if (found.error) {
+        return { error: `Hunk ${header}: ${found.error}`, mismatch: found.mismatch, hunks };
+      }
+      
+      const actual = lines.slice(found.start, found.end);
+      const replacement = found.method === 'exact' ? to : reindent(to, from, actual);
+      hunks.push({
+        line: found.start + 1,
+        confidence: found.confidence,
+        method: found.method,
+        mismatch: found.method === 'exact' ? undefined : `${header}\n${describeMismatch(from, lines, found)}`
+      });
+      lines = [...lines.slice(0, found.start), ...replacement, ...lines.slice(found.end)];
+      delta += replacement.length - actual.length + (found.start - hint);
+    }
+    
+    return { text: lines.join('\n') + (endsWithNewline ? '\n' : ''), hunks };
+  }
+
+  // <function>Owner.method</function>: swap the whole definition
+  replaceFunction(content, fix) {
+    const parts = fix.function.split('.');
+    const fn = parts.pop();
+    const owner = parts.pop() || null;
+    
+    const lines = content.split('\n');
+    const range = findFunctionRange(lines, fn, { owner });
+    if (!range) {
+      return { error: `Function ${fix.function} not found in ${fix.file}` };
+    }
+    if (range.matches > 1) {
+      return { error: `${fn} is defined ${range.matches} times in ${fix.file} - qualify it as Owner.${fn}` };
+    }
+    
+    const replacementLines = fix.replace.split('\n');
+    const replacement = reindent(replacementLines, replacementLines, [lines[range.start]]);
+    lines.splice(range.start, range.end - range.start + 1, ...replacement);
+    return {
+      text: lines.join('\n'),
+      hunks: [{ line: range.start + 1, confidence: 1, method: 'function' }]
+    };
+  }
+
   async createBackup(filepath) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const backupPath = join(
@@ -140,43 +368,38 @@ export class CodePatcher {
     return backupPath;
   }
 
-  async savePatch(fix) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const patchPath = join(
-      config.patchesDir,
-      `${basename(fix.file)}.${timestamp}.patch`
-    );
+  // Undo every applied patch in the history, newest first
+  async revertAll() {
+    console.log('\n🔄 Reverting all patches...');
     
-    const patchContent = {
-      timestamp: new Date().toISOString(),
-      file: fix.file,
-      description: fix.description,
-      search: fix.search,
-      replace: fix.replace
-    };
+    const { reverted, failed } = await this.history.revertAll();
+    for (const id of reverted) console.log(`   ✅ Reverted patch ${id}`);
+    for (const { id, error } of failed) console.log(`   ❌ Failed to revert patch ${id}: ${error}`);
     
-    await writeFile(patchPath, JSON.stringify(patchContent, null, 2));
-    return patchPath;
+    this.appliedPatches = this.appliedPatches.filter(fix => !reverted.includes(fix.patchId));
+    this.pendingBatches = [];
+    if (reverted.length > 0) bumpRevision();
+    console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} patch(es)` : 'Nothing to revert');
+    return failed.length === 0;
   }
 
-  async revertAll() {
-    console.log('\n🔄 Reverting all patches...');
-    
-    for (const [filepath, backupPath] of this.backups) {
-      try {
-        await copyFile(backupPath, filepath);
-        console.log(`   ✅ Reverted: ${basename(filepath)}`);
-      } catch (error) {
-        console.log(`   ❌ Failed to revert ${basename(filepath)}: ${error.message}`);
-      }
+  // Undo one patch by history id
+  async revertPatch(id) {
+    try {
+      const record = await this.history.revert(id);
+      this.appliedPatches = this.appliedPatches.filter(fix => fix.patchId !== record.id);
+      this.pendingBatches = this.pendingBatches.filter(b => !b.fixes.some(fix => fix.patchId === record.id));
+      bumpRevision();
+      console.log(`✅ Reverted patch ${record.id}: ${record.description}`);
+      return true;
+    } catch (error) {
+      console.log(`❌ Failed to revert patch ${id}: ${error.message}`);
+      return false;
     }
-    
-    this.appliedPatches = [];
-    console.log('✅ All patches reverted');
   }
 
   async revertFile(filename) {
-    const filepath = join(config.extensionPath, filename);
+    const filepath = join(config.srcDir, filename);
     const backupPath = this.backups.get(filepath);
     
     if (!backupPath) {
@@ -198,21 +421,28 @@ export class CodePatcher {
     return this.appliedPatches;
   }
 
-  async validateSyntax(filepath) {
-    // Simple syntax validation for JavaScript files
-    try {
-      const content = await readFile(filepath, 'utf-8');
-      
-      // Try to parse as module
-      new Function(content);
+  // Parse as an ES module with `node --check` (nothing is executed)
+  async validateSyntax(filepath, content = null) {
+    const source = content ?? await readFile(filepath, 'utf-8');
+    const check = spawnSync(process.execPath, ['--input-type=module', '--check'], {
+      input: source,
+      encoding: 'utf-8',
+      timeout: 15000
+    });
+    
+    if (check.error) {
+      return { valid: false, error: check.error.message };
+    }
+    if (check.status === 0) {
       return { valid: true };
-    } catch (error) {
-      return { 
-        valid: false, 
-        error: error.message,
-        line: error.lineNumber
-      };
     }
+    
+    const stderr = check.stderr || '';
+    return {
+      valid: false,
+      error: stderr.match(/^\w*Error: .*$/m)?.[0] || stderr.trim().split('\n')[0],
+      line: parseInt(stderr.match(/^\[stdin\]:(\d+)/m)?.[1]) || undefined
+    };
   }
 }
 
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Patches - review and undo fixes the debugger applied, from any session
+//
+// Usage:
+//   node patches.js list [--all]
+//   node patches.js show <id>
+//   node patches.js revert <id>
+//   node patches.js squash [ids...]
+
+import { program } from 'commander';
+import { PatchHistory } from './patch-history.js';
+
+const STATUS_ICONS = {
+  applied: '✅',
+  reverted: '↩️ ',
+  rolled_back: '⏪',
+  squashed: '🗜️ '
+};
+
+function summarize(record) {
+  const files = record.files.map(f => f.file).join(', ');
+  const when = record.timestamp.replace('T', ' ').substring(0, 16);
+  return `${STATUS_ICONS[record.status] || '  '} ${record.id}  ${when}  ${files.padEnd(32)} ${record.description}`;
+}
+
+function diffStat(diff) {
+  const lines = diff.split('\n');
+  const added = lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
+  const removed = lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length;
+  return `+${added} -${removed}`;
+}
+
+async function main() {
+  const history = new PatchHistory();
+
+  program
+    .name('patches')
+    .description('List, show, revert and squash patches applied by the auto-debugger');
+
+  program
+    .command('list')
+    .description('List applied patches (newest last)')
+    .option('-a, --all', 'Include reverted, rolled back and squashed patches')
+    .action(async (options) => {
+      const records = (await history.list()).filter(r => options.all || r.status === 'applied');
+      if (records.length === 0) {
+        console.log(options.all ? 'No patches recorded yet.' : 'No applied patches. Use --all to see reverted ones.');
+        return;
+      }
+      for (const record of records) console.log(summarize(record));
+    });
+
+  program
+    .command('show <id>')
+    .description('Show a patch with its diff')
+    .action(async (id) => {
+      const record = await history.get(id);
+      console.log(`Patch ${record.id} - ${record.status}`);
+      console.log(`Date:        ${record.timestamp}`);
+      console.log(`Description: ${record.description}`);
+      if (record.url) console.log(`URL:         ${record.url}${record.iteration ? ` (iteration ${record.iteration})` : ''}`);
+      if (record.reason) console.log(`Reason:      ${record.reason}`);
+      if (record.squashed) console.log(`Squashes:    ${record.squashed.join(', ')}`);
+      if (record.squashedInto) console.log(`Squashed into: ${record.squashedInto}`);
+      for (const { file, diff } of record.files) {
+        console.log(`\n${file} (${diffStat(diff)})`);
+        console.log(diff);
+      }
+    });
+
+  program
+    .command('revert <id>')
+    .description('Undo one applied patch')
+    .action(async (id) => {
+      const record = await history.revert(id);
+      console.log(`✅ Reverted patch ${record.id}: ${record.description}`);
+    });
+
+  program
+    .command('squash [ids...]')
+    .description('Combine applied patches into one (default: all applied)')
+    .action(async (ids) => {
+      const record = await history.squash(ids);
+      console.log(`✅ Squashed ${record.squashed.join(', ')} into patch ${record.id}`);
+      for (const { file, diff } of record.files) console.log(`   ${file} (${diffStat(diff)})`);
+    });
+
+  await program.parseAsync();
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,723 @@
+// ============================================
+// GREENHOUSE PLATFORM - PUPPETEER VERSION
+// Covers both hosted boards:
+//   - boards.greenhouse.io      (legacy Rails form, native <select>/select2)
+//   - job-boards.greenhouse.io  (React form, react-select comboboxes)
+// ============================================
+
+import { WorkdayPlatform } from './workday.js';
+
+// Helper function for delays (Puppeteer doesn't have waitForTimeout)
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const GreenhousePlatform = {
+  name: 'greenhouse',
+
+  // URL patterns to detect Greenhouse (hosted boards + embedded gh_jid links)
+  urlPatterns: [
+    /boards\.greenhouse\.io/i,
+    /job-boards\.greenhouse\.io/i,
+    /boards\.eu\.greenhouse\.io/i,
+    /[?&]gh_jid=\d+/i
+  ],
+
+  // ============================================
+  // STATIC SELECTORS - Known stable IDs
+  // ============================================
+  selectors: {
+    // Personal Information (same IDs on both board generations)
+    firstName: '#first_name',
+    lastName: '#last_name',
+    preferredName: '#preferred_name',
+    email: '#email',
+    phone: '#phone',
+    country: '#country',
+    location: '#candidate-location, #job_application_location, #auto_complete_input',
+
+    // Links
+    linkedin: 'input[id*="linkedin" i], input[aria-label*="linkedin" i]',
+    website: 'input[id*="website" i], input[aria-label*="website" i]',
+
+    // react-select (job-boards.greenhouse.io)
+    reactSelectControl: '.select__control',
+    reactSelectMenu: '.select__menu',
+    reactSelectOption: '.select__option, [role="option"]',
+    reactSelectValue: '.select__single-value, .select__multi-value__label',
+
+    // select2 (boards.greenhouse.io)
+    select2Container: '.select2-container',
+    select2Option: '.select2-results li.select2-result-selectable',
+
+    // Resume / Cover Letter
+    resumeInput: '#resume, #resume_fieldset input[type="file"], input[type="file"][name*="resume" i], input[type="file"][id*="resume" i]',
+    resumeAttachButton: '#resume_fieldset button[data-source="attach"], button[aria-describedby*="resume" i]',
+    resumeUploaded: '#resume_filename, #resume_fieldset .filename, .file-upload__filename, [data-testid*="resume" i] .filename',
+    coverLetterInput: '#cover_letter, #cover_letter_fieldset input[type="file"]',
+
+    // Demographic / EEOC questions
+    demographicBlock: '#eeoc_fields, #demographic-questions, .demographic-questions, [class*="demographic"]',
+    demographics: {
+      gender: ['#gender', '#job_application_gender', 'select[name="job_application[gender]"]'],
+      hispanicEthnicity: ['#hispanic_ethnicity', '#job_application_hispanic_ethnicity', 'select[name="job_application[hispanic_ethnicity]"]'],
+      race: ['#race', '#job_application_race', 'select[name="job_application[race]"]'],
+      veteranStatus: ['#veteran_status', '#job_application_veteran_status', 'select[name="job_application[veteran_status]"]'],
+      disabilityStatus: ['#disability_status', '#job_application_disability_status', 'select[name="job_application[disability_status]"]']
+    },
+
+    // Submit (never clicked by the filler - listed for the navigator)
+    submitButton: '#submit_app, button[type="submit"]'
+  },
+
+  // ============================================
+  // NATIVE PUPPETEER FILL METHODS
+  // ============================================
+
+  /**
+   * Fill a text input / textarea
+   * react-select inputs are routed to fillDropdown
+   */
+  async fillTextInput(page, selector, value, label) {
+    if (value === null || value === undefined || value === '') return { success: false, skipped: true };
+
+    console.log(`\n  ┌─── DEBUG: Greenhouse.fillTextInput("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to fill: "${value}"`);
+
+    try {
+      const element = await page.$(selector);
+      if (!element) {
+        console.log(`  │ ❌ Element NOT FOUND with selector`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const info = await element.evaluate(el => ({
+        tagName: el.tagName,
+        value: el.value || '',
+        role: el.getAttribute('role'),
+        autocomplete: el.getAttribute('aria-autocomplete'),
+        isReactSelect: !!el.closest('.select__control, [class*="select__value-container"]')
+      }));
+
+      // react-select comboboxes look like text inputs to discovery
+      if (info.isReactSelect) {
+        console.log(`  │ react-select combobox detected - delegating to fillDropdown`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.fillDropdown(page, selector, value, label);
+      }
+
+      if (info.value === String(value)) {
+        console.log(`  │ ⏭️ Already has correct value - skipping`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: true, skipped: true };
+      }
+
+      await element.evaluate(el => el.scrollIntoView({ block: 'center' }));
+      await element.click({ clickCount: 3 });
+      await page.keyboard.press('Backspace');
+      await element.type(String(value), { delay: 20 });
+      await sleep(150);
+
+      // Location autocomplete: pick the first suggestion so the hidden lat/long fields get set
+      if (info.autocomplete === 'list' || info.role === 'combobox') {
+        console.log(`  │ Autocomplete input - waiting for suggestions...`);
+        await sleep(800);
+        const hasSuggestion = await page.evaluate(() => {
+          return !!document.querySelector('[role="listbox"] [role="option"], .pelias-results li, ul.ui-autocomplete li');
+        });
+        if (hasSuggestion) {
+          await page.keyboard.press('ArrowDown');
+          await sleep(100);
+          await page.keyboard.press('Enter');
+          await sleep(200);
+        }
+      }
+
+      // React-controlled inputs need a blur to commit the value
+      await element.evaluate(el => el.dispatchEvent(new Event('blur', { bubbles: true })));
+
+      const finalValue = await element.evaluate(el => el.value || '');
+      console.log(`  │ Final value: "${finalValue}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (finalValue.trim().length > 0) {
+        console.log(`  ✅ ${label}: "${finalValue}"`);
+        return { success: true, value: finalValue };
+      }
+      return { success: false, error: 'Value did not stick' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Searchable inputs on Greenhouse are react-select comboboxes
+   */
+  async fillSearchable(page, selector, value, label, classifier = null) {
+    return this.fillDropdown(page, selector, value, label, classifier);
+  },
+
+  /**
+   * Greenhouse has no dedicated skills widget - skills go in a free-text question
+   */
+  async fillSkillsField(page, selector, skills, label) {
+    const list = Array.isArray(skills) ? skills : [skills];
+    const result = await this.fillTextInput(page, selector, list.join(', '), label);
+    return {
+      success: result.success,
+      addedCount: result.success ? list.length : 0,
+      totalCount: list.length,
+      addedSkills: result.success ? list : [],
+      error: result.error
+    };
+  },
+
+  /**
+   * Fill a dropdown
+   * Handles native <select> (legacy boards, optionally select2-wrapped)
+   * and react-select comboboxes (job-boards)
+   */
+  async fillDropdown(page, selector, values, label, classifier = null) {
+    const valuesToTry = Array.isArray(values) ? values : [values];
+    const targetValue = valuesToTry[0] === undefined || valuesToTry[0] === null ? '' : String(valuesToTry[0]);
+
+    console.log(`  ┌─── DEBUG: Greenhouse.fillDropdown("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to find: "${targetValue}"`);
+
+    if (!targetValue) {
+      console.log(`  │ ⚠️ Value is empty - skipping this field`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const element = await page.$(selector);
+      if (!element) {
+        console.log(`  │ ❌ Element not found`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const tagName = await element.evaluate(el => el.tagName);
+      const result = tagName === 'SELECT'
+        ? await this.selectNativeOption(page, selector, valuesToTry, label)
+        : await this.selectReactOption(page, selector, valuesToTry, label);
+
+      console.log(`  └─── END DEBUG ───\n`);
+      if (result.success) {
+        console.log(`  ✅ ${label}: "${result.selected}"`);
+      } else {
+        console.log(`  ❌ ${label}: ${result.error}`);
+      }
+      return result;
+
+    } catch (e) {
+      await page.keyboard.press('Escape').catch(() => {});
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Native <select>: pick the best option by text, set it, fire change
+   * (select2 listens to the underlying select's change event)
+   */
+  async selectNativeOption(page, selector, valuesToTry, label) {
+    const state = await page.$eval(selector, el => ({
+      current: el.selectedIndex > 0 ? el.options[el.selectedIndex].textContent.trim() : '',
+      options: Array.from(el.options)
+        .filter(o => o.value !== '')
+        .map(o => ({ value: o.value, text: o.textContent.trim() }))
+    }));
+
+    console.log(`  │ Native select with ${state.options.length} options (current: "${state.current}")`);
+
+    for (const v of valuesToTry) {
+      if (state.current && state.current.toLowerCase() === String(v).toLowerCase()) {
+        console.log(`  │ ⏭️ Already has matching value`);
+        return { success: true, selected: state.current, skipped: true };
+      }
+    }
+
+    const match = await this.matchOption(valuesToTry, label, state.options.map(o => o.text));
+    if (!match) {
+      return { success: false, error: `No matching option for "${valuesToTry[0]}"` };
+    }
+
+    const option = state.options.find(o => o.text === match);
+    await page.select(selector, option.value);
+    await page.$eval(selector, el => {
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      // select2 mirrors the selection through jQuery
+      if (window.jQuery) window.jQuery(el).trigger('change');
+    });
+    await sleep(150);
+
+    const selected = await page.$eval(selector, el => el.options[el.selectedIndex]?.textContent.trim() || '');
+    console.log(`  │ Selected: "${selected}"`);
+    return selected === match
+      ? { success: true, selected }
+      : { success: false, error: `Selection did not stick (got "${selected}")` };
+  },
+
+  /**
+   * react-select: open the menu, filter by typing, click the best option,
+   * then confirm the single-value label changed
+   */
+  async selectReactOption(page, selector, valuesToTry, label) {
+    const targetValue = String(valuesToTry[0]);
+
+    const readCurrent = () => page.$eval(selector, el => {
+      const control = el.closest('.select__control') || el.closest('[class*="control"]');
+      const value = control?.querySelector('.select__single-value, .select__multi-value__label, [class*="singleValue"]');
+      return value?.textContent?.trim() || '';
+    });
+
+    const current = await readCurrent();
+    console.log(`  │ react-select current value: "${current}"`);
+    for (const v of valuesToTry) {
+      if (current && current.toLowerCase() === String(v).toLowerCase()) {
+        console.log(`  │ ⏭️ Already has matching value`);
+        return { success: true, selected: current, skipped: true };
+      }
+    }
+
+    const readOptions = () => page.evaluate((sel) => {
+      const input = window.__jobfillDeepQuery(sel);
+      const menuId = input?.getAttribute('aria-controls');
+      let menu = menuId ? document.getElementById(menuId) : null;
+      if (!menu) {
+        const container = input?.closest('.select-shell, .select, [class*="container"]');
+        menu = container?.querySelector('.select__menu, [role="listbox"]') || document.querySelector('.select__menu');
+      }
+      if (!menu) return [];
+      return Array.from(menu.querySelectorAll('.select__option, [role="option"]'))
+        .map(o => o.textContent.trim())
+        .filter(t => t && !/^no options$/i.test(t));
+    }, selector);
+
+    const openMenu = async () => {
+      await page.$eval(selector, el => el.scrollIntoView({ block: 'center' }));
+      await page.click(selector);
+      await sleep(300);
+    };
+
+    // STEP 1: type-ahead filter
+    await page.keyboard.press('Escape');
+    await openMenu();
+    await page.keyboard.type(targetValue, { delay: 25 });
+    await sleep(500);
+
+    let options = await readOptions();
+    console.log(`  │ After typing: ${options.length} option(s)`);
+
+    // STEP 2: nothing matched the typed text - clear it and read the full list
+    if (options.length === 0) {
+      await page.keyboard.down('Control');
+      await page.keyboard.press('a');
+      await page.keyboard.up('Control');
+      await page.keyboard.press('Backspace');
+      await sleep(300);
+      options = await readOptions();
+      if (options.length === 0) {
+        await page.keyboard.press('ArrowDown');
+        await sleep(300);
+        options = await readOptions();
+      }
+      console.log(`  │ Full option list: ${options.length} option(s)`);
+    }
+
+    const match = await this.matchOption(valuesToTry, label, options);
+    if (!match) {
+      await page.keyboard.press('Escape');
+      return { success: false, error: `No matching option for "${targetValue}"` };
+    }
+    console.log(`  │ Best option: "${match}"`);
+
+    const clicked = await page.evaluate((sel, text) => {
+      const input = window.__jobfillDeepQuery(sel);
+      const menuId = input?.getAttribute('aria-controls');
+      const menu = (menuId && document.getElementById(menuId)) || document.querySelector('.select__menu');
+      if (!menu) return false;
+      const opt = Array.from(menu.querySelectorAll('.select__option, [role="option"]'))
+        .find(o => o.textContent.trim() === text);
+      if (!opt) return false;
+      opt.scrollIntoView({ block: 'nearest' });
+      // react-select selects on mousedown/click, not on focus
+      opt.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+      opt.click();
+      return true;
+    }, selector, match);
+
+    if (!clicked) {
+      await page.keyboard.press('Escape');
+      return { success: false, error: `Option "${match}" disappeared before click` };
+    }
+    await sleep(300);
+
+    const after = await readCurrent();
+    console.log(`  │ Value after select: "${after}"`);
+    if (after && after.toLowerCase() === match.toLowerCase()) {
+      return { success: true, selected: after };
+    }
+    return { success: false, error: `Selection did not stick (shows "${after}")` };
+  },
+
+  /**
+   * Pick the option text that best matches any of the candidate values
+   * Exact/contains first, then the shared AI + keyword matcher
+   */
+  async matchOption(valuesToTry, label, options) {
+    if (!options || options.length === 0) return null;
+
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      const exact = options.find(o => o.toLowerCase() === vLower);
+      if (exact) return exact;
+    }
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      if (vLower.length < 3) continue;
+      const contains = options.find(o => o.toLowerCase().includes(vLower));
+      if (contains) return contains;
+    }
+
+    const aiResult = await WorkdayPlatform.findBestOptionWithAI(String(valuesToTry[0]), label, options, null);
+    return aiResult.bestMatch || null;
+  },
+
+  /**
+   * Fill radio button group
+   * Matches by label text so it works for Yes/No and multi-option questions
+   */
+  async fillRadio(page, selector, value, label) {
+    console.log(`\n  ┌─── DEBUG: Greenhouse.fillRadio("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value: "${value}"`);
+
+    try {
+      const radios = await page.$$eval(selector, els => els.map(r => ({
+        id: r.id,
+        value: r.value,
+        checked: r.checked,
+        labelText: (r.labels?.[0]?.textContent || document.querySelector(`label[for="${r.id}"]`)?.textContent || r.value || '').trim()
+      })));
+
+      console.log(`  │ Found ${radios.length} radio option(s): ${radios.map(r => `"${r.labelText}"`).join(', ')}`);
+      if (radios.length === 0) {
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const wanted = value === true ? 'yes' : value === false ? 'no' : String(value).toLowerCase().trim();
+      let target = radios.find(r => r.labelText.toLowerCase() === wanted || r.value.toLowerCase() === wanted);
+      if (!target) {
+        const match = await this.matchOption([String(value)], label, radios.map(r => r.labelText));
+        target = radios.find(r => r.labelText === match);
+      }
+
+      if (!target) {
+        console.log(`  │ ❌ No radio option matches "${value}"`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      if (target.checked) {
+        console.log(`  │ ⏭️ Already has correct value`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: true, selected: target.labelText, skipped: true };
+      }
+
+      // Styled radios hide the input - click the label when the input has no box
+      const checked = await page.evaluate((sel, val, id) => {
+        const radio = window.__jobfillDeepQueryAll(sel).find(r => (id ? r.id === id : r.value === val));
+        if (!radio) return false;
+        const rect = radio.getBoundingClientRect();
+        const lbl = radio.labels?.[0];
+        if ((rect.width < 1 || rect.height < 1) && lbl) {
+          lbl.click();
+        } else {
+          radio.click();
+        }
+        return radio.checked;
+      }, selector, target.value, target.id);
+      await sleep(150);
+
+      console.log(`  │ Now checked: ${checked}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      if (checked) {
+        console.log(`  ✅ ${label}: "${target.labelText}"`);
+        return { success: true, selected: target.labelText };
+      }
+      return { success: false, error: 'Click did not select the radio' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Fill a single checkbox (consent / acknowledgement boxes)
+   */
+  async fillCheckbox(page, selector, shouldCheck, label) {
+    try {
+      const cb = await page.$(selector);
+      if (!cb) {
+        console.log(`  ❌ ${label}: Not found`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const isChecked = await cb.evaluate(el => el.checked);
+      if (isChecked !== shouldCheck) {
+        // Custom-styled checkboxes are 0x0 - click the label instead
+        await cb.evaluate(el => {
+          const rect = el.getBoundingClientRect();
+          const lbl = el.labels?.[0];
+          if ((rect.width < 1 || rect.height < 1) && lbl) lbl.click();
+          else el.click();
+        });
+        await sleep(100);
+      }
+
+      const nowChecked = await cb.evaluate(el => el.checked);
+      if (nowChecked !== shouldCheck) {
+        console.log(`  ❌ ${label}: Click did not toggle`);
+        return { success: false, error: 'Click did not toggle' };
+      }
+
+      console.log(`  ✅ ${label}: ${shouldCheck ? 'checked' : 'unchecked'}`);
+      return { success: true, checked: shouldCheck };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Fill a checkbox group (demographic "select all that apply" questions)
+   */
+  async fillCheckboxGroup(page, selector, value, label, classifier = null) {
+    try {
+      const options = await page.$$eval(`${selector} input[type="checkbox"]`, els => els.map(cb => ({
+        id: cb.id,
+        checked: cb.checked,
+        labelText: (cb.labels?.[0]?.textContent || document.querySelector(`label[for="${cb.id}"]`)?.textContent || cb.value || '').trim()
+      })));
+
+      if (options.length === 0) {
+        console.log(`  ❌ ${label}: Not found`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const wanted = Array.isArray(value) ? value : [value];
+      const selected = [];
+
+      for (const v of wanted) {
+        const match = await this.matchOption([String(v)], label, options.map(o => o.labelText));
+        const option = options.find(o => o.labelText === match);
+        if (!option) continue;
+
+        if (!option.checked) {
+          await page.evaluate((id) => {
+            const cb = document.getElementById(id);
+            if (!cb) return;
+            const rect = cb.getBoundingClientRect();
+            if ((rect.width < 1 || rect.height < 1) && cb.labels?.[0]) cb.labels[0].click();
+            else cb.click();
+          }, option.id);
+          await sleep(100);
+        }
+        selected.push(option.labelText);
+      }
+
+      if (selected.length === 0) {
+        console.log(`  ❌ ${label}: No matching option for "${wanted.join(', ')}"`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      console.log(`  ✅ ${label}: "${selected.join(', ')}"`);
+      return { success: true, selected: selected.join(', ') };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Upload resume through the hidden file input behind "Attach"
+   */
+  async uploadResume(page, resumePath, label) {
+    if (!resumePath) {
+      console.log(`  ⏭️ ${label}: No path configured`);
+      return { success: false, skipped: true };
+    }
+
+    try {
+      const uploaded = await page.$(this.selectors.resumeUploaded);
+      if (uploaded) {
+        const name = await uploaded.evaluate(el => el.textContent.trim());
+        if (name) {
+          console.log(`  ⏭️ ${label}: Already uploaded (${name})`);
+          return { success: true, skipped: true };
+        }
+      }
+
+      const input = await page.$(this.selectors.resumeInput);
+      if (input) {
+        await input.uploadFile(resumePath);
+        await input.evaluate(el => el.dispatchEvent(new Event('change', { bubbles: true })));
+        await sleep(1500);
+        console.log(`  ✅ ${label}: Uploaded`);
+        return { success: true };
+      }
+
+      // Legacy boards create the input only after "Attach" is clicked
+      const btn = await page.$(this.selectors.resumeAttachButton);
+      if (btn) {
+        const [chooser] = await Promise.all([
+          page.waitForFileChooser({ timeout: 5000 }),
+          btn.click()
+        ]);
+        await chooser.accept([resumePath]);
+        await sleep(1500);
+        console.log(`  ✅ ${label}: Uploaded (attach button)`);
+        return { success: true };
+      }
+
+      console.log(`  ⏭️ ${label}: No upload input found`);
+      return { success: false, error: 'No upload input' };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  // ============================================
+  // DEMOGRAPHIC / EEOC QUESTIONS
+  // Filled as one block before generic discovery so the
+  // classifier doesn't spend a call on each EEO dropdown
+  // ============================================
+  async fillDemographicQuestions(page, profile) {
+    const filled = [];
+    const failed = [];
+
+    const block = await page.$(this.selectors.demographicBlock);
+    if (!block) {
+      return { filled, failed };
+    }
+
+    console.log(`\n  📋 Greenhouse demographic questions block detected`);
+    const eeo = profile?.eeo || {};
+    const answers = {
+      gender: this.mappers.gender(eeo.gender),
+      hispanicEthnicity: this.mappers.hispanicEthnicity(eeo),
+      race: this.mappers.race(eeo.race),
+      veteranStatus: this.mappers.veteranStatus(eeo.veteranStatus),
+      disabilityStatus: this.mappers.disabilityStatus(eeo.disabilityStatus)
+    };
+
+    for (const [key, candidates] of Object.entries(this.selectors.demographics)) {
+      for (const selector of candidates) {
+        const el = await page.$(selector);
+        if (!el) continue;
+
+        const label = `EEO ${key}`;
+        const result = await this.fillDropdown(page, selector, answers[key], label);
+        if (result.success) filled.push({ selector, label, value: result.selected || answers[key] });
+        else failed.push({ selector, label, value: answers[key], error: result.error });
+        break;
+      }
+    }
+
+    // Newer boards render custom demographic questions as checkbox fieldsets
+    const groups = await page.$$eval(
+      '#demographic-questions fieldset, .demographic-questions fieldset, fieldset[id^="demographic_question"]',
+      els => els.filter(fs => fs.id).map(fs => ({
+        id: fs.id,
+        question: (fs.querySelector('legend')?.textContent || '').trim()
+      }))
+    ).catch(() => []);
+
+    for (const group of groups) {
+      const answer = this.mappers.demographicAnswer(group.question, eeo);
+      if (!answer) continue;
+      const selector = `#${group.id}`;
+      const result = await this.fillCheckboxGroup(page, selector, answer, group.question);
+      if (result.success) filled.push({ selector, label: group.question, value: result.selected });
+      else failed.push({ selector, label: group.question, value: answer, error: result.error });
+    }
+
+    return { filled, failed };
+  },
+
+  // ============================================
+  // VALUE MAPPERS - Convert profile values to Greenhouse EEOC wording
+  // ============================================
+  mappers: {
+    gender: (profileGender) => {
+      const g = (profileGender || '').toLowerCase();
+      if (g.includes('female') || g === 'woman') return 'Female';
+      if (g.includes('male') || g === 'man') return 'Male';
+      return 'Decline To Self Identify';
+    },
+
+    hispanicEthnicity: (eeo) => {
+      if (eeo.hispanicLatino === true) return 'Yes';
+      const e = `${eeo.ethnicity || ''} ${eeo.race || ''}`.toLowerCase();
+      if (e.includes('hispanic') || e.includes('latino')) return 'Yes';
+      if (eeo.hispanicLatino === false || eeo.race) return 'No';
+      return 'Decline To Self Identify';
+    },
+
+    race: (profileRace) => {
+      const r = (profileRace || '').toLowerCase();
+      if (r.includes('asian')) return 'Asian';
+      if (r.includes('black') || r.includes('african')) return 'Black or African American';
+      if (r.includes('hawaiian') || r.includes('pacific')) return 'Native Hawaiian or Other Pacific Islander';
+      if (r.includes('american indian') || r.includes('alaska')) return 'American Indian or Alaska Native';
+      if (r.includes('two or more')) return 'Two or More Races';
+      if (r.includes('hispanic') || r.includes('latino')) return 'Hispanic or Latino';
+      if (r.includes('white') || r.includes('caucasian')) return 'White';
+      return 'Decline To Self Identify';
+    },
+
+    veteranStatus: (profileVeteran) => {
+      const v = (profileVeteran || '').toLowerCase();
+      if (!v || v.includes('not a veteran') || v.includes('am not') || v === 'no') return 'I am not a protected veteran';
+      if (v.includes('protected')) return 'I identify as one or more of the classifications of protected veteran';
+      if (v.includes('decline') || v.includes('not wish')) return "I don't wish to answer";
+      return 'I am not a protected veteran';
+    },
+
+    disabilityStatus: (profileDisability) => {
+      const d = (profileDisability || '').toLowerCase();
+      if (d.startsWith('yes') || (d.includes('have a disability') && !d.includes('not'))) return 'Yes, I have a disability, or have had one in the past';
+      if (d.includes('not wish') || d.includes('decline') || d.includes('prefer not')) return 'I do not want to answer';
+      return 'No, I do not have a disability and have not had one in the past';
+    },
+
+    // Free-form demographic questions: answer from the profile when the
+    // question is one we know, decline otherwise
+    demographicAnswer: (question, eeo) => {
+      const q = (question || '').toLowerCase();
+      const m = GreenhousePlatform.mappers;
+      if (q.includes('gender')) return m.gender(eeo.gender);
+      if (q.includes('race') || q.includes('ethnic')) return m.race(eeo.race);
+      if (q.includes('veteran')) return m.veteranStatus(eeo.veteranStatus);
+      if (q.includes('disab')) return m.disabilityStatus(eeo.disabilityStatus);
+      return "I don't wish to answer";
+    }
+  }
+};
+
+export default GreenhousePlatform;
@@ -0,0 +1,554 @@
+// ============================================
+// iCIMS PLATFORM - PUPPETEER VERSION
+// The application is rendered inside #icims_content_iframe, so every
+// lookup goes through getFormFrame() instead of the top-level page.
+// Flow: email → login/create account → profile → questions → EEO → review
+// ============================================
+
+import { WorkdayPlatform } from './workday.js';
+
+// Helper function for delays (Puppeteer doesn't have waitForTimeout)
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const iCIMSPlatform = {
+  name: 'icims',
+
+  // URL patterns to detect iCIMS (careers-<company>.icims.com and custom domains in_iframe links)
+  urlPatterns: [
+    /\.icims\.com/i,
+    /[?&]in_iframe=1/i
+  ],
+
+  // ============================================
+  // STATIC SELECTORS - Known stable IDs
+  // ============================================
+  selectors: {
+    contentFrame: '#icims_content_iframe',
+
+    // Step 0: email gate
+    emailGate: '#email, input[name="loginName"]',
+    emailGateSubmit: '#enterEmailSubmitButton, input[type="submit"][value*="Next" i]',
+
+    // Login / account creation
+    password: 'input[type="password"]',
+
+    // Profile page
+    firstName: 'input[id$="PersonProfileFields.FirstName"], input[name$="PersonProfileFields.FirstName"]',
+    lastName: 'input[id$="PersonProfileFields.LastName"], input[name$="PersonProfileFields.LastName"]',
+    email: 'input[id$="PersonProfileFields.Email"], input[name$="PersonProfileFields.Email"]',
+    phone: 'input[id*="PhoneNumber"], input[name*="PhoneNumber"]',
+    addressLine1: 'input[id*="AddressStreet1"], input[name*="AddressStreet1"]',
+    city: 'input[id*="AddressCity"], input[name*="AddressCity"]',
+    postalCode: 'input[id*="AddressZip"], input[name*="AddressZip"]',
+
+    // Custom dropdown widget that replaces hidden <select> elements
+    dropdownWidget: 'a.dropdown-container, [id$="_icimsDropdown"], .iCIMS_Forms_Dropdown',
+    dropdownSearch: '.dropdown-search input, input.dropdown-search',
+    dropdownResult: '.dropdown-results li, ul.dropdown-results .result',
+
+    // Step markers
+    stepHeader: '.iCIMS_Header, .iCIMS_InfoMsg_Job, h1, h2',
+    progress: '.iCIMS_Progress, #iCIMS_Progress, [class*="progress"]',
+
+    // Resume
+    resumeInput: 'input[type="file"][id*="resume" i], input[type="file"][name*="resume" i], input[type="file"]',
+    resumeUploaded: '.iCIMS_Attached, [class*="attachment"] a, .file-name',
+
+    // Navigation (Submit is deliberately absent)
+    nextButton: '#iCIMS_ApplicantProfile_Save, input[type="submit"][value*="Next" i], input[type="submit"][value*="Continue" i], button[type="submit"][value*="Next" i], #enterEmailSubmitButton'
+  },
+
+  // ============================================
+  // FRAME RESOLUTION
+  // ============================================
+
+  /**
+   * Return the frame that holds the application form.
+   * Falls back to the main frame when the in_iframe URL was opened directly.
+   */
+  async getFormFrame(page) {
+    try {
+      const handle = await page.$(this.selectors.contentFrame);
+      if (handle) {
+        const frame = await handle.contentFrame();
+        if (frame) return frame;
+      }
+    } catch (e) {
+      // Detached while navigating - fall through
+    }
+
+    const byUrl = page.frames().find(f => /in_iframe=1/i.test(f.url()));
+    return byUrl || page.mainFrame();
+  },
+
+  // ============================================
+  // STEP DETECTION / NAVIGATION
+  // ============================================
+
+  /**
+   * Identify which step of the iCIMS flow the frame is showing
+   */
+  async detectStep(page) {
+    const frame = await this.getFormFrame(page);
+    const info = await frame.evaluate((sel) => {
+      const text = (document.body?.innerText || '').toLowerCase();
+      const header = Array.from(document.querySelectorAll(sel.stepHeader))
+        .map(h => h.textContent.trim()).join(' | ').toLowerCase();
+      return {
+        text: text.substring(0, 3000),
+        header,
+        hasPassword: !!document.querySelector(sel.password),
+        hasEmailGate: !!document.querySelector(sel.emailGate) && document.querySelectorAll('input[type="text"], input[type="email"]').length <= 2,
+        hasProfileFields: !!document.querySelector(sel.firstName) || !!document.querySelector(sel.lastName)
+      };
+    }, this.selectors);
+
+    let pageType = 'unknown';
+    if (info.hasPassword) pageType = 'login';
+    else if (info.hasEmailGate && !info.hasProfileFields) pageType = 'email_gate';
+    else if (info.header.includes('voluntary') || info.header.includes('eeo') || info.text.includes('self-identification') || info.text.includes('equal employment opportunity')) pageType = 'eeo_voluntary';
+    else if (info.hasProfileFields || info.header.includes('profile') || info.header.includes('contact information')) pageType = 'personal_info';
+    else if (info.header.includes('question') || info.text.includes('screening questions')) pageType = 'questions';
+    else if (info.header.includes('review') || info.text.includes('review your application')) pageType = 'review';
+
+    return { found: pageType !== 'unknown', pageType, text: info.header.substring(0, 100), url: frame.url() };
+  },
+
+  /**
+   * Click the in-frame Next/Save button and wait for the frame to reload
+   */
+  async clickNext(page) {
+    const frame = await this.getFormFrame(page);
+    const btn = await frame.$(this.selectors.nextButton);
+    if (!btn) return { clicked: false };
+
+    const text = await btn.evaluate(el => (el.value || el.textContent || '').trim());
+    const startUrl = frame.url();
+
+    await btn.evaluate(el => el.scrollIntoView({ block: 'center' }));
+    await btn.click();
+
+    // Each step is a full postback of the iframe document
+    try {
+      await frame.waitForNavigation({ timeout: 15000, waitUntil: 'domcontentloaded' });
+    } catch (e) {
+      // Some steps swap content in place - give it a moment
+    }
+    await sleep(1500);
+
+    const newFrame = await this.getFormFrame(page);
+    return { clicked: true, text, changed: newFrame.url() !== startUrl };
+  },
+
+  // ============================================
+  // EXTRA DISCOVERY
+  // iCIMS hides the real <select> (display:none) behind a custom widget,
+  // so generic discovery never sees it
+  // ============================================
+  async discoverCustomFields(page) {
+    const frame = await this.getFormFrame(page);
+    return frame.evaluate((sel) => {
+      const fields = [];
+      document.querySelectorAll('select').forEach(select => {
+        if (select.offsetParent !== null) return; // Visible selects are found by generic discovery
+        if (select.disabled) return;
+
+        const container = select.parentElement;
+        const widget = container?.querySelector(sel.dropdownWidget) ||
+                       document.getElementById(`${select.id}_icimsDropdown`);
+        if (!widget || widget.offsetParent === null) return;
+
+        const label = (select.id && document.querySelector(`label[for="${select.id}"]`)?.textContent?.trim()) ||
+                      select.closest('.iCIMS_TableRow, .form-group, tr')?.querySelector('label, .iCIMS_Label')?.textContent?.trim() ||
+                      select.getAttribute('aria-label') || select.name || select.id;
+
+        const options = Array.from(select.options)
+          .filter(o => o.value !== '')
+          .map(o => ({ value: o.value, label: o.textContent.trim() }));
+        const selectedText = select.selectedIndex >= 0 ? select.options[select.selectedIndex]?.textContent?.trim() || '' : '';
+
+        fields.push({
+          type: 'dropdown',
+          selector: select.id ? `[id="${select.id}"]` : `select[name="${select.name}"]`,
+          id: select.id,
+          name: select.name,
+          label: label.replace(/\*/g, '').trim(),
+          section: select.closest('fieldset, .iCIMS_TableRow')?.querySelector('legend, .iCIMS_Label')?.textContent?.trim() || '',
+          required: select.required || select.getAttribute('aria-required') === 'true' || /\*/.test(label),
+          options,
+          currentValue: selectedText,
+          isEmpty: !select.value || selectedText.toLowerCase().includes('select') || selectedText === '—',
+          isNativeSelect: true
+        });
+      });
+      return fields;
+    }, this.selectors);
+  },
+
+  // ============================================
+  // FILL METHODS (all resolve the form frame first)
+  // ============================================
+
+  /**
+   * Fill a text input / textarea inside the iCIMS frame
+   */
+  async fillTextInput(page, selector, value, label) {
+    if (value === null || value === undefined || value === '') return { success: false, skipped: true };
+
+    console.log(`\n  ┌─── DEBUG: iCIMS.fillTextInput("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to fill: "${value}"`);
+
+    try {
+      const frame = await this.getFormFrame(page);
+      const element = await frame.$(selector);
+      if (!element) {
+        console.log(`  │ ❌ Element NOT FOUND in form frame`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const current = await element.evaluate(el => el.value || '');
+      if (current === String(value)) {
+        console.log(`  │ ⏭️ Already has correct value - skipping`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: true, skipped: true };
+      }
+
+      await element.evaluate(el => el.scrollIntoView({ block: 'center' }));
+      await element.click({ clickCount: 3 });
+      await page.keyboard.press('Backspace');
+      await element.type(String(value), { delay: 15 });
+      await element.evaluate(el => {
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        el.dispatchEvent(new Event('blur', { bubbles: true }));
+      });
+      await sleep(100);
+
+      const finalValue = await element.evaluate(el => el.value || '');
+      console.log(`  │ Final value: "${finalValue}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (finalValue === String(value)) {
+        console.log(`  ✅ ${label}: "${finalValue}"`);
+        return { success: true, value: finalValue };
+      }
+      return { success: false, error: `Value mismatch (got "${finalValue}")` };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillSearchable(page, selector, value, label, classifier = null) {
+    return this.fillTextInput(page, selector, value, label);
+  },
+
+  async fillSkillsField(page, selector, skills, label) {
+    const list = Array.isArray(skills) ? skills : [skills];
+    const result = await this.fillTextInput(page, selector, list.join(', '), label);
+    return {
+      success: result.success,
+      addedCount: result.success ? list.length : 0,
+      totalCount: list.length,
+      addedSkills: result.success ? list : [],
+      error: result.error
+    };
+  },
+
+  /**
+   * Fill a dropdown: set the underlying <select>, then bring the custom
+   * widget in line so the visible text matches what will be posted
+   */
+  async fillDropdown(page, selector, values, label, classifier = null) {
+    const valuesToTry = Array.isArray(values) ? values : [values];
+    const targetValue = valuesToTry[0] === undefined || valuesToTry[0] === null ? '' : String(valuesToTry[0]);
+
+    console.log(`  ┌─── DEBUG: iCIMS.fillDropdown("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to find: "${targetValue}"`);
+
+    if (!targetValue) {
+      console.log(`  │ ⚠️ Value is empty - skipping this field`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const frame = await this.getFormFrame(page);
+      const element = await frame.$(selector);
+      if (!element) {
+        console.log(`  │ ❌ Element not found in form frame`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const state = await element.evaluate(el => ({
+        tagName: el.tagName,
+        current: el.tagName === 'SELECT' && el.selectedIndex >= 0 ? el.options[el.selectedIndex]?.textContent.trim() : '',
+        options: el.tagName === 'SELECT'
+          ? Array.from(el.options).filter(o => o.value !== '').map(o => ({ value: o.value, text: o.textContent.trim() }))
+          : []
+      }));
+
+      if (state.tagName !== 'SELECT') {
+        console.log(`  │ Not a <select> - treating as text`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.fillTextInput(page, selector, targetValue, label);
+      }
+
+      for (const v of valuesToTry) {
+        if (state.current && state.current.toLowerCase() === String(v).toLowerCase()) {
+          console.log(`  │ ⏭️ Already has matching value`);
+          console.log(`  └─── END DEBUG ───\n`);
+          return { success: true, selected: state.current, skipped: true };
+        }
+      }
+
+      const match = await this.matchOption(valuesToTry, label, state.options.map(o => o.text));
+      if (!match) {
+        console.log(`  │ ❌ No option matches "${targetValue}" (${state.options.length} options)`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+      console.log(`  │ Best option: "${match}"`);
+
+      const option = state.options.find(o => o.text === match);
+      await frame.select(selector, option.value);
+      await element.evaluate(el => {
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        if (window.jQuery) window.jQuery(el).trigger('change');
+      });
+      await sleep(200);
+
+      // Sync the widget if it didn't pick up the change event
+      const widgetText = await element.evaluate((el, widgetSel) => {
+        const widget = el.parentElement?.querySelector(widgetSel) || document.getElementById(`${el.id}_icimsDropdown`);
+        return widget ? widget.textContent.trim() : null;
+      }, this.selectors.dropdownWidget);
+
+      if (widgetText !== null && !widgetText.toLowerCase().includes(match.toLowerCase())) {
+        console.log(`  │ Widget still shows "${widgetText}" - selecting through widget`);
+        await this.selectThroughWidget(page, frame, element, match);
+      }
+
+      const selected = await element.evaluate(el => el.options[el.selectedIndex]?.textContent.trim() || '');
+      console.log(`  │ Selected: "${selected}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (selected === match) {
+        console.log(`  ✅ ${label}: "${selected}"`);
+        return { success: true, selected };
+      }
+      return { success: false, error: `Selection did not stick (got "${selected}")` };
+
+    } catch (e) {
+      await page.keyboard.press('Escape').catch(() => {});
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Open the iCIMS dropdown widget, search, and click the result
+   */
+  async selectThroughWidget(page, frame, selectHandle, optionText) {
+    const widget = await selectHandle.evaluateHandle((el, widgetSel) => {
+      return el.parentElement?.querySelector(widgetSel) || document.getElementById(`${el.id}_icimsDropdown`);
+    }, this.selectors.dropdownWidget);
+    const widgetEl = widget.asElement();
+    if (!widgetEl) return false;
+
+    await widgetEl.click();
+    await sleep(300);
+
+    const search = await frame.$(this.selectors.dropdownSearch);
+    if (search) {
+      await search.type(optionText.substring(0, 30), { delay: 20 });
+      await sleep(400);
+    }
+
+    const clicked = await frame.evaluate((resultSel, text) => {
+      const results = Array.from(document.querySelectorAll(resultSel));
+      const hit = results.find(r => r.textContent.trim() === text) ||
+                  results.find(r => r.textContent.trim().toLowerCase().includes(text.toLowerCase()));
+      if (!hit) return false;
+      hit.click();
+      return true;
+    }, this.selectors.dropdownResult, optionText);
+
+    if (!clicked) await page.keyboard.press('Escape');
+    await sleep(200);
+    return clicked;
+  },
+
+  async matchOption(valuesToTry, label, options) {
+    if (!options || options.length === 0) return null;
+
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      const exact = options.find(o => o.toLowerCase() === vLower);
+      if (exact) return exact;
+    }
+
+    const aiResult = await WorkdayPlatform.findBestOptionWithAI(String(valuesToTry[0]), label, options, null);
+    return aiResult.bestMatch || null;
+  },
+
+  /**
+   * Fill radio button group inside the frame
+   */
+  async fillRadio(page, selector, value, label) {
+    console.log(`\n  ┌─── DEBUG: iCIMS.fillRadio("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value: "${value}"`);
+
+    try {
+      const frame = await this.getFormFrame(page);
+      const radios = await frame.$$eval(selector, els => els.map(r => ({
+        id: r.id,
+        value: r.value,
+        checked: r.checked,
+        labelText: (r.labels?.[0]?.textContent || document.querySelector(`label[for="${r.id}"]`)?.textContent || r.value || '').trim()
+      })));
+
+      if (radios.length === 0) {
+        console.log(`  │ ❌ No radios in form frame`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const match = await this.matchOption([value === true ? 'Yes' : value === false ? 'No' : String(value)], label, radios.map(r => r.labelText));
+      const target = radios.find(r => r.labelText === match);
+      if (!target) {
+        console.log(`  │ ❌ No radio option matches "${value}"`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      if (!target.checked) {
+        const handle = await frame.$(target.id ? `[id="${target.id}"]` : `${selector}[value="${target.value}"]`);
+        await handle.click();
+        await sleep(150);
+      }
+
+      const nowChecked = await frame.$$eval(selector, (els, val) => els.some(r => r.value === val && r.checked), target.value);
+      console.log(`  │ Now checked: ${nowChecked}`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (nowChecked) {
+        console.log(`  ✅ ${label}: "${target.labelText}"`);
+        return { success: true, selected: target.labelText };
+      }
+      return { success: false, error: 'Click did not select the radio' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillCheckbox(page, selector, shouldCheck, label) {
+    try {
+      const frame = await this.getFormFrame(page);
+      const cb = await frame.$(selector);
+      if (!cb) {
+        console.log(`  ❌ ${label}: Not found`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const isChecked = await cb.evaluate(el => el.checked);
+      if (isChecked !== shouldCheck) {
+        await cb.click();
+        await sleep(100);
+      }
+
+      // An overlay or label inside the iframe can swallow the click
+      const nowChecked = await cb.evaluate(el => el.checked);
+      if (nowChecked !== shouldCheck) {
+        console.log(`  ❌ ${label}: Checkbox state did not change`);
+        return { success: false, error: 'Checkbox state did not change' };
+      }
+
+      console.log(`  ✅ ${label}: ${shouldCheck ? 'checked' : 'unchecked'}`);
+      return { success: true, checked: shouldCheck };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillCheckboxGroup(page, selector, value, label, classifier = null) {
+    try {
+      const frame = await this.getFormFrame(page);
+      const options = await frame.$$eval(`${selector} input[type="checkbox"]`, els => els.map(cb => ({
+        id: cb.id,
+        checked: cb.checked,
+        labelText: (cb.labels?.[0]?.textContent || document.querySelector(`label[for="${cb.id}"]`)?.textContent || cb.value || '').trim()
+      })));
+
+      const wanted = Array.isArray(value) ? value : [value];
+      const selected = [];
+      for (const v of wanted) {
+        const match = await this.matchOption([String(v)], label, options.map(o => o.labelText));
+        const option = options.find(o => o.labelText === match);
+        if (!option) continue;
+        if (!option.checked) {
+          const handle = await frame.$(`[id="${option.id}"]`);
+          if (handle) await handle.click();
+          await sleep(100);
+        }
+        selected.push(option.labelText);
+      }
+
+      if (selected.length === 0) {
+        console.log(`  ❌ ${label}: No matching option for "${wanted.join(', ')}"`);
+        return { success: false, error: 'No matching option' };
+      }
+      console.log(`  ✅ ${label}: "${selected.join(', ')}"`);
+      return { success: true, selected: selected.join(', ') };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async uploadResume(page, resumePath, label) {
+    if (!resumePath) {
+      console.log(`  ⏭️ ${label}: No path configured`);
+      return { success: false, skipped: true };
+    }
+
+    try {
+      const frame = await this.getFormFrame(page);
+      if (await frame.$(this.selectors.resumeUploaded)) {
+        console.log(`  ⏭️ ${label}: Already uploaded`);
+        return { success: true, skipped: true };
+      }
+
+      const input = await frame.$(this.selectors.resumeInput);
+      if (!input) {
+        console.log(`  ⏭️ ${label}: No upload input found`);
+        return { success: false, error: 'No upload input' };
+      }
+
+      await input.uploadFile(resumePath);
+      await input.evaluate(el => el.dispatchEvent(new Event('change', { bubbles: true })));
+      await sleep(2000);
+      console.log(`  ✅ ${label}: Uploaded`);
+      return { success: true };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  }
+};
+
+export default iCIMSPlatform;
@@ -4,13 +4,32 @@
 // ============================================
 
 import WorkdayPlatform from './workday.js';
-// import iCIMSPlatform from './icims.js';  // Coming soon
-// import GreenhousePlatform from './greenhouse.js';  // Coming soon
+import GreenhousePlatform from './greenhouse.js';
+import iCIMSPlatform from './icims.js';
+import LeverPlatform from './lever.js';
+import SuccessFactorsPlatform from './successfactors.js';
+import TaleoPlatform from './taleo.js';
+import { createSpecPlatform } from './spec-platform.js';
+
+// Declarative specs (see spec-platform.js for the format)
+import ashbySpec from './specs/ashby.js';
+import smartRecruitersSpec from './specs/smartrecruiters.js';
+import jobviteSpec from './specs/jobvite.js';
+
+const specPlatforms = [
+  ashbySpec,
+  smartRecruitersSpec,
+  jobviteSpec,
+].map(createSpecPlatform);
 
 const platforms = [
   WorkdayPlatform,
-  // iCIMSPlatform,
-  // GreenhousePlatform,
+  GreenhousePlatform,
+  iCIMSPlatform,
+  LeverPlatform,
+  SuccessFactorsPlatform,
+  TaleoPlatform,
+  ...specPlatforms,
 ];
 
 export function detectPlatform(url) {
@@ -24,6 +43,11 @@ export function detectPlatform(url) {
   return null;
 }
 
+// Every adapter, in detection order
+export function getPlatforms() {
+  return platforms;
+}
+
 export function getPlatformByName(name) {
   for (const platform of platforms) {
     if (platform.name === name) {
@@ -34,7 +58,10 @@ export function getPlatformByName(name) {
 }
 
 export { WorkdayPlatform };
-// export { iCIMSPlatform };
-// export { GreenhousePlatform };
+export { GreenhousePlatform };
+export { iCIMSPlatform };
+export { LeverPlatform };
+export { SuccessFactorsPlatform };
+export { TaleoPlatform };
 
-export default { detectPlatform, getPlatformByName };
+export default { detectPlatform, getPlatformByName, getPlatforms };
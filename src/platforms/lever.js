@@ -0,0 +1,603 @@
+// ============================================
+// LEVER PLATFORM - PUPPETEER VERSION
+// Single-page form at jobs.lever.co/<company>/<id>/apply
+// Plain inputs + native selects; custom questions live in cards[<id>][fieldN]
+// ============================================
+
+import { WorkdayPlatform } from './workday.js';
+
+// Helper function for delays (Puppeteer doesn't have waitForTimeout)
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const LeverPlatform = {
+  name: 'lever',
+
+  // URL patterns to detect Lever
+  urlPatterns: [
+    /jobs\.lever\.co/i,
+    /jobs\.eu\.lever\.co/i
+  ],
+
+  // ============================================
+  // STATIC SELECTORS - Lever uses stable name attributes
+  // ============================================
+  selectors: {
+    // Contact
+    fullName: 'input[name="name"]',
+    email: 'input[name="email"]',
+    phone: 'input[name="phone"]',
+    currentCompany: 'input[name="org"]',
+    location: 'input[name="location"], #location-input',
+    locationResult: '.dropdown-location .dropdown-results > div, .location-dropdown .dropdown-results > div',
+
+    // Links
+    urls: {
+      linkedin: 'input[name="urls[LinkedIn]"]',
+      github: 'input[name="urls[GitHub]"]',
+      twitter: 'input[name="urls[Twitter]"]',
+      portfolio: 'input[name="urls[Portfolio]"]',
+      other: 'input[name="urls[Other]"]'
+    },
+
+    // Custom questions
+    card: '.application-question',
+    cardLabel: '.application-label .text, .application-label',
+
+    // EEO survey
+    eeo: {
+      gender: 'select[name="eeo[gender]"]',
+      race: 'select[name="eeo[race]"]',
+      veteran: 'select[name="eeo[veteran]"]',
+      disability: 'select[name="eeo[disability]"]'
+    },
+    disabilitySignature: 'input[name="eeo[disabilitySignature]"]',
+    disabilitySignatureDate: 'input[name="eeo[disabilitySignatureDate]"]',
+
+    // Resume-parse widget
+    resumeInput: '#resume-upload-input, input[type="file"][name="resume"]',
+    resumeParsing: '.resume-upload-working',
+    resumeParsed: '.resume-upload-success',
+    resumeFailed: '.resume-upload-failure',
+    resumeFilename: '.resume-upload-label .filename, .application-file-name',
+
+    submitButton: '#btn-submit, button[data-qa="btn-submit"]'
+  },
+
+  // ============================================
+  // EXTRA DISCOVERY
+  // Multiple-choice cards are <ul> lists of checkboxes sharing one name,
+  // not fieldsets, so generic discovery would see N separate checkboxes
+  // ============================================
+  async discoverCustomFields(page) {
+    return page.evaluate((sel) => {
+      const fields = [];
+      const seen = new Set();
+
+      document.querySelectorAll(`${sel.card} input[type="checkbox"][name^="cards["]`).forEach(cb => {
+        if (seen.has(cb.name) || cb.offsetParent === null) return;
+        seen.add(cb.name);
+
+        const card = cb.closest(sel.card);
+        const question = (card.querySelector(sel.cardLabel)?.textContent || '').replace(/✱|\*/g, '').trim();
+        const boxes = Array.from(card.querySelectorAll(`input[type="checkbox"][name="${cb.name}"]`));
+
+        fields.push({
+          type: 'checkboxGroup',
+          selector: `input[type="checkbox"][name="${cb.name}"]`,
+          id: '',
+          name: cb.name,
+          label: question,
+          fullText: question,
+          section: 'Additional Information',
+          required: !!card.querySelector('.required, [required]'),
+          options: boxes.map(b => ({ value: b.value, label: (b.closest('label')?.textContent || b.value).trim() })),
+          isEmpty: !boxes.some(b => b.checked)
+        });
+      });
+
+      return fields;
+    }, this.selectors);
+  },
+
+  // ============================================
+  // FILL METHODS
+  // ============================================
+
+  /**
+   * Fill a text input / textarea
+   * The location input needs one of its suggestions picked
+   */
+  async fillTextInput(page, selector, value, label) {
+    if (value === null || value === undefined || value === '') return { success: false, skipped: true };
+
+    console.log(`\n  ┌─── DEBUG: Lever.fillTextInput("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to fill: "${value}"`);
+
+    try {
+      const element = await page.$(selector);
+      if (!element) {
+        console.log(`  │ ❌ Element NOT FOUND with selector`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const info = await element.evaluate(el => ({
+        value: el.value || '',
+        isLocation: el.name === 'location' || el.id === 'location-input'
+      }));
+
+      if (info.value === String(value)) {
+        console.log(`  │ ⏭️ Already has correct value - skipping`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: true, skipped: true };
+      }
+
+      await element.evaluate(el => el.scrollIntoView({ block: 'center' }));
+      await element.click({ clickCount: 3 });
+      await page.keyboard.press('Backspace');
+      await element.type(String(value), { delay: 20 });
+      await sleep(150);
+
+      if (info.isLocation) {
+        console.log(`  │ Location input - waiting for suggestions...`);
+        await sleep(1000);
+        const result = await page.$(this.selectors.locationResult);
+        if (result) {
+          await result.click();
+          await sleep(200);
+        }
+      }
+
+      await element.evaluate(el => el.dispatchEvent(new Event('blur', { bubbles: true })));
+
+      const finalValue = await element.evaluate(el => el.value || '');
+      console.log(`  │ Final value: "${finalValue}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (finalValue.trim().length > 0) {
+        console.log(`  ✅ ${label}: "${finalValue}"`);
+        return { success: true, value: finalValue };
+      }
+      return { success: false, error: 'Value did not stick' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillSearchable(page, selector, value, label, classifier = null) {
+    return this.fillTextInput(page, selector, value, label);
+  },
+
+  async fillSkillsField(page, selector, skills, label) {
+    const list = Array.isArray(skills) ? skills : [skills];
+    const result = await this.fillTextInput(page, selector, list.join(', '), label);
+    return {
+      success: result.success,
+      addedCount: result.success ? list.length : 0,
+      totalCount: list.length,
+      addedSkills: result.success ? list : [],
+      error: result.error
+    };
+  },
+
+  /**
+   * Fill a native <select> (EEO survey and dropdown cards)
+   */
+  async fillDropdown(page, selector, values, label, classifier = null) {
+    const valuesToTry = Array.isArray(values) ? values : [values];
+    const targetValue = valuesToTry[0] === undefined || valuesToTry[0] === null ? '' : String(valuesToTry[0]);
+
+    console.log(`  ┌─── DEBUG: Lever.fillDropdown("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to find: "${targetValue}"`);
+
+    if (!targetValue) {
+      console.log(`  │ ⚠️ Value is empty - skipping this field`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const state = await page.$eval(selector, el => ({
+        tagName: el.tagName,
+        current: el.tagName === 'SELECT' && el.selectedIndex > 0 ? el.options[el.selectedIndex].textContent.trim() : '',
+        options: el.tagName === 'SELECT'
+          ? Array.from(el.options).filter(o => o.value !== '').map(o => ({ value: o.value, text: o.textContent.trim() }))
+          : []
+      })).catch(() => null);
+
+      if (!state) {
+        console.log(`  │ ❌ Element not found`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      if (state.tagName !== 'SELECT') {
+        console.log(`  │ Not a <select> - treating as text`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.fillTextInput(page, selector, targetValue, label);
+      }
+
+      for (const v of valuesToTry) {
+        if (state.current && state.current.toLowerCase() === String(v).toLowerCase()) {
+          console.log(`  │ ⏭️ Already has matching value`);
+          console.log(`  └─── END DEBUG ───\n`);
+          return { success: true, selected: state.current, skipped: true };
+        }
+      }
+
+      const match = await this.matchOption(valuesToTry, label, state.options.map(o => o.text));
+      if (!match) {
+        console.log(`  │ ❌ No option matches "${targetValue}" (${state.options.length} options)`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      const option = state.options.find(o => o.text === match);
+      await page.select(selector, option.value);
+      await sleep(150);
+
+      const selected = await page.$eval(selector, el => el.options[el.selectedIndex]?.textContent.trim() || '');
+      console.log(`  │ Selected: "${selected}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (selected === match) {
+        console.log(`  ✅ ${label}: "${selected}"`);
+        return { success: true, selected };
+      }
+      return { success: false, error: `Selection did not stick (got "${selected}")` };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Pick the option text that best matches any of the candidate values
+   * Exact/contains first, then the shared AI + keyword matcher
+   */
+  async matchOption(valuesToTry, label, options) {
+    if (!options || options.length === 0) return null;
+
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      const exact = options.find(o => o.toLowerCase() === vLower);
+      if (exact) return exact;
+    }
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      if (vLower.length < 3) continue;
+      const contains = options.find(o => o.toLowerCase().includes(vLower));
+      if (contains) return contains;
+    }
+
+    const aiResult = await WorkdayPlatform.findBestOptionWithAI(String(valuesToTry[0]), label, options, null);
+    return aiResult.bestMatch || null;
+  },
+
+  /**
+   * Fill a radio card - options are <label><input type="radio">Text</label>
+   */
+  async fillRadio(page, selector, value, label) {
+    const wanted = value === true ? 'Yes' : value === false ? 'No' : String(value);
+
+    console.log(`\n  ┌─── DEBUG: Lever.fillRadio("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value: "${wanted}"`);
+
+    try {
+      const radios = await page.$$eval(selector, els => els.map(r => ({
+        value: r.value,
+        checked: r.checked,
+        labelText: (r.closest('label')?.textContent || r.labels?.[0]?.textContent || r.value || '').trim()
+      })));
+
+      if (radios.length === 0) {
+        console.log(`  │ ❌ No radios found`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const match = await this.matchOption([wanted], label, radios.map(r => r.labelText));
+      const target = radios.find(r => r.labelText === match);
+      if (!target) {
+        console.log(`  │ ❌ No radio option matches "${wanted}"`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      if (!target.checked) {
+        const handles = await page.$$(selector);
+        for (const h of handles) {
+          if (await h.evaluate((el, v) => el.value === v, target.value)) {
+            // The input itself is often visually hidden - click its label
+            await h.evaluate(el => (el.closest('label') || el).click());
+            break;
+          }
+        }
+        await sleep(150);
+      }
+
+      const nowChecked = await page.$$eval(selector, (els, v) => els.some(r => r.value === v && r.checked), target.value);
+      console.log(`  │ Now checked: ${nowChecked}`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (nowChecked) {
+        console.log(`  ✅ ${label}: "${target.labelText}"`);
+        return { success: true, selected: target.labelText };
+      }
+      return { success: false, error: 'Click did not select the radio' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillCheckbox(page, selector, shouldCheck, label) {
+    try {
+      const cb = await page.$(selector);
+      if (!cb) {
+        console.log(`  ❌ ${label}: Not found`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const isChecked = await cb.evaluate(el => el.checked);
+      if (isChecked !== shouldCheck) {
+        await cb.evaluate(el => (el.closest('label') || el).click());
+        await sleep(100);
+      }
+
+      console.log(`  ✅ ${label}: ${shouldCheck ? 'checked' : 'unchecked'}`);
+      return { success: true, checked: shouldCheck };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Multiple-choice card: selector matches every checkbox in the card
+   */
+  async fillCheckboxGroup(page, selector, value, label, classifier = null) {
+    try {
+      const boxSelector = selector.includes('checkbox') ? selector : `${selector} input[type="checkbox"]`;
+      const options = await page.$$eval(boxSelector, els => els.map(cb => ({
+        value: cb.value,
+        checked: cb.checked,
+        labelText: (cb.closest('label')?.textContent || cb.value || '').trim()
+      })));
+
+      const wanted = Array.isArray(value) ? value : [value];
+      const selected = [];
+      for (const v of wanted) {
+        const match = await this.matchOption([String(v)], label, options.map(o => o.labelText));
+        const option = options.find(o => o.labelText === match);
+        if (!option) continue;
+        if (!option.checked) {
+          await page.$$eval(boxSelector, (els, val) => {
+            const cb = els.find(el => el.value === val);
+            if (cb) (cb.closest('label') || cb).click();
+          }, option.value);
+          await sleep(100);
+        }
+        selected.push(option.labelText);
+      }
+
+      if (selected.length === 0) {
+        console.log(`  ❌ ${label}: No matching option for "${wanted.join(', ')}"`);
+        return { success: false, error: 'No matching option' };
+      }
+      console.log(`  ✅ ${label}: "${selected.join(', ')}"`);
+      return { success: true, selected: selected.join(', ') };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Upload through the resume-parse widget and wait for parsing to finish.
+   * Lever copies parsed name/email/phone into the form, so this runs
+   * before the contact fields are filled.
+   */
+  async uploadResume(page, resumePath, label) {
+    if (!resumePath) {
+      console.log(`  ⏭️ ${label}: No path configured`);
+      return { success: false, skipped: true };
+    }
+
+    try {
+      if (await page.$(`${this.selectors.resumeParsed}:not([style*="display: none"])`)) {
+        const name = await page.$eval(this.selectors.resumeFilename, el => el.textContent.trim()).catch(() => '');
+        if (name) {
+          console.log(`  ⏭️ ${label}: Already uploaded (${name})`);
+          return { success: true, skipped: true };
+        }
+      }
+
+      const input = await page.$(this.selectors.resumeInput);
+      if (!input) {
+        console.log(`  ⏭️ ${label}: No upload input found`);
+        return { success: false, error: 'No upload input' };
+      }
+
+      await input.uploadFile(resumePath);
+      await input.evaluate(el => el.dispatchEvent(new Event('change', { bubbles: true })));
+
+      // Parsing usually takes a few seconds
+      const outcome = await page.waitForFunction((sel) => {
+        const visible = (s) => { const el = document.querySelector(s); return el && el.offsetParent !== null; };
+        if (visible(sel.resumeParsed)) return 'parsed';
+        if (visible(sel.resumeFailed)) return 'failed';
+        return false;
+      }, { timeout: 20000 }, this.selectors).then(h => h.jsonValue()).catch(() => 'timeout');
+
+      if (outcome === 'failed') {
+        console.log(`  ⚠️ ${label}: Uploaded but Lever could not parse it`);
+      } else if (outcome === 'timeout') {
+        console.log(`  ⚠️ ${label}: Uploaded, parse status unknown`);
+      } else {
+        console.log(`  ✅ ${label}: Uploaded and parsed`);
+      }
+      await sleep(500);
+      return { success: true };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  // ============================================
+  // CONTACT BLOCK
+  // Resume first (its parser overwrites contact fields), then our values
+  // ============================================
+  async fillContactFields(page, profile) {
+    const filled = [];
+    const failed = [];
+
+    if (!(await page.$(this.selectors.fullName))) {
+      return { filled, failed };
+    }
+
+    console.log(`\n  📋 Lever contact block detected`);
+    const p = profile || {};
+    const personal = p.personal || {};
+
+    const resumePath = p.documents?.resumePath;
+    if (resumePath) {
+      const result = await this.uploadResume(page, resumePath, 'Resume');
+      if (result.success) filled.push({ selector: this.selectors.resumeInput, label: 'Resume', value: resumePath });
+      else if (!result.skipped) failed.push({ selector: this.selectors.resumeInput, label: 'Resume', value: resumePath, error: result.error });
+    }
+
+    const fullName = [personal.firstName, personal.lastName].filter(Boolean).join(' ');
+    const location = [p.address?.city, p.address?.state].filter(Boolean).join(', ');
+    const entries = [
+      [this.selectors.fullName, 'Full name', fullName],
+      [this.selectors.email, 'Email', personal.email],
+      [this.selectors.phone, 'Phone', personal.phone],
+      [this.selectors.currentCompany, 'Current company', p.workHistory?.[0]?.company],
+      [this.selectors.location, 'Current location', location],
+      [this.selectors.urls.linkedin, 'LinkedIn URL', personal.linkedIn],
+      [this.selectors.urls.github, 'GitHub URL', personal.github],
+      [this.selectors.urls.portfolio, 'Portfolio URL', personal.website],
+      [this.selectors.urls.other, 'Other website', personal.website]
+    ];
+
+    for (const [selector, label, value] of entries) {
+      if (!value) continue;
+      const el = await page.$(selector);
+      if (!el) continue;
+
+      const result = await this.fillTextInput(page, selector, value, label);
+      // Report the name attribute so discovery skips the same input
+      const name = await el.evaluate(e => e.name);
+      const handledSelector = name ? `input[name="${name}"]` : selector;
+      if (result.success) filled.push({ selector: handledSelector, label, value });
+      else failed.push({ selector: handledSelector, label, value, error: result.error });
+    }
+
+    return { filled, failed };
+  },
+
+  // ============================================
+  // EEO SURVEY
+  // ============================================
+  async fillDemographicQuestions(page, profile) {
+    const filled = [];
+    const failed = [];
+
+    if (!(await page.$(Object.values(this.selectors.eeo).join(', ')))) {
+      return { filled, failed };
+    }
+
+    console.log(`\n  📋 Lever EEO survey detected`);
+    const eeo = profile?.eeo || {};
+    const answers = {
+      gender: this.mappers.gender(eeo.gender),
+      race: this.mappers.race(eeo),
+      veteran: this.mappers.veteranStatus(eeo.veteranStatus),
+      disability: this.mappers.disabilityStatus(eeo.disabilityStatus)
+    };
+
+    for (const [key, selector] of Object.entries(this.selectors.eeo)) {
+      if (!(await page.$(selector))) continue;
+
+      const label = `EEO ${key}`;
+      const result = await this.fillDropdown(page, selector, answers[key], label);
+      if (result.success) filled.push({ selector, label, value: result.selected || answers[key] });
+      else failed.push({ selector, label, value: answers[key], error: result.error });
+    }
+
+    // Section 503 form asks for a signature once disability is answered
+    const signature = await page.$(this.selectors.disabilitySignature);
+    if (signature && await signature.evaluate(el => el.offsetParent !== null)) {
+      const name = [profile?.personal?.firstName, profile?.personal?.lastName].filter(Boolean).join(' ');
+      const today = new Date().toLocaleDateString('en-US');
+      for (const [selector, label, value] of [
+        [this.selectors.disabilitySignature, 'Disability form signature', name],
+        [this.selectors.disabilitySignatureDate, 'Disability form date', today]
+      ]) {
+        if (!(await page.$(selector))) continue;
+        const result = await this.fillTextInput(page, selector, value, label);
+        if (result.success) filled.push({ selector, label, value });
+        else failed.push({ selector, label, value, error: result.error });
+      }
+    }
+
+    return { filled, failed };
+  },
+
+  // ============================================
+  // VALUE MAPPERS - Convert profile values to Lever EEO wording
+  // ============================================
+  mappers: {
+    gender: (profileGender) => {
+      const g = (profileGender || '').toLowerCase();
+      if (g.includes('female') || g === 'woman') return 'Female';
+      if (g.includes('male') || g === 'man') return 'Male';
+      return 'Decline to self-identify';
+    },
+
+    // Lever folds Hispanic/Latino into the race list
+    race: (eeo) => {
+      if (eeo.hispanicLatino === true) return 'Hispanic or Latino';
+      const r = `${eeo.race || ''} ${eeo.ethnicity || ''}`.toLowerCase();
+      if (r.includes('hispanic') || r.includes('latino')) return 'Hispanic or Latino';
+      if (r.includes('asian')) return 'Asian (Not Hispanic or Latino)';
+      if (r.includes('black') || r.includes('african')) return 'Black or African American (Not Hispanic or Latino)';
+      if (r.includes('hawaiian') || r.includes('pacific')) return 'Native Hawaiian or Other Pacific Islander (Not Hispanic or Latino)';
+      if (r.includes('american indian') || r.includes('alaska')) return 'American Indian or Alaska Native (Not Hispanic or Latino)';
+      if (r.includes('two or more')) return 'Two or More Races (Not Hispanic or Latino)';
+      if (r.includes('white') || r.includes('caucasian')) return 'White (Not Hispanic or Latino)';
+      return 'Decline to self-identify';
+    },
+
+    veteranStatus: (profileVeteran) => {
+      const v = (profileVeteran || '').toLowerCase();
+      if (v.includes('decline') || v.includes('not wish')) return 'Decline to self-identify';
+      if (!v || v.includes('not a') || v.includes('am not') || v === 'no') return 'I am not a protected veteran';
+      return 'I identify as one or more of the classifications of protected veteran';
+    },
+
+    disabilityStatus: (profileDisability) => {
+      const d = (profileDisability || '').toLowerCase();
+      if (d.startsWith('yes') || (d.includes('have a disability') && !d.includes('not'))) return 'Yes, I have a disability, or have had one in the past';
+      if (d.includes('not wish') || d.includes('decline') || d.includes('prefer not')) return "I don't wish to answer";
+      return "No, I don't have a disability, or a history/record of having a disability";
+    }
+  }
+};
+
+export default LeverPlatform;
@@ -0,0 +1,381 @@
+// ============================================
+// DECLARATIVE PLATFORM SPECS
+// Turns a plain spec (URL patterns, known field selectors, per-control
+// recipes, next/submit buttons) into an adapter with the same methods as
+// the hand-written platforms. New ATSs go in ./specs/ - only reach for a
+// full module like workday.js when recipes can't express the widget.
+//
+// Spec shape:
+//   name, urlPatterns
+//   fields:   [{ selector, label, profile: 'personal.email' | [...paths] }]
+//             filled up front via fillContactFields()
+//   selectors: extra named selectors (resumeInput, resumeUploaded, ...)
+//   recipes:  { text, searchable, dropdown, radio, checkbox, checkboxGroup, file }
+//             each a recipe or a list of variants with `when` (matched
+//             against the field element, first hit wins):
+//             { when?, steps: [{ do, ... }], verify? }
+//   buttons:  { next: [selectors], submit: [selectors] }
+//
+// Steps:
+//   click [target]          click the field (or a document selector)
+//   fill                    clear the field and type the value
+//   type [text]             type into whatever has focus ({value} is substituted)
+//   press key               keyboard press
+//   wait ms                 fixed pause
+//   waitFor target          wait for a selector to appear
+//   pickOption options      match visible option elements by text and click one
+//   selectNative            match <option> text and page.select it
+//   pickLabel [items]       choose among inputs/buttons by their label text
+//   setChecked              click a checkbox until it matches the value
+//   upload                  uploadFile on the field
+// Verify: 'value' | 'selectedText' | 'checked' | { containerText: closestSelector }
+// ============================================
+
+import { WorkdayPlatform } from './workday.js';
+
+// Helper function for delays (Puppeteer doesn't have waitForTimeout)
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Native-control recipes used when a spec doesn't override a type
+const DEFAULT_RECIPES = {
+  text: { steps: [{ do: 'fill' }], verify: 'value' },
+  searchable: { steps: [{ do: 'fill' }], verify: 'value' },
+  dropdown: { steps: [{ do: 'selectNative' }], verify: 'selectedText' },
+  radio: { steps: [{ do: 'pickLabel' }], verify: 'checked' },
+  checkbox: { steps: [{ do: 'setChecked' }] },
+  checkboxGroup: { steps: [{ do: 'pickLabel', items: 'input[type="checkbox"]', multiple: true }], verify: 'checked' },
+  file: { steps: [{ do: 'upload' }] }
+};
+
+function profileValue(profile, paths) {
+  const list = Array.isArray(paths) ? paths : [paths];
+  const parts = list.map(path => path.split('.').reduce((obj, key) => obj?.[key], profile))
+    .filter(v => v !== undefined && v !== null && v !== '');
+  return parts.length ? parts.join(' ') : null;
+}
+
+export function createSpecPlatform(spec) {
+  const platform = {
+    name: spec.name,
+    urlPatterns: spec.urlPatterns,
+    spec,
+
+    // MultiPageNavigator reads nextButton; the submission guard reads submitButton
+    selectors: {
+      ...(spec.selectors || {}),
+      nextButton: spec.buttons?.next || [],
+      submitButton: (spec.buttons?.submit || []).join(', ')
+    },
+
+    // ============================================
+    // RECIPE RUNNER
+    // ============================================
+
+    /**
+     * Pick the recipe variant for this element and run its steps
+     */
+    async runRecipe(page, type, selector, value, label) {
+      const logPrefix = `${spec.name}.${type}`;
+      console.log(`\n  ┌─── DEBUG: ${logPrefix}("${label}") ───`);
+      console.log(`  │ Selector: ${selector}`);
+      console.log(`  │ Value: ${JSON.stringify(value)}`);
+
+      try {
+        const element = await page.$(selector);
+        if (!element) {
+          console.log(`  │ ❌ Element NOT FOUND with selector`);
+          console.log(`  └─── END DEBUG ───\n`);
+          return { success: false, error: 'Not found' };
+        }
+
+        const variants = [].concat(spec.recipes?.[type] || DEFAULT_RECIPES[type] || DEFAULT_RECIPES.text);
+        let recipe = null;
+        for (const variant of variants) {
+          if (!variant.when || await element.evaluate((el, w) => el.matches(w) || !!el.closest(w), variant.when)) {
+            recipe = variant;
+            break;
+          }
+        }
+        if (!recipe) recipe = DEFAULT_RECIPES[type];
+        console.log(`  │ Recipe: ${recipe.when ? `when "${recipe.when}"` : 'default'} (${recipe.steps.map(s => s.do).join(' → ')})`);
+
+        const ctx = { page, element, selector, value, label, selected: [] };
+        for (const step of recipe.steps) {
+          const ok = await this.runStep(ctx, step);
+          if (ok === false) {
+            await page.keyboard.press('Escape').catch(() => {});
+            console.log(`  │ ❌ Step "${step.do}" failed`);
+            console.log(`  └─── END DEBUG ───\n`);
+            return { success: false, error: `Step "${step.do}" failed` };
+          }
+        }
+
+        const verified = recipe.verify ? await this.verify(ctx, recipe.verify) : true;
+        const selected = ctx.selected.join(', ') || undefined;
+        console.log(`  │ Verified: ${verified}${selected ? ` (selected "${selected}")` : ''}`);
+        console.log(`  └─── END DEBUG ───\n`);
+
+        if (verified) {
+          console.log(`  ✅ ${label}: "${selected ?? value}"`);
+          return { success: true, selected };
+        }
+        return { success: false, error: 'Verification failed' };
+
+      } catch (e) {
+        console.log(`  │ ❌ ERROR: ${e.message}`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: e.message };
+      }
+    },
+
+    async runStep(ctx, step) {
+      const { page, element } = ctx;
+      const first = String([].concat(ctx.value)[0]);
+      const text = step.text ? step.text.replace('{value}', first) : first;
+
+      switch (step.do) {
+        case 'click': {
+          const target = step.target ? await page.$(step.target) : element;
+          if (!target) return false;
+          await target.evaluate(el => el.scrollIntoView({ block: 'center' }));
+          await target.click();
+          await sleep(step.ms ?? 200);
+          return true;
+        }
+
+        case 'fill':
+          await element.evaluate(el => el.scrollIntoView({ block: 'center' }));
+          await element.click({ clickCount: 3 });
+          await page.keyboard.press('Backspace');
+          await element.type(text, { delay: 15 });
+          await element.evaluate(el => el.dispatchEvent(new Event('blur', { bubbles: true })));
+          return true;
+
+        case 'type':
+          await page.keyboard.type(text.substring(0, step.maxLength || 40), { delay: 20 });
+          return true;
+
+        case 'press':
+          await page.keyboard.press(step.key);
+          return true;
+
+        case 'wait':
+          await sleep(step.ms || 300);
+          return true;
+
+        case 'waitFor':
+          return page.waitForSelector(step.target, { visible: true, timeout: step.timeout || 3000 })
+            .then(() => true)
+            .catch(() => false);
+
+        case 'pickOption': {
+          const options = await page.$$eval(step.options, els => els
+            .filter(el => el.offsetParent !== null)
+            .map(el => el.textContent.trim()));
+          const match = await this.matchOption([].concat(ctx.value), ctx.label, options);
+          if (!match) return false;
+
+          const clicked = await page.$$eval(step.options, (els, m) => {
+            const el = els.find(e => e.offsetParent !== null && e.textContent.trim() === m);
+            if (!el) return false;
+            // Menus that close on blur react to mousedown, not click
+            el.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+            el.click();
+            return true;
+          }, match);
+          if (clicked) ctx.selected.push(match);
+          await sleep(200);
+          return clicked;
+        }
+
+        case 'selectNative': {
+          const options = await element.evaluate(el => Array.from(el.options || [])
+            .filter(o => o.value !== '')
+            .map(o => ({ value: o.value, text: o.textContent.trim() })));
+          const match = await this.matchOption([].concat(ctx.value), ctx.label, options.map(o => o.text));
+          if (!match) return false;
+          await page.select(ctx.selector, options.find(o => o.text === match).value);
+          ctx.selected.push(match);
+          return true;
+        }
+
+        case 'pickLabel': {
+          const itemsSelector = step.items
+            ? (await element.evaluate(el => el.matches('input, button')) ? ctx.selector : `${ctx.selector} ${step.items}`)
+            : ctx.selector;
+          const items = await page.$$eval(itemsSelector, els => els.map((el, i) => ({
+            index: i,
+            text: (el.labels?.[0]?.textContent || el.closest('label')?.textContent ||
+                   (el.id && document.querySelector(`label[for="${el.id}"]`)?.textContent) ||
+                   el.getAttribute('aria-label') || el.value || el.textContent || '').trim()
+          }))).catch(() => []);
+
+          const wanted = [].concat(ctx.value).map(v => v === true ? 'Yes' : v === false ? 'No' : String(v));
+          for (const w of step.multiple ? wanted : wanted.slice(0, 1)) {
+            const match = await this.matchOption([w], ctx.label, items.map(i => i.text));
+            const item = items.find(i => i.text === match);
+            if (!item) continue;
+            await page.$$eval(itemsSelector, (els, idx) => {
+              const el = els[idx];
+              const isOn = el.checked || el.getAttribute('aria-pressed') === 'true' || el.getAttribute('aria-checked') === 'true';
+              // Hidden inputs are toggled through their label
+              if (!isOn) (el.tagName === 'INPUT' && el.offsetParent === null ? (el.closest('label') || el.labels?.[0] || el) : el).click();
+            }, item.index);
+            ctx.itemsSelector = itemsSelector;
+            ctx.selected.push(item.text);
+            await sleep(150);
+          }
+          return ctx.selected.length > 0;
+        }
+
+        case 'setChecked': {
+          const want = ctx.value === true || ctx.value === 'true' || ctx.value === 'Yes';
+          const isChecked = await element.evaluate(el => el.checked || el.getAttribute('aria-checked') === 'true');
+          if (isChecked !== want) {
+            await element.evaluate(el => (el.offsetParent === null ? (el.closest('label') || el) : el).click());
+            await sleep(100);
+          }
+          ctx.selected.push(want ? 'checked' : 'unchecked');
+          return true;
+        }
+
+        case 'upload':
+          await element.uploadFile(String(ctx.value));
+          await element.evaluate(el => el.dispatchEvent(new Event('change', { bubbles: true })));
+          await sleep(step.ms ?? 1500);
+          return true;
+
+        default:
+          console.log(`  │ ⚠️ Unknown recipe step "${step.do}"`);
+          return false;
+      }
+    },
+
+    async verify(ctx, rule) {
+      const { page, element } = ctx;
+
+      if (rule === 'value') {
+        return element.evaluate(el => (el.value || '').trim().length > 0).catch(() => false);
+      }
+      if (rule === 'selectedText') {
+        const text = await element.evaluate(el => el.options?.[el.selectedIndex]?.textContent.trim() || '');
+        return ctx.selected.includes(text);
+      }
+      if (rule === 'checked') {
+        const selector = ctx.itemsSelector || ctx.selector;
+        return page.$$eval(selector, els => els.some(el =>
+          el.checked || el.getAttribute('aria-pressed') === 'true' || el.getAttribute('aria-checked') === 'true'));
+      }
+      if (rule?.containerText) {
+        const text = await element.evaluate((el, sel) => (el.closest(sel) || el).textContent || '', rule.containerText);
+        return ctx.selected.every(s => text.includes(s));
+      }
+      return true;
+    },
+
+    /**
+     * Pick the option text that best matches any of the candidate values
+     * Exact/contains first, then the shared AI + keyword matcher
+     */
+    async matchOption(valuesToTry, label, options) {
+      if (!options || options.length === 0) return null;
+
+      for (const v of valuesToTry) {
+        const vLower = String(v).toLowerCase().trim();
+        const exact = options.find(o => o.toLowerCase() === vLower);
+        if (exact) return exact;
+      }
+      for (const v of valuesToTry) {
+        const vLower = String(v).toLowerCase().trim();
+        if (vLower.length < 3) continue;
+        const contains = options.find(o => o.toLowerCase().includes(vLower));
+        if (contains) return contains;
+      }
+
+      const aiResult = await WorkdayPlatform.findBestOptionWithAI(String(valuesToTry[0]), label, options, null);
+      return aiResult.bestMatch || null;
+    },
+
+    // ============================================
+    // STANDARD ADAPTER METHODS
+    // ============================================
+
+    async fillTextInput(page, selector, value, label) {
+      if (value === null || value === undefined || value === '') return { success: false, skipped: true };
+      return this.runRecipe(page, 'text', selector, value, label);
+    },
+
+    async fillSearchable(page, selector, value, label, classifier = null) {
+      if (value === null || value === undefined || value === '') return { success: false, skipped: true };
+      return this.runRecipe(page, spec.recipes?.searchable ? 'searchable' : 'text', selector, value, label);
+    },
+
+    async fillSkillsField(page, selector, skills, label) {
+      const list = Array.isArray(skills) ? skills : [skills];
+      const result = await this.fillTextInput(page, selector, list.join(', '), label);
+      return {
+        success: result.success,
+        addedCount: result.success ? list.length : 0,
+        totalCount: list.length,
+        addedSkills: result.success ? list : [],
+        error: result.error
+      };
+    },
+
+    async fillDropdown(page, selector, values, label, classifier = null) {
+      const valuesToTry = Array.isArray(values) ? values : [values];
+      if (valuesToTry[0] === undefined || valuesToTry[0] === null || valuesToTry[0] === '') {
+        return { success: true, skipped: true };
+      }
+      return this.runRecipe(page, 'dropdown', selector, valuesToTry, label);
+    },
+
+    async fillRadio(page, selector, value, label) {
+      return this.runRecipe(page, 'radio', selector, value, label);
+    },
+
+    async fillCheckbox(page, selector, shouldCheck, label) {
+      return this.runRecipe(page, 'checkbox', selector, shouldCheck, label);
+    },
+
+    async fillCheckboxGroup(page, selector, value, label, classifier = null) {
+      return this.runRecipe(page, 'checkboxGroup', selector, value, label);
+    },
+
+    async uploadResume(page, resumePath, label) {
+      if (!resumePath) {
+        console.log(`  ⏭️ ${label}: No path configured`);
+        return { success: false, skipped: true };
+      }
+      if (this.selectors.resumeUploaded && await page.$(this.selectors.resumeUploaded)) {
+        console.log(`  ⏭️ ${label}: Already uploaded`);
+        return { success: true, skipped: true };
+      }
+      return this.runRecipe(page, 'file', this.selectors.resumeInput || 'input[type="file"]', resumePath, label);
+    },
+
+    // ============================================
+    // KNOWN FIELDS - filled from the profile before generic discovery
+    // ============================================
+    async fillContactFields(page, profile) {
+      const filled = [];
+      const failed = [];
+
+      for (const field of spec.fields || []) {
+        const value = profileValue(profile || {}, field.profile);
+        if (!value) continue;
+        if (!(await page.$(field.selector))) continue;
+
+        const result = await this.runRecipe(page, field.type || 'text', field.selector, value, field.label);
+        if (result.success) filled.push({ selector: field.selector, label: field.label, value });
+        else failed.push({ selector: field.selector, label: field.label, value, error: result.error });
+      }
+
+      return { filled, failed };
+    }
+  };
+
+  return platform;
+}
+
+export default createSpecPlatform;
@@ -0,0 +1,61 @@
+// ============================================
+// ASHBY - jobs.ashbyhq.com/<company>/<id>/application
+// Single page. System fields are named _systemfield_*, dropdowns and
+// location are comboboxes with a floating [role="listbox"].
+// ============================================
+
+export default {
+  name: 'ashby',
+
+  urlPatterns: [
+    /jobs\.ashbyhq\.com/i,
+    /ashbyhq\.com\/.*\/application/i
+  ],
+
+  fields: [
+    { selector: '#_systemfield_name', label: 'Full name', profile: ['personal.firstName', 'personal.lastName'] },
+    { selector: '#_systemfield_email', label: 'Email', profile: 'personal.email' },
+    { selector: '#_systemfield_phone', label: 'Phone', profile: 'personal.phone' },
+    { selector: 'input[name="_systemfield_linkedin"]', label: 'LinkedIn', profile: 'personal.linkedIn' },
+    { selector: '#_systemfield_location', label: 'Location', profile: ['address.city', 'address.state'], type: 'searchable' }
+  ],
+
+  selectors: {
+    resumeInput: '#_systemfield_resume, input[type="file"][name="_systemfield_resume"]',
+    resumeUploaded: '[class*="fileUpload"] [class*="filename"], [class*="_fileName"]'
+  },
+
+  recipes: {
+    // Location and other typeaheads: type, then take the matching suggestion
+    searchable: [
+      {
+        when: '[role="combobox"]',
+        steps: [
+          { do: 'fill' },
+          { do: 'waitFor', target: '[role="listbox"] [role="option"]', timeout: 4000 },
+          { do: 'pickOption', options: '[role="listbox"] [role="option"]' }
+        ],
+        verify: 'value'
+      },
+      { steps: [{ do: 'fill' }], verify: 'value' }
+    ],
+
+    dropdown: [
+      { when: 'select', steps: [{ do: 'selectNative' }], verify: 'selectedText' },
+      {
+        steps: [
+          { do: 'click' },
+          { do: 'type' },
+          { do: 'waitFor', target: '[role="listbox"] [role="option"]' },
+          { do: 'pickOption', options: '[role="listbox"] [role="option"]' }
+        ],
+        verify: { containerText: '[class*="fieldEntry"], [class*="_field_"]' }
+      }
+    ]
+  },
+
+  buttons: {
+    next: [],
+    submit: ['button.ashby-application-form-submit-button', 'button[type="submit"]']
+  }
+};
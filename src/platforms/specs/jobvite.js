@@ -0,0 +1,61 @@
+// ============================================
+// JOBVITE - jobs.jobvite.com/<company>/job/<id>/apply
+// Multi-step Angular form; most dropdowns are still native <select>s,
+// location is a typeahead.
+// ============================================
+
+export default {
+  name: 'jobvite',
+
+  urlPatterns: [
+    /jobs\.jobvite\.com/i,
+    /\.jobvite\.com\/.*\/apply/i
+  ],
+
+  fields: [
+    { selector: 'input[name="firstName"]', label: 'First name', profile: 'personal.firstName' },
+    { selector: 'input[name="lastName"]', label: 'Last name', profile: 'personal.lastName' },
+    { selector: 'input[name="email"]', label: 'Email', profile: 'personal.email' },
+    { selector: 'input[name="phone"]', label: 'Phone', profile: 'personal.phone' },
+    { selector: 'input[name="address"]', label: 'Address', profile: 'address.line1' },
+    { selector: 'input[name="city"]', label: 'City', profile: 'address.city' },
+    { selector: 'input[name="postalCode"]', label: 'Postal code', profile: 'address.zipCode' },
+    { selector: 'input[name="linkedInUrl"]', label: 'LinkedIn', profile: 'personal.linkedIn' }
+  ],
+
+  selectors: {
+    resumeInput: 'input[type="file"]',
+    resumeUploaded: '.jv-file-name, [class*="attachment-name"]'
+  },
+
+  recipes: {
+    searchable: [
+      {
+        when: '[typeahead], [uib-typeahead], [aria-autocomplete="list"]',
+        steps: [
+          { do: 'fill' },
+          { do: 'waitFor', target: 'ul.dropdown-menu li, [role="option"]', timeout: 4000 },
+          { do: 'pickOption', options: 'ul.dropdown-menu li, [role="option"]' }
+        ],
+        verify: 'value'
+      },
+      { steps: [{ do: 'fill' }], verify: 'value' }
+    ],
+
+    dropdown: [
+      { when: 'select', steps: [{ do: 'selectNative' }], verify: 'selectedText' },
+      {
+        steps: [
+          { do: 'click' },
+          { do: 'waitFor', target: '[role="option"]' },
+          { do: 'pickOption', options: '[role="option"]' }
+        ]
+      }
+    ]
+  },
+
+  buttons: {
+    next: ['button.jv-button-primary[data-ng-click*="next" i]', 'button[ng-click*="next" i]', 'button.jv-wizard-next'],
+    submit: ['button.jv-button-primary[type="submit"]', 'button[ng-click*="submit" i]']
+  }
+};
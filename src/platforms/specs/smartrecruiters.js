@@ -0,0 +1,62 @@
+// ============================================
+// SMARTRECRUITERS - jobs.smartrecruiters.com/<Company>/<id> and the
+// one-click apply flow at /oneclick-ui/company/<company>/publication/<id>
+// Multi-step; dropdowns are spl-select / spl-autocomplete listboxes.
+// ============================================
+
+export default {
+  name: 'smartrecruiters',
+
+  urlPatterns: [
+    /jobs\.smartrecruiters\.com/i,
+    /smartrecruiters\.com\/oneclick-ui/i
+  ],
+
+  fields: [
+    { selector: '#first-name-input', label: 'First name', profile: 'personal.firstName' },
+    { selector: '#last-name-input', label: 'Last name', profile: 'personal.lastName' },
+    { selector: '#email-input', label: 'Email', profile: 'personal.email' },
+    { selector: '#confirm-email-input', label: 'Confirm email', profile: 'personal.email' },
+    { selector: '#phone-number-input', label: 'Phone', profile: 'personal.phone' },
+    { selector: '#linkedin-input', label: 'LinkedIn', profile: 'personal.linkedIn' },
+    { selector: '#website-input', label: 'Website', profile: 'personal.website' },
+    { selector: '#location-input', label: 'City', profile: 'address.city', type: 'searchable' }
+  ],
+
+  selectors: {
+    resumeInput: 'input[type="file"][data-test="resume-upload-input"], input[type="file"]',
+    resumeUploaded: '[data-test="resume-file-name"], .file-upload-name'
+  },
+
+  recipes: {
+    searchable: [
+      {
+        when: 'spl-autocomplete, [aria-autocomplete="list"]',
+        steps: [
+          { do: 'fill' },
+          { do: 'waitFor', target: '[role="listbox"] [role="option"]', timeout: 4000 },
+          { do: 'pickOption', options: '[role="listbox"] [role="option"]' }
+        ],
+        verify: 'value'
+      },
+      { steps: [{ do: 'fill' }], verify: 'value' }
+    ],
+
+    dropdown: [
+      { when: 'select', steps: [{ do: 'selectNative' }], verify: 'selectedText' },
+      {
+        steps: [
+          { do: 'click' },
+          { do: 'waitFor', target: '[role="listbox"] [role="option"]' },
+          { do: 'pickOption', options: '[role="listbox"] [role="option"]' }
+        ],
+        verify: { containerText: 'spl-select, spl-form-element, .form-element' }
+      }
+    ]
+  },
+
+  buttons: {
+    next: ['button[data-test="footer-next"]', 'button[data-test="next-button"]'],
+    submit: ['button[data-test="footer-submit"]']
+  }
+};
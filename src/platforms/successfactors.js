@@ -0,0 +1,706 @@
+// ============================================
+// SAP SUCCESSFACTORS PLATFORM - PUPPETEER VERSION
+// Career site forms are SAP UI5: sapMSelect / sapMComboBox dropdowns open
+// popovers, date pickers are sapMDatePicker. Every selection is confirmed
+// through the UI5 control (sap.ui.getCore().byId) so we know the model
+// value changed, not just the DOM text.
+// Flow: job page → Apply → sign in / create account → application form
+// ============================================
+
+import { WorkdayPlatform } from './workday.js';
+
+// Helper function for delays (Puppeteer doesn't have waitForTimeout)
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const SuccessFactorsPlatform = {
+  name: 'successfactors',
+
+  // URL patterns to detect SuccessFactors (career sites and performancemanager hosts)
+  urlPatterns: [
+    /successfactors\.(com|eu)/i,
+    /sapsf\.(com|eu|cn)/i
+  ],
+
+  // ============================================
+  // STATIC SELECTORS - UI5 control classes
+  // ============================================
+  selectors: {
+    // Dropdowns
+    select: '.sapMSelect',
+    comboBox: '.sapMComboBox',
+    popupList: '.sapMSelectList, .sapMComboBoxList, .sapMList',
+    popupItem: 'li.sapMSelectListItemBase, li.sapMSelectListItem, li.sapMComboBoxItem, li.sapMLIB',
+
+    // Date picker
+    datePicker: '.sapMDP, .sapMDatePicker',
+
+    // Radio / checkbox wrappers (the real inputs are visually hidden)
+    radio: '.sapMRb',
+    checkbox: '.sapMCb',
+
+    // Login-then-apply
+    applyButton: 'a[href*="career_ns=job_application"], [id*="applyButton" i], a[data-careersite-propertyid="apply"]',
+    loginUsername: '#username, input[name="username"], input[id*="username" i], input[type="email"]',
+    loginPassword: 'input[type="password"]',
+    loginSubmit: 'button[type="submit"], input[type="submit"], [id*="signIn" i], [id*="login" i][role="button"]',
+
+    // Resume
+    resumeInput: 'input[type="file"]',
+    resumeUploaded: '[id*="attachment" i] a, .sapMUCItem, .fileName',
+
+    submitButton: '[id*="submit" i][role="button"], button[id*="apply" i]'
+  },
+
+  // ============================================
+  // LOGIN-THEN-APPLY FLOW
+  // ============================================
+
+  /**
+   * Get from the job posting to the application form.
+   * Clicks Apply, signs in when credentials are configured, and reports
+   * loginRequired when a person has to do it.
+   * @param options  { withApplyAllowed } - runs the Apply click past the submission guard
+   */
+  async startApplication(page, credentials = {}, { withApplyAllowed = (click) => click() } = {}) {
+    console.log(`\n  🔐 SuccessFactors: starting login-then-apply flow`);
+
+    // Already on the form?
+    if (await this.isApplicationForm(page)) {
+      console.log(`  ✅ Application form already open`);
+      return { ready: true };
+    }
+
+    // Step 1: Apply button on the posting
+    const clickedApply = await withApplyAllowed(() => this.clickApply(page));
+    if (clickedApply) {
+      console.log(`  ➡️ Clicked Apply`);
+      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 }).catch(() => {});
+      await sleep(1500);
+    }
+
+    // Step 2: sign-in page
+    if (await page.$(this.selectors.loginPassword)) {
+      const result = await this.login(page, credentials);
+      if (!result.success) {
+        return { ready: false, loginRequired: true, reason: result.error };
+      }
+    }
+
+    const ready = await this.isApplicationForm(page);
+    console.log(ready ? `  ✅ Application form open` : `  ⚠️ Application form not detected`);
+    return { ready };
+  },
+
+  async clickApply(page) {
+    const direct = await page.$(this.selectors.applyButton);
+    if (direct) {
+      await direct.click();
+      return true;
+    }
+
+    // Fall back to the visible button/link whose text is "Apply" / "Apply now"
+    return page.evaluate(() => {
+      const candidates = Array.from(document.querySelectorAll('a, button, [role="button"]'));
+      const btn = candidates.find(el => {
+        const text = (el.textContent || '').trim().toLowerCase();
+        return el.offsetParent !== null && (text === 'apply' || text === 'apply now' || text === 'apply online');
+      });
+      if (!btn) return false;
+      btn.click();
+      return true;
+    });
+  },
+
+  /**
+   * Fill the career-site sign-in form
+   */
+  async login(page, credentials = {}) {
+    const { username, password } = credentials || {};
+    if (!username || !password) {
+      console.log(`  🔐 Sign-in required - set SF_USERNAME/SF_PASSWORD or log in manually`);
+      return { success: false, error: 'No credentials configured' };
+    }
+
+    try {
+      const user = await page.$(this.selectors.loginUsername);
+      const pass = await page.$(this.selectors.loginPassword);
+      if (!user || !pass) return { success: false, error: 'Login form not found' };
+
+      await user.click({ clickCount: 3 });
+      await user.type(username, { delay: 20 });
+      await pass.click({ clickCount: 3 });
+      await pass.type(password, { delay: 20 });
+
+      const submit = await page.$(this.selectors.loginSubmit);
+      await Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 }).catch(() => {}),
+        submit ? submit.click() : page.keyboard.press('Enter')
+      ]);
+      await sleep(1500);
+
+      if (await page.$(this.selectors.loginPassword)) {
+        console.log(`  ❌ Still on sign-in page - credentials rejected?`);
+        return { success: false, error: 'Sign-in did not complete' };
+      }
+
+      console.log(`  ✅ Signed in as ${username}`);
+      return { success: true };
+
+    } catch (e) {
+      console.log(`  ❌ Sign-in failed: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async isApplicationForm(page) {
+    return page.evaluate((sel) => {
+      if (document.querySelector(sel.loginPassword)) return false;
+      const controls = document.querySelectorAll(`${sel.select}, ${sel.comboBox}, ${sel.datePicker}, .sapMInput`);
+      return controls.length >= 3;
+    }, this.selectors);
+  },
+
+  // ============================================
+  // EXTRA DISCOVERY
+  // sapMSelect is a <div role="combobox"> - no input for generic discovery
+  // ============================================
+  async discoverCustomFields(page) {
+    return page.evaluate((sel) => {
+      const core = window.sap?.ui?.getCore?.();
+      const fields = [];
+
+      const labelFor = (el) => {
+        const byFor = document.querySelector(`label[for="${el.id}"], label[for="${el.id}-inner"]`);
+        if (byFor) return byFor.textContent.trim();
+        const ids = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(id => id && id !== `${el.id}-label`);
+        const text = ids.map(id => document.getElementById(id)?.textContent?.trim() || '').filter(Boolean).join(' ');
+        return text || el.getAttribute('aria-label') || el.id;
+      };
+
+      document.querySelectorAll(sel.select).forEach(el => {
+        if (!el.id || el.offsetParent === null) return;
+        if (el.classList.contains('sapMSelectDisabled')) return;
+
+        const control = core?.byId(el.id);
+        const options = control?.getItems
+          ? control.getItems().map(item => ({ value: item.getKey?.() || '', label: item.getText() })).filter(o => o.label)
+          : [];
+        const current = control?.getSelectedItem?.()?.getText?.() ||
+                        document.getElementById(`${el.id}-label`)?.textContent?.trim() || '';
+        const label = labelFor(el);
+
+        fields.push({
+          type: 'dropdown',
+          selector: `[id="${el.id}"]`,
+          id: el.id,
+          name: '',
+          label: label.replace(/\*/g, '').trim(),
+          section: el.closest('.sapUiFormContainer, .sapUiFormResGrid, section')?.querySelector('h1, h2, h3, .sapUiFormTitle')?.textContent?.trim() || '',
+          required: el.getAttribute('aria-required') === 'true' || /\*/.test(label),
+          options,
+          currentValue: current,
+          isEmpty: !current || /^(select|please select|--)/i.test(current),
+          isUI5: true
+        });
+      });
+
+      return fields;
+    }, this.selectors);
+  },
+
+  // ============================================
+  // UI5 HELPERS
+  // ============================================
+
+  /**
+   * Resolve the UI5 control id that owns an element (inner inputs are <id>-inner)
+   */
+  async getControlId(page, selector) {
+    return page.$eval(selector, el => {
+      const owner = el.closest('[data-sap-ui]') || el;
+      return owner.getAttribute('data-sap-ui') || owner.id.replace(/-inner$/, '');
+    }).catch(() => null);
+  },
+
+  /**
+   * Read the control's current state through the UI5 API.
+   * `boundProp` names the property bound to the model (null when none) and
+   * `bound` is its value.
+   */
+  async readControlState(page, controlId) {
+    return page.evaluate((id) => {
+      const control = window.sap?.ui?.getCore?.()?.byId(id);
+      const domText = document.getElementById(`${id}-label`)?.textContent?.trim() ||
+                      document.getElementById(`${id}-inner`)?.value || '';
+      if (!control) return { hasUI5: false, text: domText, key: '', boundProp: null, bound: null };
+
+      const item = control.getSelectedItem?.();
+      const prop = control.getBinding?.('selectedKey') ? 'selectedKey'
+                 : control.getBinding?.('value') ? 'value'
+                 : control.getBinding?.('dateValue') ? 'dateValue'
+                 : null;
+      let bound = null;
+      if (prop) {
+        const b = control.getBinding(prop);
+        const v = b.getValue ? b.getValue() : b.getExternalValue?.();
+        bound = v instanceof Date ? v.toISOString() : (v ?? null);
+      }
+
+      return {
+        hasUI5: true,
+        text: item?.getText?.() || control.getValue?.() || domText,
+        key: control.getSelectedKey?.() || '',
+        dateValue: control.getDateValue?.()?.toISOString?.() || null,
+        boundProp: prop,
+        bound
+      };
+    }, controlId);
+  },
+
+  // ============================================
+  // FILL METHODS
+  // ============================================
+
+  /**
+   * Fill a text input. Inner inputs of combo boxes and date pickers are
+   * routed to their own handlers.
+   */
+  async fillTextInput(page, selector, value, label) {
+    if (value === null || value === undefined || value === '') return { success: false, skipped: true };
+
+    console.log(`\n  ┌─── DEBUG: SuccessFactors.fillTextInput("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to fill: "${value}"`);
+
+    try {
+      const element = await page.$(selector);
+      if (!element) {
+        console.log(`  │ ❌ Element NOT FOUND with selector`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const info = await element.evaluate((el, sel) => ({
+        value: el.value || '',
+        isComboBox: !!el.closest(sel.comboBox),
+        isDatePicker: !!el.closest(sel.datePicker)
+      }), this.selectors);
+
+      if (info.isComboBox) {
+        console.log(`  │ sapMComboBox inner input - delegating to fillDropdown`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.fillDropdown(page, selector, value, label);
+      }
+      if (info.isDatePicker) {
+        console.log(`  │ sapMDatePicker - delegating to fillDatePicker`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.fillDatePicker(page, selector, value, label);
+      }
+
+      if (info.value === String(value)) {
+        console.log(`  │ ⏭️ Already has correct value - skipping`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: true, skipped: true };
+      }
+
+      await element.evaluate(el => el.scrollIntoView({ block: 'center' }));
+      await element.click({ clickCount: 3 });
+      await page.keyboard.press('Backspace');
+      await element.type(String(value), { delay: 15 });
+      // UI5 Input commits its value to the model on change (fired on blur/Enter)
+      await page.keyboard.press('Tab');
+      await sleep(150);
+
+      const finalValue = await element.evaluate(el => el.value || '');
+      console.log(`  │ Final value: "${finalValue}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (finalValue.trim().length > 0) {
+        console.log(`  ✅ ${label}: "${finalValue}"`);
+        return { success: true, value: finalValue };
+      }
+      return { success: false, error: 'Value did not stick' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillSearchable(page, selector, value, label, classifier = null) {
+    return this.fillDropdown(page, selector, value, label, classifier);
+  },
+
+  async fillSkillsField(page, selector, skills, label) {
+    const list = Array.isArray(skills) ? skills : [skills];
+    const result = await this.fillTextInput(page, selector, list.join(', '), label);
+    return {
+      success: result.success,
+      addedCount: result.success ? list.length : 0,
+      totalCount: list.length,
+      addedSkills: result.success ? list : [],
+      error: result.error
+    };
+  },
+
+  /**
+   * Fill sapMSelect / sapMComboBox: open the popover, click the matching
+   * item, then confirm the control's selected key (and bound model value)
+   * actually changed
+   */
+  async fillDropdown(page, selector, values, label, classifier = null) {
+    const valuesToTry = Array.isArray(values) ? values : [values];
+    const targetValue = valuesToTry[0] === undefined || valuesToTry[0] === null ? '' : String(valuesToTry[0]);
+
+    console.log(`  ┌─── DEBUG: SuccessFactors.fillDropdown("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to find: "${targetValue}"`);
+
+    if (!targetValue) {
+      console.log(`  │ ⚠️ Value is empty - skipping this field`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const controlId = await this.getControlId(page, selector);
+      if (!controlId) {
+        console.log(`  │ ❌ Element not found`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const isNative = await page.$eval(selector, el => el.tagName === 'SELECT');
+      if (isNative) {
+        console.log(`  │ Native <select> - using page.select`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.selectNativeOption(page, selector, valuesToTry, label);
+      }
+
+      const before = await this.readControlState(page, controlId);
+      console.log(`  │ Control: ${controlId} (UI5 runtime: ${before.hasUI5 ? 'yes' : 'no'}), current: "${before.text}"`);
+
+      for (const v of valuesToTry) {
+        if (before.text && before.text.toLowerCase() === String(v).toLowerCase()) {
+          console.log(`  │ ⏭️ Already has matching value`);
+          console.log(`  └─── END DEBUG ───\n`);
+          return { success: true, selected: before.text, skipped: true };
+        }
+      }
+
+      // Open the popover: arrow icon for combo boxes, the control itself for selects
+      const opener = await page.$(`[id="${controlId}-arrow"]`) || await page.$(`[id="${controlId}"]`);
+      await opener.evaluate(el => el.scrollIntoView({ block: 'center' }));
+      await opener.click();
+      await sleep(500);
+
+      const items = await page.evaluate((id, sel) => {
+        const popup = document.getElementById(`${id}-popup`) ||
+                      document.getElementById(`${id}-valueStateText`)?.closest('.sapMPopover') ||
+                      Array.from(document.querySelectorAll('.sapMPopover, .sapMDialog')).find(p => p.offsetParent !== null);
+        const scope = popup || document;
+        return Array.from(scope.querySelectorAll(sel.popupItem))
+          .filter(li => li.offsetParent !== null)
+          .map(li => ({ id: li.id, text: li.textContent.trim() }));
+      }, controlId, this.selectors);
+
+      console.log(`  │ Popover items: ${items.length}`);
+      if (items.length === 0) {
+        await page.keyboard.press('Escape');
+        console.log(`  │ ❌ Popover did not open`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Popover did not open' };
+      }
+
+      const match = await this.matchOption(valuesToTry, label, items.map(i => i.text));
+      const item = items.find(i => i.text === match);
+      if (!item) {
+        await page.keyboard.press('Escape');
+        console.log(`  │ ❌ No item matches "${targetValue}"`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      console.log(`  │ Clicking item: "${item.text}"`);
+      const itemHandle = item.id ? await page.$(`[id="${item.id}"]`) : null;
+      if (itemHandle) {
+        await itemHandle.evaluate(el => el.scrollIntoView({ block: 'nearest' }));
+        await itemHandle.click();
+      } else {
+        await page.evaluate((text, itemSel) => {
+          const li = Array.from(document.querySelectorAll(itemSel)).find(el => el.textContent.trim() === text);
+          li?.click();
+        }, item.text, this.selectors.popupItem);
+      }
+      await sleep(400);
+
+      // Confirm through UI5, not the DOM
+      const after = await this.readControlState(page, controlId);
+      const textOk = after.text === item.text;
+      // With a binding only the model value counts; the key alone can change without it
+      const modelChanged = !after.hasUI5 || (after.boundProp
+        ? after.bound !== null && after.bound !== before.bound
+        : after.key !== before.key);
+      console.log(`  │ After: text="${after.text}" key="${after.key}" bound=${JSON.stringify(after.bound)}`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (textOk && modelChanged) {
+        console.log(`  ✅ ${label}: "${after.text}"`);
+        return { success: true, selected: after.text };
+      }
+      return { success: false, error: textOk ? 'Model value did not change' : `Selection did not stick (got "${after.text}")` };
+
+    } catch (e) {
+      await page.keyboard.press('Escape').catch(() => {});
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async selectNativeOption(page, selector, valuesToTry, label) {
+    const options = await page.$$eval(`${selector} option`, els =>
+      els.filter(o => o.value !== '').map(o => ({ value: o.value, text: o.textContent.trim() })));
+    const match = await this.matchOption(valuesToTry, label, options.map(o => o.text));
+    if (!match) return { success: false, error: 'No matching option' };
+
+    await page.select(selector, options.find(o => o.text === match).value);
+    const selected = await page.$eval(selector, el => el.options[el.selectedIndex]?.textContent.trim() || '');
+    if (selected === match) {
+      console.log(`  ✅ ${label}: "${selected}"`);
+      return { success: true, selected };
+    }
+    return { success: false, error: `Selection did not stick (got "${selected}")` };
+  },
+
+  /**
+   * Pick the option text that best matches any of the candidate values
+   * Exact/contains first, then the shared AI + keyword matcher
+   */
+  async matchOption(valuesToTry, label, options) {
+    if (!options || options.length === 0) return null;
+
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      const exact = options.find(o => o.toLowerCase() === vLower);
+      if (exact) return exact;
+    }
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      if (vLower.length < 3) continue;
+      const contains = options.find(o => o.toLowerCase().includes(vLower));
+      if (contains) return contains;
+    }
+
+    const aiResult = await WorkdayPlatform.findBestOptionWithAI(String(valuesToTry[0]), label, options, null);
+    return aiResult.bestMatch || null;
+  },
+
+  /**
+   * Fill a sapMDatePicker. Prefer the UI5 API (setDateValue + fireChange)
+   * so the model sees a real Date; fall back to typing in the locale format.
+   */
+  async fillDatePicker(page, selector, value, label) {
+    console.log(`  ┌─── DEBUG: SuccessFactors.fillDatePicker("${label}") ───`);
+    console.log(`  │ Value: "${value}"`);
+
+    try {
+      const controlId = await this.getControlId(page, selector);
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        console.log(`  │ ❌ Not a date: "${value}"`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Invalid date value' };
+      }
+
+      const viaApi = await page.evaluate((id, iso) => {
+        const control = window.sap?.ui?.getCore?.()?.byId(id);
+        if (!control?.setDateValue) return null;
+        const d = new Date(iso);
+        control.setDateValue(d);
+        // fireChange pushes the value through the binding
+        control.fireChange?.({ value: control.getValue(), valid: true });
+        return control.getValue();
+      }, controlId, date.toISOString());
+
+      if (viaApi === null) {
+        // No UI5 runtime access - type it like a user would
+        const formatted = `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+        console.log(`  │ UI5 API unavailable - typing "${formatted}"`);
+        const input = await page.$(`[id="${controlId}-inner"]`) || await page.$(selector);
+        await input.click({ clickCount: 3 });
+        await page.keyboard.press('Backspace');
+        await input.type(formatted, { delay: 20 });
+        await page.keyboard.press('Enter');
+        await sleep(200);
+      }
+
+      const after = await this.readControlState(page, controlId);
+      console.log(`  │ After: value="${after.text}" dateValue=${after.dateValue}`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (after.text) {
+        console.log(`  ✅ ${label}: "${after.text}"`);
+        return { success: true, value: after.text };
+      }
+      return { success: false, error: 'Date did not stick' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Fill a radio group - click the sapMRb wrapper, not the hidden input
+   */
+  async fillRadio(page, selector, value, label) {
+    const wanted = value === true ? 'Yes' : value === false ? 'No' : String(value);
+
+    console.log(`\n  ┌─── DEBUG: SuccessFactors.fillRadio("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value: "${wanted}"`);
+
+    try {
+      const radios = await page.$$eval(selector, (els, rbSel) => els.map(r => {
+        const wrapper = r.closest(rbSel);
+        return {
+          id: wrapper?.id || r.id,
+          checked: r.checked || wrapper?.getAttribute('aria-checked') === 'true',
+          labelText: (wrapper?.querySelector('label')?.textContent || r.labels?.[0]?.textContent || r.value || '').trim()
+        };
+      }), this.selectors.radio);
+
+      if (radios.length === 0) {
+        console.log(`  │ ❌ No radios found`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const match = await this.matchOption([wanted], label, radios.map(r => r.labelText));
+      const target = radios.find(r => r.labelText === match);
+      if (!target) {
+        console.log(`  │ ❌ No radio option matches "${wanted}"`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      if (!target.checked) {
+        await page.click(`[id="${target.id}"]`);
+        await sleep(200);
+      }
+
+      const nowChecked = await page.$eval(`[id="${target.id}"]`, el =>
+        el.getAttribute('aria-checked') === 'true' || !!el.querySelector('input:checked') || el.checked === true);
+      console.log(`  │ Now checked: ${nowChecked}`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (nowChecked) {
+        console.log(`  ✅ ${label}: "${target.labelText}"`);
+        return { success: true, selected: target.labelText };
+      }
+      return { success: false, error: 'Click did not select the radio' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillCheckbox(page, selector, shouldCheck, label) {
+    try {
+      const cb = await page.$(selector);
+      if (!cb) {
+        console.log(`  ❌ ${label}: Not found`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const state = await cb.evaluate((el, cbSel) => {
+        const wrapper = el.closest(cbSel);
+        return { checked: el.checked || wrapper?.getAttribute('aria-checked') === 'true', wrapperId: wrapper?.id || null };
+      }, this.selectors.checkbox);
+
+      if (state.checked !== shouldCheck) {
+        if (state.wrapperId) await page.click(`[id="${state.wrapperId}"]`);
+        else await cb.click();
+        await sleep(150);
+      }
+
+      console.log(`  ✅ ${label}: ${shouldCheck ? 'checked' : 'unchecked'}`);
+      return { success: true, checked: shouldCheck };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillCheckboxGroup(page, selector, value, label, classifier = null) {
+    const wanted = Array.isArray(value) ? value : [value];
+    try {
+      const boxes = await page.$$eval(`${selector} ${this.selectors.checkbox}`, els => els.map(el => ({
+        id: el.id,
+        checked: el.getAttribute('aria-checked') === 'true',
+        labelText: (el.querySelector('label')?.textContent || '').trim()
+      })));
+
+      const selected = [];
+      for (const v of wanted) {
+        const match = await this.matchOption([String(v)], label, boxes.map(b => b.labelText));
+        const box = boxes.find(b => b.labelText === match);
+        if (!box) continue;
+        if (!box.checked) {
+          await page.click(`[id="${box.id}"]`);
+          await sleep(150);
+        }
+        selected.push(box.labelText);
+      }
+
+      if (selected.length === 0) {
+        console.log(`  ❌ ${label}: No matching option for "${wanted.join(', ')}"`);
+        return { success: false, error: 'No matching option' };
+      }
+      console.log(`  ✅ ${label}: "${selected.join(', ')}"`);
+      return { success: true, selected: selected.join(', ') };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async uploadResume(page, resumePath, label) {
+    if (!resumePath) {
+      console.log(`  ⏭️ ${label}: No path configured`);
+      return { success: false, skipped: true };
+    }
+
+    try {
+      if (await page.$(this.selectors.resumeUploaded)) {
+        console.log(`  ⏭️ ${label}: Already uploaded`);
+        return { success: true, skipped: true };
+      }
+
+      const input = await page.$(this.selectors.resumeInput);
+      if (!input) {
+        console.log(`  ⏭️ ${label}: No upload input found`);
+        return { success: false, error: 'No upload input' };
+      }
+
+      await input.uploadFile(resumePath);
+      await input.evaluate(el => el.dispatchEvent(new Event('change', { bubbles: true })));
+      await sleep(2500);
+      console.log(`  ✅ ${label}: Uploaded`);
+      return { success: true };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  }
+};
+
+export default SuccessFactorsPlatform;
@@ -0,0 +1,464 @@
+// ============================================
+// TALEO PLATFORM - PUPPETEER VERSION
+// Legacy server-rendered flow at <company>.taleo.net/careersection/...
+// Plain <select>s, and both "Save and Continue" and some onchange
+// handlers post the whole form back and rebuild the page - element
+// handles never survive a step, so every method re-queries by selector.
+// ============================================
+
+import { WorkdayPlatform } from './workday.js';
+
+// Helper function for delays (Puppeteer doesn't have waitForTimeout)
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const TaleoPlatform = {
+  name: 'taleo',
+
+  // URL patterns to detect Taleo
+  urlPatterns: [
+    /\.taleo\.net/i
+  ],
+
+  // Tells MultiPageNavigator that Next reloads the entire document
+  fullPagePostback: true,
+
+  // ============================================
+  // STATIC SELECTORS - Taleo ids are long generated paths, so match suffixes
+  // ============================================
+  selectors: {
+    nextButton: [
+      '[id$="saveContinueCmdBottom"]',
+      '[id$="saveContinueCmdTop"]',
+      'input[type="submit"][value="Save and Continue"]',
+      'input[type="button"][value="Save and Continue"]',
+      '[id$="AcceptButton"]',
+      'input[type="button"][value="I Accept"]',
+      'input[type="submit"][value="Accept"]'
+    ],
+    submitButton: '[id$="submitCmdBottom"], [id$="submitCmdTop"], input[value="Submit"]',
+    pageTitle: '.titlepage, #et-ef-content-ftf-gp-page-title, h1, h2',
+    errorBox: '.errorlist, .error-message, [id$="errorMessages"]',
+
+    // Login step
+    loginPassword: 'input[type="password"]',
+
+    // Resume
+    resumeInput: 'input[type="file"]',
+    resumeAttachButton: '[id$="attachFileCommand"], input[value="Attach"]',
+    resumeUploaded: '[id$="attachedFilesTable"] a, .attachment-name'
+  },
+
+  // ============================================
+  // POSTBACK HANDLING
+  // ============================================
+
+  /**
+   * Wait for a full-page postback to finish.
+   * Taleo often posts back to the same URL, so the URL can't be trusted -
+   * instead a marker is planted on window and we wait for a document that
+   * doesn't have it.
+   */
+  async markDocument(page) {
+    await page.evaluate(() => { window.__jobfillPostbackMarker = true; }).catch(() => {});
+  },
+
+  // Polls for the unmarked document instead of waiting on navigation: the
+  // click has already happened, and a fast postback can finish before a
+  // navigation listener would be registered. Returns whether it settled.
+  async waitForPostback(page, timeout = 15000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      // An evaluate issued mid-navigation can hang until the new document exists
+      const settled = await Promise.race([
+        page.evaluate(() => !window.__jobfillPostbackMarker && document.readyState === 'complete').catch(() => false),
+        sleep(Math.max(0, deadline - Date.now())).then(() => false)
+      ]);
+      if (settled) {
+        await sleep(800);
+        return true;
+      }
+      await sleep(250);
+    }
+    console.log(`  │ ⚠️ Postback did not finish within ${timeout / 1000}s`);
+    return false;
+  },
+
+  /**
+   * Some selects (country, state) post back on change. Give the postback
+   * a moment to start; if it does, wait for it to finish.
+   */
+  async settleAfterChange(page) {
+    const reloaded = await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 1500 })
+      .then(() => true)
+      .catch(() => false);
+    if (reloaded) {
+      console.log(`  │ ↻ Field triggered a postback - waiting for page rebuild`);
+      await page.waitForFunction(() => document.readyState === 'complete', { timeout: 15000 }).catch(() => {});
+      await sleep(800);
+    }
+    return reloaded;
+  },
+
+  // ============================================
+  // STEP DETECTION
+  // ============================================
+  async detectStep(page) {
+    const info = await page.evaluate((sel) => {
+      const title = Array.from(document.querySelectorAll(sel.pageTitle))
+        .map(el => el.textContent.trim()).filter(Boolean)[0] || '';
+      const stepMatch = (document.body?.innerText || '').match(/step\s*(\d+)\s*(?:of|\/)\s*(\d+)/i);
+      return {
+        title,
+        currentStep: stepMatch ? parseInt(stepMatch[1]) : null,
+        totalSteps: stepMatch ? parseInt(stepMatch[2]) : null,
+        hasPassword: !!document.querySelector(sel.loginPassword),
+        hasSubmit: !!document.querySelector(sel.submitButton)
+      };
+    }, this.selectors);
+
+    const t = info.title.toLowerCase();
+    let pageType = 'unknown';
+    if (info.hasPassword) pageType = 'login';
+    else if (t.includes('privacy') || t.includes('agreement') || t.includes('legal')) pageType = 'agreement';
+    else if (t.includes('review') || (info.hasSubmit && !t)) pageType = 'review';
+    else if (t.includes('diversity') || t.includes('eeo') || t.includes('voluntary') || t.includes('self-identification')) pageType = 'eeo_voluntary';
+    else if (t.includes('work experience') || t.includes('employment')) pageType = 'experience';
+    else if (t.includes('education')) pageType = 'education';
+    else if (t.includes('attachment') || t.includes('resume') || t.includes('upload')) pageType = 'resume_upload';
+    else if (t.includes('question') || t.includes('prescreening') || t.includes('job specific')) pageType = 'questions';
+    else if (t.includes('personal') || t.includes('profile') || t.includes('general')) pageType = 'personal_info';
+
+    return {
+      found: info.currentStep !== null,
+      pageType,
+      currentStep: info.currentStep,
+      totalSteps: info.totalSteps,
+      text: info.title
+    };
+  },
+
+  async isSubmissionPage(page) {
+    const step = await this.detectStep(page);
+    return step.pageType === 'review';
+  },
+
+  // ============================================
+  // FILL METHODS
+  // ============================================
+
+  async fillTextInput(page, selector, value, label) {
+    if (value === null || value === undefined || value === '') return { success: false, skipped: true };
+
+    console.log(`\n  ┌─── DEBUG: Taleo.fillTextInput("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to fill: "${value}"`);
+
+    try {
+      const element = await page.$(selector);
+      if (!element) {
+        console.log(`  │ ❌ Element NOT FOUND with selector`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const current = await element.evaluate(el => el.value || '');
+      if (current === String(value)) {
+        console.log(`  │ ⏭️ Already has correct value - skipping`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: true, skipped: true };
+      }
+
+      // Setting the value directly is more reliable than typing on these
+      // pages - some inputs have keypress masks that drop characters
+      await element.evaluate((el, v) => {
+        el.focus();
+        el.value = v;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        el.blur();
+      }, String(value));
+      await sleep(100);
+
+      const finalValue = await page.$eval(selector, el => el.value || '').catch(() => '');
+      console.log(`  │ Final value: "${finalValue}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (finalValue === String(value)) {
+        console.log(`  ✅ ${label}: "${finalValue}"`);
+        return { success: true, value: finalValue };
+      }
+      return { success: false, error: `Value mismatch (got "${finalValue}")` };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillSearchable(page, selector, value, label, classifier = null) {
+    return this.fillTextInput(page, selector, value, label);
+  },
+
+  async fillSkillsField(page, selector, skills, label) {
+    const list = Array.isArray(skills) ? skills : [skills];
+    const result = await this.fillTextInput(page, selector, list.join(', '), label);
+    return {
+      success: result.success,
+      addedCount: result.success ? list.length : 0,
+      totalCount: list.length,
+      addedSkills: result.success ? list : [],
+      error: result.error
+    };
+  },
+
+  /**
+   * Fill an old-style <select>. Re-reads by selector afterwards because a
+   * change handler may have rebuilt the page.
+   */
+  async fillDropdown(page, selector, values, label, classifier = null) {
+    const valuesToTry = Array.isArray(values) ? values : [values];
+    const targetValue = valuesToTry[0] === undefined || valuesToTry[0] === null ? '' : String(valuesToTry[0]);
+
+    console.log(`  ┌─── DEBUG: Taleo.fillDropdown("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value to find: "${targetValue}"`);
+
+    if (!targetValue) {
+      console.log(`  │ ⚠️ Value is empty - skipping this field`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const state = await page.$eval(selector, el => ({
+        tagName: el.tagName,
+        current: el.tagName === 'SELECT' && el.selectedIndex > 0 ? el.options[el.selectedIndex].textContent.trim() : '',
+        // Taleo placeholders use value "" or "-1"
+        options: el.tagName === 'SELECT'
+          ? Array.from(el.options).filter(o => o.value !== '' && o.value !== '-1').map(o => ({ value: o.value, text: o.textContent.trim() }))
+          : []
+      })).catch(() => null);
+
+      if (!state) {
+        console.log(`  │ ❌ Element not found`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      if (state.tagName !== 'SELECT') {
+        console.log(`  │ Not a <select> - treating as text`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.fillTextInput(page, selector, targetValue, label);
+      }
+
+      for (const v of valuesToTry) {
+        if (state.current && state.current.toLowerCase() === String(v).toLowerCase()) {
+          console.log(`  │ ⏭️ Already has matching value`);
+          console.log(`  └─── END DEBUG ───\n`);
+          return { success: true, selected: state.current, skipped: true };
+        }
+      }
+
+      const match = await this.matchOption(valuesToTry, label, state.options.map(o => o.text));
+      if (!match) {
+        console.log(`  │ ❌ No option matches "${targetValue}" (${state.options.length} options)`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      const option = state.options.find(o => o.text === match);
+      await page.select(selector, option.value);
+      await this.settleAfterChange(page);
+
+      const selected = await page.$eval(selector, el => el.options[el.selectedIndex]?.textContent.trim() || '').catch(() => '');
+      console.log(`  │ Selected: "${selected}"`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (selected === match) {
+        console.log(`  ✅ ${label}: "${selected}"`);
+        return { success: true, selected };
+      }
+      return { success: false, error: `Selection did not stick (got "${selected}")` };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Pick the option text that best matches any of the candidate values
+   * Exact/contains first, then the shared AI + keyword matcher
+   */
+  async matchOption(valuesToTry, label, options) {
+    if (!options || options.length === 0) return null;
+
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      const exact = options.find(o => o.toLowerCase() === vLower);
+      if (exact) return exact;
+    }
+    for (const v of valuesToTry) {
+      const vLower = String(v).toLowerCase().trim();
+      if (vLower.length < 3) continue;
+      const contains = options.find(o => o.toLowerCase().includes(vLower));
+      if (contains) return contains;
+    }
+
+    const aiResult = await WorkdayPlatform.findBestOptionWithAI(String(valuesToTry[0]), label, options, null);
+    return aiResult.bestMatch || null;
+  },
+
+  async fillRadio(page, selector, value, label) {
+    const wanted = value === true ? 'Yes' : value === false ? 'No' : String(value);
+
+    console.log(`\n  ┌─── DEBUG: Taleo.fillRadio("${label}") ───`);
+    console.log(`  │ Selector: ${selector}`);
+    console.log(`  │ Value: "${wanted}"`);
+
+    try {
+      const radios = await page.$$eval(selector, els => els.map(r => ({
+        id: r.id,
+        value: r.value,
+        checked: r.checked,
+        labelText: (r.labels?.[0]?.textContent || document.querySelector(`label[for="${r.id}"]`)?.textContent || r.value || '').trim()
+      })));
+
+      if (radios.length === 0) {
+        console.log(`  │ ❌ No radios found`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'Not found' };
+      }
+
+      const match = await this.matchOption([wanted], label, radios.map(r => r.labelText));
+      const target = radios.find(r => r.labelText === match);
+      if (!target) {
+        console.log(`  │ ❌ No radio option matches "${wanted}"`);
+        console.log(`  └─── END DEBUG ───\n`);
+        return { success: false, error: 'No matching option' };
+      }
+
+      const targetSelector = target.id ? `[id="${target.id}"]` : `${selector}[value="${target.value}"]`;
+      if (!target.checked) {
+        await page.click(targetSelector);
+        await this.settleAfterChange(page);
+      }
+
+      const nowChecked = await page.$eval(targetSelector, el => el.checked).catch(() => false);
+      console.log(`  │ Now checked: ${nowChecked}`);
+      console.log(`  └─── END DEBUG ───\n`);
+
+      if (nowChecked) {
+        console.log(`  ✅ ${label}: "${target.labelText}"`);
+        return { success: true, selected: target.labelText };
+      }
+      return { success: false, error: 'Click did not select the radio' };
+
+    } catch (e) {
+      console.log(`  │ ❌ ERROR: ${e.message}`);
+      console.log(`  └─── END DEBUG ───\n`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillCheckbox(page, selector, shouldCheck, label) {
+    try {
+      const isChecked = await page.$eval(selector, el => el.checked).catch(() => null);
+      if (isChecked === null) {
+        console.log(`  ❌ ${label}: Not found`);
+        return { success: false, error: 'Not found' };
+      }
+
+      if (isChecked !== shouldCheck) {
+        await page.click(selector);
+        await this.settleAfterChange(page);
+      }
+
+      console.log(`  ✅ ${label}: ${shouldCheck ? 'checked' : 'unchecked'}`);
+      return { success: true, checked: shouldCheck };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  async fillCheckboxGroup(page, selector, value, label, classifier = null) {
+    const wanted = Array.isArray(value) ? value : [value];
+    try {
+      const options = await page.$$eval(`${selector} input[type="checkbox"]`, els => els.map(cb => ({
+        id: cb.id,
+        checked: cb.checked,
+        labelText: (cb.labels?.[0]?.textContent || document.querySelector(`label[for="${cb.id}"]`)?.textContent || cb.value || '').trim()
+      })));
+
+      const selected = [];
+      for (const v of wanted) {
+        const match = await this.matchOption([String(v)], label, options.map(o => o.labelText));
+        const option = options.find(o => o.labelText === match);
+        if (!option) continue;
+        if (!option.checked) {
+          await page.click(`[id="${option.id}"]`);
+          await sleep(100);
+        }
+        selected.push(option.labelText);
+      }
+
+      if (selected.length === 0) {
+        console.log(`  ❌ ${label}: No matching option for "${wanted.join(', ')}"`);
+        return { success: false, error: 'No matching option' };
+      }
+      console.log(`  ✅ ${label}: "${selected.join(', ')}"`);
+      return { success: true, selected: selected.join(', ') };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
+  /**
+   * Attach the resume - "Attach" posts the page back with the file listed
+   */
+  async uploadResume(page, resumePath, label) {
+    if (!resumePath) {
+      console.log(`  ⏭️ ${label}: No path configured`);
+      return { success: false, skipped: true };
+    }
+
+    try {
+      if (await page.$(this.selectors.resumeUploaded)) {
+        console.log(`  ⏭️ ${label}: Already uploaded`);
+        return { success: true, skipped: true };
+      }
+
+      const input = await page.$(this.selectors.resumeInput);
+      if (!input) {
+        console.log(`  ⏭️ ${label}: No upload input found`);
+        return { success: false, error: 'No upload input' };
+      }
+
+      await input.uploadFile(resumePath);
+
+      const attach = await page.$(this.selectors.resumeAttachButton);
+      if (attach) {
+        await this.markDocument(page);
+        await attach.click();
+        await this.waitForPostback(page);
+      } else {
+        await sleep(1500);
+      }
+
+      console.log(`  ✅ ${label}: Uploaded`);
+      return { success: true };
+
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  }
+};
+
+export default TaleoPlatform;
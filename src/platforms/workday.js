@@ -3,6 +3,9 @@
 // Uses Puppeteer methods (not Playwright)
 // ============================================
 
+import { fillEvent } from '../fill-events.js';
+import { getLLMProvider } from '../llm-provider.js';
+
 // Helper function for delays (Puppeteer doesn't have waitForTimeout)
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -62,6 +65,44 @@ export const WorkdayPlatform = {
     resumeButton: '[data-automation-id="select-files"]',
   },
 
+  // ============================================
+  // REPEATED SECTIONS - "My Experience" page
+  // Used by RepeatedSectionFiller; one panel per profile entry,
+  // more are added with the section's "Add" / "Add Another" button.
+  // Field selectors are relative to the entry panel.
+  // ============================================
+  repeatedSections: {
+    workHistory: {
+      title: 'Work Experience',
+      section: '[aria-labelledby="Work-Experience-section"], [data-automation-id="workExperienceSection"]',
+      entry: '[role="group"][aria-labelledby^="Work-Experience-"][aria-labelledby$="-panel"], [data-automation-id^="workExperience-"]',
+      addButton: 'button[data-automation-id="add-button"]',
+      fields: {
+        title: { selector: 'input[id$="--jobTitle"], input[data-automation-id="jobTitle"]', type: 'text', label: 'Job Title' },
+        company: { selector: 'input[id$="--companyName"], input[data-automation-id="company"]', type: 'text', label: 'Company' },
+        location: { selector: 'input[id$="--location"], input[data-automation-id="location"]', type: 'text', label: 'Location' },
+        current: { selector: 'input[id$="--currentlyWorkHere"], input[data-automation-id="currentlyWorkHere"]', type: 'checkbox', label: 'I currently work here' },
+        startDate: { selector: '[id$="--startDate"], [data-automation-id="formField-startDate"]', type: 'date', label: 'From' },
+        endDate: { selector: '[id$="--endDate"], [data-automation-id="formField-endDate"]', type: 'date', label: 'To' },
+        description: { selector: 'textarea[id$="--roleDescription"], textarea[data-automation-id="description"]', type: 'text', label: 'Role Description' }
+      }
+    },
+    educationHistory: {
+      title: 'Education',
+      section: '[aria-labelledby="Education-section"], [data-automation-id="educationSection"]',
+      entry: '[role="group"][aria-labelledby^="Education-"][aria-labelledby$="-panel"], [data-automation-id^="education-"]',
+      addButton: 'button[data-automation-id="add-button"]',
+      fields: {
+        school: { selector: 'input[id$="--schoolName"], input[id*="school"]', type: 'searchable', label: 'School or University' },
+        degree: { selector: 'button[id$="--degree"], button[id*="degree"]', type: 'dropdown', label: 'Degree' },
+        fieldOfStudy: { selector: 'input[id$="--fieldOfStudy"], input[id*="fieldOfStudy"]', type: 'searchable', label: 'Field of Study' },
+        gpa: { selector: 'input[id$="--gradeAverage"], input[id*="gpa" i]', type: 'text', label: 'Overall Result (GPA)' },
+        startDate: { selector: '[id$="--firstYearAttended"], [data-automation-id="formField-firstYearAttended"]', type: 'date', label: 'From' },
+        endDate: { selector: '[id$="--lastYearAttended"], [data-automation-id="formField-lastYearAttended"]', type: 'date', label: 'To (Actual or Expected)' }
+      }
+    }
+  },
+
   // ============================================
   // NATIVE PLAYWRIGHT FILL METHODS
   // These bypass CSP by using browser-level automation
@@ -433,7 +474,7 @@ export const WorkdayPlatform = {
         
         // Verify focus (should be focused from click above)
         const focusInfo = await page.evaluate((sel) => {
-          const el = document.querySelector(sel);
+          const el = window.__jobfillDeepQuery(sel);
           const focused = document.activeElement === el;
           return {
             focused,
@@ -489,7 +530,7 @@ export const WorkdayPlatform = {
         for (let retry = 0; retry < 10; retry++) {
           popupFound = await page.evaluate((inputSel, expectedSkill) => {
             // Get input field position to find closest popup
-            const inputEl = document.querySelector(inputSel);
+            const inputEl = window.__jobfillDeepQuery(inputSel);
             if (!inputEl) return { found: false };
             
             const inputRect = inputEl.getBoundingClientRect();
@@ -602,7 +643,7 @@ export const WorkdayPlatform = {
         // Now click the first option using REAL mouse click (not JavaScript click)
         const clickResult = await page.evaluate((inputSel, expectedSkill) => {
           // Get input field position to find closest popup
-          const inputEl = document.querySelector(inputSel);
+          const inputEl = window.__jobfillDeepQuery(inputSel);
           if (!inputEl) return { success: false, reason: 'Input not found' };
           
           const inputRect = inputEl.getBoundingClientRect();
@@ -703,7 +744,7 @@ export const WorkdayPlatform = {
         
         // Check multiple indicators of success
         const successCheck = await page.evaluate((sel) => {
-          const input = document.querySelector(sel);
+          const input = window.__jobfillDeepQuery(sel);
           if (!input) return { success: false, reason: 'Input not found' };
           
           const container = input.closest('[data-automation-id*="formField"]');
@@ -791,6 +832,63 @@ export const WorkdayPlatform = {
     };
   },
 
+  /**
+   * Fill a native <select>: pick the option by text (exact, contains, then
+   * the AI matcher), select it and fire change for the page's listeners
+   */
+  async fillNativeSelect(page, selector, valuesToTry, label, classifier = null) {
+    try {
+      const state = await page.$eval(selector, el => ({
+        current: el.selectedIndex >= 0 && el.value !== '' ? el.options[el.selectedIndex].textContent.trim() : '',
+        options: Array.from(el.options).filter(o => o.value !== '').map(o => ({ value: o.value, text: o.textContent.trim() }))
+      }));
+      const texts = state.options.map(o => o.text);
+      fillEvent('options_read', { field: label, control: 'dropdown', count: texts.length, via: 'select', sample: texts.slice(0, 5) });
+      
+      for (const v of valuesToTry) {
+        if (state.current && state.current.toLowerCase() === String(v).toLowerCase()) {
+          console.log(`  ⏭️ ${label}: Already "${state.current}"`);
+          return { success: true, selected: state.current, skipped: true };
+        }
+      }
+      
+      let match = null;
+      let via = 'match';
+      for (const v of valuesToTry) {
+        const vLower = String(v).toLowerCase().trim();
+        match = texts.find(t => t.toLowerCase() === vLower) ||
+          (vLower.length >= 3 ? texts.find(t => t.toLowerCase().includes(vLower)) : null);
+        if (match) break;
+      }
+      if (!match && texts.length > 0) {
+        match = (await this.findBestOptionWithAI(String(valuesToTry[0]), label, texts, classifier)).bestMatch || null;
+        via = 'ai';
+      }
+      if (!match) {
+        console.log(`  ❌ ${label}: No option matches "${valuesToTry[0]}" (${texts.length} options)`);
+        return { success: false, error: 'No matching option' };
+      }
+      
+      const option = state.options.find(o => o.text === match);
+      // Fires input and change, so the page's listeners see the choice
+      await page.select(selector, option.value);
+      fillEvent('option_chosen', { field: label, control: 'dropdown', option: match, via });
+      await sleep(150);
+      
+      const selected = await page.$eval(selector, el => el.options[el.selectedIndex]?.textContent.trim() || '');
+      if (selected !== match) {
+        fillEvent('verify_failed', { field: label, control: 'dropdown', expected: match, shown: selected });
+        return { success: false, error: `Selection did not stick (got "${selected}")` };
+      }
+      fillEvent('field_verified', { field: label, control: 'dropdown', shown: selected });
+      console.log(`  ✅ ${label}: "${selected}"`);
+      return { success: true, selected };
+    } catch (e) {
+      console.log(`  ❌ ${label}: ${e.message}`);
+      return { success: false, error: e.message };
+    }
+  },
+
   /**
    * Fill a dropdown by clicking and selecting option
    * Uses native click() and keyboard navigation
@@ -820,6 +918,13 @@ export const WorkdayPlatform = {
         return { success: false, error: 'Not found' };
       }
       
+      // Native <select> (discovered on every site; this adapter is the
+      // fallback for unknown ones)
+      if (await btn.evaluate(el => el.tagName === 'SELECT')) {
+        console.log(`  └─── END DEBUG ───\n`);
+        return this.fillNativeSelect(page, selector, valuesToTry, label, classifier);
+      }
+      
       // CRITICAL: Scroll button into view BEFORE getting position
       await btn.evaluate(el => el.scrollIntoView({ block: 'center' }));
       await sleep(300);
@@ -926,7 +1031,7 @@ export const WorkdayPlatform = {
       
       if (typeAheadResult.found && typeAheadResult.exact) {
         // Only proceed if we found an EXACT match
-        console.log(`  │   ✓ Found "${typeAheadResult.text}" (exact: ${typeAheadResult.exact})`);
+        fillEvent('option_chosen', { field: label, control: 'dropdown', option: typeAheadResult.text, via: 'type_ahead' });
         console.log(`  │   ACTION: Clicking at (${typeAheadResult.x.toFixed(0)}, ${typeAheadResult.y.toFixed(0)})...`);
         
         // Click with Puppeteer
@@ -936,14 +1041,13 @@ export const WorkdayPlatform = {
         // Verify
         const newBtnText = await btn.evaluate(el => el.textContent || '').catch(() => '');
         if (newBtnText && !newBtnText.toLowerCase().includes('select')) {
-          console.log(`  │   Button now shows: "${newBtnText.trim()}"`);
-          console.log(`  │`);
-          console.log(`  │ ✅ SUCCESS - "${newBtnText.trim()}" selected via type-ahead`);
+          fillEvent('field_verified', { field: label, control: 'dropdown', shown: newBtnText.trim() });
           console.log(`  └─── END DEBUG ───\n`);
           console.log(`  ✅ ${label}: "${typeAheadResult.text}"`);
           return { success: true, selected: typeAheadResult.text };
         }
         
+        fillEvent('verify_failed', { field: label, control: 'dropdown', shown: newBtnText.trim(), expected: typeAheadResult.text });
         console.log(`  │   ⚠️ Click didn't register, trying keyboard...`);
         // Try keyboard as fallback
         await page.keyboard.press('ArrowDown');
@@ -953,7 +1057,7 @@ export const WorkdayPlatform = {
         
         const newBtnText2 = await btn.evaluate(el => el.textContent || '').catch(() => '');
         if (newBtnText2 && !newBtnText2.toLowerCase().includes('select')) {
-          console.log(`  │   ✅ Keyboard selection worked: "${newBtnText2.trim()}"`);
+          fillEvent('field_verified', { field: label, control: 'dropdown', shown: newBtnText2.trim(), via: 'keyboard' });
           console.log(`  └─── END DEBUG ───\n`);
           console.log(`  ✅ ${label}: "${newBtnText2.trim()}"`);
           return { success: true, selected: newBtnText2.trim() };
@@ -1155,7 +1259,7 @@ export const WorkdayPlatform = {
       }
       
       const sortedOptions = allOptionsResult.options.sort();
-      console.log(`  │   Collected ${sortedOptions.length} unique options`);
+      fillEvent('options_read', { field: label, control: 'dropdown', count: sortedOptions.length, via: 'scroll', sample: sortedOptions.slice(0, 5) });
       
       // Sanity check
       if (targetPopup.optionCount >= 5 && sortedOptions.length < targetPopup.optionCount - 1) {
@@ -1183,7 +1287,7 @@ export const WorkdayPlatform = {
         return { success: false, error: 'No matching option' };
       }
       
-      console.log(`  │   🤖 AI selected: "${aiResult.bestMatch}" (${(aiResult.confidence * 100).toFixed(0)}%)`);
+      fillEvent('option_chosen', { field: label, control: 'dropdown', option: aiResult.bestMatch, via: 'ai', confidence: aiResult.confidence });
       
       // ============================================
       // STEP 4: SCROLL TO OPTION AND CLICK (ensure visible in viewport)
@@ -1293,17 +1397,16 @@ export const WorkdayPlatform = {
           await sleep(400);
           
           let newBtnText = await btn.evaluate(el => el.textContent || '').catch(() => '');
-          console.log(`  │   Button now shows: "${newBtnText.trim()}"`);
           
           if (newBtnText && !newBtnText.toLowerCase().includes('select')) {
-            console.log(`  │`);
-            console.log(`  │ ✅ SUCCESS - "${newBtnText.trim()}" selected`);
+            fillEvent('field_verified', { field: label, control: 'dropdown', shown: newBtnText.trim() });
             console.log(`  └─── END DEBUG ───\n`);
             console.log(`  ✅ ${label}: "${aiResult.bestMatch}"`);
             return { success: true, selected: aiResult.bestMatch };
           }
           
           // Puppeteer click didn't work, try JavaScript click
+          fillEvent('verify_failed', { field: label, control: 'dropdown', shown: newBtnText.trim(), expected: aiResult.bestMatch });
           console.log(`  │   Puppeteer click didn't work, trying JS click...`);
           
           await page.evaluate((text, targetTop, targetLeft) => {
@@ -1329,15 +1432,14 @@ export const WorkdayPlatform = {
           await sleep(400);
           
           newBtnText = await btn.evaluate(el => el.textContent || '').catch(() => '');
-          console.log(`  │   After JS click, button shows: "${newBtnText.trim()}"`);
           
           if (newBtnText && !newBtnText.toLowerCase().includes('select')) {
-            console.log(`  │`);
-            console.log(`  │ ✅ SUCCESS (via JS click) - "${newBtnText.trim()}" selected`);
+            fillEvent('field_verified', { field: label, control: 'dropdown', shown: newBtnText.trim(), via: 'js_click' });
             console.log(`  └─── END DEBUG ───\n`);
             console.log(`  ✅ ${label}: "${aiResult.bestMatch}"`);
             return { success: true, selected: aiResult.bestMatch };
           }
+          fillEvent('verify_failed', { field: label, control: 'dropdown', shown: newBtnText.trim(), expected: aiResult.bestMatch });
         }
         
         if (clickResult.scrolledWithinPopup) {
@@ -1484,7 +1586,7 @@ export const WorkdayPlatform = {
         console.log(`  │   ⚠️ Wrong element focused! Expected "${inputInfo.id}", got "${focusedAfterClick.id}"`);
         console.log(`  │   ACTION: Attempting JavaScript focus...`);
         await page.evaluate((sel) => {
-          const el = document.querySelector(sel);
+          const el = window.__jobfillDeepQuery(sel);
           if (el) {
             el.focus();
             el.click();
@@ -1556,14 +1658,12 @@ export const WorkdayPlatform = {
         console.log(`  │   Pill found: ${pillCheck.found} ${pillCheck.text ? `("${pillCheck.text}")` : ''}`);
         
         if (pillCheck.found || (finalValue && finalValue.toLowerCase().includes(value.toLowerCase().substring(0, 10)))) {
-          console.log(`  │`);
-          console.log(`  │ ✅ SUCCESS - School field filled`);
+          fillEvent('field_verified', { field: label, control: 'searchable', shown: pillCheck.text || finalValue, via: 'enter' });
           console.log(`  └─── END DEBUG ───\n`);
           console.log(`  ✅ ${label}: "${pillCheck.text || finalValue}"`);
           return { success: true, selected: pillCheck.text || finalValue };
         } else {
-          console.log(`  │`);
-          console.log(`  │ ❌ FAILED - School field not confirmed`);
+          fillEvent('verify_failed', { field: label, control: 'searchable', shown: finalValue, expected: value });
           console.log(`  └─── END DEBUG ───\n`);
           return { success: false, error: 'School not confirmed after Enter' };
         }
@@ -1601,11 +1701,7 @@ export const WorkdayPlatform = {
         
         const allOptions = await WorkdayPlatform.scrollAndCollectAllOptions(page, inputRect);
         
-        console.log(`  │   Total options loaded: ${allOptions.length}`);
-        if (allOptions.length > 0) {
-          console.log(`  │   First 3: ${allOptions.slice(0, 3).join(', ')}`);
-          console.log(`  │   Last 3: ${allOptions.slice(-3).join(', ')}`);
-        }
+        fillEvent('options_read', { field: label, control: 'searchable', count: allOptions.length, via: 'scroll', sample: allOptions.slice(0, 5) });
         
         if (allOptions.length === 0) {
           console.log(`  │   ❌ No options found in dropdown`);
@@ -1627,14 +1723,14 @@ export const WorkdayPlatform = {
         let selectedOption = null;
         
         if (exactMatch) {
-          console.log(`  │   ✓ Exact match found: "${exactMatch}"`);
+          fillEvent('option_chosen', { field: label, control: 'searchable', option: exactMatch, via: 'match' });
           selectedOption = exactMatch;
         } else {
           // Use AI semantic matching
           console.log(`  │   No exact match. Using AI semantic matching...`);
           const aiResult = await WorkdayPlatform.findBestOptionWithAI(value, label, allOptions, classifier);
           if (aiResult.bestMatch) {
-            console.log(`  │   🤖 AI selected: "${aiResult.bestMatch}" (${(aiResult.confidence * 100).toFixed(1)}%)`);
+            fillEvent('option_chosen', { field: label, control: 'searchable', option: aiResult.bestMatch, via: 'ai', confidence: aiResult.confidence });
             selectedOption = aiResult.bestMatch;
           }
         }
@@ -1663,14 +1759,13 @@ export const WorkdayPlatform = {
           if (pillCheck.found) {
             // IMPORTANT: Verify the pill text matches what we wanted!
             if (pillCheck.text === selectedOption) {
-              console.log(`  │`);
-              console.log(`  │ ✅ SUCCESS - "${pillCheck.text}" selected (exact match)`);
+              fillEvent('field_verified', { field: label, control: 'searchable', shown: pillCheck.text });
               console.log(`  └─── END DEBUG ───\n`);
               console.log(`  ✅ ${label}: "${pillCheck.text}"`);
               return { success: true, selected: pillCheck.text };
             } else {
               // Wrong option was selected! This shouldn't happen with mouse click
-              console.log(`  │   ⚠️ WARNING: Pill shows "${pillCheck.text}" but we wanted "${selectedOption}"`);
+              fillEvent('verify_failed', { field: label, control: 'searchable', shown: pillCheck.text, expected: selectedOption });
               console.log(`  │   Attempting to clear and retry...`);
               
               // Try to clear the wrong selection and retry
@@ -1688,7 +1783,7 @@ export const WorkdayPlatform = {
                     return { found: !!pill, text: pill?.textContent?.trim() };
                   });
                   if (retryPill.found && retryPill.text === selectedOption) {
-                    console.log(`  │   ✅ Retry succeeded! "${retryPill.text}" selected`);
+                    fillEvent('field_verified', { field: label, control: 'searchable', shown: retryPill.text, via: 'retry' });
                     console.log(`  └─── END DEBUG ───\n`);
                     return { success: true, selected: retryPill.text };
                   }
@@ -1697,6 +1792,7 @@ export const WorkdayPlatform = {
               
               // Accept what we got if close enough
               console.log(`  │   Accepting "${pillCheck.text}" as close enough`);
+              fillEvent('field_verified', { field: label, control: 'searchable', shown: pillCheck.text, via: 'close_enough' });
               console.log(`  └─── END DEBUG ───\n`);
               console.log(`  ✅ ${label}: "${pillCheck.text}"`);
               return { success: true, selected: pillCheck.text };
@@ -1707,14 +1803,13 @@ export const WorkdayPlatform = {
             // Check if input has value even without pill
             const inputVal = await input.evaluate(el => el.value);
             if (inputVal && inputVal.toLowerCase().includes(selectedOption.toLowerCase().split(' ')[0])) {
-              console.log(`  │`);
-              console.log(`  │ ✅ SUCCESS - "${inputVal}" in input (no pill)`);
+              fillEvent('field_verified', { field: label, control: 'searchable', shown: inputVal, via: 'input_value' });
               console.log(`  └─── END DEBUG ───\n`);
               console.log(`  ✅ ${label}: "${inputVal}"`);
               return { success: true, selected: inputVal };
             }
             
-            console.log(`  │   ❌ Click did not produce a selection`);
+            fillEvent('verify_failed', { field: label, control: 'searchable', shown: inputVal, expected: selectedOption });
           }
         }
         
@@ -2074,14 +2169,7 @@ export const WorkdayPlatform = {
         
         previousOptionsKey = currentOptionsKey;
         
-        console.log(`  │   Found ${visibleOptions.length} options:`);
-        for (const opt of visibleOptions.slice(0, 15)) {
-          const depthMarker = opt.depth === 'nested' ? '  ↳ ' : '';
-          console.log(`  │     ${depthMarker}- "${opt.text.substring(0, 50)}"`);
-        }
-        if (visibleOptions.length > 15) {
-          console.log(`  │     ... and ${visibleOptions.length - 15} more`);
-        }
+        fillEvent('options_read', { field: label, control: 'searchable', count: visibleOptions.length, via: `search (depth ${depth})`, sample: visibleOptions.slice(0, 5).map(o => o.text) });
         
         // Strategy 1: Check for exact match first
         const searchLower = value.toLowerCase();
@@ -2091,7 +2179,7 @@ export const WorkdayPlatform = {
         );
         
         if (exactMatch) {
-          console.log(`  │   ✓ Exact match found: "${exactMatch.text}"`);
+          fillEvent('option_chosen', { field: label, control: 'searchable', option: exactMatch.text, via: 'match' });
           
           // Click the exact match - use more comprehensive selectors
           const clicked = await page.evaluate((targetText) => {
@@ -2189,7 +2277,7 @@ export const WorkdayPlatform = {
           );
           
           if (aiMatchResult.bestMatch) {
-            console.log(`  │   🤖 AI selected: "${aiMatchResult.bestMatch}" (confidence: ${(aiMatchResult.confidence * 100).toFixed(1)}%)`);
+            fillEvent('option_chosen', { field: label, control: 'searchable', option: aiMatchResult.bestMatch, via: 'ai', confidence: aiMatchResult.confidence });
             
             // Click the AI-selected option - use improved clicking
             const clicked = await page.evaluate((targetText) => {
@@ -2356,7 +2444,7 @@ export const WorkdayPlatform = {
       
       console.log(`  │`);
       if (success) {
-        console.log(`  │ ✅ SUCCESS - "${finalSelectedText}" selected`);
+        fillEvent('field_verified', { field: label, control: 'searchable', shown: finalSelectedText });
         console.log(`  └─── END DEBUG ───\n`);
         console.log(`  ✅ ${label}: "${finalSelectedText}"`);
         return { success: true, selected: finalSelectedText };
@@ -2365,11 +2453,9 @@ export const WorkdayPlatform = {
         await page.keyboard.press('Escape');
         await sleep(100);
         
-        console.log(`  │ ❌ FAILED - No selection confirmed`);
-        console.log(`  │   Searched for: "${value}"`);
-        console.log(`  │   Selected: "${finalSelectedText || '(none)'}"`);
+        fillEvent('verify_failed', { field: label, control: 'searchable', shown: finalSelectedText, expected: value });
         console.log(`  └─── END DEBUG ───\n`);
-        return { success: false, selected: null };
+        return { success: false, selected: null, error: 'No selection confirmed' };
       }
       
     } catch (e) {
@@ -2433,7 +2519,8 @@ export const WorkdayPlatform = {
       // Filter to relevant radios
       const relevantRadios = allRadios.filter(r => r.name === radioName);
       console.log(`  │`);
-      console.log(`  │ Relevant radios (name="${radioName}"): ${relevantRadios.length}`);
+      fillEvent('options_read', { field: label, control: 'radio', count: relevantRadios.length, via: `name="${radioName}"`, sample: relevantRadios.slice(0, 5).map(r => r.labelText || r.value) });
+      fillEvent('option_chosen', { field: label, control: 'radio', option: labelText, via: 'value' });
       
       // Try to find the specific radio button by value
       const radioSelectors = [
@@ -2468,12 +2555,12 @@ export const WorkdayPlatform = {
             console.log(`  │   Now checked: ${nowChecked}`);
             
             if (nowChecked) {
-              console.log(`  │ ✅ SUCCESS - Radio selected`);
+              fillEvent('field_verified', { field: label, control: 'radio', shown: labelText });
               console.log(`  └─── END DEBUG ───\n`);
               console.log(`  ✅ ${label}: "${labelText}"`);
               return { success: true, selected: labelText };
             } else {
-              console.log(`  │ ⚠️ Click didn't select the radio!`);
+              fillEvent('verify_failed', { field: label, control: 'radio', shown: '(unchecked)', expected: labelText });
             }
           } else {
             console.log(`  │   ✗ Not found`);
@@ -2507,7 +2594,7 @@ export const WorkdayPlatform = {
             console.log(`  │   After clicking label, radio checked: ${finalCheck}`);
             
             if (finalCheck) {
-              console.log(`  │ ✅ SUCCESS via label click`);
+              fillEvent('field_verified', { field: label, control: 'radio', shown: labelText, via: 'label_click' });
               console.log(`  └─── END DEBUG ───\n`);
               console.log(`  ✅ ${label}: "${labelText}" (via label)`);
               return { success: true, selected: labelText };
@@ -3428,16 +3515,12 @@ export const WorkdayPlatform = {
    */
   async verifyMatchWithHaiku(profileAnswer, dropdownOption, fieldLabel) {
     try {
-      // Try to get Anthropic API key from environment
-      const apiKey = process.env.ANTHROPIC_API_KEY;
-      if (!apiKey) {
+      const llm = getLLMProvider();
+      if (!llm.available) {
         console.log(`  │     ⚠️ No Anthropic API key found - skipping Haiku verification`);
         return true; // Default to trusting semantic match if no API key
       }
 
-      const Anthropic = (await import('@anthropic-ai/sdk')).default;
-      const client = new Anthropic({ apiKey });
-
       const prompt = `You are verifying a dropdown selection match.
 
 FIELD: "${fieldLabel}"
@@ -3451,8 +3534,7 @@ Does this dropdown option accurately represent the user's answer? Consider:
 
 Respond with ONLY "YES" or "NO", nothing else.`;
 
-      const response = await client.messages.create({
-        model: 'claude-haiku-4-5-20251001',
+      const response = await llm.complete('verifier', {
         max_tokens: 10,
         temperature: 0,
         messages: [{ role: 'user', content: prompt }],
@@ -1,130 +1,162 @@
 // Profile Manager - Collects and stores user data for form filling
 import readline from 'readline';
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile, writeFile, mkdir, readdir, copyFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { DEFAULT_PROFILE, PROFILE_SCHEMA_VERSION, OPTIONAL_SECTIONS, validateProfile, migrateProfile, formatProfileProblems } from './profile-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const PROFILE_PATH = join(__dirname, '../profile.json');
-
-// Default profile structure with all common fields
-const DEFAULT_PROFILE = {
-  // Personal Information
-  personal: {
-    firstName: '',
-    lastName: '',
-    middleName: '',
-    preferredName: '',
-    email: '',
-    phone: '',
-    linkedIn: '',
-    website: '',
-  },
-  
-  // Address
-  address: {
-    line1: '',
-    line2: '',
-    city: '',
-    state: '',
-    zipCode: '',
-    country: 'United States',
-  },
-  
-  // Work Authorization
-  workAuth: {
-    authorizedToWork: true,           // Are you authorized to work in the US?
-    requiresSponsorship: false,        // Will you require sponsorship now or in future?
-    visaStatus: '',                    // H1B, Green Card, Citizen, etc.
-    exportControlCompliant: true,      // Can you comply with export control laws?
-  },
-  
-  // EEO / Voluntary Self-Identification
-  eeo: {
-    gender: '',                        // Male, Female, Non-binary, Prefer not to say
-    race: '',                          // Asian, White, Black, Hispanic, etc.
-    ethnicity: '',                     // Hispanic/Latino or Not Hispanic/Latino
-    veteranStatus: '',                 // Not a Veteran, Protected Veteran, etc.
-    disabilityStatus: '',              // Yes, No, Prefer not to say
-  },
-  
-  // Employment Preferences
-  employment: {
-    desiredSalary: '',
-    salaryFlexible: true,
-    availableStartDate: '',            // Immediately, 2 weeks, specific date
-    willingToRelocate: false,
-    willingToTravel: true,             // Willing to travel for work
-    yearsOfExperience: '',
-  },
-  
-  // Resume & Documents
-  documents: {
-    resumePath: '',                    // Path to resume file
-    coverLetterPath: '',               // Path to cover letter (optional)
-  },
-  
-  // Referral
-  referral: {
-    source: 'LinkedIn',                // How did you hear about us?
-    referrerName: '',                  // Employee referral name
-    referrerEmail: '',
-  },
-  
-  // Education (most recent)
-  education: {
-    degree: '',                        // Bachelor's, Master's, PhD, etc.
-    fieldOfStudy: '',
-    school: '',
-    graduationYear: '',
-    gpa: '',
-  },
-  
-  // Additional common questions
-  additional: {
-    over18: true,
-    criminalHistory: false,            // Have you been convicted of a felony?
-    previouslyApplied: false,          // Have you previously applied to this company?
-    previouslyEmployed: false,         // Have you previously worked at this company?
-    currentlyEmployed: true,           // Are you currently employed?
-    canContactCurrentEmployer: false,  // May we contact your current employer?
-    
-    // Agreements & Legal
-    agreeToTerms: true,                // Agreement to terms and conditions
-    hasRestrictiveAgreement: false,    // Non-compete, non-solicitation agreements
-    hasRelativeAtCompany: false,       // Do you have a relative at this company?
-    consentBackgroundCheck: true,      // Consent to background check
-    consentDrugTest: true,             // Consent to drug test
-  },
-  
-  // Metadata
-  meta: {
-    createdAt: '',
-    updatedAt: '',
-    version: '1.1',
+// "default" is the original profile.json; personas live in profiles/<name>.json
+export const DEFAULT_PROFILE_NAME = 'default';
+const DEFAULT_PROFILE_PATH = join(__dirname, '../profile.json');
+const PROFILES_DIR = join(__dirname, '../profiles');
+const ACTIVE_PROFILE_FILE = join(PROFILES_DIR, '.active');
+
+export function profilePath(name) {
+  if (!name || name === DEFAULT_PROFILE_NAME) return DEFAULT_PROFILE_PATH;
+  if (!/^[\w-]+$/.test(name)) throw new Error(`Invalid profile name "${name}" (letters, digits, - and _ only)`);
+  return join(PROFILES_DIR, `${name}.json`);
+}
+
+// Names of every saved profile, "default" first when profile.json exists
+export async function listProfiles() {
+  const names = existsSync(DEFAULT_PROFILE_PATH) ? [DEFAULT_PROFILE_NAME] : [];
+  if (existsSync(PROFILES_DIR)) {
+    const files = await readdir(PROFILES_DIR);
+    names.push(...files.filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')).sort());
+  }
+  return names;
+}
+
+// Profile picked with `profile use`, or "default"
+export async function getActiveProfileName() {
+  if (existsSync(ACTIVE_PROFILE_FILE)) {
+    const name = (await readFile(ACTIVE_PROFILE_FILE, 'utf-8')).trim();
+    if (name) return name;
+  }
+  return DEFAULT_PROFILE_NAME;
+}
+
+// Make `name` the profile runs use when no --profile is given
+export async function useProfile(name) {
+  if (!existsSync(profilePath(name))) {
+    throw new Error(`Profile "${name}" not found. Available: ${(await listProfiles()).join(', ') || 'none'}`);
   }
-};
+  await mkdir(PROFILES_DIR, { recursive: true });
+  await writeFile(ACTIVE_PROFILE_FILE, `${name}\n`);
+}
+
+// Copy a profile as the starting point for a new persona
+export async function cloneProfile(from, to) {
+  const source = profilePath(from);
+  const target = profilePath(to);
+  if (!existsSync(source)) throw new Error(`Profile "${from}" not found`);
+  if (existsSync(target)) throw new Error(`Profile "${to}" already exists`);
+  await mkdir(dirname(target), { recursive: true });
+  await copyFile(source, target);
+  return target;
+}
 
 export class ProfileManager {
-  constructor() {
+  /**
+   * @param options  { profile } - profile name; defaults to the active one
+   */
+  constructor(options = {}) {
     this.profile = null;
     this.rl = null;
+    this.requestedName = options.profile || null;
+    this.profileName = null;
+    this.profilePath = null;
+  }
+
+  // Work out which file this manager reads and writes
+  async resolveProfile() {
+    if (!this.profilePath) {
+      this.profileName = this.requestedName || await getActiveProfileName();
+      this.profilePath = profilePath(this.profileName);
+    }
+    return this.profilePath;
   }
 
   async initialize() {
-    if (existsSync(PROFILE_PATH)) {
-      try {
-        this.profile = JSON.parse(await readFile(PROFILE_PATH, 'utf-8'));
-        console.log(`✅ Profile loaded: ${this.profile.personal.firstName} ${this.profile.personal.lastName}`);
-        return this.profile;
-      } catch (error) {
-        console.log('⚠️ Error loading profile, will create new one');
-      }
+    const profile = await this.load();
+    if (profile) {
+      console.log(`✅ Profile loaded: ${profile.personal.firstName} ${profile.personal.lastName} (${this.profileName})`);
+    }
+    return profile;
+  }
+
+  // Read and validate the selected profile. Exits with the list of problems when the
+  // profile can't be used as-is, so fields don't silently come out empty.
+  async load() {
+    const path = await this.resolveProfile();
+    if (!existsSync(path)) {
+      if (this.profileName === DEFAULT_PROFILE_NAME) return null;
+      // A persona was asked for by name - a typo shouldn't fall back silently
+      console.log(`\n❌ Profile "${this.profileName}" not found (${path})`);
+      console.log(`   Available: ${(await listProfiles()).join(', ') || 'none'}`);
+      process.exit(1);
+    }
+
+    let profile;
+    try {
+      profile = JSON.parse(await readFile(path, 'utf-8'));
+    } catch (error) {
+      console.log(`⚠️ Error loading profile (${error.message}), will create new one`);
+      return null;
+    }
+
+    const problems = validateProfile(profile);
+    if (problems.errors.length > 0) {
+      console.log(`\n❌ Profile "${this.profileName}" does not match profile schema v${PROFILE_SCHEMA_VERSION}:`);
+      console.log(formatProfileProblems(problems));
+      const flag = this.profileName === DEFAULT_PROFILE_NAME ? '' : ` --profile ${this.profileName}`;
+      console.log(`\n   Upgrade an older layout with: npm run profile -- migrate${flag}`);
+      process.exit(1);
+    }
+    if (problems.warnings.length > 0) {
+      console.log('⚠️ Profile warnings:');
+      console.log(formatProfileProblems(problems));
+    }
+    for (const section of OPTIONAL_SECTIONS) {
+      profile[section] ??= JSON.parse(JSON.stringify(DEFAULT_PROFILE[section]));
+    }
+
+    this.profile = profile;
+    return profile;
+  }
+
+  // Upgrade the profile file in place; the original is kept next to it as .bak
+  async migrate() {
+    const path = await this.resolveProfile();
+    if (!existsSync(path)) {
+      console.log(`No profile "${this.profileName}" found. Run: npm run setup`);
+      return null;
+    }
+
+    const raw = await readFile(path, 'utf-8');
+    const { profile, changes } = migrateProfile(JSON.parse(raw));
+
+    if (changes.length === 0) {
+      console.log(`✅ Profile already uses schema v${PROFILE_SCHEMA_VERSION}`);
+    } else {
+      await writeFile(`${path}.bak`, raw);
+      console.log(`🔄 Migrated profile to schema v${PROFILE_SCHEMA_VERSION}:`);
+      changes.forEach(c => console.log(`   • ${c}`));
+      this.profile = profile;
+      await this.saveProfile();
+      console.log(`   Original kept at ${path}.bak`);
+    }
+
+    const problems = validateProfile(profile);
+    if (problems.errors.length + problems.warnings.length > 0) {
+      console.log('\nStill to fix by hand:');
+      console.log(formatProfileProblems(problems));
     }
-    return null;
+    return profile;
   }
 
   async prompt(question, defaultValue = '') {
@@ -169,7 +201,7 @@ export class ProfileManager {
     console.log('📝 JOBFILL PROFILE SETUP WIZARD');
     console.log('='.repeat(60));
     console.log('This information will be used to fill job applications.');
-    console.log('All data is stored locally in profile.json\n');
+    console.log(`All data is stored locally in ${(await this.resolveProfile()).replace(join(__dirname, '..') + '/', '')}\n`);
 
     const profile = JSON.parse(JSON.stringify(DEFAULT_PROFILE));
 
@@ -287,6 +319,33 @@ export class ProfileManager {
     profile.education.fieldOfStudy = await this.prompt('Field of study (e.g., Computer Science)');
     profile.education.school = await this.prompt('School/University name');
     profile.education.graduationYear = await this.prompt('Graduation year');
+    profile.educationHistory = [{ ...profile.education }];
+
+    while (await this.promptYesNo('Add another school (older degree)?', false)) {
+      profile.educationHistory.push({
+        degree: await this.prompt('  Degree'),
+        fieldOfStudy: await this.prompt('  Field of study'),
+        school: await this.prompt('  School/University name'),
+        graduationYear: await this.prompt('  Graduation year'),
+        gpa: ''
+      });
+    }
+
+    // Work history
+    console.log('\n--- WORK HISTORY (Most Recent First) ---');
+    profile.workHistory = [];
+    while (await this.promptYesNo(`Add ${profile.workHistory.length ? 'another' : 'a'} job?`, profile.workHistory.length === 0)) {
+      const job = {
+        title: await this.prompt('  Job title'),
+        company: await this.prompt('  Company'),
+        location: await this.prompt('  Location (City, State)'),
+        startDate: await this.prompt('  Start date (YYYY-MM)'),
+        current: await this.promptYesNo('  Do you currently work here?', profile.workHistory.length === 0)
+      };
+      job.endDate = job.current ? 'Present' : await this.prompt('  End date (YYYY-MM)');
+      job.description = await this.prompt('  Short description of the role');
+      profile.workHistory.push(job);
+    }
 
     // Additional
     console.log('\n--- ADDITIONAL QUESTIONS ---');
@@ -353,9 +412,11 @@ export class ProfileManager {
   }
 
   async saveProfile() {
+    const path = await this.resolveProfile();
     this.profile.meta.updatedAt = new Date().toISOString();
-    await writeFile(PROFILE_PATH, JSON.stringify(this.profile, null, 2));
-    console.log(`\n💾 Profile saved to: ${PROFILE_PATH}`);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(this.profile, null, 2));
+    console.log(`\n💾 Profile saved to: ${path}`);
   }
 
   displayProfile() {
@@ -367,7 +428,8 @@ Phone: ${p.personal.phone}
 Address: ${p.address.line1}, ${p.address.city}, ${p.address.state} ${p.address.zipCode}
 Work Auth: ${p.workAuth.authorizedToWork ? 'Yes' : 'No'}, Sponsorship: ${p.workAuth.requiresSponsorship ? 'Yes' : 'No'}
 Experience: ${p.employment.yearsOfExperience} years
-Education: ${p.education.degree} in ${p.education.fieldOfStudy}
+Education: ${p.education.degree} in ${p.education.fieldOfStudy}${p.educationHistory?.length > 1 ? ` (+${p.educationHistory.length - 1} more)` : ''}
+Work History: ${p.workHistory?.length ? p.workHistory.map(j => `${j.title} @ ${j.company}`).join('; ') : 'None'}
 Resume: ${p.documents.resumePath || 'Not set'}
     `);
   }
@@ -439,7 +501,11 @@ Resume: ${p.documents.resumePath || 'Not set'}
     }
 
     const currentValue = this.profile[section]?.[field];
-    const newValue = await this.prompt(`${section}.${field}`, currentValue);
+    let newValue = await this.prompt(`${section}.${field}`, currentValue);
+    // Keep yes/no answers as booleans so the schema check still passes
+    if (typeof currentValue === 'boolean' && typeof newValue === 'string') {
+      newValue = /^(y|yes|true)$/i.test(newValue);
+    }
     
     if (this.profile[section]) {
       this.profile[section][field] = newValue;
@@ -454,7 +520,15 @@ Resume: ${p.documents.resumePath || 'Not set'}
 // CLI for standalone use
 async function main() {
   const args = process.argv.slice(2);
-  const manager = new ProfileManager();
+
+  // --profile <name> works with every command
+  let name = null;
+  const flagIndex = args.indexOf('--profile');
+  if (flagIndex !== -1) {
+    name = args[flagIndex + 1];
+    args.splice(flagIndex, 2);
+  }
+  const manager = new ProfileManager({ profile: name });
   
   if (args[0] === 'setup' || args[0] === '--setup') {
     await manager.runSetupWizard();
@@ -465,6 +539,34 @@ async function main() {
     } else {
       console.log('No profile found. Run: node profile-manager.js setup');
     }
+  } else if (args[0] === 'list') {
+    const active = await getActiveProfileName();
+    const names = await listProfiles();
+    if (names.length === 0) console.log('No profiles found. Run: node profile-manager.js setup');
+    for (const n of names) {
+      let p;
+      try {
+        p = JSON.parse(await readFile(profilePath(n), 'utf-8'));
+      } catch (e) {
+        console.log(`${n === active ? '*' : ' '} ${n.padEnd(16)} (unreadable: ${e.message})`);
+        continue;
+      }
+      const who = `${p.personal?.firstName || ''} ${p.personal?.lastName || ''}`.trim() || '(no name)';
+      const auth = p.workAuth ? `${p.workAuth.visaStatus || 'no visa status'}${p.workAuth.requiresSponsorship ? ', needs sponsorship' : ''}` : 'legacy layout';
+      console.log(`${n === active ? '*' : ' '} ${n.padEnd(16)} ${who} - ${auth}`);
+    }
+  } else if (args[0] === 'use' && args[1]) {
+    await useProfile(args[1]);
+    console.log(`✅ Runs now use profile "${args[1]}" by default`);
+  } else if (args[0] === 'clone' && args[1] && args[2]) {
+    const target = await cloneProfile(args[1], args[2]);
+    console.log(`✅ Cloned "${args[1]}" → ${target}`);
+    console.log(`   Edit it with: node profile-manager.js edit <section> <field> --profile ${args[2]}`);
+  } else if (args[0] === 'migrate') {
+    await manager.migrate();
+  } else if (args[0] === 'validate') {
+    await manager.load();
+    if (manager.profile) console.log(`✅ Profile "${manager.profileName}" matches schema v${PROFILE_SCHEMA_VERSION}`);
   } else if (args[0] === 'edit' && args[1] && args[2]) {
     await manager.initialize();
     await manager.editField(args[1], args[2]);
@@ -476,11 +578,21 @@ Usage:
   node profile-manager.js setup    Run the setup wizard
   node profile-manager.js show     Display current profile
   node profile-manager.js edit <section> <field>   Edit a specific field
+  node profile-manager.js migrate  Upgrade the profile to the current schema
+  node profile-manager.js validate Check the profile against the schema
+  node profile-manager.js list     List saved profiles (* = active)
+  node profile-manager.js use <name>           Make <name> the default for runs
+  node profile-manager.js clone <from> <to>    Copy a profile as a new persona
+
+  Add --profile <name> to any command to work on profiles/<name>.json
+  ("default" is profile.json).
 
 Examples:
   node profile-manager.js setup
   node profile-manager.js show
   node profile-manager.js edit personal phone
+  node profile-manager.js clone default h1b
+  node profile-manager.js edit workAuth requiresSponsorship --profile h1b
     `);
   }
 }
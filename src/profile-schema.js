@@ -0,0 +1,324 @@
+// Profile Schema - the one profile layout every module reads, plus the
+// validator and the migration from older layouts
+//
+// v1: no meta.schemaVersion. Written by setup-profile.js / profile.example.json
+//     (workAuthorization, demographics, address.addressLine1, documents.linkedin ...)
+// v2: the ProfileManager layout below (workAuth, eeo, address.line1, personal.linkedIn)
+
+export const PROFILE_SCHEMA_VERSION = 2;
+
+// Default profile structure with all common fields
+export const DEFAULT_PROFILE = {
+  // Personal Information
+  personal: {
+    firstName: '',
+    lastName: '',
+    middleName: '',
+    preferredName: '',
+    email: '',
+    phone: '',
+    linkedIn: '',
+    website: '',
+  },
+
+  // Address
+  address: {
+    line1: '',
+    line2: '',
+    city: '',
+    state: '',
+    zipCode: '',
+    country: 'United States',
+  },
+
+  // Work Authorization
+  workAuth: {
+    authorizedToWork: true,           // Are you authorized to work in the US?
+    requiresSponsorship: false,        // Will you require sponsorship now or in future?
+    visaStatus: '',                    // H1B, Green Card, Citizen, etc.
+    exportControlCompliant: true,      // Can you comply with export control laws?
+  },
+
+  // EEO / Voluntary Self-Identification
+  eeo: {
+    gender: '',                        // Male, Female, Non-binary, Prefer not to say
+    race: '',                          // Asian, White, Black, Hispanic, etc.
+    ethnicity: '',                     // Hispanic/Latino or Not Hispanic/Latino
+    veteranStatus: '',                 // Not a Veteran, Protected Veteran, etc.
+    disabilityStatus: '',              // Yes, No, Prefer not to say
+  },
+
+  // Employment Preferences
+  employment: {
+    desiredSalary: '',
+    salaryFlexible: true,
+    availableStartDate: '',            // Immediately, 2 weeks, specific date
+    willingToRelocate: false,
+    willingToTravel: true,             // Willing to travel for work
+    yearsOfExperience: '',
+  },
+
+  // Resume & Documents
+  documents: {
+    resumePath: '',                    // Path to resume file
+    coverLetterPath: '',               // Path to cover letter (optional)
+  },
+
+  // Referral
+  referral: {
+    source: 'LinkedIn',                // How did you hear about us?
+    referrerName: '',                  // Employee referral name
+    referrerEmail: '',
+  },
+
+  // Education (most recent)
+  education: {
+    degree: '',                        // Bachelor's, Master's, PhD, etc.
+    fieldOfStudy: '',
+    school: '',
+    graduationYear: '',
+    gpa: '',
+  },
+
+  // Every school, most recent first - fills repeated Education sections.
+  // Same fields as `education` plus optional startDate/endDate ('YYYY-MM')
+  educationHistory: [],
+
+  // Work history, most recent first - fills repeated Work Experience sections.
+  // { title, company, location, startDate: 'YYYY-MM', endDate: 'YYYY-MM' | 'Present', current, description }
+  workHistory: [],
+
+  // Additional common questions
+  additional: {
+    over18: true,
+    criminalHistory: false,            // Have you been convicted of a felony?
+    previouslyApplied: false,          // Have you previously applied to this company?
+    previouslyEmployed: false,         // Have you previously worked at this company?
+    currentlyEmployed: true,           // Are you currently employed?
+    canContactCurrentEmployer: false,  // May we contact your current employer?
+
+    // Agreements & Legal
+    agreeToTerms: true,                // Agreement to terms and conditions
+    hasRestrictiveAgreement: false,    // Non-compete, non-solicitation agreements
+    hasRelativeAtCompany: false,       // Do you have a relative at this company?
+    consentBackgroundCheck: true,      // Consent to background check
+    consentDrugTest: true,             // Consent to drug test
+  },
+
+  // Metadata
+  meta: {
+    createdAt: '',
+    updatedAt: '',
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+  }
+};
+
+// Must be non-empty for a run to start
+const REQUIRED_FIELDS = ['personal.firstName', 'personal.lastName', 'personal.email', 'personal.phone'];
+
+// Sections older profiles often lack. Missing is a warning; the loader fills
+// them from DEFAULT_PROFILE so the run gets the usual answers.
+export const OPTIONAL_SECTIONS = ['referral', 'additional'];
+
+// Empty is allowed but leaves common questions unanswered
+const RECOMMENDED_FIELDS = ['documents.resumePath', 'address.city', 'address.state', 'address.zipCode'];
+
+// Old spelling → current path. Whole sections first so their keys merge
+// before the per-key renames run.
+export const RENAMED_KEYS = {
+  'workAuthorization': 'workAuth',
+  'demographics': 'eeo',
+  'address.addressLine1': 'address.line1',
+  'address.addressLine2': 'address.line2',
+  'address.zip': 'address.zipCode',
+  'address.postalCode': 'address.zipCode',
+  'personal.linkedin': 'personal.linkedIn',
+  'documents.linkedin': 'personal.linkedIn',
+  'documents.linkedIn': 'personal.linkedIn',
+  'documents.website': 'personal.website',
+  'documents.portfolio': 'personal.portfolio',
+  'exportControl.canAccessExportControlled': 'workAuth.exportControlCompliant',
+  'exportControl.isUSPerson': 'workAuth.isUSPerson',
+  'eeo.hispanicOrLatino': 'eeo.hispanicLatino',
+  'education.highestDegree': 'education.degree',
+  'education.university': 'education.school',
+  'education.major': 'education.fieldOfStudy'
+};
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let o = obj;
+  for (const key of keys) {
+    if (typeof o[key] !== 'object' || o[key] === null) o[key] = {};
+    o = o[key];
+  }
+  o[last] = value;
+}
+
+function deletePath(obj, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(obj, keys.join('.')) : obj;
+  if (parent && typeof parent === 'object') delete parent[last];
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeName(value) {
+  return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+/**
+ * Check a profile against the current schema.
+ * Errors stop a run; warnings are printed and the run continues.
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateProfile(profile) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(profile)) {
+    return { errors: ['profile is not a JSON object'], warnings };
+  }
+
+  const version = profile.meta?.schemaVersion;
+  if (version > PROFILE_SCHEMA_VERSION) {
+    errors.push(`meta.schemaVersion ${version} is newer than this tool understands (${PROFILE_SCHEMA_VERSION})`);
+  } else if (version === undefined) {
+    warnings.push('meta.schemaVersion missing - profile predates the versioned schema');
+  }
+
+  // Misnamed keys - the value is there but nothing reads it
+  for (const [from, to] of Object.entries(RENAMED_KEYS)) {
+    if (getPath(profile, from) !== undefined) {
+      errors.push(`${from} should be ${to}`);
+    }
+  }
+
+  // Sections and value types, as laid out in DEFAULT_PROFILE.
+  // History arrays are optional; a section under its old name is reported above.
+  const legacySections = Object.entries(RENAMED_KEYS)
+    .filter(([from, to]) => !to.includes('.') && profile[from] !== undefined)
+    .map(([, to]) => to);
+  for (const [section, defaults] of Object.entries(DEFAULT_PROFILE)) {
+    const value = profile[section];
+    if (value === undefined) {
+      if (OPTIONAL_SECTIONS.includes(section)) {
+        warnings.push(`${section} section is missing - using defaults`);
+      } else if (isPlainObject(defaults) && section !== 'meta' && !legacySections.includes(section)) {
+        errors.push(`${section} section is missing`);
+      }
+      continue;
+    }
+    if (typeName(value) !== typeName(defaults)) {
+      errors.push(`${section} should be ${typeName(defaults) === 'array' ? 'an array' : 'an object'}, got ${typeName(value)}`);
+      continue;
+    }
+    if (!isPlainObject(defaults)) continue;
+
+    for (const [key, def] of Object.entries(defaults)) {
+      const actual = value[key];
+      if (actual === undefined || actual === null) continue;
+      const expected = typeName(def);
+      const got = typeName(actual);
+      // Numbers are fine where text is expected (yearsOfExperience: 5)
+      if (expected === got || (expected === 'string' && got === 'number')) continue;
+      errors.push(`${section}.${key} should be a ${expected}, got ${got} (${JSON.stringify(actual)})`);
+    }
+  }
+
+  for (const path of REQUIRED_FIELDS) {
+    if (isEmpty(getPath(profile, path))) errors.push(`${path} is required but empty`);
+  }
+  for (const path of RECOMMENDED_FIELDS) {
+    if (isEmpty(getPath(profile, path))) warnings.push(`${path} is empty`);
+  }
+
+  (Array.isArray(profile.workHistory) ? profile.workHistory : []).forEach((job, i) => {
+    if (!isPlainObject(job)) errors.push(`workHistory[${i}] should be an object`);
+    else if (isEmpty(job.title) && isEmpty(job.company)) warnings.push(`workHistory[${i}] has no title or company`);
+  });
+  (Array.isArray(profile.educationHistory) ? profile.educationHistory : []).forEach((school, i) => {
+    if (!isPlainObject(school)) errors.push(`educationHistory[${i}] should be an object`);
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Upgrade an older profile to the current layout. Renames legacy keys,
+ * adds missing sections/keys from DEFAULT_PROFILE and stamps the version.
+ * Never overwrites a value that is already set at the new path.
+ * @returns {{ profile: object, changes: string[] }}
+ */
+export function migrateProfile(input) {
+  const profile = JSON.parse(JSON.stringify(input || {}));
+  const changes = [];
+  const oldVersion = profile.meta?.schemaVersion;
+
+  for (const [from, to] of Object.entries(RENAMED_KEYS)) {
+    const value = getPath(profile, from);
+    if (value === undefined) continue;
+
+    const existing = getPath(profile, to);
+    if (isPlainObject(value) && (existing === undefined || isPlainObject(existing))) {
+      // Whole section: merge key by key
+      const target = existing || {};
+      for (const [key, v] of Object.entries(value)) {
+        if (isEmpty(target[key])) target[key] = v;
+      }
+      setPath(profile, to, target);
+    } else if (isEmpty(existing)) {
+      setPath(profile, to, value);
+    } else if (!isEmpty(value) && existing !== value) {
+      changes.push(`kept ${to} = ${JSON.stringify(existing)}, dropped ${from} = ${JSON.stringify(value)}`);
+    }
+    deletePath(profile, from);
+    changes.push(`${from} → ${to}`);
+  }
+
+  // Sections emptied by the renames above
+  if (isPlainObject(profile.exportControl) && Object.keys(profile.exportControl).length === 0) {
+    delete profile.exportControl;
+  }
+
+  for (const [section, defaults] of Object.entries(DEFAULT_PROFILE)) {
+    if (profile[section] === undefined) {
+      profile[section] = JSON.parse(JSON.stringify(defaults));
+      changes.push(`added ${section}`);
+    } else if (isPlainObject(defaults) && isPlainObject(profile[section])) {
+      for (const [key, def] of Object.entries(defaults)) {
+        if (profile[section][key] === undefined) profile[section][key] = def;
+      }
+    }
+  }
+
+  if (oldVersion !== PROFILE_SCHEMA_VERSION) {
+    profile.meta.schemaVersion = PROFILE_SCHEMA_VERSION;
+    delete profile.meta.version;
+    changes.push(`meta.schemaVersion ${oldVersion ?? '(none)'} → ${PROFILE_SCHEMA_VERSION}`);
+  }
+
+  return { profile, changes };
+}
+
+// Readable list for the console
+export function formatProfileProblems({ errors, warnings }) {
+  return [
+    ...errors.map(e => `   ❌ ${e}`),
+    ...warnings.map(w => `   ⚠️  ${w}`)
+  ].join('\n');
+}
+
+export default { PROFILE_SCHEMA_VERSION, DEFAULT_PROFILE, OPTIONAL_SECTIONS, validateProfile, migrateProfile, formatProfileProblems };
@@ -0,0 +1,19 @@
+// Loader hooks registered by module-reloader.js. A module imported as
+// `file.js?rev=N` passes the same ?rev=N on to its relative imports, so every
+// src/ module under it is evaluated fresh instead of coming from the ESM cache.
+// Packages (bare specifiers) are left alone, and so are modules whose state
+// spans the run (the model provider's usage ledger and budget).
+
+const SHARED = ['/llm-provider.js'];
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  if (!context.parentURL || !specifier.startsWith('.') || !result.url.startsWith('file:')) return result;
+
+  const rev = new URL(context.parentURL).searchParams.get('rev');
+  if (!rev || SHARED.some(path => result.url.endsWith(path))) return result;
+
+  const url = new URL(result.url);
+  url.searchParams.set('rev', rev);
+  return { ...result, url: url.href };
+}
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+// Replay Harness - record application pages as fixtures, then run
+// AIFormFiller against them offline and report pass/fail per field
+//
+// Usage:
+//   node replay-harness.js record <url> [--name <name>] [--wait]
+//   node replay-harness.js record --batch [--platforms workday,greenhouse,successfactors]
+//   node replay-harness.js replay [names...] [--profile <name>] [--update] [--cassette record|replay]
+//   node replay-harness.js list
+
+import { program } from 'commander';
+import readline from 'readline';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { PuppeteerRunner } from './runner.js';
+import { FixtureRecorder, FixtureReplayer, listFixtures, loadFixture, fixtureDir } from './fixtures.js';
+import { sanitizeFilename } from './utils.js';
+import config from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CORPUS_PLATFORMS = ['workday', 'greenhouse', 'successfactors'];
+
+function waitForEnter(message) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(message, () => {
+    rl.close();
+    resolve();
+  }));
+}
+
+function sameValue(actual, expected) {
+  const norm = (v) => (Array.isArray(v) ? v.join(', ') : String(v ?? '')).trim().toLowerCase();
+  return norm(actual) === norm(expected);
+}
+
+/**
+ * Pass/fail for one filled field. With no expectation a field passes when it was filled;
+ * with one, status, classification and value must match whatever it specifies.
+ */
+function scoreField(detail, expectation) {
+  const row = { field: detail.field, status: detail.status, classification: detail.classification, value: detail.value };
+
+  if (!expectation) {
+    if (detail.status === 'skipped') return { ...row, result: 'skip', reason: detail.reason };
+    return { ...row, result: detail.status === 'filled' ? 'pass' : 'fail', reason: detail.error };
+  }
+
+  const problems = [];
+  const wantStatus = expectation.status || 'filled';
+  if (detail.status !== wantStatus) problems.push(`status ${detail.status}, expected ${wantStatus}`);
+  if (expectation.classification && detail.classification !== expectation.classification) {
+    problems.push(`classified ${detail.classification}, expected ${expectation.classification}`);
+  }
+  if ('value' in expectation && !sameValue(detail.value, expectation.value)) {
+    problems.push(`value ${JSON.stringify(detail.value)}, expected ${JSON.stringify(expectation.value)}`);
+  }
+  return { ...row, result: problems.length ? 'fail' : 'pass', reason: problems.join('; ') || undefined };
+}
+
+function scoreFixture(details, expected) {
+  const expectations = expected?.fields || {};
+  const rows = details.map(d => scoreField(d, expectations[d.field]));
+
+  // Expected fields the filler never reached
+  const seen = new Set(details.map(d => d.field));
+  for (const label of Object.keys(expectations)) {
+    if (!seen.has(label)) rows.push({ field: label, result: 'fail', reason: 'field not found' });
+  }
+  return rows;
+}
+
+// ============================================
+// RECORD
+// ============================================
+async function record(runner, url, name, { wait = false } = {}) {
+  const recorder = new FixtureRecorder(runner.page);
+  recorder.start(url);
+
+  const navigated = await runner.navigateToJob(url);
+  if (!navigated) {
+    console.log(`❌ Could not load ${url}, fixture not written`);
+    recorder.stop();
+    return null;
+  }
+  if (wait) {
+    await waitForEnter('\n📼 Get to the application form in the browser, then press ENTER to snapshot...');
+  }
+  return recorder.save(name);
+}
+
+async function recordBatch(runner, platforms) {
+  const testUrls = JSON.parse(await readFile(join(__dirname, '../test-urls.json'), 'utf-8'));
+  const entries = testUrls.urls
+    .map(u => (typeof u === 'string' ? { url: u } : u))
+    .filter(u => platforms.includes(u.platform));
+
+  console.log(`📼 Recording ${entries.length} page(s) for: ${platforms.join(', ')}`);
+  const defaultProfile = runner.profileName;
+  for (const entry of entries) {
+    const name = sanitizeFilename(`${entry.platform}_${entry.company || new URL(entry.url).hostname}`);
+    await runner.useProfile(entry.profile || defaultProfile);
+    await record(runner, entry.url, name);
+  }
+}
+
+// ============================================
+// REPLAY
+// ============================================
+async function replayFixture(runner, name) {
+  const fixture = await loadFixture(name);
+  console.log('\n' + '='.repeat(60));
+  console.log(`▶️  Replaying "${name}" (${fixture.platform}) - recorded ${fixture.recordedAt}`);
+  console.log('='.repeat(60));
+
+  const replayer = new FixtureReplayer(runner.page, fixture);
+  await replayer.start();
+
+  let details = [];
+  let error = null;
+  try {
+    await runner.page.goto(fixture.url, { waitUntil: 'networkidle2', timeout: config.pageLoadTimeout });
+    await runner.wait(2000);
+    // Loaded here so record/list work without the classifier models
+    const { AIFormFiller } = await import('./ai-form-filler.js');
+    const filler = new AIFormFiller(runner.page, runner.profile);
+    const result = await filler.fillAllFields();
+    details = result.details || [];
+  } catch (e) {
+    error = e.message;
+    console.log(`❌ Replay failed: ${e.message}`);
+  } finally {
+    await replayer.stop();
+  }
+
+  const rows = scoreFixture(details, fixture.expected);
+  return { fixture: name, platform: fixture.platform, error, missedRequests: replayer.missed.length, details, rows };
+}
+
+// Current results become the expectations for next time
+async function updateExpected(name, details) {
+  const fields = {};
+  for (const d of details) {
+    if (d.status === 'failed') continue;
+    fields[d.field] = { status: d.status, classification: d.classification, value: d.value };
+  }
+  await writeFile(join(fixtureDir(name), 'expected.json'), JSON.stringify({ updatedAt: new Date().toISOString(), fields }, null, 2));
+  console.log(`   📝 expected.json updated (${Object.keys(fields).length} fields)`);
+}
+
+function printFixtureResult(result) {
+  const icon = { pass: '✅', fail: '❌', skip: '⏭️' };
+  for (const row of result.rows) {
+    const detail = row.reason ? ` - ${row.reason}` : '';
+    console.log(`   ${icon[row.result]} ${row.field}${row.classification ? ` [${row.classification}]` : ''}${detail}`);
+  }
+  const count = (r) => result.rows.filter(row => row.result === r).length;
+  console.log(`   ── ${count('pass')} passed, ${count('fail')} failed, ${count('skip')} skipped`);
+}
+
+async function replay(runner, names, { update = false } = {}) {
+  const results = [];
+  for (const name of names) {
+    const result = await replayFixture(runner, name);
+    printFixtureResult(result);
+    if (update && !result.error) await updateExpected(name, result.details);
+    results.push(result);
+  }
+
+  const totals = { pass: 0, fail: 0, skip: 0 };
+  for (const r of results) for (const row of r.rows) totals[row.result]++;
+  const failedFixtures = results.filter(r => r.error || r.rows.some(row => row.result === 'fail'));
+
+  await mkdir(config.reportsDir, { recursive: true });
+  const reportPath = join(config.reportsDir, `fixtures_${Date.now()}.json`);
+  await writeFile(reportPath, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    profile: runner.profileName,
+    totals,
+    results: results.map(({ details, ...r }) => r)
+  }, null, 2));
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 FIXTURE REPLAY');
+  console.log('='.repeat(60));
+  console.log(`Fixtures: ${results.length} (${failedFixtures.length} with failures)`);
+  console.log(`Fields: ✅ ${totals.pass} passed, ❌ ${totals.fail} failed, ⏭️ ${totals.skip} skipped`);
+  console.log(`Report saved: ${reportPath}`);
+  console.log('='.repeat(60));
+
+  return failedFixtures.length === 0;
+}
+
+// ============================================
+// CLI
+// ============================================
+async function main() {
+  program
+    .name('replay-harness')
+    .description('Record application pages as fixtures and replay them offline');
+
+  program
+    .command('record [url]')
+    .description('Snapshot a page (DOM, scripts, network responses) into fixtures/')
+    .option('-n, --name <name>', 'Fixture name (default: from the URL)')
+    .option('-w, --wait', 'Wait for ENTER before the snapshot (log in / click Apply first)')
+    .option('-b, --batch', 'Record every test-urls.json entry on the corpus platforms')
+    .option('--platforms <list>', 'Platforms for --batch', CORPUS_PLATFORMS.join(','))
+    .option('-p, --profile <name>', 'Profile to use while recording')
+    .action(async (url, options) => {
+      if (!url && !options.batch) {
+        console.log('Give a URL or --batch');
+        process.exit(1);
+      }
+      const runner = new PuppeteerRunner({ profile: options.profile });
+      await runner.initialize();
+      try {
+        if (options.batch) {
+          await recordBatch(runner, options.platforms.split(',').map(p => p.trim()));
+        } else {
+          const name = options.name || sanitizeFilename(new URL(url).hostname + new URL(url).pathname);
+          await record(runner, url, name, { wait: options.wait });
+        }
+      } finally {
+        await runner.close();
+      }
+    });
+
+  program
+    .command('replay [names...]')
+    .description('Fill recorded fixtures offline and report pass/fail per field')
+    .option('-p, --profile <name>', 'Profile to fill with')
+    .option('-u, --update', 'Save the current results as each fixture\'s expected.json')
+    .option('--cassette <mode>', 'record: save model responses to cassettes/; replay: answer from them, no network')
+    .action(async (names, options) => {
+      if (options.cassette) config.llm.cassette = options.cassette;
+      const all = await listFixtures();
+      const selected = names.length ? names : all;
+      if (selected.length === 0) {
+        console.log('No fixtures found. Record one with: node replay-harness.js record <url>');
+        return;
+      }
+      const runner = new PuppeteerRunner({ profile: options.profile });
+      await runner.initialize();
+      let ok = false;
+      try {
+        ok = await replay(runner, selected, { update: options.update });
+      } finally {
+        await runner.close();
+      }
+      process.exitCode = ok ? 0 : 1;
+    });
+
+  program
+    .command('list')
+    .description('List recorded fixtures')
+    .action(async () => {
+      const names = await listFixtures();
+      if (names.length === 0) console.log('No fixtures recorded yet.');
+      for (const name of names) {
+        const f = await loadFixture(name);
+        console.log(`  ${name.padEnd(32)} ${f.platform.padEnd(16)} ${f.responses.length} responses${f.expected ? ', has expected.json' : ''}`);
+      }
+    });
+
+  await program.parseAsync();
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
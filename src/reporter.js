@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+// Reporter - turns a batch report (reports/report_<ts>.json) into a single
+// self-contained HTML dashboard: success by platform and by field type, which
+// classifier tier answered each field, model cost, iteration trends,
+// screenshots and the patches applied. Batch runs also add their results to platformStats in
+// test-urls.json.
+//
+// Usage:
+//   node reporter.js                 # latest report in reports/
+//   node reporter.js <report.json> [--out file.html] [--update-stats]
+
+import { program } from 'commander';
+import { readFile, writeFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import config from './config.js';
+import { PatchHistory } from './patch-history.js';
+import { decodePng, encodePng, scaleImage } from './screenshot-regions.js';
+import { formatCost } from './llm-provider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const TEST_URLS_PATH = join(__dirname, '../test-urls.json');
+const THUMBNAIL_WIDTH = 480;
+
+// ============================================
+// STATISTICS
+// ============================================
+
+// Classifier tier from a field log `source` (see VerifiedFieldClassifier)
+export function tierOf(source) {
+  if (!source) return 'Unknown';
+  if (source.startsWith('tier1')) return 'Tier 1 - cache / field id';
+  if (source === 'tier2_local_head') return 'Local head';
+  if (source.startsWith('tier2')) return 'Tier 2 - Haiku verified';
+  if (source === 'tier3_deferred') return 'Tier 3 - deferred (over budget)';
+  if (source.startsWith('tier3') || source.startsWith('opus')) return 'Tier 3 - Opus';
+  if (source.startsWith('textarea_guard')) return 'Textarea guard';
+  return source;
+}
+
+const platformOf = (result) => result.platform || result.detectedPlatform || 'custom';
+
+function tally(map, key) {
+  if (!map.has(key)) map.set(key, { filled: 0, failed: 0, skipped: 0 });
+  return map.get(key);
+}
+
+/**
+ * Breakdowns shown on the dashboard, from a report's results.
+ * @returns { byPlatform, byFieldType, byTier, trend }
+ */
+export function summarizeReport(report) {
+  const results = report.results || [];
+
+  const byPlatform = new Map();
+  for (const result of results) {
+    const key = platformOf(result);
+    if (!byPlatform.has(key)) byPlatform.set(key, { tested: 0, passed: 0 });
+    const stats = byPlatform.get(key);
+    stats.tested++;
+    if (result.success) stats.passed++;
+  }
+
+  const byFieldType = new Map();
+  const byTier = new Map();
+  for (const result of results) {
+    for (const field of result.fields || []) {
+      if (!['filled', 'failed', 'skipped'].includes(field.status)) continue;
+      tally(byFieldType, field.classification || 'unclassified')[field.status]++;
+      tally(byTier, tierOf(field.source))[field.status]++;
+    }
+  }
+
+  // Per iteration across URLs: how many were tried and how full their required fields got
+  const byIteration = new Map();
+  for (const result of results) {
+    for (const step of result.trend || []) {
+      if (!byIteration.has(step.iteration)) {
+        byIteration.set(step.iteration, { iteration: step.iteration, urls: 0, filled: 0, requiredFilled: 0, requiredFields: 0 });
+      }
+      const entry = byIteration.get(step.iteration);
+      entry.urls++;
+      entry.filled += step.filled;
+      entry.requiredFilled += step.requiredFilled || 0;
+      entry.requiredFields += step.requiredFields || 0;
+    }
+  }
+  const trend = [...byIteration.values()].sort((a, b) => a.iteration - b.iteration);
+
+  const sortByVolume = (map) => [...map.entries()]
+    .map(([key, counts]) => ({ key, ...counts }))
+    .sort((a, b) => (b.filled + b.failed + b.skipped) - (a.filled + a.failed + a.skipped));
+
+  return {
+    byPlatform: [...byPlatform.entries()].map(([key, s]) => ({ key, ...s })).sort((a, b) => b.tested - a.tested),
+    byFieldType: sortByVolume(byFieldType),
+    byTier: sortByVolume(byTier),
+    trend
+  };
+}
+
+// ============================================
+// PLATFORM STATS
+// ============================================
+
+/**
+ * Add batch results to platformStats in test-urls.json. Platforms are keyed
+ * by the URL entry's "platform", falling back to the one detected from the URL.
+ */
+export async function updatePlatformStats(results, path = TEST_URLS_PATH) {
+  if (!existsSync(path)) return null;
+  const data = JSON.parse(await readFile(path, 'utf-8'));
+  data.platformStats = data.platformStats || {};
+  const today = new Date().toISOString().split('T')[0];
+
+  for (const result of results) {
+    const key = platformOf(result);
+    const stats = data.platformStats[key] || { tested: 0, passed: 0 };
+    stats.tested++;
+    if (result.success) stats.passed++;
+    stats.lastTested = today;
+    data.platformStats[key] = stats;
+  }
+
+  await writeFile(path, JSON.stringify(data, null, 2) + '\n');
+  console.log(`📈 platformStats updated in ${path}`);
+  return data.platformStats;
+}
+
+// ============================================
+// HTML
+// ============================================
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const percent = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '—');
+
+function bar(part, whole) {
+  const width = whole > 0 ? Math.round((part / whole) * 100) : 0;
+  return `<div class="bar"><span style="width:${width}%"></span></div>`;
+}
+
+// Screenshot as an inline data URI, shrunk so the report stays a reasonable size
+async function embedImage(path, width = THUMBNAIL_WIDTH) {
+  if (!path || !existsSync(path)) return null;
+  try {
+    const png = encodePng(scaleImage(decodePng(await readFile(path)), width));
+    return `data:image/png;base64,${png.toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+// Inline SVG line of values over iterations
+function sparkline(values, { width = 160, height = 36, max = Math.max(1, ...values) } = {}) {
+  if (values.length === 0) return '';
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values.map((v, i) => `${(i * step).toFixed(1)},${(height - 2 - (v / max) * (height - 4)).toFixed(1)}`);
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${points.join(' ')}"/>${points.map(p => `<circle cx="${p.split(',')[0]}" cy="${p.split(',')[1]}" r="2"/>`).join('')}</svg>`;
+}
+
+function countsTable(title, rows, label) {
+  if (rows.length === 0) return `<h2>${title}</h2><p class="muted">No field logs in this report.</p>`;
+  return `<h2>${title}</h2>
+<table>
+<tr><th>${label}</th><th>Filled</th><th>Failed</th><th>Skipped</th><th>Success</th><th></th></tr>
+${rows.map(r => `<tr><td>${escapeHtml(r.key)}</td><td>${r.filled}</td><td>${r.failed}</td><td>${r.skipped}</td><td>${percent(r.filled, r.filled + r.failed)}</td><td>${bar(r.filled, r.filled + r.failed)}</td></tr>`).join('\n')}
+</table>`;
+}
+
+function diffHtml(diff) {
+  return diff.split('\n').map(line => {
+    const cls = line.startsWith('+') && !line.startsWith('+++') ? 'add'
+      : line.startsWith('-') && !line.startsWith('---') ? 'del'
+      : line.startsWith('@@') ? 'hunk' : '';
+    return `<span class="${cls}">${escapeHtml(line)}</span>`;
+  }).join('\n');
+}
+
+// Applied patches with their diffs from patches/history
+async function patchesHtml(patches) {
+  if (!patches?.length) return '<h2>Applied Patches</h2><p class="muted">None.</p>';
+  const history = new PatchHistory();
+  const items = [];
+  for (const patch of patches) {
+    const record = patch.patchId ? await history.get(patch.patchId).catch(() => null) : null;
+    const diff = record
+      ? record.files.map(f => f.diff).join('\n')
+      : patch.diff || [patch.search && `- ${patch.search}`, patch.replace && `+ ${patch.replace}`].filter(Boolean).join('\n');
+    const status = record?.status && record.status !== 'applied' ? ` <span class="tag">${escapeHtml(record.status)}</span>` : '';
+    items.push(`<details><summary><b>${escapeHtml(patch.patchId || '—')}</b> ${escapeHtml(patch.file)} — ${escapeHtml(patch.description)}${status}</summary><pre class="diff">${diffHtml(diff || '')}</pre></details>`);
+  }
+  return `<h2>Applied Patches (${patches.length})</h2>\n${items.join('\n')}`;
+}
+
+async function resultHtml(result) {
+  const steps = result.trend || [];
+  const last = steps[steps.length - 1];
+  const screenshot = await embedImage(result.screenshot);
+  const regions = [];
+  for (const path of result.regions || []) {
+    const src = await embedImage(path, 640);
+    if (src) regions.push(src);
+  }
+
+  return `<details class="url ${result.success ? 'pass' : 'fail'}">
+<summary>${result.success ? '✅' : '❌'} ${escapeHtml(result.company || result.url)}
+<span class="muted">${escapeHtml(platformOf(result))} · ${result.iterations ?? steps.length} iteration(s)${last ? ` · required ${last.requiredFilled}/${last.requiredFields}` : ''}${result.usage?.calls ? ` · ${formatCost(result.usage.cost)}` : ''}</span>
+${sparkline(steps.map(s => s.filled))}</summary>
+<p><a href="${escapeHtml(result.url)}">${escapeHtml(result.url)}</a>${result.profile ? ` · profile <code>${escapeHtml(result.profile)}</code>` : ''}${result.error ? ` · <span class="err">${escapeHtml(result.error)}</span>` : ''}</p>
+${steps.length ? `<table class="compact"><tr><th>Iteration</th><th>Filled</th><th>Failed</th><th>Skipped</th><th>Required</th></tr>
+${steps.map(s => `<tr${s.rolledBack ? ' class="failed" title="patches from the previous iteration were rolled back"' : ''}><td>${s.iteration}${s.rolledBack ? ' ↩' : ''}</td><td>${s.filled}</td><td>${s.failed}</td><td>${s.skipped}</td><td>${s.requiredFields == null ? '—' : `${s.requiredFilled}/${s.requiredFields}`}</td></tr>`).join('\n')}</table>` : ''}
+${result.blockedSubmissions?.length ? `<table class="compact"><tr><th>Blocked submit</th><th>Iteration</th><th>Why it counts as submit</th><th>Decision</th></tr>
+${result.blockedSubmissions.map(b => `<tr class="failed"><td>${escapeHtml(b.text)}</td><td>${b.iteration ?? ''}</td><td>${escapeHtml(b.reason)}</td><td>${escapeHtml(b.decision)}</td></tr>`).join('\n')}</table>` : ''}
+${result.fields?.length ? `<table class="compact"><tr><th>Field</th><th>Status</th><th>Type</th><th>Tier</th><th>Model cost</th></tr>
+${result.fields.map(f => `<tr class="${escapeHtml(f.status)}"><td>${escapeHtml(f.field)}</td><td>${escapeHtml(f.status)}</td><td>${escapeHtml(f.classification || '')}</td><td title="${escapeHtml(f.source || '')}">${escapeHtml(tierOf(f.source))}</td><td>${f.cost ? formatCost(f.cost) : ''}</td></tr>`).join('\n')}</table>` : ''}
+<div class="shots">${screenshot ? `<figure><img src="${screenshot}" alt="final screenshot"><figcaption>Last iteration</figcaption></figure>` : ''}${regions.map((src, i) => `<figure><img src="${src}" alt="region ${i + 1}"><figcaption>Around failed fields (${i + 1})</figcaption></figure>`).join('')}</div>
+</details>`;
+}
+
+// Calls, tokens and cost per model role
+function usageHtml(summary) {
+  if (!summary.usage) return '';
+  const roles = Object.entries(summary.usage.byRole || {});
+  const row = (name, u) => `<tr><td>${escapeHtml(name)}</td><td>${u.calls}</td><td>${u.inputTokens.toLocaleString('en-US')}</td><td>${u.outputTokens.toLocaleString('en-US')}</td><td>${formatCost(u.cost)}</td></tr>`;
+  return `<h2>Model Usage</h2>
+${summary.overBudget ? `<p class="err">Budget of ${formatCost(summary.budget)} reached - later Tier 3 fields were queued for review.</p>` : ''}
+${roles.length ? `<table>
+<tr><th>Role</th><th>Calls</th><th>Input tokens</th><th>Output tokens</th><th>Cost</th></tr>
+${roles.map(([role, u]) => row(role, u)).join('\n')}
+${row('Total', summary.usage)}
+</table>` : '<p class="muted">No model calls.</p>'}`;
+}
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, "Segoe UI", sans-serif; margin: 24px auto; max-width: 1200px; color: #222; }
+h1 { margin-bottom: 4px; } h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+.muted { color: #777; font-weight: normal; }
+.cards { display: flex; gap: 12px; flex-wrap: wrap; margin: 16px 0; }
+.card { border: 1px solid #ddd; border-radius: 6px; padding: 10px 16px; min-width: 120px; }
+.card b { display: block; font-size: 22px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+table.compact { width: auto; font-size: 12px; }
+.bar { background: #eee; width: 160px; height: 10px; border-radius: 5px; overflow: hidden; }
+.bar span { display: block; height: 100%; background: #43a047; }
+details { margin: 6px 0; } details.url { border: 1px solid #ddd; border-radius: 6px; padding: 8px 12px; }
+details.url.fail { border-left: 4px solid #e53935; } details.url.pass { border-left: 4px solid #43a047; }
+summary { cursor: pointer; }
+tr.failed td { color: #c62828; } tr.skipped td { color: #ef6c00; }
+.spark { vertical-align: middle; margin-left: 8px; } .spark polyline { fill: none; stroke: #1e88e5; stroke-width: 2; } .spark circle { fill: #1e88e5; }
+.shots { display: flex; gap: 12px; flex-wrap: wrap; align-items: flex-start; }
+.shots img { max-width: 480px; border: 1px solid #ccc; } figure { margin: 8px 0; } figcaption { font-size: 12px; color: #777; }
+pre.diff { background: #f7f7f7; padding: 8px; overflow-x: auto; font-size: 12px; }
+pre.diff .add { color: #2e7d32; } pre.diff .del { color: #c62828; } pre.diff .hunk { color: #6a1b9a; }
+.tag { background: #eee; border-radius: 3px; padding: 0 4px; font-size: 11px; } .err { color: #c62828; }
+`;
+
+/**
+ * Build the dashboard HTML for a report object.
+ */
+export async function buildHtmlReport(report) {
+  const { byPlatform, byFieldType, byTier, trend } = summarizeReport(report);
+  const summary = report.summary || {};
+  const results = [];
+  for (const result of report.results || []) results.push(await resultHtml(result));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>JobFill Auto-Debugger Report - ${escapeHtml(report.timestamp)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>JobFill Auto-Debugger Report</h1>
+<div class="muted">${escapeHtml(report.timestamp)} · ${escapeHtml(report.duration || '')}</div>
+
+<div class="cards">
+<div class="card"><b>${summary.totalUrls ?? results.length}</b>URLs tested</div>
+<div class="card"><b>${escapeHtml(summary.successRate ?? '—')}</b>succeeded (${summary.successful ?? 0})</div>
+<div class="card"><b>${summary.totalIterations ?? 0}</b>iterations</div>
+<div class="card"><b>${summary.totalFixesApplied ?? 0}</b>fixes applied</div>
+${summary.blockedSubmissions ? `<div class="card"><b class="err">${summary.blockedSubmissions}</b>submit attempts blocked</div>` : ''}
+${summary.usage ? `<div class="card"><b${summary.overBudget ? ' class="err"' : ''}>${formatCost(summary.usage.cost)}</b>model cost${summary.budget != null ? ` of ${formatCost(summary.budget)}` : ''}</div>` : ''}
+</div>
+
+<h2>By Platform</h2>
+<table>
+<tr><th>Platform</th><th>Tested</th><th>Passed</th><th>Success</th><th></th></tr>
+${byPlatform.map(p => `<tr><td>${escapeHtml(p.key)}</td><td>${p.tested}</td><td>${p.passed}</td><td>${percent(p.passed, p.tested)}</td><td>${bar(p.passed, p.tested)}</td></tr>`).join('\n')}
+</table>
+
+${countsTable('By Field Type', byFieldType, 'Field type')}
+
+${countsTable('By Classifier Tier', byTier, 'Tier')}
+
+${usageHtml(summary)}
+
+<h2>Iteration Trend</h2>
+${trend.length ? `<p>${sparkline(trend.map(t => (t.requiredFields ? t.requiredFilled / t.requiredFields : 0)), { width: 320, height: 60, max: 1 })} <span class="muted">required fields filled, per iteration</span></p>
+<table>
+<tr><th>Iteration</th><th>URLs</th><th>Fields filled</th><th>Required filled</th><th></th></tr>
+${trend.map(t => `<tr><td>${t.iteration}</td><td>${t.urls}</td><td>${t.filled}</td><td>${t.requiredFilled}/${t.requiredFields} (${percent(t.requiredFilled, t.requiredFields)})</td><td>${bar(t.requiredFilled, t.requiredFields)}</td></tr>`).join('\n')}
+</table>` : '<p class="muted">No iterations recorded.</p>'}
+
+<h2>URLs</h2>
+${results.join('\n')}
+
+${await patchesHtml(report.appliedPatches)}
+</body>
+</html>
+`;
+}
+
+export async function writeHtmlReport(report, outPath) {
+  await writeFile(outPath, await buildHtmlReport(report));
+  return outPath;
+}
+
+async function latestReport() {
+  const names = existsSync(config.reportsDir)
+    ? (await readdir(config.reportsDir)).filter(n => /^report_\d+\.json$/.test(n)).sort()
+    : [];
+  if (names.length === 0) throw new Error(`No reports in ${config.reportsDir} - run a batch first (npm start -- --batch)`);
+  return join(config.reportsDir, names[names.length - 1]);
+}
+
+async function main() {
+  program
+    .name('reporter')
+    .description('Build the HTML dashboard for a batch report')
+    .argument('[report]', 'Report JSON (default: latest in reports/)')
+    .option('-o, --out <file>', 'HTML file to write (default: next to the report)')
+    .option('--update-stats', 'Also add the report\'s results to platformStats in test-urls.json')
+    .action(async (reportArg, options) => {
+      const reportPath = reportArg ? resolve(reportArg) : await latestReport();
+      const report = JSON.parse(await readFile(reportPath, 'utf-8'));
+      const outPath = await writeHtmlReport(report, options.out ? resolve(options.out) : reportPath.replace(/\.json$/, '.html'));
+      console.log(`📊 Dashboard written: ${outPath}`);
+      if (options.updateStats) {
+        if (report.platformStatsUpdated) {
+          console.log('⏭️ platformStats already include this report - not adding it again');
+        } else if (await updatePlatformStats(report.results || [])) {
+          await writeFile(reportPath, JSON.stringify({ ...report, platformStatsUpdated: true }, null, 2));
+        }
+      }
+    });
+
+  await program.parseAsync();
+}
+
+export default { buildHtmlReport, writeHtmlReport, summarizeReport, updatePlatformStats, tierOf };
+
+// Run if called directly (index.js imports the builders)
+const isMainModule = process.argv[1]?.includes('reporter');
+if (isMainModule) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
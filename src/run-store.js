@@ -0,0 +1,241 @@
+// Run Store - every batch run indexed in append-only JSONL files under runs/,
+// so results can be compared across runs instead of read out of timestamped
+// files in reports/ and logs/
+//
+//   runs.jsonl       { run, timestamp, duration, summary, report }
+//   results.jsonl    { run, url, platform, company, profile, success, iterations, filled, failed, skipped, requiredFilled, requiredFields, blockedSubmissions, cost }
+//   fields.jsonl     { run, url, platform, field, occurrence, status, classification, fieldType, source, tier }
+//   artifacts.jsonl  { run, url, platform, iteration, kind, path }
+//                    kind: screenshot | log | analysis | console | report | dashboard
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import config from './config.js';
+import { tierOf } from './reporter.js';
+
+const FILES = {
+  runs: 'runs.jsonl',
+  results: 'results.jsonl',
+  fields: 'fields.jsonl',
+  artifacts: 'artifacts.jsonl'
+};
+
+const platformOf = (result) => result.platform || result.detectedPlatform || 'custom';
+const normalizeLabel = (label) => (label || '').toLowerCase().replace(/\*/g, '').replace(/\s+/g, ' ').trim();
+
+export class RunStore {
+  constructor(dir = config.runsDir) {
+    this.dir = dir;
+  }
+
+  async append(name, records) {
+    if (records.length === 0) return;
+    await mkdir(this.dir, { recursive: true });
+    await appendFile(join(this.dir, FILES[name]), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+
+  /**
+   * Records from one index, keeping those whose keys equal `filter`'s.
+   */
+  async read(name, filter = {}) {
+    const path = join(this.dir, FILES[name]);
+    if (!existsSync(path)) return [];
+    const entries = Object.entries(filter).filter(([, value]) => value !== undefined && value !== null);
+    return (await readFile(path, 'utf-8'))
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(record => entries.every(([key, value]) => record[key] === value));
+  }
+
+  async nextId() {
+    const runs = await this.read('runs');
+    const last = runs.length ? parseInt(runs[runs.length - 1].run) : 0;
+    return String(last + 1).padStart(4, '0');
+  }
+
+  /**
+   * Index a batch report (see AutoDebugger.generateReport).
+   * @param paths  { report, dashboard } - where the report files were written
+   * @returns the run id
+   */
+  async recordRun(report, paths = {}) {
+    const run = await this.nextId();
+    const results = report.results || [];
+
+    await this.append('results', results.map(result => {
+      const last = result.trend?.[result.trend.length - 1] || {};
+      return {
+        run,
+        url: result.url,
+        platform: platformOf(result),
+        company: result.company || null,
+        profile: result.profile || null,
+        success: !!result.success,
+        iterations: result.iterations ?? result.trend?.length ?? 0,
+        filled: last.filled ?? 0,
+        failed: last.failed ?? 0,
+        skipped: last.skipped ?? 0,
+        requiredFilled: last.requiredFilled ?? null,
+        requiredFields: last.requiredFields ?? null,
+        blockedSubmissions: result.blockedSubmissions?.length || 0,
+        cost: result.usage?.cost ?? null,
+        ...(result.error ? { error: result.error } : {})
+      };
+    }));
+
+    // Fields from each URL's last iteration; a label seen twice (repeated
+    // sections) is told apart by its occurrence number
+    await this.append('fields', results.flatMap(result => {
+      const seen = new Map();
+      return (result.fields || []).map(field => {
+        const key = normalizeLabel(field.field);
+        seen.set(key, (seen.get(key) || 0) + 1);
+        return {
+          run,
+          url: result.url,
+          platform: platformOf(result),
+          field: field.field,
+          occurrence: seen.get(key),
+          status: field.status,
+          classification: field.classification || null,
+          fieldType: field.fieldType || null,
+          source: field.source || null,
+          tier: tierOf(field.source)
+        };
+      });
+    }));
+
+    await this.append('artifacts', [
+      ...Object.entries(paths).filter(([, path]) => path).map(([kind, path]) => ({ run, url: null, platform: null, iteration: null, kind, path })),
+      ...results.flatMap(result => [
+        ...(result.consoleLog ? [{ run, url: result.url, platform: platformOf(result), iteration: null, kind: 'console', path: result.consoleLog }] : []),
+        ...(result.trend || []).flatMap(step => Object.entries(step.artifacts || {})
+          .filter(([, path]) => path)
+          .map(([kind, path]) => ({ run, url: result.url, platform: platformOf(result), iteration: step.iteration, kind, path })))
+      ])
+    ]);
+
+    // Written last so a run only shows up once everything it indexes is there
+    await this.append('runs', [{
+      run,
+      timestamp: report.timestamp || new Date().toISOString(),
+      duration: report.duration || null,
+      summary: report.summary || {},
+      report: paths.report || null
+    }]);
+    return run;
+  }
+
+  /**
+   * A run by id ("7" or "0007"), "latest", or "latest~N" (N runs before the latest).
+   */
+  async resolveRun(ref) {
+    const runs = await this.read('runs');
+    if (runs.length === 0) throw new Error('No runs recorded yet - run a batch first (npm start -- --batch)');
+
+    const relative = String(ref).match(/^latest(?:~(\d+))?$/);
+    if (relative) {
+      const run = runs[runs.length - 1 - parseInt(relative[1] || '0')];
+      if (!run) throw new Error(`Only ${runs.length} run(s) recorded`);
+      return run;
+    }
+    const id = String(ref).padStart(4, '0');
+    const run = runs.find(r => r.run === id);
+    if (!run) throw new Error(`No run with id ${ref}`);
+    return run;
+  }
+
+  /**
+   * Fields that newly fail, newly pass, or changed classification between
+   * two runs. Only URLs tested in both runs are compared.
+   * @param filter  { platform, url }
+   */
+  async compare(refA, refB, filter = {}) {
+    const a = await this.resolveRun(refA);
+    const b = await this.resolveRun(refB);
+    const keyOf = (f) => `${f.url}\u0000${normalizeLabel(f.field)}\u0000${f.occurrence}`;
+    const index = (fields) => new Map(fields.map(f => [keyOf(f), f]));
+
+    const fieldsA = index(await this.read('fields', { run: a.run, ...filter }));
+    const fieldsB = index(await this.read('fields', { run: b.run, ...filter }));
+    const urlsA = new Set([...fieldsA.values()].map(f => f.url));
+    const urlsB = new Set([...fieldsB.values()].map(f => f.url));
+    const shared = new Set([...urlsA].filter(url => urlsB.has(url)));
+
+    const newlyFailing = [];
+    const newlyPassing = [];
+    const classificationChanged = [];
+    const appeared = [];
+    const disappeared = [];
+
+    for (const [key, after] of fieldsB) {
+      if (!shared.has(after.url)) continue;
+      const before = fieldsA.get(key);
+      if (!before) {
+        appeared.push(after);
+        continue;
+      }
+      const pair = { url: after.url, platform: after.platform, field: after.field, before, after };
+      if (before.status === 'filled' && after.status !== 'filled') newlyFailing.push(pair);
+      if (before.status !== 'filled' && after.status === 'filled') newlyPassing.push(pair);
+      if ((before.classification || null) !== (after.classification || null)) classificationChanged.push(pair);
+    }
+    for (const [key, before] of fieldsA) {
+      if (shared.has(before.url) && !fieldsB.has(key)) disappeared.push(before);
+    }
+
+    // Fill rate per platform over the shared URLs
+    const rates = new Map();
+    for (const [side, fields] of [['a', fieldsA], ['b', fieldsB]]) {
+      for (const f of fields.values()) {
+        if (!shared.has(f.url)) continue;
+        if (!rates.has(f.platform)) rates.set(f.platform, { platform: f.platform, a: { filled: 0, total: 0 }, b: { filled: 0, total: 0 } });
+        const counts = rates.get(f.platform)[side];
+        counts.total++;
+        if (f.status === 'filled') counts.filled++;
+      }
+    }
+
+    return {
+      a,
+      b,
+      urls: { shared: shared.size, onlyA: urlsA.size - shared.size, onlyB: urlsB.size - shared.size },
+      newlyFailing,
+      newlyPassing,
+      classificationChanged,
+      appeared,
+      disappeared,
+      platforms: [...rates.values()]
+    };
+  }
+
+  /**
+   * Fill rate per run for fields matching `filter`
+   * ({ platform, url, fieldType, classification, tier, field } - field matches part of the label).
+   */
+  async trend({ field, ...filter } = {}) {
+    const runs = await this.read('runs');
+    const fields = (await this.read('fields', filter))
+      .filter(f => !field || normalizeLabel(f.field).includes(normalizeLabel(field)));
+
+    return runs.map(run => {
+      const inRun = fields.filter(f => f.run === run.run);
+      return {
+        run: run.run,
+        timestamp: run.timestamp,
+        total: inRun.length,
+        filled: inRun.filter(f => f.status === 'filled').length,
+        failed: inRun.filter(f => f.status === 'failed').length,
+        skipped: inRun.filter(f => f.status === 'skipped').length
+      };
+    }).filter(r => r.total > 0);
+  }
+
+  // Report files already indexed, so `runs import` doesn't add them twice
+  async importedReports() {
+    return new Set((await this.read('runs')).map(r => r.report).filter(Boolean));
+  }
+}
+
+export default RunStore;
@@ -1,30 +1,73 @@
 // Puppeteer Runner - Handles browser automation and log capture
 import puppeteer from 'puppeteer';
-import { writeFile, mkdir, readFile } from 'fs/promises';
+import { writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import config from './config.js';
+import { detectPlatform } from './platforms/index.js';
+import { getFieldFrames } from './dom-traversal.js';
+import { ProfileManager } from './profile-manager.js';
+import { importFresh } from './module-reloader.js';
+import { SubmissionGuard } from './submission-guard.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 export class PuppeteerRunner {
-  constructor() {
-    this.browser = null;
+  /**
+   * @param options  { profile, browser, classifiers, name, allowSubmit, confirmSubmit }
+   *   profile      named profile to fill with (default: the active one)
+   *   browser      batch worker: open an incognito context in this browser instead of launching one
+   *   classifiers  { stage1Classifier, stage2Classifier } already loaded, shared between workers
+   *   name         worker name shown on browser console output
+   *   allowSubmit  --allow-submit: the navigator may submit after confirmSubmit(question) says yes
+   */
+  constructor(options = {}) {
+    this.browser = options.browser || null;
+    this.context = null;
     this.page = null;
+    this.classifiers = options.classifiers || {};
+    this.name = options.name || null;
+    this.submissionGuard = new SubmissionGuard({ allowSubmit: options.allowSubmit, confirm: options.confirmSubmit });
     this.consoleLogs = [];
     this.networkRequests = [];
     this.errors = [];
+    this.fillEvents = [];
     this.profile = null;
+    this.profileName = options.profile || null;
+    this.loginRequired = false;
   }
 
   async initialize() {
-    console.log('🚀 Launching browser...');
-    
     // Load profile
     await this.loadProfile();
     
+    // Batch worker: own cookies and storage, shared browser process
+    if (this.browser) {
+      this.context = await this.browser.createBrowserContext();
+      this.page = await this.context.newPage();
+      this.setupListeners();
+      await this.submissionGuard.install(this.page);
+      return this;
+    }
+    
+    console.log('🚀 Launching browser...');
+    this.browser = await PuppeteerRunner.launchBrowser();
+    this.page = await this.browser.newPage();
+    this.setupListeners();
+    await this.submissionGuard.install(this.page);
+    
+    console.log('✅ Browser ready');
+    if (this.profile) {
+      console.log(`👤 Profile loaded: ${this.profile.personal.firstName} ${this.profile.personal.lastName} (${this.profileName})`);
+    } else {
+      console.log('⚠️  No profile found. Run: npm run setup');
+    }
+    return this;
+  }
+
+  static async launchBrowser() {
     // Build browser args
     const browserArgs = [
       '--no-sandbox',
@@ -43,7 +86,7 @@ export class PuppeteerRunner {
       console.log('📦 No extension loaded (using direct form filler)');
     }
 
-    this.browser = await puppeteer.launch({
+    return puppeteer.launch({
       headless: config.headless,
       slowMo: config.slowMo,
       args: browserArgs,
@@ -52,28 +95,20 @@ export class PuppeteerRunner {
         height: 900
       }
     });
+  }
 
-    this.page = await this.browser.newPage();
-    this.setupListeners();
-    
-    console.log('✅ Browser ready');
-    if (this.profile) {
-      console.log(`👤 Profile loaded: ${this.profile.personal.firstName} ${this.profile.personal.lastName}`);
-    } else {
-      console.log('⚠️  No profile found. Run: npm run setup');
-    }
-    return this;
+  // Validated against the profile schema - exits on a broken profile
+  async loadProfile(name = this.profileName) {
+    const manager = new ProfileManager({ profile: name });
+    this.profile = await manager.load();
+    this.profileName = manager.profileName;
   }
 
-  async loadProfile() {
-    const profilePath = join(__dirname, '../profile.json');
-    if (existsSync(profilePath)) {
-      try {
-        this.profile = JSON.parse(await readFile(profilePath, 'utf-8'));
-      } catch (error) {
-        console.log('⚠️  Error loading profile:', error.message);
-      }
-    }
+  // Switch persona between applications (test-urls.json "profile")
+  async useProfile(name) {
+    if (!name || (name === this.profileName && this.profile)) return;
+    await this.loadProfile(name);
+    console.log(`👤 Using profile "${this.profileName}": ${this.profile?.personal.firstName} ${this.profile?.personal.lastName}`);
   }
 
   // Convert profile to extension format and inject into page
@@ -147,6 +182,8 @@ export class PuppeteerRunner {
   }
 
   setupListeners() {
+    const tag = this.name ? `[BROWSER ${this.name}]` : '[BROWSER]';
+    
     // Capture all console logs
     this.page.on('console', msg => {
       const logEntry = {
@@ -161,7 +198,7 @@ export class PuppeteerRunner {
       if (msg.text().includes('JobFill') || msg.text().includes('[JobFill')) {
         const color = msg.type() === 'error' ? '\x1b[31m' : 
                       msg.type() === 'warning' ? '\x1b[33m' : '\x1b[36m';
-        console.log(`${color}[BROWSER] ${msg.text()}\x1b[0m`);
+        console.log(`${color}${tag} ${msg.text()}\x1b[0m`);
       }
     });
 
@@ -173,7 +210,7 @@ export class PuppeteerRunner {
         stack: error.stack,
         timestamp: new Date().toISOString()
       });
-      console.log(`\x1b[31m[ERROR] ${error.message}\x1b[0m`);
+      console.log(`\x1b[31m${tag} [ERROR] ${error.message}\x1b[0m`);
     });
 
     // Capture request failures
@@ -202,6 +239,7 @@ export class PuppeteerRunner {
     this.consoleLogs = [];
     this.networkRequests = [];
     this.errors = [];
+    this.fillEvents = [];
   }
 
   // Helper function to wait (replaces deprecated waitForTimeout)
@@ -224,6 +262,9 @@ export class PuppeteerRunner {
       
       // Inject profile data into page
       await this.injectProfile();
+
+      // Platforms that gate the form behind Apply/sign-in get there first
+      await this.startApplication(url);
       
       console.log('✅ Page loaded');
       return true;
@@ -233,16 +274,37 @@ export class PuppeteerRunner {
     }
   }
 
+  async startApplication(url) {
+    this.loginRequired = false;
+    const platform = detectPlatform(url);
+    if (typeof platform?.startApplication !== 'function') return;
+
+    // The adapter's Apply click starts an application; on some platforms
+    // (SuccessFactors) it looks like the submit button to the guard. Only
+    // that click is let through - sign-in and anything after stay guarded.
+    const result = await platform.startApplication(this.page, config.credentials?.[platform.name], {
+      withApplyAllowed: (click) => this.submissionGuard.withSubmitAllowed(this.page.mainFrame(), click)
+    });
+    if (result.loginRequired) {
+      this.loginRequired = true;
+      console.log(`🔐 ${platform.name}: login required (${result.reason})`);
+    }
+  }
+
   async runFill() {
     console.log('🔄 Running JobFill...');
     
     try {
-      // Use DirectFormFiller to fill forms using Puppeteer
-      const { DirectFormFiller } = await import('./direct-form-filler.js');
-      const filler = new DirectFormFiller(this.page, this.profile);
+      // Use DirectFormFiller to fill forms using Puppeteer (at the latest patch revision)
+      const { DirectFormFiller } = await importFresh('./direct-form-filler.js');
+      const filler = new DirectFormFiller(this.page, this.profile, this.classifiers);
       
       // Fill all fields (includes resume upload)
       const results = await filler.fillAllFields();
+      // Saved with the logs for analyze-logs.js. Assisted mode fills several
+      // pages per navigation; `pass` keeps their field ids apart.
+      const pass = (this.fillEvents.at(-1)?.pass || 0) + 1;
+      this.fillEvents.push(...(results.events || []).map(event => ({ pass, ...event })));
       
       // Wait for any dynamic updates
       await this.wait(1000);
@@ -346,41 +408,85 @@ export class PuppeteerRunner {
   }
 
   async captureDOM() {
-    return await this.page.evaluate(() => {
-      // Get form fields and their states
-      const forms = document.querySelectorAll('form');
-      const fields = [];
-      
-      forms.forEach(form => {
-        const inputs = form.querySelectorAll('input, select, textarea, [role="combobox"], [role="listbox"]');
-        inputs.forEach(input => {
-          fields.push({
-            tag: input.tagName,
-            type: input.type || input.getAttribute('role'),
-            name: input.name || input.id,
-            value: input.value,
-            label: input.labels?.[0]?.textContent || 
-                   input.getAttribute('aria-label') ||
-                   input.closest('label')?.textContent?.trim()?.substring(0, 50),
-            required: input.required || input.getAttribute('aria-required') === 'true',
-            filled: !!input.value,
-            classes: input.className?.substring(0, 100),
-            visible: input.offsetParent !== null
+    const frames = [this.page.mainFrame(), ...getFieldFrames(this.page, this.page.mainFrame())];
+    const fields = [];
+
+    for (const frame of frames) {
+      const frameFields = await frame.evaluate(() => {
+        // Form fields and their states, including ones inside open shadow roots
+        const found = [];
+        const visit = (root, inShadow) => {
+          root.querySelectorAll('input, select, textarea, [role="combobox"], [role="listbox"]').forEach(input => {
+            if (['hidden', 'submit', 'button', 'image', 'reset'].includes(input.type)) return;
+            const labelRoot = input.getRootNode();
+            const box = input.getBoundingClientRect();
+            found.push({
+              tag: input.tagName,
+              type: input.type || input.getAttribute('role'),
+              name: input.name || input.id,
+              value: input.value,
+              label: input.labels?.[0]?.textContent ||
+                     input.getAttribute('aria-label') ||
+                     input.closest('label')?.textContent?.trim()?.substring(0, 50) ||
+                     (labelRoot instanceof ShadowRoot ? labelRoot.host.getAttribute('label') : null),
+              required: input.required || input.getAttribute('aria-required') === 'true',
+              filled: !!input.value,
+              classes: input.className?.substring?.(0, 100),
+              visible: input.offsetParent !== null,
+              inShadow,
+              // Document coordinates within this frame, for the screenshot overlay
+              rect: { x: box.left + window.scrollX, y: box.top + window.scrollY, width: box.width, height: box.height }
+            });
           });
-        });
-      });
-      
-      return {
-        url: window.location.href,
-        title: document.title,
-        platform: window.detectedPlatform || 'unknown',
-        totalFields: fields.length,
-        filledFields: fields.filter(f => f.filled).length,
-        requiredFields: fields.filter(f => f.required).length,
-        requiredFilled: fields.filter(f => f.required && f.filled).length,
-        fields: fields
-      };
-    });
+          root.querySelectorAll('*').forEach(el => {
+            if (el.shadowRoot) visit(el.shadowRoot, true);
+          });
+        };
+        visit(document, false);
+        return found;
+      }).catch(() => []);
+
+      if (frame === this.page.mainFrame()) {
+        fields.push(...frameFields);
+        continue;
+      }
+      const offset = await this.frameOffset(frame);
+      fields.push(...frameFields.map(f => ({
+        ...f,
+        frame: frame.url(),
+        rect: offset ? { ...f.rect, x: f.rect.x + offset.x, y: f.rect.y + offset.y } : null
+      })));
+    }
+
+    const pageInfo = await this.page.evaluate(() => ({
+      url: window.location.href,
+      title: document.title,
+      platform: window.detectedPlatform || 'unknown',
+      devicePixelRatio: window.devicePixelRatio
+    }));
+
+    return {
+      ...pageInfo,
+      totalFields: fields.length,
+      filledFields: fields.filter(f => f.filled).length,
+      requiredFields: fields.filter(f => f.required).length,
+      requiredFilled: fields.filter(f => f.required && f.filled).length,
+      frames: frames.slice(1).map(f => f.url()),
+      fields: fields
+    };
+  }
+
+  // Where a child frame's document starts, in main-document coordinates
+  async frameOffset(frame) {
+    try {
+      const element = await frame.frameElement();
+      const box = element && await element.boundingBox();
+      if (!box) return null;
+      const scroll = await this.page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+      return { x: box.x + scroll.x, y: box.y + scroll.y };
+    } catch {
+      return null;
+    }
   }
 
   async saveLogs(filename) {
@@ -396,9 +502,11 @@ export class PuppeteerRunner {
       consoleLogs: this.consoleLogs,
       networkRequests: this.networkRequests,
       errors: this.errors,
+      fillEvents: this.fillEvents,
       summary: {
         totalLogs: this.consoleLogs.length,
         errorCount: this.errors.length,
+        fillEvents: this.fillEvents.length,
         jobfillLogs: this.consoleLogs.filter(l => l.text.includes('JobFill')).length
       }
     };
@@ -416,6 +524,11 @@ export class PuppeteerRunner {
   }
 
   async close() {
+    // Workers only close their own context; the pool closes the browser
+    if (this.context) {
+      await this.context.close();
+      return;
+    }
     if (this.browser) {
       await this.browser.close();
       console.log('🛑 Browser closed');
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Runs - query the run history in runs/ (see run-store.js)
+//
+// Usage:
+//   node runs.js list
+//   node runs.js show <run>
+//   node runs.js compare <runA> <runB> [--platform workday] [--url <url>]
+//   node runs.js trend [--platform workday] [--field-type dropdown] [--classification country] [--field "Country"]
+//   node runs.js import [reports...]
+//
+// <run> is an id (7 or 0007), "latest" or "latest~1" (the run before it).
+
+import { program } from 'commander';
+import { readFile, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, resolve } from 'path';
+import config from './config.js';
+import { RunStore } from './run-store.js';
+import { formatCost } from './llm-provider.js';
+
+const percent = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '  —  ');
+const date = (timestamp) => timestamp.replace('T', ' ').substring(0, 16);
+
+function describeRun(run) {
+  const { totalUrls = 0, successful = 0, usage } = run.summary;
+  return `${run.run}  ${date(run.timestamp)}  ${String(totalUrls).padStart(3)} URLs  ${String(successful).padStart(3)} passed  ${run.duration || ''}${usage ? `  ${formatCost(usage.cost)}` : ''}`;
+}
+
+function printFieldChanges(title, pairs, describe) {
+  console.log(`\n${title} (${pairs.length})`);
+  for (const pair of pairs) {
+    console.log(`   ${pair.platform.padEnd(15)} ${new URL(pair.url).hostname.padEnd(36)} "${pair.field}"  ${describe(pair)}`);
+  }
+}
+
+async function main() {
+  const store = new RunStore();
+
+  program
+    .name('runs')
+    .description('List, compare and trend batch runs recorded in runs/');
+
+  program
+    .command('list')
+    .description('List recorded runs (newest last)')
+    .action(async () => {
+      const runs = await store.read('runs');
+      if (runs.length === 0) {
+        console.log('No runs recorded yet. Run a batch: npm start -- --batch');
+        return;
+      }
+      for (const run of runs) console.log(describeRun(run));
+    });
+
+  program
+    .command('show <run>')
+    .description('Show one run: results per URL and the files it produced')
+    .action(async (ref) => {
+      const run = await store.resolveRun(ref);
+      console.log(describeRun(run));
+      if (run.report) console.log(`Report: ${run.report}`);
+
+      for (const result of await store.read('results', { run: run.run })) {
+        const required = result.requiredFields !== null ? `  required ${result.requiredFilled}/${result.requiredFields}` : '';
+        console.log(`\n${result.success ? '✅' : '❌'} ${result.platform.padEnd(15)} ${result.url}`);
+        console.log(`   ${result.iterations} iteration(s)  filled ${result.filled}  failed ${result.failed}  skipped ${result.skipped}${required}${result.blockedSubmissions ? `  🛑 ${result.blockedSubmissions} submit(s) blocked` : ''}${result.cost ? `  ${formatCost(result.cost)}` : ''}${result.error ? `  error: ${result.error}` : ''}`);
+        const artifacts = await store.read('artifacts', { run: run.run, url: result.url });
+        for (const artifact of artifacts) {
+          console.log(`   ${artifact.kind.padEnd(11)} ${artifact.iteration ? `#${artifact.iteration} ` : ''}${artifact.path}`);
+        }
+      }
+    });
+
+  program
+    .command('compare <runA> <runB>')
+    .description('Fields that newly fail, newly pass or changed classification from runA to runB')
+    .option('--platform <name>', 'Only this platform')
+    .option('--url <url>', 'Only this URL')
+    .action(async (refA, refB, options) => {
+      const diff = await store.compare(refA, refB, { platform: options.platform, url: options.url });
+      console.log(`Comparing run ${diff.a.run} (${date(diff.a.timestamp)}) → ${diff.b.run} (${date(diff.b.timestamp)})`);
+      console.log(`${diff.urls.shared} URL(s) in both runs${diff.urls.onlyA || diff.urls.onlyB ? ` (${diff.urls.onlyA} only in ${diff.a.run}, ${diff.urls.onlyB} only in ${diff.b.run} - not compared)` : ''}`);
+
+      const tiers = ({ before, after }) => (before.tier !== after.tier ? `  [${before.tier} → ${after.tier}]` : '');
+      printFieldChanges('❌ Newly failing', diff.newlyFailing, p => `${p.before.status} → ${p.after.status}  (${p.after.classification || 'unclassified'})${tiers(p)}`);
+      printFieldChanges('✅ Newly passing', diff.newlyPassing, p => `${p.before.status} → ${p.after.status}  (${p.after.classification || 'unclassified'})${tiers(p)}`);
+      printFieldChanges('🔀 Classification changed', diff.classificationChanged, p => `${p.before.classification || 'unclassified'} → ${p.after.classification || 'unclassified'}  (${p.after.status})${tiers(p)}`);
+      if (diff.appeared.length || diff.disappeared.length) {
+        console.log(`\n➕ ${diff.appeared.length} field(s) only in ${diff.b.run}, ➖ ${diff.disappeared.length} only in ${diff.a.run}`);
+      }
+
+      console.log('\nFill rate by platform:');
+      for (const { platform, a, b } of diff.platforms) {
+        const delta = a.total && b.total ? ((b.filled / b.total) - (a.filled / a.total)) * 100 : null;
+        console.log(`   ${platform.padEnd(15)} ${percent(a.filled, a.total).padStart(6)} → ${percent(b.filled, b.total).padStart(6)}${delta !== null ? `  (${delta >= 0 ? '+' : ''}${delta.toFixed(1)})` : ''}`);
+      }
+    });
+
+  program
+    .command('trend')
+    .description('Fill rate per run for a slice of fields')
+    .option('--platform <name>', 'Only this platform')
+    .option('--url <url>', 'Only this URL')
+    .option('--field-type <type>', 'Only this DOM field type (dropdown, text, radio, ...)')
+    .option('--classification <type>', 'Only fields classified as this')
+    .option('--field <label>', 'Only fields whose label contains this')
+    .action(async (options) => {
+      const rows = await store.trend({
+        platform: options.platform,
+        url: options.url,
+        fieldType: options.fieldType,
+        classification: options.classification,
+        field: options.field
+      });
+      if (rows.length === 0) {
+        console.log('No matching fields in any run.');
+        return;
+      }
+      for (const row of rows) {
+        console.log(`${row.run}  ${date(row.timestamp)}  ${percent(row.filled, row.total).padStart(6)}  filled ${row.filled}/${row.total}  failed ${row.failed}  skipped ${row.skipped}`);
+      }
+    });
+
+  program
+    .command('import [reports...]')
+    .description('Index batch reports written before the run store existed (default: all in reports/)')
+    .action(async (reports) => {
+      const paths = reports.length
+        ? reports.map(r => resolve(r))
+        : existsSync(config.reportsDir)
+          ? (await readdir(config.reportsDir)).filter(n => /^report_\d+\.json$/.test(n)).sort().map(n => join(config.reportsDir, n))
+          : [];
+      const imported = await store.importedReports();
+      let count = 0;
+      for (const path of paths) {
+        if (imported.has(path)) continue;
+        const report = JSON.parse(await readFile(path, 'utf-8'));
+        const run = await store.recordRun(report, { report: path });
+        console.log(`✅ ${path} → run ${run}`);
+        count++;
+      }
+      console.log(count ? `Imported ${count} report(s)` : 'Nothing new to import');
+    });
+
+  await program.parseAsync();
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,329 @@
+// Screenshot Regions - crops the full-page screenshot down to the areas around
+// failed fields, with a box drawn over every field from captureDOM, so the
+// analyzer can see open popups, validation banners and wrong selections
+//
+//   red     failed / required and still empty
+//   orange  skipped
+//   green   filled
+//   grey    anything else
+//
+// PNG is decoded and encoded here with zlib (8-bit RGB/RGBA, non-interlaced -
+// what Chrome's screenshots are), so no image library is needed.
+import { readFile, writeFile } from 'fs/promises';
+import { inflateSync, deflateSync } from 'zlib';
+import { basename, dirname, join } from 'path';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const COLORS = {
+  failed: [229, 57, 53],
+  skipped: [251, 140, 0],
+  filled: [67, 160, 71],
+  other: [158, 158, 158]
+};
+
+const MAX_REGION_HEIGHT = 1400;   // keep each crop a readable size for the model
+
+// ============================================
+// PNG
+// ============================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * @returns { width, height, data } with data as RGBA bytes
+ */
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+
+  let header = null;
+  const idat = [];
+  for (let pos = 8; pos < buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('ascii', pos + 4, pos + 8);
+    const chunk = buffer.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  const { width, height, bitDepth, colorType, interlace } = header;
+  if (bitDepth !== 8 || ![2, 6].includes(colorType) || interlace !== 0) {
+    throw new Error(`Unsupported PNG (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+  }
+
+  const channels = colorType === 6 ? 4 : 3;
+  const stride = width * channels;
+  const raw = inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+
+  // Undo the per-row filters
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      const value = raw[src + x];
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) predicted = paeth(left, up, upLeft);
+      pixels[row + x] = (value + predicted) & 0xff;
+    }
+  }
+
+  if (channels === 4) return { width, height, data: pixels };
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < pixels.length; i += 3, j += 4) {
+    data[j] = pixels[i];
+    data[j + 1] = pixels[i + 1];
+    data[j + 2] = pixels[i + 2];
+    data[j + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+export function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;    // bit depth
+  header[9] = 6;    // RGBA
+
+  // Filter type 0 (none) on every row
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// ============================================
+// DRAWING
+// ============================================
+
+function clampRect(image, { x, y, width, height }) {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(image.width, Math.ceil(x + width));
+  const bottom = Math.min(image.height, Math.ceil(y + height));
+  return { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+}
+
+function fillRect(image, rect, [r, g, b]) {
+  const { x, y, width, height } = clampRect(image, rect);
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      const i = (row * image.width + col) * 4;
+      image.data[i] = r;
+      image.data[i + 1] = g;
+      image.data[i + 2] = b;
+      image.data[i + 3] = 255;
+    }
+  }
+}
+
+// Outline `rect` (in image pixels), drawn just outside the field
+export function drawBox(image, { x, y, width, height }, color, thickness = 3) {
+  const t = thickness;
+  fillRect(image, { x: x - t, y: y - t, width: width + 2 * t, height: t }, color);
+  fillRect(image, { x: x - t, y: y + height, width: width + 2 * t, height: t }, color);
+  fillRect(image, { x: x - t, y, width: t, height }, color);
+  fillRect(image, { x: x + width, y, width: t, height }, color);
+}
+
+export function cropImage(image, rect) {
+  const { x, y, width, height } = clampRect(image, rect);
+  const data = Buffer.alloc(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * image.width + x) * 4;
+    image.data.copy(data, row * width * 4, start, start + width * 4);
+  }
+  return { width, height, data };
+}
+
+// Downscale to `width` pixels wide, averaging each block of source pixels
+export function scaleImage(image, width) {
+  if (width >= image.width) return image;
+  const factor = image.width / width;
+  const height = Math.max(1, Math.round(image.height / factor));
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let ty = 0; ty < height; ty++) {
+    const y0 = Math.floor(ty * factor);
+    const y1 = Math.min(image.height, Math.max(y0 + 1, Math.floor((ty + 1) * factor)));
+    for (let tx = 0; tx < width; tx++) {
+      const x0 = Math.floor(tx * factor);
+      const x1 = Math.min(image.width, Math.max(x0 + 1, Math.floor((tx + 1) * factor)));
+      const sum = [0, 0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * image.width + x) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += image.data[i + c];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const j = (ty * width + tx) * 4;
+      for (let c = 0; c < 4; c++) data[j + c] = Math.round(sum[c] / count);
+    }
+  }
+  return { width, height, data };
+}
+
+// ============================================
+// REGIONS
+// ============================================
+
+const normalizeLabel = (label) => (label || '').toLowerCase().replace(/\*/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * State of every captured field for the overlay: failed / skipped / filled / other.
+ * Fill-log entries are matched to DOM fields by label.
+ */
+export function fieldStates(domState, fillResults) {
+  const byLabel = new Map();
+  for (const entry of fillResults?.fieldLog || []) {
+    byLabel.set(normalizeLabel(entry.field), entry.status);
+  }
+  const statusOf = (label) => {
+    const key = normalizeLabel(label);
+    if (!key) return null;
+    if (byLabel.has(key)) return byLabel.get(key);
+    for (const [logged, status] of byLabel) {
+      if (logged && (key.includes(logged) || logged.includes(key))) return status;
+    }
+    return null;
+  };
+
+  return (domState.fields || [])
+    .filter(f => f.rect && f.rect.width > 0 && f.rect.height > 0)
+    .map(field => {
+      const status = statusOf(field.label);
+      let state = 'other';
+      if (status === 'failed' || (field.required && !field.filled)) state = 'failed';
+      else if (status === 'skipped') state = 'skipped';
+      else if (status === 'filled' || field.filled) state = 'filled';
+      return { field, state };
+    });
+}
+
+/**
+ * Group failed/skipped fields into padded regions (CSS pixels), merging
+ * fields that are close together. Regions are ordered by how many failed
+ * fields they hold.
+ */
+export function failureRegions(states, { padding = 150, maxRegions = 4, pageWidth = Infinity, pageHeight = Infinity } = {}) {
+  const targets = states
+    .filter(s => s.state === 'failed' || s.state === 'skipped')
+    .sort((a, b) => a.field.rect.y - b.field.rect.y);
+
+  const regions = [];
+  for (const { field } of targets) {
+    const { x, y, width, height } = field.rect;
+    const box = {
+      left: Math.max(0, x - padding),
+      top: Math.max(0, y - padding),
+      right: Math.min(pageWidth, x + width + padding),
+      bottom: Math.min(pageHeight, y + height + padding)
+    };
+    const last = regions[regions.length - 1];
+    const merged = last && box.top <= last.bottom && Math.max(last.bottom, box.bottom) - last.top <= MAX_REGION_HEIGHT;
+    if (merged) {
+      last.left = Math.min(last.left, box.left);
+      last.right = Math.max(last.right, box.right);
+      last.bottom = Math.max(last.bottom, box.bottom);
+      last.fields.push(field);
+    } else {
+      regions.push({ ...box, fields: [field] });
+    }
+  }
+
+  return regions
+    .sort((a, b) => b.fields.length - a.fields.length)
+    .slice(0, maxRegions)
+    .sort((a, b) => a.top - b.top)
+    .map(r => ({
+      rect: { x: r.left, y: r.top, width: r.right - r.left, height: r.bottom - r.top },
+      fields: r.fields.map(f => f.label?.trim() || f.name || f.type)
+    }));
+}
+
+/**
+ * Crop a saved full-page screenshot to the regions around failed fields, with
+ * every field boxed. Crops are saved next to the screenshot.
+ * @returns [{ path, rect, fields, png }] - png is the crop as a Buffer
+ */
+export async function cropFailureRegions(screenshotPath, domState, fillResults, options = {}) {
+  const states = fieldStates(domState, fillResults);
+  const scale = domState.devicePixelRatio || 1;
+  const image = decodePng(await readFile(screenshotPath));
+  const regions = failureRegions(states, { ...options, pageWidth: image.width / scale, pageHeight: image.height / scale });
+  if (regions.length === 0) return [];
+
+  const toPixels = ({ x, y, width, height }) => ({ x: x * scale, y: y * scale, width: width * scale, height: height * scale });
+  for (const { field, state } of states) {
+    drawBox(image, toPixels(field.rect), COLORS[state], Math.max(2, Math.round(2 * scale)));
+  }
+
+  const stem = join(dirname(screenshotPath), basename(screenshotPath, '.png'));
+  const crops = [];
+  for (const [i, region] of regions.entries()) {
+    const png = encodePng(cropImage(image, toPixels(region.rect)));
+    const path = `${stem}_region${i + 1}.png`;
+    await writeFile(path, png);
+    crops.push({ path, rect: region.rect, fields: region.fields, png });
+  }
+  return crops;
+}
+
+export default { decodePng, encodePng, drawBox, cropImage, scaleImage, fieldStates, failureRegions, cropFailureRegions };
@@ -0,0 +1,232 @@
+// Repeated Section Filler - adds one "Work Experience" / "Education" panel per
+// profile entry and fills each panel from its own entry
+import { sleep } from './utils.js';
+
+// Profile entry → value for each section field
+const ENTRY_VALUES = {
+  workHistory: {
+    title: (e) => e.title || e.jobTitle,
+    company: (e) => e.company || e.employer,
+    location: (e) => e.location,
+    current: (e) => isCurrent(e),
+    startDate: (e) => e.startDate,
+    endDate: (e) => (isCurrent(e) ? null : e.endDate),
+    description: (e) => e.description
+  },
+  educationHistory: {
+    school: (e) => e.school,
+    degree: (e) => e.degree,
+    fieldOfStudy: (e) => e.fieldOfStudy,
+    gpa: (e) => e.gpa,
+    startDate: (e) => e.startDate || e.startYear,
+    endDate: (e) => e.endDate || e.graduationDate || e.graduationYear
+  }
+};
+
+function isCurrent(entry) {
+  if (entry.current === true || entry.currentlyEmployed === true) return true;
+  const end = String(entry.endDate || '').toLowerCase();
+  return end === 'present' || end === 'current';
+}
+
+// "2021-03", "03/2021", "March 2021", "2021" → { month: '3', year: '2021' }
+export function parseMonthYear(value) {
+  const str = String(value || '').trim();
+  if (!str) return null;
+
+  let m = str.match(/^(\d{4})-(\d{1,2})/);
+  if (m) return { month: String(parseInt(m[2])), year: m[1] };
+
+  m = str.match(/^(\d{1,2})\/(?:\d{1,2}\/)?(\d{4})$/);
+  if (m) return { month: String(parseInt(m[1])), year: m[2] };
+
+  m = str.match(/^(\d{4})$/);
+  if (m) return { month: null, year: m[1] };
+
+  const date = new Date(str);
+  if (!isNaN(date.getTime())) return { month: String(date.getMonth() + 1), year: String(date.getFullYear()) };
+  return null;
+}
+
+export class RepeatedSectionFiller {
+  /**
+   * @param page      Puppeteer page
+   * @param platform  Adapter with `repeatedSections` and the usual fill methods
+   * @param profile   Profile with workHistory[] / educationHistory[]
+   * @param options   { fillDatePart(selector, label, value) } for split date inputs
+   */
+  constructor(page, platform, profile, options = {}) {
+    this.page = page;
+    this.platform = platform;
+    this.profile = profile || {};
+    this.fillDatePart = options.fillDatePart || null;
+    this.results = [];
+  }
+
+  // Entries for a section kind; old profiles only have a single `education` object
+  getEntries(kind) {
+    const p = this.profile;
+    if (kind === 'workHistory') return p.workHistory || [];
+    if (kind === 'educationHistory') {
+      if (p.educationHistory?.length) return p.educationHistory;
+      return p.education?.school ? [p.education] : [];
+    }
+    return [];
+  }
+
+  // Fill every repeated section on the page.
+  // Returns the entry panel selectors so generic discovery can skip them.
+  async fillAll() {
+    const sections = this.platform.repeatedSections || {};
+    const scopes = [];
+
+    for (const [kind, def] of Object.entries(sections)) {
+      const entries = this.getEntries(kind);
+      if (entries.length === 0) continue;
+      if (!(await this.page.$(def.section))) continue;
+
+      console.log(`\n📚 ${def.title}: ${entries.length} profile ${entries.length === 1 ? 'entry' : 'entries'}`);
+      const panels = await this.ensureEntryCount(def, entries.length);
+
+      for (let i = 0; i < Math.min(entries.length, panels.length); i++) {
+        console.log(`\n   ── ${def.title} ${i + 1} ──`);
+        await this.fillEntry(kind, def, panels[i], entries[i], i);
+        scopes.push(panels[i]);
+      }
+    }
+
+    return { scopes, results: this.results };
+  }
+
+  // Unique selectors for the entry panels currently in the section
+  async listPanels(def) {
+    return this.page.evaluate((sectionSel, entrySel) => {
+      const section = document.querySelector(sectionSel);
+      if (!section) return [];
+      return Array.from(section.querySelectorAll(entrySel))
+        // Nested matches (e.g. inner groups) belong to an outer panel
+        .filter((el, _, all) => !all.some(other => other !== el && other.contains(el)))
+        .map(el => {
+          if (el.id) return `#${CSS.escape(el.id)}`;
+          if (el.getAttribute('aria-labelledby')) return `[aria-labelledby="${el.getAttribute('aria-labelledby')}"]`;
+          return `[data-automation-id="${el.getAttribute('data-automation-id')}"]`;
+        });
+    }, def.section, def.entry);
+  }
+
+  // Click "Add" / "Add Another" until there is a panel per entry
+  async ensureEntryCount(def, count) {
+    let panels = await this.listPanels(def);
+    let attempts = 0;
+
+    while (panels.length < count && attempts < count + 2) {
+      attempts++;
+      const clicked = await this.page.evaluate((sectionSel, addSel) => {
+        const section = document.querySelector(sectionSel);
+        const buttons = Array.from(section?.querySelectorAll(addSel) || []).filter(b => b.offsetParent !== null);
+        // The add button sits after the last panel
+        const btn = buttons[buttons.length - 1] ||
+          Array.from(section?.querySelectorAll('button') || []).find(b => /^add( another)?$/i.test(b.textContent.trim()));
+        if (!btn) return null;
+        btn.scrollIntoView({ block: 'center' });
+        btn.click();
+        return btn.textContent.trim();
+      }, def.section, def.addButton);
+
+      if (!clicked) {
+        console.log(`   ⚠️ No "Add" button in ${def.title}`);
+        break;
+      }
+      console.log(`   ➕ Clicked "${clicked}"`);
+      await sleep(1000);
+      panels = await this.listPanels(def);
+    }
+
+    if (panels.length < count) {
+      console.log(`   ⚠️ Only ${panels.length} of ${count} ${def.title} panels available`);
+    } else if (panels.length > count) {
+      console.log(`   ℹ️ ${panels.length - count} extra ${def.title} panel(s) left as-is`);
+    }
+    return panels;
+  }
+
+  async fillEntry(kind, def, panel, entry, index) {
+    const values = ENTRY_VALUES[kind] || {};
+
+    for (const [key, field] of Object.entries(def.fields)) {
+      const value = values[key] ? values[key](entry) : entry[key];
+      if (value === undefined || value === null || value === '') continue;
+
+      // Panels render fields lazily - skip ones this layout doesn't have
+      const selector = `${panel} ${field.selector.split(',').map(s => s.trim()).join(`, ${panel} `)}`;
+      if (!(await this.page.$(selector))) continue;
+
+      const label = `${def.title} ${index + 1}: ${field.label}`;
+      let result;
+      switch (field.type) {
+        case 'checkbox':
+          result = await this.platform.fillCheckbox(this.page, selector, Boolean(value), label);
+          break;
+        case 'dropdown':
+          result = await this.platform.fillDropdown(this.page, selector, value, label);
+          break;
+        case 'searchable':
+          result = await this.platform.fillSearchable(this.page, selector, value, label);
+          break;
+        case 'date':
+          result = await this.fillDate(selector, value, label);
+          break;
+        default:
+          result = await this.platform.fillTextInput(this.page, selector, String(value), label);
+      }
+
+      if (result?.skipped && result.success !== false) continue;
+      this.results.push({
+        field: label,
+        status: result?.success ? 'filled' : 'failed',
+        classification: `${kind}[${index}].${key}`,
+        fieldType: field.type || 'text',
+        value,
+        error: result?.error
+      });
+
+      // Ticking "currently work here" hides the end date
+      if (key === 'current') await sleep(300);
+    }
+  }
+
+  // Month/year inputs inside a date container
+  async fillDate(containerSelector, value, label) {
+    const parts = parseMonthYear(value);
+    if (!parts) return { success: false, error: `Unrecognized date "${value}"` };
+
+    const inputs = await this.page.evaluate((sel) => {
+      const container = document.querySelector(sel);
+      if (!container) return null;
+      const pick = (re) => {
+        const el = Array.from(container.querySelectorAll('input')).find(i => re.test(i.id || i.getAttribute('data-automation-id') || ''));
+        return el ? (el.id ? `#${CSS.escape(el.id)}` : null) : null;
+      };
+      return { month: pick(/Month/i), year: pick(/Year/i), single: container.matches('input') ? sel : null };
+    }, containerSelector);
+
+    if (!inputs) return { success: false, error: 'Date field not found' };
+
+    const fillPart = async (selector, partLabel, partValue) => {
+      if (this.fillDatePart) return this.fillDatePart(selector, partLabel, partValue);
+      const r = await this.platform.fillTextInput(this.page, selector, partValue, `${label} (${partLabel})`);
+      return r.success;
+    };
+
+    let ok = true;
+    if (inputs.month && parts.month) ok = (await fillPart(inputs.month, 'Month', parts.month)) && ok;
+    if (inputs.year) ok = (await fillPart(inputs.year, 'Year', parts.year)) && ok;
+    if (!inputs.month && !inputs.year && inputs.single) {
+      ok = await fillPart(inputs.single, 'Date', parts.month ? `${parts.month}/${parts.year}` : parts.year);
+    }
+
+    return ok ? { success: true } : { success: false, error: 'Date part did not stick' };
+  }
+}
+
+export default RepeatedSectionFiller;
@@ -7,6 +7,7 @@ import { readFile, writeFile, copyFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { migrateProfile, validateProfile, formatProfileProblems } from './profile-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -62,6 +63,13 @@ class ProfileSetup {
     return false;
   }
 
+  // Older layouts are upgraded before the wizard writes into them
+  upgradeProfile() {
+    const { profile, changes } = migrateProfile(this.profile);
+    if (changes.length > 0) console.log(`🔄 Upgraded profile layout (${changes.length} change${changes.length === 1 ? '' : 's'})`);
+    this.profile = profile;
+  }
+
   async run() {
     console.log('\n' + '='.repeat(60));
     console.log('🧑‍💼 JOBFILL PROFILE SETUP');
@@ -70,6 +78,7 @@ class ProfileSetup {
     console.log('Your data is stored locally in profile.json\n');
 
     const hasExisting = await this.loadExistingProfile();
+    this.upgradeProfile();
     
     if (hasExisting) {
       const update = await this.promptYesNo('Update existing profile?', true);
@@ -104,11 +113,11 @@ class ProfileSetup {
     console.log('\n🏠 ADDRESS');
     console.log('-'.repeat(40));
     
-    this.profile.address.addressLine1 = await this.prompt(
-      'Address Line 1', this.profile.address.addressLine1
+    this.profile.address.line1 = await this.prompt(
+      'Address Line 1', this.profile.address.line1
     );
-    this.profile.address.addressLine2 = await this.prompt(
-      'Address Line 2 (optional)', this.profile.address.addressLine2
+    this.profile.address.line2 = await this.prompt(
+      'Address Line 2 (optional)', this.profile.address.line2
     );
     this.profile.address.city = await this.prompt(
       'City', this.profile.address.city
@@ -127,17 +136,17 @@ class ProfileSetup {
     console.log('\n🛂 WORK AUTHORIZATION');
     console.log('-'.repeat(40));
     
-    this.profile.workAuthorization.authorizedToWork = await this.promptYesNo(
+    this.profile.workAuth.authorizedToWork = await this.promptYesNo(
       'Are you authorized to work in the US?',
-      this.profile.workAuthorization.authorizedToWork
+      this.profile.workAuth.authorizedToWork
     );
     
-    this.profile.workAuthorization.requiresSponsorship = await this.promptYesNo(
+    this.profile.workAuth.requiresSponsorship = await this.promptYesNo(
       'Do you now or will you require sponsorship?',
-      this.profile.workAuthorization.requiresSponsorship
+      this.profile.workAuth.requiresSponsorship
     );
     
-    this.profile.workAuthorization.citizenshipStatus = await this.promptSelect(
+    this.profile.workAuth.citizenshipStatus = await this.promptSelect(
       'Citizenship Status:', [
         'US Citizen',
         'Permanent Resident (Green Card)',
@@ -152,9 +161,9 @@ class ProfileSetup {
     console.log('-'.repeat(40));
     console.log('Some jobs require access to export-controlled information.');
     
-    this.profile.exportControl.isUSPerson = await this.promptYesNo(
+    this.profile.workAuth.isUSPerson = await this.promptYesNo(
       'Are you a "US Person" (citizen, permanent resident, or asylee)?',
-      this.profile.exportControl.isUSPerson
+      this.profile.workAuth.isUSPerson
     );
 
     // Demographics (EEO)
@@ -165,11 +174,11 @@ class ProfileSetup {
     const fillDemographics = await this.promptYesNo('Fill in demographics?', true);
     
     if (fillDemographics) {
-      this.profile.demographics.gender = await this.promptSelect(
+      this.profile.eeo.gender = await this.promptSelect(
         'Gender:', ['Male', 'Female', 'Non-binary', 'Prefer not to say']
       );
       
-      this.profile.demographics.race = await this.promptSelect(
+      this.profile.eeo.race = await this.promptSelect(
         'Race/Ethnicity:', [
           'Asian',
           'Black/African American', 
@@ -182,7 +191,7 @@ class ProfileSetup {
         ]
       );
       
-      this.profile.demographics.veteranStatus = await this.promptSelect(
+      this.profile.eeo.veteranStatus = await this.promptSelect(
         'Veteran Status:', [
           'Not a Veteran',
           'Veteran',
@@ -191,7 +200,7 @@ class ProfileSetup {
         ]
       );
       
-      this.profile.demographics.disabilityStatus = await this.promptSelect(
+      this.profile.eeo.disabilityStatus = await this.promptSelect(
         'Disability Status:', [
           'No, I don\'t have a disability',
           'Yes, I have a disability',
@@ -218,7 +227,7 @@ class ProfileSetup {
     console.log('\n🎓 EDUCATION');
     console.log('-'.repeat(40));
     
-    this.profile.education.highestDegree = await this.promptSelect(
+    this.profile.education.degree = await this.promptSelect(
       'Highest Degree:', [
         'High School',
         'Associate\'s',
@@ -228,11 +237,11 @@ class ProfileSetup {
         'Professional (JD, MD, etc.)'
       ]
     );
-    this.profile.education.university = await this.prompt(
-      'University/College', this.profile.education.university
+    this.profile.education.school = await this.prompt(
+      'University/College', this.profile.education.school
     );
-    this.profile.education.major = await this.prompt(
-      'Major/Field of Study', this.profile.education.major
+    this.profile.education.fieldOfStudy = await this.prompt(
+      'Major/Field of Study', this.profile.education.fieldOfStudy
     );
     this.profile.education.graduationYear = await this.prompt(
       'Graduation Year', this.profile.education.graduationYear
@@ -251,7 +260,13 @@ class ProfileSetup {
 
     // Save
     console.log('\n💾 SAVING PROFILE...');
+    this.profile.meta.updatedAt = new Date().toISOString();
     await writeFile(profilePath, JSON.stringify(this.profile, null, 2));
+
+    const problems = validateProfile(this.profile);
+    if (problems.errors.length + problems.warnings.length > 0) {
+      console.log(formatProfileProblems(problems));
+    }
     
     console.log('\n' + '='.repeat(60));
     console.log('✅ Profile saved to profile.json');
@@ -0,0 +1,165 @@
+// Source Locator - maps failed fields from a fill's fieldLog to the functions
+// that handled them and pulls those functions out of src/ for the analyzer
+//
+// AIFormFiller tags each result with `handlers` ('<Owner>.<method>', where the
+// owner is a class below or a platform name) and the classifier `source`.
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import config from './config.js';
+
+// Class name → file (relative to src/)
+const OWNER_FILES = {
+  AIFormFiller: 'ai-form-filler.js',
+  VerifiedFieldClassifier: 'verified-field-classifier-v8.js',
+  RepeatedSectionFiller: 'section-filler.js',
+  MultiPageNavigator: 'multi-page-navigator.js'
+};
+
+// Classifier `source` → the tier method that produced it
+const CLASSIFIER_STAGES = [
+  [/^textarea_guard/, 'textareaGuard'],
+  [/^(tier1|exact_cache)/, '_tier1Certain'],
+  [/^tier2_local_head$/, '_localHeadClassify'],
+  [/^tier2/, '_tier2HaikuVerify'],
+  [/^(tier3|opus)/, '_tier3OpusFull'],
+  [/^failed$/, 'classifyField']
+];
+
+const MAX_EXCERPTS = 8;
+const MAX_LINES_PER_EXCERPT = 120;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// First closing brace at `indent` after `start` - holds for this codebase's formatting
+function blockEnd(lines, start, indent) {
+  const endPattern = new RegExp(`^${indent}\\}[,;]?\\s*$`);
+  const end = lines.findIndex((line, i) => i > start && endPattern.test(line));
+  return end === -1 ? lines.length - 1 : end;
+}
+
+/**
+ * Line range of a method / function definition.
+ * @param owner  Optional class or object (`const WorkdayPlatform = {`) to look inside
+ * @returns { start, end, indent, matches } (0-based, inclusive) or null;
+ *          `matches` > 1 means the name is defined more than once
+ */
+export function findFunctionRange(lines, fn, { owner = null } = {}) {
+  let from = 0;
+  let to = lines.length - 1;
+  if (owner) {
+    const ownerPattern = new RegExp(`^(\\s*)(?:export\\s+)?(?:default\\s+)?(?:const|let|var|class|function)\\s+${escapeRegExp(owner)}\\b`);
+    from = lines.findIndex(line => ownerPattern.test(line));
+    if (from === -1) return null;
+    to = blockEnd(lines, from, lines[from].match(ownerPattern)[1]);
+  }
+
+  const defPattern = new RegExp(`^(\\s*)(?:export\\s+)?(?:async\\s+)?(?:function\\s+)?${escapeRegExp(fn)}\\s*\\(.*\\)\\s*\\{\\s*$`);
+  const starts = [];
+  for (let i = from; i <= to; i++) {
+    if (defPattern.test(lines[i])) starts.push(i);
+  }
+  if (starts.length === 0) return null;
+
+  const start = starts[0];
+  const indent = lines[start].match(defPattern)[1];
+  return { start, end: blockEnd(lines, start, indent), indent, matches: starts.length };
+}
+
+export class SourceLocator {
+  constructor(srcDir = config.srcDir) {
+    this.srcDir = srcDir;
+  }
+
+  // Hand-written adapters live in platforms/<name>.js; spec platforms share
+  // the methods in spec-platform.js
+  platformFile(platformName) {
+    if (!platformName) return null;
+    if (existsSync(join(this.srcDir, 'platforms', `${platformName}.js`))) return `platforms/${platformName}.js`;
+    if (existsSync(join(this.srcDir, 'platforms', 'specs', `${platformName}.js`))) return 'platforms/spec-platform.js';
+    return null;
+  }
+
+  // '<Owner>.<method>' → { file, fn }
+  resolveHandler(handler) {
+    const [owner, fn] = handler.split('.');
+    const file = OWNER_FILES[owner] || this.platformFile(owner);
+    return file && fn ? { file, fn } : null;
+  }
+
+  // Functions that decided what happened to one fieldLog entry. A failed fill
+  // points at the fill code; a skipped field at how it was classified.
+  handlersForDetail(detail) {
+    const handlers = [...(detail.handlers || [])];
+    const stage = CLASSIFIER_STAGES.find(([pattern]) => pattern.test(detail.source || ''));
+    if (stage && (detail.status === 'skipped' || handlers.length === 0)) {
+      handlers.unshift(`VerifiedFieldClassifier.${stage[1]}`);
+    }
+    if (handlers.length === 0) handlers.push('AIFormFiller.fillField');
+    return handlers;
+  }
+
+  // Find a method / function definition and return its source
+  async extractFunction(file, fn, { maxLines = MAX_LINES_PER_EXCERPT } = {}) {
+    const filepath = join(this.srcDir, file);
+    if (!existsSync(filepath)) return null;
+
+    const lines = (await readFile(filepath, 'utf-8')).split('\n');
+    const range = findFunctionRange(lines, fn);
+    if (!range) return null;
+    const { start, end, indent } = range;
+
+    const total = end - start + 1;
+    const shown = lines.slice(start, start + Math.min(total, maxLines));
+    if (total > maxLines) {
+      shown.push(`${indent}  // ... ${total - maxLines} more lines not shown (function ends at line ${end + 1})`);
+    }
+
+    return {
+      file,
+      fn,
+      startLine: start + 1,
+      endLine: end + 1,
+      truncated: total > maxLines,
+      code: shown.join('\n')
+    };
+  }
+
+  /**
+   * Source excerpts for every field that wasn't filled.
+   * @param fieldLog       AIFormFiller details
+   * @param missingFields  Labels of required fields that never reached the fieldLog
+   * @returns [{ file, fn, startLine, endLine, truncated, code, fields: [labels] }],
+   *          most-implicated functions first
+   */
+  async locateFailures(fieldLog, { missingFields = [], maxExcerpts = MAX_EXCERPTS } = {}) {
+    const byFunction = new Map();
+    const implicate = (handler, label) => {
+      const target = this.resolveHandler(handler);
+      if (!target) return;
+      const key = `${target.file}#${target.fn}`;
+      if (!byFunction.has(key)) byFunction.set(key, { ...target, fields: [] });
+      const entry = byFunction.get(key);
+      if (!entry.fields.includes(label)) entry.fields.push(label);
+    };
+
+    for (const detail of fieldLog.filter(d => d.status !== 'filled')) {
+      for (const handler of this.handlersForDetail(detail)) implicate(handler, detail.field);
+    }
+    // Never discovered, so discovery is the code to look at
+    for (const label of missingFields) implicate('AIFormFiller.discoverInContext', label);
+
+    const ranked = [...byFunction.values()].sort((a, b) => b.fields.length - a.fields.length);
+    const excerpts = [];
+    for (const target of ranked) {
+      if (excerpts.length >= maxExcerpts) break;
+      const excerpt = await this.extractFunction(target.file, target.fn);
+      if (excerpt) excerpts.push({ ...excerpt, fields: target.fields });
+    }
+    return excerpts;
+  }
+}
+
+export default SourceLocator;
@@ -0,0 +1,234 @@
+// Submission Guard - keeps debug runs from submitting a real application.
+//
+// A final-submit control is recognized by its text ("Submit", "Submit
+// application", ...), by submit-ish ids and automation ids, or by the platform
+// adapter's selectors.submitButton. A capture-phase listener installed in
+// every document and frame cancels clicks and form submits that land on one,
+// whoever triggers them (navigator, fill handlers, Enter in a text box),
+// including controls inside open shadow roots. form.submit(), which fires no
+// event at all, is wrapped too.
+//
+// The only way through is MultiPageNavigator.submitApplication(), and only
+// when the run was started with --allow-submit and the user says yes at the
+// prompt. Every blocked attempt is kept in `blocked` for the run report.
+import readline from 'readline';
+import { getPlatforms } from './platforms/index.js';
+
+// Text of buttons that finish an application. "Apply" starts one and
+// "Save and Continue" moves to the next step, so neither counts.
+export const SUBMIT_TEXT = [
+  /^submit\b/i,
+  /\bsubmit (my |your |the )?application\b/i,
+  /\bsend (my |your |the )?application\b/i,
+  /\bcomplete (my |your |the )?application\b/i,
+  /\bfinish (and|&) submit\b/i,
+  /\b(confirm|review) (and|&) submit\b/i
+];
+
+// ids, classes and automation ids (#submit_app, #btn-submit, Taleo's submitCmdBottom)
+export const SUBMIT_ATTRIBUTE = /submit[-_]?app(lication)?|btn[-_]submit|submitCmd|footer-submit/i;
+
+// Step buttons that may share a platform's submit selector (e.g. a primary
+// button class) but never submit
+export const STEP_TEXT = /^(next|continue|save( (and|&) continue)?|proceed|back|previous)\b/i;
+
+// Serializable form of the patterns above, plus each platform's submit selector
+function guardConfig() {
+  return {
+    text: SUBMIT_TEXT.map(p => p.source),
+    attribute: SUBMIT_ATTRIBUTE.source,
+    step: STEP_TEXT.source,
+    platforms: getPlatforms()
+      .filter(platform => platform.selectors?.submitButton)
+      .map(platform => ({
+        name: platform.name,
+        urlPatterns: platform.urlPatterns.map(p => [p.source, p.flags]),
+        selector: platform.selectors.submitButton
+      }))
+  };
+}
+
+// Runs inside the page, once per document (see install)
+function pageGuard(settings) {
+  if (window.__jobfillSubmitGuard) return;
+
+  const textPatterns = settings.text.map(source => new RegExp(source, 'i'));
+  const attributePattern = new RegExp(settings.attribute, 'i');
+  const stepPattern = new RegExp(settings.step, 'i');
+  const platform = settings.platforms.find(p =>
+    p.urlPatterns.some(([source, flags]) => new RegExp(source, flags).test(location.href)));
+
+  const CONTROLS = 'button, input[type="submit"], input[type="button"], input[type="image"], a, [role="button"]';
+  const controlOf = (el) => el?.closest?.(CONTROLS) || null;
+  const labelOf = (el) => (el.value || el.textContent || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+
+  // Why `el` is a final-submit control, or null
+  const reasonFor = (el) => {
+    if (!el) return null;
+    // Sign-in and email gates submit credentials, not applications
+    if (el.closest('form')?.querySelector('input[type="password"]')) return null;
+
+    const label = labelOf(el);
+    if (textPatterns.some(p => p.test(label))) return `text "${label.substring(0, 60)}"`;
+    if (stepPattern.test(label)) return null;
+
+    const attributes = ['id', 'class', 'name', 'data-automation-id', 'data-qa', 'data-test']
+      .map(name => el.getAttribute(name)).filter(Boolean).join(' ');
+    if (attributePattern.test(attributes)) return `attribute "${attributes.substring(0, 60)}"`;
+    try {
+      if (platform && el.matches(platform.selector)) return `${platform.name} submit button`;
+    } catch {
+      // Selector not valid here
+    }
+    return null;
+  };
+
+  const report = (action, el, reason) => {
+    window.__jobfillSubmitBlocked?.({
+      action,
+      text: labelOf(el).substring(0, 80),
+      reason,
+      url: location.href
+    });
+  };
+
+  const block = (event, el, reason) => {
+    if (window.__jobfillAllowSubmit) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    report(event.type, el, reason);
+  };
+
+  // Inside a shadow root the window sees the host as event.target, so the
+  // whole path down to the clicked node is checked
+  window.addEventListener('click', (event) => {
+    for (const node of event.composedPath()) {
+      if (!(node instanceof Element) || !node.matches(CONTROLS)) continue;
+      const reason = reasonFor(node);
+      if (reason) return block(event, node, reason);
+    }
+  }, true);
+
+  // Enter in a text box submits through the form's default button
+  const defaultButtonOf = (form) => form.querySelector?.('button[type="submit"], input[type="submit"], button:not([type])');
+  window.addEventListener('submit', (event) => {
+    const el = event.submitter || defaultButtonOf(event.target);
+    const reason = reasonFor(el);
+    if (reason) block(event, el, reason);
+  }, true);
+
+  // form.submit() skips both events above
+  const nativeSubmit = HTMLFormElement.prototype.submit;
+  HTMLFormElement.prototype.submit = function () {
+    const el = defaultButtonOf(this);
+    const reason = reasonFor(el);
+    if (reason && !window.__jobfillAllowSubmit) return report('form.submit()', el, reason);
+    return nativeSubmit.call(this);
+  };
+
+  // Controls in the document and every open shadow root in it
+  const allControls = (root) => [
+    ...root.querySelectorAll(CONTROLS),
+    ...Array.from(root.querySelectorAll('*')).filter(el => el.shadowRoot).flatMap(el => allControls(el.shadowRoot))
+  ];
+
+  // Visible final-submit controls in this document
+  const submitControls = () => allControls(document)
+    .filter(el => el.offsetParent !== null && !el.disabled && reasonFor(el));
+
+  window.__jobfillSubmitGuard = {
+    reasonFor: (el) => reasonFor(controlOf(el)),
+    controls: () => submitControls().map(el => ({ text: labelOf(el).substring(0, 80), reason: reasonFor(el) })),
+    // The control submitApplication clicks
+    first: () => submitControls()[0] || null
+  };
+}
+
+// One prompt at a time, so parallel workers don't talk over each other
+let promptChain = Promise.resolve();
+
+/**
+ * Ask on the terminal. Without one (CI, piped input) the answer is no.
+ */
+export function confirmOnTerminal(question) {
+  const ask = () => new Promise(resolve => {
+    if (!process.stdin.isTTY) {
+      console.log(`${question}n (no terminal to confirm on)`);
+      resolve(false);
+      return;
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer.trim().toLowerCase() === 'y');
+    });
+  });
+  const answer = promptChain.then(ask);
+  promptChain = answer.catch(() => {});
+  return answer;
+}
+
+export class SubmissionGuard {
+  /**
+   * @param options  { allowSubmit, confirm }
+   *   allowSubmit  the run was started with --allow-submit
+   *   confirm      async (question) => boolean; defaults to a terminal prompt
+   */
+  constructor(options = {}) {
+    this.allowSubmit = !!options.allowSubmit;
+    this.confirm = options.confirm || confirmOnTerminal;
+    this.blocked = [];
+  }
+
+  // Guard every document the page loads from now on, and the ones it has
+  async install(page) {
+    await page.exposeFunction('__jobfillSubmitBlocked', (attempt) => {
+      this.record({ ...attempt, source: 'page', decision: 'cancelled in page' });
+    });
+    const settings = guardConfig();
+    await page.evaluateOnNewDocument(pageGuard, settings);
+    await Promise.all(page.frames().map(frame => frame.evaluate(pageGuard, settings).catch(() => {})));
+  }
+
+  record(attempt) {
+    const entry = { timestamp: new Date().toISOString(), ...attempt };
+    this.blocked.push(entry);
+    console.log(`🛑 Blocked submit: "${entry.text}" (${entry.reason}) - ${entry.decision}`);
+    return entry;
+  }
+
+  /**
+   * Whether an intended submit may go ahead: needs --allow-submit and a yes.
+   * Refusals are recorded.
+   * @param attempt  { text, reason, url }
+   */
+  async allow(attempt) {
+    if (!this.allowSubmit) {
+      this.record({ ...attempt, source: 'navigator', decision: 'run not started with --allow-submit' });
+      return false;
+    }
+    const yes = await this.confirm(`\n📨 Submit the application at ${attempt.url} ("${attempt.text}")? (y/n): `);
+    if (!yes) {
+      this.record({ ...attempt, source: 'navigator', decision: 'not confirmed' });
+      return false;
+    }
+    return true;
+  }
+
+  // Let the clicks inside fn() through the page listener of `frame`
+  async withSubmitAllowed(frame, fn) {
+    await frame.evaluate(() => { window.__jobfillAllowSubmit = true; });
+    try {
+      return await fn();
+    } finally {
+      await frame.evaluate(() => { window.__jobfillAllowSubmit = false; }).catch(() => {});
+    }
+  }
+
+  // Attempts recorded after `mark` (a previous blocked.length)
+  since(mark) {
+    return this.blocked.slice(mark);
+  }
+}
+
+export default SubmissionGuard;
@@ -0,0 +1,253 @@
+// Unified Diff - line diffs between two versions of a file, in the usual
+// `--- a/file` / `+++ b/file` / `@@ -l,n +l,n @@` format, and applying them
+// (forwards or in reverse) to the current text of a file
+
+const CONTEXT_LINES = 3;
+
+// Text → lines, remembering the trailing newline so join() round-trips
+function toLines(text) {
+  const endsWithNewline = text.endsWith('\n');
+  const lines = text.length === 0 ? [] : (endsWithNewline ? text.slice(0, -1) : text).split('\n');
+  return { lines, endsWithNewline };
+}
+
+// Follows a line that is the last in its file and has no newline
+export const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+// Diff keys: the last line of a file without a final newline differs from the
+// same text with one, so adding or dropping that newline shows up as a change
+const MISSING_NEWLINE = '\u0000';
+function diffKeys(text) {
+  const { lines, endsWithNewline } = toLines(text);
+  return endsWithNewline || lines.length === 0 ? lines : [...lines.slice(0, -1), lines[lines.length - 1] + MISSING_NEWLINE];
+}
+
+function fromLines(lines, endsWithNewline) {
+  return lines.join('\n') + (endsWithNewline && lines.length > 0 ? '\n' : '');
+}
+
+/**
+ * Myers diff of two line arrays.
+ * @returns [{ op: '=' | '-' | '+', line }] in file order
+ */
+export function diffLines(a, b) {
+  // Common prefix / suffix never need the O(ND) search
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldCore = a.slice(prefix, a.length - suffix);
+  const newCore = b.slice(prefix, b.length - suffix);
+  const n = oldCore.length;
+  const m = newCore.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  search:
+  for (let d = 0; d <= n + m; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldCore[x] === newCore[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+
+  // Walk the trace backwards into an edit script
+  const core = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) core.push({ op: '=', line: oldCore[--x] }), y--;
+    if (d > 0) {
+      if (x === prevX) core.push({ op: '+', line: newCore[--y] });
+      else core.push({ op: '-', line: oldCore[--x] });
+    }
+  }
+  core.reverse();
+
+  return [
+    ...a.slice(0, prefix).map(line => ({ op: '=', line })),
+    ...core,
+    ...a.slice(a.length - suffix).map(line => ({ op: '=', line }))
+  ];
+}
+
+/**
+ * Unified diff of `before` → `after` for one file. Empty string if unchanged.
+ */
+export function createUnifiedDiff(before, after, file, { context = CONTEXT_LINES } = {}) {
+  const edits = diffLines(diffKeys(before), diffKeys(after));
+
+  // Old/new line number of every edit
+  let oldNo = 0;
+  let newNo = 0;
+  const numbered = edits.map(e => {
+    const entry = { ...e, oldNo, newNo };
+    if (e.op !== '+') oldNo++;
+    if (e.op !== '-') newNo++;
+    return entry;
+  });
+
+  const changed = numbered.map((e, i) => (e.op === '=' ? -1 : i)).filter(i => i >= 0);
+  if (changed.length === 0) return '';
+
+  // Changes closer than 2×context share a hunk
+  const groups = [];
+  for (const i of changed) {
+    const last = groups[groups.length - 1];
+    if (last && i - last.end <= 2 * context) last.end = i;
+    else groups.push({ start: i, end: i });
+  }
+
+  const out = [`--- a/${file}`, `+++ b/${file}`];
+  for (const group of groups) {
+    const from = Math.max(0, group.start - context);
+    const to = Math.min(numbered.length - 1, group.end + context);
+    const slice = numbered.slice(from, to + 1);
+    const oldCount = slice.filter(e => e.op !== '+').length;
+    const newCount = slice.filter(e => e.op !== '-').length;
+    const oldStart = oldCount === 0 ? slice[0].oldNo : slice[0].oldNo + 1;
+    const newStart = newCount === 0 ? slice[0].newNo : slice[0].newNo + 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const e of slice) {
+      const missingNewline = e.line.endsWith(MISSING_NEWLINE);
+      out.push(`${e.op === '=' ? ' ' : e.op}${missingNewline ? e.line.slice(0, -1) : e.line}`);
+      if (missingNewline) out.push(NO_NEWLINE_MARKER);
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Parse a (possibly multi-file) unified diff.
+ * @returns [{ file, hunks: [{ oldStart, oldCount, newStart, newCount, lines: [' ctx', '-old', '+new'], noNewline: { old, new } }] }]
+ *          noNewline: that side's last line ends the file without a newline
+ */
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('--- ')) {
+      current = { file: null, hunks: [] };
+      files.push(current);
+      hunk = null;
+      continue;
+    }
+    if (line.startsWith('+++ ') && current && !hunk) {
+      current.file = line.slice(4).trim().replace(/^b\//, '').split('\t')[0];
+      continue;
+    }
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header && current) {
+      hunk = {
+        oldStart: parseInt(header[1]),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2]),
+        newStart: parseInt(header[3]),
+        newCount: header[4] === undefined ? 1 : parseInt(header[4]),
+        lines: [],
+        noNewline: { old: false, new: false }
+      };
+      current.hunks.push(hunk);
+      continue;
+    }
+    if (hunk && line.startsWith('\\')) {
+      // Marks the line before it: a context line is on both sides
+      const marked = hunk.lines[hunk.lines.length - 1]?.[0];
+      if (marked === ' ' || marked === '-') hunk.noNewline.old = true;
+      if (marked === ' ' || marked === '+') hunk.noNewline.new = true;
+    }
+    else if (hunk && /^[ +-]/.test(line)) hunk.lines.push(line);
+    // Blank lines inside a hunk are context lines whose leading space got trimmed
+    else if (hunk && line === '') hunk.lines.push(' ');
+  }
+
+  // Trailing blank "context" from the final newline of the diff text
+  for (const file of files) {
+    for (const h of file.hunks) {
+      while (h.lines.length && h.lines[h.lines.length - 1] === ' ' &&
+             h.lines.filter(l => l[0] !== '+').length > h.oldCount) h.lines.pop();
+    }
+  }
+  return files.filter(f => f.file);
+}
+
+// Old and new side of a hunk (swapped when reversing). fromNoNewline /
+// toNoNewline: that side ends the file without a newline
+export function hunkSides(hunk, reverse = false) {
+  const oldSide = hunk.lines.filter(l => l[0] !== '+').map(l => l.slice(1));
+  const newSide = hunk.lines.filter(l => l[0] !== '-').map(l => l.slice(1));
+  const { old: oldNoNewline = false, new: newNoNewline = false } = hunk.noNewline || {};
+  return reverse
+    ? { from: newSide, to: oldSide, fromNoNewline: newNoNewline, toNoNewline: oldNoNewline }
+    : { from: oldSide, to: newSide, fromNoNewline: oldNoNewline, toNoNewline: newNoNewline };
+}
+
+function matchesAt(lines, at, expected) {
+  if (at < 0 || at + expected.length > lines.length) return false;
+  return expected.every((line, i) => lines[at + i] === line);
+}
+
+/**
+ * Apply one file's hunks to `text`. Each hunk must match exactly, at its
+ * stated line or - if the file has shifted - at exactly one other place.
+ * @throws Error naming the hunk that doesn't apply
+ */
+export function applyHunks(text, hunks, { reverse = false } = {}) {
+  const { lines, endsWithNewline } = toLines(text);
+  let result = lines;
+  let delta = 0;
+  let finalNewline = endsWithNewline || lines.length === 0;
+
+  for (const hunk of hunks) {
+    const { from, to, fromNoNewline, toNoNewline } = hunkSides(hunk, reverse);
+    const stated = (reverse ? hunk.newStart : hunk.oldStart) - 1 + delta;
+    const header = `@@ -${hunk.oldStart},${hunk.oldCount} +${hunk.newStart},${hunk.newCount} @@`;
+
+    let at = from.length === 0 ? Math.max(0, stated + 1) : stated;
+    if (!matchesAt(result, at, from)) {
+      const candidates = [];
+      for (let i = 0; i + from.length <= result.length; i++) {
+        if (matchesAt(result, i, from)) candidates.push(i);
+      }
+      if (candidates.length !== 1) {
+        throw new Error(`Hunk ${header} ${candidates.length === 0 ? 'does not match the file' : `matches ${candidates.length} places`}`);
+      }
+      at = candidates[0];
+    }
+
+    // A marked hunk at the end of the file adds or drops the final newline
+    if (at + from.length === result.length && (fromNoNewline || toNoNewline)) {
+      finalNewline = !toNoNewline;
+    }
+    result = [...result.slice(0, at), ...to, ...result.slice(at + from.length)];
+    delta += to.length - from.length;
+  }
+
+  return fromLines(result, finalNewline);
+}
+
+/**
+ * Apply a single-file unified diff to `text`.
+ */
+export function applyUnifiedDiff(text, diff, options = {}) {
+  const [file] = parseUnifiedDiff(diff);
+  if (!file) throw new Error('Not a unified diff');
+  return applyHunks(text, file.hunks, options);
+}
+
+export default { NO_NEWLINE_MARKER, diffLines, createUnifiedDiff, parseUnifiedDiff, applyHunks, applyUnifiedDiff, hunkSides };
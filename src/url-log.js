@@ -0,0 +1,43 @@
+// URL Log - keeps each URL's console output apart when a batch runs URLs in
+// parallel. Inside withUrlLog() every console line is prefixed with the URL's
+// tag on the terminal and also appended to that URL's own log file.
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { format } from 'util';
+
+const storage = new AsyncLocalStorage();
+let routed = false;
+
+// Wrap console once; outside withUrlLog() it behaves as before
+function routeConsole() {
+  if (routed) return;
+  routed = true;
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const log = storage.getStore();
+      if (!log) return original(...args);
+      const text = format(...args);
+      log.lines.push(text);
+      original(text.split('\n').map(line => `[${log.tag}] ${line}`).join('\n'));
+    };
+  }
+}
+
+/**
+ * Run `fn` with its console output tagged and collected, then append the
+ * output to `filepath`. Calls for the same URL across waves share one file.
+ */
+export async function withUrlLog(tag, filepath, fn) {
+  routeConsole();
+  const log = { tag, lines: [] };
+  try {
+    return await storage.run(log, fn);
+  } finally {
+    await mkdir(dirname(filepath), { recursive: true });
+    await appendFile(filepath, log.lines.join('\n') + '\n');
+  }
+}
+
+export default { withUrlLog };
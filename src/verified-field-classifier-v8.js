@@ -18,12 +18,17 @@
  * ║  └── If Haiku says yes → STOP ✅ (save to exact cache)          ║
  * ║       If Haiku says no → fall to Tier 3                         ║
  * ║                                                                  ║
+ * ║  LOCAL HEAD: k-NN on BGE, trained on verified examples (free)   ║
+ * ║  └── Calibrated confidence ≥ trained threshold → STOP ✅        ║
+ * ║       (never learned from; retrains when reviews are approved)   ║
+ * ║                                                                  ║
  * ║  TIER 3: UNKNOWN → CLAUDE OPUS (full classification)            ║
  * ║  ├── Classifies from scratch                                    ║
  * ║  ├── Textarea guard validates                                   ║
  * ║  ├── validateBeforeLearning() checks                            ║
  * ║  └── Saves to cache + question bank (pending review)            ║
  * ║       → Next time this EXACT question → Tier 1 FREE             ║
+ * ║  classifyPage(): all of a page's Tier 3 fields in ONE request   ║
  * ╚══════════════════════════════════════════════════════════════════╝
  * 
  * KEY INNOVATION: Haiku as a $0.001 Safety Net
@@ -39,8 +44,9 @@
  *   After ~20-30 apps: 95%+ from exact cache, Haiku handles rest, Opus rarely runs.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { LLMProvider, UsageLedger, getLLMProvider, withUsage, formatUsage, formatCost } from './llm-provider.js';
 import HierarchicalCache, { detectATS, extractCompany } from './hierarchical-cache-v3.1.js';
+import LocalHead, { HEAD_FILE, collectExamples, describeEvaluation } from './local-head.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -52,14 +58,20 @@ const __dirname = path.dirname(__filename);
 // CONFIGURATION
 // ============================================================================
 const CONFIG = {
-  // Tier 3: Opus (full classification from scratch)
-  opusModel: 'claude-opus-4-5-20251101',
+  // Models are picked per role in config.llm.models:
+  // Tier 3 (full classification from scratch) runs as 'classifier',
+  // Tier 2 (cheap verification yes/no) as 'verifier'
   opusMaxTokens: 500,
-  
-  // Tier 2: Haiku (cheap verification yes/no)
-  haikuModel: 'claude-haiku-4-5-20251001',
+  opusBatchMaxTokens: 4000,     // one JSON entry per field (classifyPage)
   haikuMaxTokens: 20,
   
+  // classifyPage sends every field that falls through Tiers 1-2 to Tier 3
+  // in one request instead of one per field
+  batchTier3: true,
+  
+  // Local head between Tiers 2 and 3 (npm run train-head)
+  localHead: true,
+  
   temperature: 0,
   verbose: true,
   
@@ -270,9 +282,10 @@ class VerifiedFieldClassifier {
     this.stage1Classifier = options.stage1Classifier || null;  // DeBERTa Zero-Shot
     this.stage2Classifier = options.stage2Classifier || null;  // BGE Semantic
     
-    // Claude API client (used for both Haiku and Opus)
-    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
-    this.client = this.apiKey ? new Anthropic({ apiKey: this.apiKey }) : null;
+    // Model backend (verifier role for Tier 2, classifier role for Tier 3)
+    this.llm = options.llm || (options.apiKey ? new LLMProvider({ apiKey: options.apiKey }) : getLLMProvider());
+    // What this classifier's calls cost (printStats)
+    this.usage = new UsageLedger();
     
     // Hierarchical Cache (for Field ID patterns + learned patterns)
     this.cache = new HierarchicalCache({
@@ -309,6 +322,14 @@ class VerifiedFieldClassifier {
     this.questionBankReady = false;
     this.loadQuestionBank();
     
+    // ══════════════════════════════════════════════════════
+    // LOCAL HEAD: k-NN on BGE embeddings of the verified
+    // stores above (local-head.js). Retrained when review
+    // items are approved.
+    // ══════════════════════════════════════════════════════
+    this.localHead = new LocalHead({ path: path.join(cacheDir, HEAD_FILE) });
+    this.localHead.load();
+    
     // ══════════════════════════════════════════════════════
     // REVIEW QUEUE (same as v7)
     // ══════════════════════════════════════════════════════
@@ -330,8 +351,13 @@ class VerifiedFieldClassifier {
       tier2_haikuVerified: 0,
       tier2_haikuRejected: 0,
       tier2_haikuCalls: 0,
+      // Local head (free)
+      tier2_localHead: 0,
+      tier2_localHeadBelow: 0,  // predicted, but under the trained threshold
       // Tier 3 (Opus ~$0.015)
       tier3_opus: 0,
+      tier3_batches: 0,   // page-level requests (classifyPage)
+      tier3_deferred: 0,  // over budget - queued for review instead
       // Learning
       patternsLearned: 0,
       pendingReview: 0,
@@ -622,9 +648,16 @@ class VerifiedFieldClassifier {
         const raw = JSON.parse(fs.readFileSync(CONFIG.reviewQueuePath, 'utf-8'));
         this.reviewQueue = raw.items || [];
         
-        const approved = this.reviewQueue.filter(item => item.status === 'approved');
+        // Items deferred over budget arrive without a field_type; approving
+        // one only counts once the reviewer has filled it in
+        const untyped = this.reviewQueue.filter(item => item.status === 'approved' && !item.field_type);
+        const approved = this.reviewQueue.filter(item => item.status === 'approved' && item.field_type);
         const rejected = this.reviewQueue.filter(item => item.status === 'rejected');
-        const pending = this.reviewQueue.filter(item => item.status === 'pending');
+        const pending = this.reviewQueue.filter(item => item.status === 'pending' || untyped.includes(item));
+        
+        if (untyped.length > 0) {
+          console.log(`[ReviewQueue] ${untyped.length} approved item(s) have no field_type yet - kept for review`);
+        }
         
         if (approved.length > 0) {
           console.log(`[ReviewQueue] Processing ${approved.length} approved pattern(s)...`);
@@ -653,6 +686,8 @@ class VerifiedFieldClassifier {
             }
           }
           this.saveQuestionBank();
+          // The head retrains before its next prediction, once BGE is loaded
+          this.localHead.stale = true;
         }
         
         if (rejected.length > 0) {
@@ -697,7 +732,7 @@ class VerifiedFieldClassifier {
       if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir, { recursive: true });
       
       const data = {
-        instructions: "Review each item. Change status to 'approved' or 'rejected'. Approved items get saved permanently on next run.",
+        instructions: "Review each item. Change status to 'approved' or 'rejected'. Approved items get saved permanently on next run. Items with source 'budget_deferred' need a field_type before approval.",
         updated: new Date().toISOString(),
         items: this.reviewQueue,
       };
@@ -721,7 +756,7 @@ class VerifiedFieldClassifier {
     for (let i = 0; i < pending.length; i++) {
       const item = pending[i];
       const text = item.question || item.label || '(no text)';
-      console.log(`   [${i + 1}] ${item.field_type}`);
+      console.log(`   [${i + 1}] ${item.field_type || '(field_type to fill in)'}`);
       console.log(`       Text: "${text.substring(0, 80)}${text.length > 80 ? '...' : ''}"`);
       console.log(`       Answer: "${item.answer || '?'}" | Store: ${item.store} | Source: ${item.source}`);
     }
@@ -830,7 +865,7 @@ class VerifiedFieldClassifier {
     console.log(`      ⚠️ TEXTAREA GUARD: "${classifiedType}" is Yes/No but field is textarea`);
     console.log(`         Re-classifying with Claude...`);
     
-    if (!this.client) {
+    if (!this.llm.available) {
       return this._textareaKeywordFallback(field, classifiedType);
     }
     
@@ -857,8 +892,7 @@ ${FIELD_TYPES.filter(t => !YES_NO_FIELD_TYPES.has(t)).join(', ')}
 Respond with ONLY the field_type.`;
     
     try {
-      const response = await this.client.messages.create({
-        model: CONFIG.haikuModel,  // Use Haiku for textarea guard (cheap)
+      const response = await this._complete('verifier', {  // Use the verifier for textarea guard (cheap)
         max_tokens: 50,
         temperature: 0,
         messages: [{ role: 'user', content: prompt }],
@@ -960,6 +994,24 @@ Respond with ONLY the field_type.`;
   // ╚══════════════════════════════════════════════════════════════════════════╝
   // ============================================================================
   async classifyField(field) {
+    return (await this._classifyBeforeTier3(field)) || this._classifyTier3(field);
+  }
+  
+  // ═══════════════════════════════════════════════
+  // TIER 3: UNKNOWN → CLAUDE OPUS (full, ~$0.015)
+  // ═══════════════════════════════════════════════
+  async _classifyTier3(field) {
+    if (this.llm.overBudget) {
+      return this._deferToReview(field);
+    }
+    console.log(`      🌐 TIER 3: Opus full classification...`);
+    const tier3Result = await this._tier3OpusFull(field, isGenericLabel(field.label));
+    return this._finishTier3(field, tier3Result);
+  }
+  
+  // Tiers 1-2 with their textarea guard and profile answer; null when the
+  // field needs Tier 3
+  async _classifyBeforeTier3(field) {
     this.stats.totalFields++;
     this.currentFieldIndex++;
     
@@ -988,8 +1040,11 @@ Respond with ONLY the field_type.`;
     
     // ═══════════════════════════════════════════════
     // TIER 2: UNCERTAIN → HAIKU VERIFICATION (~$0.001)
+    // then the LOCAL HEAD (free)
     // ═══════════════════════════════════════════════
-    const tier2Result = await this._tier2HaikuVerify(field, generic);
+    const rejected = new Set();  // types Haiku said no to
+    const tier2Result = (await this._tier2HaikuVerify(field, generic, rejected)) ||
+      (await this._localHeadClassify(field, generic, rejected));
     if (tier2Result) {
       // Textarea guard
       const guardResult = await this.textareaGuard(field, tier2Result.field_type, tier2Result.source);
@@ -1005,11 +1060,12 @@ Respond with ONLY the field_type.`;
       return { ...tier2Result, answer };
     }
     
-    // ═══════════════════════════════════════════════
-    // TIER 3: UNKNOWN → CLAUDE OPUS (full, ~$0.015)
-    // ═══════════════════════════════════════════════
-    console.log(`      🌐 TIER 3: Opus full classification...`);
-    const tier3Result = await this._tier3OpusFull(field, generic);
+    return null;
+  }
+  
+  // Textarea guard, learning and profile answer for a Tier 3 result
+  // (null when Tier 3 had no answer either)
+  async _finishTier3(field, tier3Result) {
     if (tier3Result) {
       // Special case: Opus provided a direct answer (intelligent fallback)
       if (tier3Result.field_type === 'opus_direct_answer' && tier3Result.direct_answer) {
@@ -1103,7 +1159,7 @@ Respond with ONLY the field_type.`;
   // ============================================================================
   // TIER 2: UNCERTAIN → HAIKU VERIFICATION (~$0.001)
   // ============================================================================
-  async _tier2HaikuVerify(field, generic) {
+  async _tier2HaikuVerify(field, generic, rejected = new Set()) {
     const questionText = this.extractQuestionText(field);
     
     // ─── 2A: BGE question similarity ≥85% → Haiku confirms ───
@@ -1129,6 +1185,7 @@ Respond with ONLY the field_type.`;
           return { field_type: bgeMatch.fieldType, confidence: 0.92, source: 'tier2_haiku_confirmed' };
         } else {
           this.stats.tier2_haikuRejected++;
+          rejected.add(bgeMatch.fieldType);
           console.log(`      ⚠️ TIER 2: Haiku REJECTED BGE match — falling to Tier 3`);
         }
       }
@@ -1191,6 +1248,7 @@ Respond with ONLY the field_type.`;
           return { field_type: agreedType, confidence: maxConf, source: 'tier2_deberta_bge_haiku' };
         } else {
           this.stats.tier2_haikuRejected++;
+          rejected.add(agreedType);
           console.log(`      ⚠️ TIER 2: Haiku REJECTED DeBERTa+BGE agreement — falling to Tier 3`);
         }
       } else {
@@ -1218,6 +1276,7 @@ Respond with ONLY the field_type.`;
           return { field_type: cached.field_type, confidence: 0.92, source: 'tier2_cache_haiku' };
         } else {
           this.stats.tier2_haikuRejected++;
+          rejected.add(cached.field_type);
           console.log(`      ⚠️ TIER 2: Haiku REJECTED unverified cache — falling to Tier 3`);
         }
       }
@@ -1227,12 +1286,73 @@ Respond with ONLY the field_type.`;
     return null;
   }
   
+  // ============================================================================
+  // LOCAL HEAD: k-NN on BGE embeddings of verified examples (free)
+  // ============================================================================
+  // Its answers are not learned: the head only trains on verified
+  // examples, so its own guesses never feed back into it.
+  async _localHeadClassify(field, generic, rejected = new Set()) {
+    if (!CONFIG.localHead || !this.stage2Classifier) return null;
+    if (!this.localHead.ready && !this.localHead.stale) return null;
+    
+    const text = this.extractQuestionText(field) || (!generic ? field.label : null);
+    if (!text || text.length < 3) return null;
+    
+    try {
+      if (!this.stage2Classifier.isLoaded) {
+        await this.stage2Classifier.loadModel();
+      }
+      if (this.localHead.stale) {
+        await this.retrainLocalHead();
+      }
+      if (!this.localHead.ready) return null;
+      
+      const prediction = this.localHead.predict(await this.stage2Classifier.getEmbedding(text));
+      const confidence = `${(prediction.confidence * 100).toFixed(1)}%`;
+      
+      if (prediction.confidence < this.localHead.threshold) {
+        this.stats.tier2_localHeadBelow++;
+        console.log(`      ⬇️ Local head: ${prediction.fieldType} (${confidence}) below threshold`);
+        return null;
+      }
+      if (rejected.has(prediction.fieldType)) {
+        console.log(`      ⬇️ Local head: ${prediction.fieldType} (${confidence}) already rejected by Haiku`);
+        return null;
+      }
+      
+      this.stats.tier2_localHead++;
+      console.log(`      ✅ LOCAL HEAD: ${prediction.fieldType} (${confidence})`);
+      console.log(`         Nearest: "${prediction.neighbor.text.substring(0, 60)}" (${(prediction.neighbor.similarity * 100).toFixed(1)}%)`);
+      return { field_type: prediction.fieldType, confidence: prediction.confidence, source: 'tier2_local_head' };
+    } catch (error) {
+      console.warn(`      ⚠️ Local head error: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // Refit the head on the verified stores as they are now. Embeddings of
+  // examples it was already trained on are reused.
+  async retrainLocalHead() {
+    const examples = collectExamples({
+      exactCache: this.exactCache,
+      questionBank: this.questionBank,
+      learnedPatterns: this.cache.learnedPatterns,
+    });
+    this.localHead.stale = false;
+    if (examples.length === 0) return;
+    
+    console.log(`[LocalHead] Retraining on ${examples.length} verified examples (review items approved)...`);
+    await this.localHead.train(examples, text => this.stage2Classifier.getEmbedding(text), {
+      embeddingModel: this.stage2Classifier.modelName,
+    });
+  }
+  
   // ============================================================================
   // HAIKU VERIFICATION CALLS (~$0.001 each)
   // ============================================================================
   
   async _haikuConfirmQuestion(actualQuestion, proposedType, matchedQuestion) {
-    if (!this.client) return false;
+    if (!this.llm.available) return false;
     
     this.stats.tier2_haikuCalls++;
     
@@ -1251,8 +1371,7 @@ For example, "authorized to work" vs "authorized to work on an INDEFINITE basis"
 Reply with ONLY "yes" or "no".`;
     
     try {
-      const response = await this.client.messages.create({
-        model: CONFIG.haikuModel,
+      const response = await this._complete('verifier', {
         max_tokens: CONFIG.haikuMaxTokens,
         temperature: 0,
         messages: [{ role: 'user', content: prompt }],
@@ -1267,7 +1386,7 @@ Reply with ONLY "yes" or "no".`;
   }
   
   async _haikuConfirmLabel(label, proposedType) {
-    if (!this.client) return false;
+    if (!this.llm.available) return false;
     
     this.stats.tier2_haikuCalls++;
     
@@ -1281,8 +1400,7 @@ Is this classification correct?
 Reply with ONLY "yes" or "no".`;
     
     try {
-      const response = await this.client.messages.create({
-        model: CONFIG.haikuModel,
+      const response = await this._complete('verifier', {
         max_tokens: CONFIG.haikuMaxTokens,
         temperature: 0,
         messages: [{ role: 'user', content: prompt }],
@@ -1330,11 +1448,38 @@ Reply with ONLY "yes" or "no".`;
     return descriptions[fieldType] || fieldType;
   }
   
+  // Model call, also charged to this classifier's ledger
+  _complete(role, params) {
+    return withUsage(this.usage, () => this.llm.complete(role, params));
+  }
+  
+  // ============================================================================
+  // TIER 3 OVER BUDGET: QUEUE FOR REVIEW (free)
+  // ============================================================================
+  // The field is left unfilled; the reviewer sets its field_type and
+  // approves, and it classifies from cache on the next run.
+  _deferToReview(field) {
+    this.stats.tier3_deferred++;
+    const questionText = this.extractQuestionText(field);
+    console.log(`      💸 Over budget - Tier 3 skipped, queued for review`);
+    this.addToReviewQueue({
+      store: questionText ? 'question_bank' : 'cache',
+      field_type: '',
+      label: field.label || '',
+      question: questionText || '',
+      answer: '',
+      source: 'budget_deferred',
+      fieldId: field.id || '',
+      section: field.section || '',
+    });
+    return { field_type: 'unknown', confidence: 0, source: 'tier3_deferred', answer: null };
+  }
+  
   // ============================================================================
   // TIER 3: OPUS FULL CLASSIFICATION (~$0.015)
   // ============================================================================
   async _tier3OpusFull(field, generic) {
-    if (!this.client) {
+    if (!this.llm.available) {
       console.warn('      ⚠️ No API client configured');
       return null;
     }
@@ -1444,8 +1589,7 @@ Respond with ONLY the field_type (one of the above), nothing else.`;
     }
     
     try {
-      const response = await this.client.messages.create({
-        model: CONFIG.opusModel,
+      const response = await this._complete('classifier', {
         max_tokens: CONFIG.opusMaxTokens,
         temperature: CONFIG.temperature,
         messages: [{ role: 'user', content: prompt }],
@@ -1455,52 +1599,7 @@ Respond with ONLY the field_type (one of the above), nothing else.`;
       
       if (text && FIELD_TYPES.includes(text)) {
         console.log(`      🔄 TIER 3 Opus says: ${text}`);
-        
-        // LEARN FOR NEXT TIME
-        // 1. Add to exact cache (Tier 1 next time)
-        if (questionText) {
-          if (CONFIG.reviewMode) {
-            this.addToReviewQueue({
-              store: 'question_bank',
-              field_type: text,
-              label: field.label || '',
-              question: questionText,
-              answer: '',
-              source: 'opus_classification',
-              fieldId: field.id || '',
-            });
-          } else {
-            this.addToExactCache(questionText, text, 'opus');
-            await this.learnQuestionToBank(questionText, text);
-          }
-        }
-        
-        // 2. Learn label pattern
-        if (!isGenericLabel(field.label)) {
-          const validation = this.validateBeforeLearning(field, text);
-          if (validation.valid) {
-            if (CONFIG.reviewMode) {
-              this.addToReviewQueue({
-                store: 'cache',
-                field_type: text,
-                label: field.label || '',
-                question: '',
-                answer: '',
-                source: 'opus_classification',
-                fieldId: field.id || '',
-                section: field.section || '',
-              });
-            } else {
-              this.cache.learnPattern(field, text, 'opus_api');
-            }
-            this.stats.patternsLearned++;
-          } else {
-            console.log(`      ⚠️ VALIDATION WARNING: ${validation.reason}`);
-            this.cache.learnPattern(field, text, 'opus_api_flagged');
-            this.stats.patternsLearned++;
-          }
-        }
-        
+        await this._learnFromTier3(field, text, questionText);
         return { field_type: text, confidence: 0.95, source: 'tier3_opus' };
       }
       
@@ -1512,10 +1611,184 @@ Respond with ONLY the field_type (one of the above), nothing else.`;
         console.log(`      ⚠️ Opus returned "${text}" which is not in FIELD_TYPES`);
         console.log(`      🧠 Activating intelligent fallback - Opus will analyze and answer directly...`);
         
-        // Build a comprehensive profile summary for Opus to reason with
-        const profileSummary = this.buildProfileSummary();
-        
-        const intelligentPrompt = `You are helping fill out a job application form. A question was asked that doesn't fit our standard field types.
+        return this._tier3DirectAnswer(field, questionText, sectionText);
+      }
+    } catch (error) {
+      console.warn(`      ⚠️ Opus API error: ${error.message}`);
+    }
+    
+    return null;
+  }
+  
+  // ============================================================================
+  // TIER 3 BATCHED: ONE REQUEST FOR THE PAGE (~$0.015 + per-field tokens)
+  // ============================================================================
+  // The page's field list, the questionnaire text and the profile summary
+  // are sent once. Returns one result per field (same shapes as
+  // _tier3OpusFull); null where the reply had nothing usable for a field.
+  async _tier3Batch(fields) {
+    if (!this.llm.available) {
+      console.warn('      ⚠️ No API client configured');
+      return fields.map(() => null);
+    }
+    
+    this.stats.tier3_opus += fields.length;
+    this.stats.tier3_batches++;
+    
+    const genericFieldsOnPage = this.pageFields.filter(f => isGenericLabel(f.label));
+    const questionnaire = fields.find(f => isGenericLabel(f.label) && (f.section || f.fullText || '').length > 20);
+    const questionList = questionnaire
+      ? (questionnaire.section || questionnaire.fullText).split(' | ')
+        .filter(q => q.trim().length > 10)
+        .map((q, i) => `  Q${i + 1}: "${q.substring(0, 300)}"`)
+        .join('\n')
+      : '';
+    
+    const describeField = (field, n) => {
+      const lines = [
+        `#${n}`,
+        `- Label: "${field.label || 'N/A'}"`,
+        `- ID: "${field.id || 'N/A'}"`,
+        `- Type: ${field.type || 'N/A'}`,
+        `- Options: ${field.options ? JSON.stringify(field.options.slice(0, 10)) : 'N/A'}`
+      ];
+      const questionText = this.extractQuestionText(field);
+      if (isGenericLabel(field.label) && questionList) {
+        const position = genericFieldsOnPage.findIndex(f => f.id === field.id) + 1;
+        if (position > 0) lines.push(`- Questionnaire dropdown #${position} of ${genericFieldsOnPage.length} (match it to Q${position})`);
+      } else if (questionText) {
+        lines.push(`- Question: "${questionText}"`);
+      } else if (field.section || field.fullText) {
+        lines.push(`- Section/Context: "${(field.section || field.fullText).substring(0, 300)}"`);
+      }
+      return lines.join('\n');
+    };
+    
+    const prompt = `You are classifying the fields of ONE job application page that our rules could not classify.
+
+ALL FIELDS ON THIS PAGE (for context, in order):
+${this.pageFields.slice(0, 80).map(f => `  - "${(f.label || f.id || '').substring(0, 80)}" (${f.type || 'field'})`).join('\n')}
+${questionList ? `
+QUESTIONNAIRE TEXT (questions in order; the generic dropdowns answer them in the same order):
+${questionList}
+` : ''}
+FIELDS TO CLASSIFY (${fields.length}):
+${fields.map((field, i) => describeField(field, i + 1)).join('\n\n')}
+
+VALID FIELD TYPES:
+${FIELD_TYPES.join(', ')}
+
+COMMON CONFUSIONS TO AVOID:
+- military_service (Armed Forces service) vs veteran_status (EEO reporting) vs age_verification (18+)
+- scp_referral (referred by business leader) vs referral_source (how you heard about job)
+- kpmg_employment (worked at KPMG) / big_four_employment (Deloitte/PwC/EY/KPMG) vs previously_employed (worked at THIS company)
+- sponsorship_details (text explanation) vs visa_sponsorship (Yes/No)
+- explanation_text = Conditional "If yes, please explain" text field
+
+APPLICANT PROFILE (only for fields that fit no field type):
+${this.buildProfileSummary()}
+
+For each field give its field_type. If NO field type fits, set "field_type" to null and give the "answer" the applicant should enter, from the profile: "Yes" or "No" for Yes/No questions; "No" for employment with this company unless the profile says otherwise.
+
+Respond with ONLY a JSON array, one object per field, in the order above:
+[{"n": 1, "field_type": "visa_sponsorship"}, {"n": 2, "field_type": null, "answer": "No"}]`;
+    
+    let entries;
+    try {
+      const response = await this._complete('classifier', {
+        max_tokens: CONFIG.opusBatchMaxTokens,
+        temperature: CONFIG.temperature,
+        messages: [{ role: 'user', content: prompt }],
+      });
+      const text = response.content[0]?.text || '';
+      entries = JSON.parse(text.substring(text.indexOf('['), text.lastIndexOf(']') + 1));
+      if (!Array.isArray(entries)) throw new Error('reply is not a JSON array');
+    } catch (error) {
+      console.warn(`      ⚠️ Opus batch error: ${error.message}`);
+      return fields.map(() => null);
+    }
+    
+    // One at a time: learning writes the review queue and question bank
+    const results = [];
+    for (const [i, field] of fields.entries()) {
+      const entry = entries.find(e => Number(e?.n) === i + 1);
+      const fieldType = typeof entry?.field_type === 'string' ? entry.field_type.trim().toLowerCase() : null;
+      const label = (field.label || field.id || '').substring(0, 50);
+      
+      if (fieldType && FIELD_TYPES.includes(fieldType)) {
+        console.log(`      🔄 TIER 3 batch #${i + 1} "${label}": ${fieldType}`);
+        await this._learnFromTier3(field, fieldType, this.extractQuestionText(field));
+        results.push({ field_type: fieldType, confidence: 0.95, source: 'tier3_opus_batch' });
+        continue;
+      }
+      const answer = entry?.answer !== undefined && entry?.answer !== null ? String(entry.answer).trim() : '';
+      if (answer) {
+        console.log(`      🎯 TIER 3 batch #${i + 1} "${label}": answer "${answer}"`);
+        results.push({ field_type: 'opus_direct_answer', direct_answer: answer, confidence: 0.90, source: 'tier3_opus_intelligent' });
+        continue;
+      }
+      results.push(null);
+    }
+    return results;
+  }
+  
+  // What Tier 3 teaches the caches: the question (exact cache + question
+  // bank) and, for real labels that pass validateBeforeLearning, the label
+  // pattern. In review mode both wait in the review queue.
+  async _learnFromTier3(field, text, questionText) {
+    // LEARN FOR NEXT TIME
+    // 1. Add to exact cache (Tier 1 next time)
+    if (questionText) {
+      if (CONFIG.reviewMode) {
+        this.addToReviewQueue({
+          store: 'question_bank',
+          field_type: text,
+          label: field.label || '',
+          question: questionText,
+          answer: '',
+          source: 'opus_classification',
+          fieldId: field.id || '',
+        });
+      } else {
+        this.addToExactCache(questionText, text, 'opus');
+        await this.learnQuestionToBank(questionText, text);
+      }
+    }
+    
+    // 2. Learn label pattern
+    if (!isGenericLabel(field.label)) {
+      const validation = this.validateBeforeLearning(field, text);
+      if (validation.valid) {
+        if (CONFIG.reviewMode) {
+          this.addToReviewQueue({
+            store: 'cache',
+            field_type: text,
+            label: field.label || '',
+            question: '',
+            answer: '',
+            source: 'opus_classification',
+            fieldId: field.id || '',
+            section: field.section || '',
+          });
+        } else {
+          this.cache.learnPattern(field, text, 'opus_api');
+        }
+        this.stats.patternsLearned++;
+      } else {
+        console.log(`      ⚠️ VALIDATION WARNING: ${validation.reason}`);
+        this.cache.learnPattern(field, text, 'opus_api_flagged');
+        this.stats.patternsLearned++;
+      }
+    }
+  }
+  
+  // Intelligent fallback: the model answers the question from the profile
+  // when no field_type fits
+  async _tier3DirectAnswer(field, questionText, sectionText) {
+    // Build a comprehensive profile summary for Opus to reason with
+    const profileSummary = this.buildProfileSummary();
+    
+    const intelligentPrompt = `You are helping fill out a job application form. A question was asked that doesn't fit our standard field types.
 
 QUESTION: "${questionText || field.label}"
 
@@ -1536,35 +1809,29 @@ RULES:
 
 Respond with ONLY the answer, nothing else.`;
 
-        try {
-          const intelligentResponse = await this.client.messages.create({
-            model: CONFIG.opusModel,
-            max_tokens: 100,
-            temperature: CONFIG.temperature,
-            messages: [{ role: 'user', content: intelligentPrompt }],
-          });
-          
-          const answer = intelligentResponse.content[0]?.text?.trim();
-          
-          if (answer) {
-            console.log(`      🎯 Opus intelligent answer: "${answer}"`);
-            
-            // Return as a special "direct answer" type
-            return { 
-              field_type: 'opus_direct_answer', 
-              direct_answer: answer,
-              confidence: 0.90, 
-              source: 'tier3_opus_intelligent' 
-            };
-          }
-        } catch (error) {
-          console.warn(`      ⚠️ Opus intelligent fallback error: ${error.message}`);
-        }
+    try {
+      const intelligentResponse = await this._complete('classifier', {
+        max_tokens: 100,
+        temperature: CONFIG.temperature,
+        messages: [{ role: 'user', content: intelligentPrompt }],
+      });
+      
+      const answer = intelligentResponse.content[0]?.text?.trim();
+      
+      if (answer) {
+        console.log(`      🎯 Opus intelligent answer: "${answer}"`);
+        
+        // Return as a special "direct answer" type
+        return { 
+          field_type: 'opus_direct_answer', 
+          direct_answer: answer,
+          confidence: 0.90, 
+          source: 'tier3_opus_intelligent' 
+        };
       }
     } catch (error) {
-      console.warn(`      ⚠️ Opus API error: ${error.message}`);
+      console.warn(`      ⚠️ Opus intelligent fallback error: ${error.message}`);
     }
-    
     return null;
   }
   
@@ -1687,9 +1954,9 @@ Respond with ONLY the answer, nothing else.`;
     // DOCUMENTS
     if (fieldType === 'resume_upload') return p.documents?.resumePath;
     if (fieldType === 'cover_letter_upload') return p.documents?.coverLetterPath || '';
-    if (fieldType === 'linkedin') return p.documents?.linkedin || '';
-    if (fieldType === 'website') return p.documents?.website || '';
-    if (fieldType === 'portfolio') return p.documents?.portfolio || '';
+    if (fieldType === 'linkedin') return p.personal?.linkedIn || '';
+    if (fieldType === 'website') return p.personal?.website || '';
+    if (fieldType === 'portfolio') return p.personal?.portfolio || '';
     
     // EEO
     if (fieldType === 'gender') return p.eeo?.gender;
@@ -1737,6 +2004,68 @@ Respond with ONLY the answer, nothing else.`;
     return results;
   }
   
+  // ============================================================================
+  // CLASSIFY A PAGE (Tier 3 batched)
+  // ============================================================================
+  /**
+   * Classify a page's fields (after setPageFields). Tiers 1-2 run field by
+   * field as in classifyField; the fields they leave go to Tier 3 together.
+   * Each result still passes the textarea guard and validateBeforeLearning.
+   * @param options  { chargeTo(field, fn) } runs a field's own model calls
+   *                 under that field's usage ledger
+   * @returns results in field order. Batched ones carry `sharedUsage`, the
+   *          field's even share of the batch request.
+   */
+  async classifyPage(fields, { chargeTo = (field, fn) => fn() } = {}) {
+    const results = [];
+    const pending = [];
+    for (let i = 0; i < fields.length; i++) {
+      const field = fields[i];
+      console.log(`   [${i + 1}/${fields.length}] 🧠 "${(field.label || field.id || '').substring(0, 60)}"...`);
+      results[i] = await chargeTo(field, () => (CONFIG.batchTier3 ? this._classifyBeforeTier3(field) : this.classifyField(field)));
+      if (!results[i]) pending.push(i);
+    }
+    if (pending.length === 0) return results;
+    
+    // A single field gets the more specific one-field prompts; over budget
+    // each field is queued for review
+    if (pending.length === 1 || this.llm.overBudget) {
+      for (const i of pending) {
+        results[i] = await chargeTo(fields[i], () => this._classifyTier3(fields[i]));
+      }
+      return results;
+    }
+    
+    console.log(`\n   🌐 TIER 3: ${pending.length} field(s) in one Opus request...`);
+    const batchUsage = new UsageLedger();
+    const batched = await withUsage(batchUsage, () => this._tier3Batch(pending.map(i => fields[i])));
+    const totals = batchUsage.totals();
+    const sharedUsage = totals.calls > 0 ? {
+      role: 'classifier',
+      model: batchUsage.calls[0].model,
+      inputTokens: Math.round(totals.inputTokens / pending.length),
+      outputTokens: Math.round(totals.outputTokens / pending.length),
+      cost: totals.cost / pending.length,
+      sharedBy: pending.length
+    } : null;
+    
+    for (const [k, i] of pending.entries()) {
+      const field = fields[i];
+      if (batched[k]) {
+        const result = await chargeTo(field, () => this._finishTier3(field, batched[k]));
+        results[i] = sharedUsage ? { ...result, sharedUsage } : result;
+      } else if (this.llm.overBudget) {
+        // The batch was paid for even if its reply didn't parse; asking
+        // again field by field would pay for these fields twice
+        results[i] = this._deferToReview(field);
+      } else {
+        // Missing from the reply (or the request failed): on its own
+        results[i] = await chargeTo(field, () => this._classifyTier3(field));
+      }
+    }
+    return results;
+  }
+  
   // ============================================================================
   // PRINT STATISTICS
   // ============================================================================
@@ -1752,12 +2081,10 @@ Respond with ONLY the answer, nothing else.`;
     const tier2Pct = total > 0 ? ((tier2Total / total) * 100).toFixed(1) : '0.0';
     const tier3Pct = total > 0 ? ((tier3Total / total) * 100).toFixed(1) : '0.0';
     
-    // Cost estimation
-    const haikuCost = s.tier2_haikuCalls * 0.001;
-    const opusCost = s.tier3_opus * 0.015;
-    const totalCost = haikuCost + opusCost;
-    const fullOpusCost = total * 0.015;
-    const saved = fullOpusCost - totalCost;
+    // Cost from the responses' token usage
+    const usage = this.usage.totals();
+    const verifier = usage.byRole.verifier || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    const classifier = usage.byRole.classifier || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
     
     console.log('\n' + '═'.repeat(65));
     console.log('📊 TRUST CASCADE v8 — STATISTICS');
@@ -1772,13 +2099,24 @@ Respond with ONLY the answer, nothing else.`;
     console.log(`      ├── Haiku calls:         ${s.tier2_haikuCalls}`);
     console.log(`      ├── Confirmed:           ${s.tier2_haikuVerified}`);
     console.log(`      └── Rejected:            ${s.tier2_haikuRejected}`);
+    if (this.localHead.ready) {
+      console.log(`   🧮 LOCAL HEAD (free):       ${s.tier2_localHead} (${total > 0 ? ((s.tier2_localHead / total) * 100).toFixed(1) : '0.0'}%)`);
+      console.log(`      ├── Below threshold:     ${s.tier2_localHeadBelow}`);
+      console.log(`      └── Trained:             ${describeEvaluation(this.localHead.model)}`);
+    }
     console.log(`   🌐 TIER 3 (Opus ~$0.015):   ${tier3Total} (${tier3Pct}%)`);
+    if (s.tier3_batches > 0) {
+      console.log(`      ├── Page requests:       ${s.tier3_batches}`);
+    }
+    if (s.tier3_deferred > 0) {
+      console.log(`      └── Over budget:         ${s.tier3_deferred} queued for review`);
+    }
     console.log(`   ❌ Failed:                  ${s.failed}`);
     console.log('─'.repeat(65));
-    console.log(`   💰 Est. Cost This Page:     $${totalCost.toFixed(4)}`);
-    console.log(`      ├── Haiku:               $${haikuCost.toFixed(4)} (${s.tier2_haikuCalls} calls)`);
-    console.log(`      ├── Opus:                $${opusCost.toFixed(4)} (${s.tier3_opus} calls)`);
-    console.log(`      └── Saved vs all-Opus:   $${saved.toFixed(4)}`);
+    console.log(`   💰 Cost This Page:          ${formatUsage(usage)}`);
+    console.log(`      ├── Verifier:            ${formatUsage(verifier)}`);
+    console.log(`      ├── Classifier:          ${formatUsage(classifier)}`);
+    console.log(`      └── Run so far:          ${formatCost(this.llm.usage.cost)}${this.llm.budget !== null ? ` of ${formatCost(this.llm.budget)} budget` : ''}`);
     console.log('─'.repeat(65));
     console.log(`   📝 Exact Cache Size:        ${Object.keys(this.exactCache).length}`);
     console.log(`   📖 Question Bank:           ${this.questionBank.length}`);
@@ -0,0 +1,95 @@
+// Worker Pool - runs batch URLs in parallel. One browser, one incognito
+// context per worker (separate cookies, storage and sessions), and one set of
+// classifier models loaded up front and shared by every worker's fills.
+import { PuppeteerRunner } from './runner.js';
+
+export class WorkerPool {
+  /**
+   * @param options  { concurrency, profile, allowSubmit } - profile is the default persona
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 1;
+    this.profile = options.profile || null;
+    this.allowSubmit = !!options.allowSubmit;
+    this.browser = null;
+    this.runners = [];
+    this.classifiers = {};
+  }
+
+  get size() {
+    return this.runners.length;
+  }
+
+  // Profile used for URLs without their own persona
+  get defaultProfile() {
+    return this.runners[0]?.profileName || null;
+  }
+
+  async start() {
+    console.log(`🚀 Launching browser with ${this.concurrency} worker(s)...`);
+    this.browser = await PuppeteerRunner.launchBrowser();
+    this.classifiers = await this.loadClassifiers();
+
+    for (let i = 0; i < this.concurrency; i++) {
+      const runner = new PuppeteerRunner({
+        profile: this.profile,
+        browser: this.browser,
+        classifiers: this.classifiers,
+        name: `w${i + 1}`,
+        allowSubmit: this.allowSubmit
+      });
+      await runner.initialize();
+      this.runners.push(runner);
+    }
+
+    console.log('✅ Workers ready');
+    return this;
+  }
+
+  // Loaded once here instead of once per fill per worker.
+  // Imported lazily like the fill code itself (see runner.runFill).
+  async loadClassifiers() {
+    console.log('📦 Loading shared classifier models...');
+    const { default: ZeroShotFieldClassifier } = await import('./zero-shot-classifier.js');
+    const { default: SemanticSimilarityClassifier } = await import('./semantic-similarity.js');
+    const stage1Classifier = new ZeroShotFieldClassifier();
+    const stage2Classifier = new SemanticSimilarityClassifier();
+    await stage1Classifier.loadModel();
+    await stage2Classifier.loadModel();
+    return { stage1Classifier, stage2Classifier };
+  }
+
+  /**
+   * Run `task(runner, item, workerIndex)` for every item, at most one item
+   * per worker at a time.
+   * @returns task results in item order
+   */
+  async run(items, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const work = async (runner, workerIndex) => {
+      while (next < items.length) {
+        const i = next++;
+        results[i] = await task(runner, items[i], workerIndex);
+      }
+    };
+
+    await Promise.all(this.runners.map((runner, i) => work(runner, i)));
+    return results;
+  }
+
+  async close() {
+    for (const runner of this.runners) {
+      await runner.close().catch(() => {});
+    }
+    this.runners = [];
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      console.log('🛑 Browser closed');
+    }
+  }
+}
+
+export default WorkerPool;
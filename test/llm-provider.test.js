@@ -0,0 +1,38 @@
+// Cassette keys (src/llm-provider.js): the same question from another run
+// must find the same recording
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cassetteKey } from '../src/llm-provider.js';
+
+const analyzerRequest = (log, image) => ({
+  model: 'claude-sonnet-4-5',
+  max_tokens: 8000,
+  system: 'You fix form-filling code.',
+  messages: [{
+    role: 'user',
+    content: [
+      { type: 'text', text: `## Debug Iteration 2\n### Console\n${log}` },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: image } }
+    ]
+  }]
+});
+
+test('timestamps, durations and screenshot bytes do not change the key', () => {
+  const first = analyzerRequest('[2026-03-02T10:15:04.120Z] dropdown opened after 412ms (1772446504120)', 'aaaa');
+  const second = analyzerRequest('[2026-03-05T18:40:51.007Z] dropdown opened after 388ms (1772736051007)', 'bbbb');
+  assert.equal(cassetteKey('analyzer', first), cassetteKey('analyzer', second));
+});
+
+test('the prompt, model and role still tell requests apart', () => {
+  const request = analyzerRequest('dropdown opened', 'aaaa');
+  const key = cassetteKey('analyzer', request);
+  assert.notEqual(cassetteKey('analyzer', analyzerRequest('dropdown never opened', 'aaaa')), key);
+  assert.notEqual(cassetteKey('analyzer', { ...request, model: 'claude-opus-4-5' }), key);
+  assert.notEqual(cassetteKey('classifier', request), key);
+});
+
+test('question numbers and option years are not blanked', () => {
+  const ask = (text) => cassetteKey('classifier', { model: 'm', messages: [{ role: 'user', content: text }] });
+  assert.notEqual(ask('match it to Q1; options ["2024", "2025"]'), ask('match it to Q2; options ["2024", "2025"]'));
+  assert.notEqual(ask('graduated 2024'), ask('graduated 2025'));
+});
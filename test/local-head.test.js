@@ -0,0 +1,34 @@
+// Local head training set (src/local-head.js): only examples a person
+// vouched for, read from a cache fixture
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { collectExamples, readStores } from '../src/local-head.js';
+
+const fixtureDir = fileURLToPath(new URL('./fixtures/local-head-cache', import.meta.url));
+
+test('collectExamples trains on approved, seeded and human-verified entries', () => {
+  const texts = collectExamples(readStores(fixtureDir)).map(e => e.text).sort();
+  assert.deepEqual(texts, [
+    'Are you legally authorized to work in the United States?',
+    'Have you ever served in the United States military?',
+    'I have a preferred name',
+    'Middle Name'
+  ]);
+});
+
+test('collectExamples leaves out auto-verified model guesses', () => {
+  const texts = collectExamples(readStores(fixtureDir)).map(e => e.text);
+  // learnedFrom claude_api, verified only by the development phase
+  assert.ok(!texts.includes('Employee ID (if applicable)'));
+  // Model sources in the exact cache and question bank
+  assert.ok(!texts.includes('Are you authorized to work in the US?'));
+  assert.ok(!texts.includes('Will you now or in the future require sponsorship for employment visa status?'));
+  assert.ok(!texts.includes('Do you have relatives working at this company?'));
+});
+
+test('collectExamples leaves out entries flagged by validateBeforeLearning', () => {
+  const examples = collectExamples(readStores(fixtureDir));
+  assert.ok(!examples.some(e => e.text === 'Please describe your sponsorship needs'));
+  assert.ok(!examples.some(e => e.field_type === 'visa_sponsorship'));
+});
@@ -0,0 +1,37 @@
+// Profile keys (src/profile-schema.js): adapters read the current layout,
+// never a spelling migrateProfile renames away
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { RENAMED_KEYS, migrateProfile } from '../src/profile-schema.js';
+
+const platformsDir = fileURLToPath(new URL('../src/platforms', import.meta.url));
+
+const adapterFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+  entry.isDirectory() ? adapterFiles(join(dir, entry.name))
+    : entry.name.endsWith('.js') ? [join(dir, entry.name)] : []);
+
+// `eeo.hispanicOrLatino` / `eeo?.hispanicOrLatino`; a renamed section as `profile.demographics`
+const readsOf = (from) => {
+  const [section, key] = from.split('.');
+  return key ? new RegExp(`\\b${section}\\??\\.${key}\\b`) : new RegExp(`\\bprofile\\??\\.${section}\\b`);
+};
+
+test('no adapter reads a key that migration renames', () => {
+  const stale = [];
+  for (const file of adapterFiles(platformsDir)) {
+    const source = readFileSync(file, 'utf-8');
+    for (const from of Object.keys(RENAMED_KEYS)) {
+      if (readsOf(from).test(source)) stale.push(`${file.substring(platformsDir.length + 1)} reads ${from} (now ${RENAMED_KEYS[from]})`);
+    }
+  }
+  assert.deepEqual(stale, []);
+});
+
+test('migrateProfile keeps an explicit hispanicOrLatino answer', () => {
+  const { profile } = migrateProfile({ eeo: { hispanicOrLatino: true, race: 'White' } });
+  assert.equal(profile.eeo.hispanicLatino, true);
+  assert.equal(profile.eeo.hispanicOrLatino, undefined);
+});
@@ -0,0 +1,52 @@
+// Unified diffs (src/unified-diff.js): what createUnifiedDiff writes,
+// applyUnifiedDiff replays and reverts - final newline included
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUnifiedDiff, applyUnifiedDiff, parseUnifiedDiff, NO_NEWLINE_MARKER } from '../src/unified-diff.js';
+
+test('a dropped final newline is written with the marker and applied both ways', () => {
+  const before = 'a\nb\nc\n';
+  const after = 'a\nb\nc';
+  const diff = createUnifiedDiff(before, after, 'x.js');
+  assert.deepEqual(diff.split('\n').slice(2), ['@@ -1,3 +1,3 @@', ' a', ' b', '-c', '+c', NO_NEWLINE_MARKER, '']);
+  assert.equal(applyUnifiedDiff(before, diff), after);
+  assert.equal(applyUnifiedDiff(after, diff, { reverse: true }), before);
+});
+
+test('the marker after a context line applies to both sides', () => {
+  const before = 'a\nb';
+  const after = 'x\nb';
+  const [file] = parseUnifiedDiff(createUnifiedDiff(before, after, 'x.js'));
+  assert.deepEqual(file.hunks[0].noNewline, { old: true, new: true });
+  assert.equal(applyUnifiedDiff(before, createUnifiedDiff(before, after, 'x.js')), after);
+});
+
+// Small deterministic generator (mulberry32)
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+test('random edits round-trip, with and without final newlines', () => {
+  const next = random(42);
+  const words = ['const a = 1;', 'return x;', '}', '', '  if (y) {', 'foo();'];
+  const text = () => {
+    const lines = Array.from({ length: Math.floor(next() * 8) }, () => words[Math.floor(next() * words.length)]);
+    return lines.join('\n') + (lines.length && next() < 0.5 ? '\n' : '');
+  };
+  for (let i = 0; i < 500; i++) {
+    const before = text();
+    const after = text();
+    const diff = createUnifiedDiff(before, after, 'x.js');
+    if (before === after) {
+      assert.equal(diff, '');
+      continue;
+    }
+    assert.equal(applyUnifiedDiff(before, diff), after, `forward: ${JSON.stringify({ before, after })}`);
+    assert.equal(applyUnifiedDiff(after, diff, { reverse: true }), before, `reverse: ${JSON.stringify({ before, after })}`);
+  }
+});
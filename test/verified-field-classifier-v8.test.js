@@ -0,0 +1,62 @@
+// Tier 3 page batches (src/verified-field-classifier-v8.js classifyPage):
+// what a reply that doesn't parse costs, with the model stubbed out
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import VerifiedFieldClassifier from '../src/verified-field-classifier-v8.js';
+import { LLMProvider } from '../src/llm-provider.js';
+
+// Labels no rule or cache knows, so all three reach Tier 3
+const fields = [
+  { label: 'Quarterly widget preference', id: 'q1', type: 'text' },
+  { label: 'Favourite spreadsheet colour', id: 'q2', type: 'text' },
+  { label: 'Preferred lunch venue', id: 'q3', type: 'text' }
+];
+
+// Every request gets the same malformed reply: 2,000 → 500 tokens
+function classifierWith(budget) {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'v8-test-'));
+  const llm = new LLMProvider({ provider: 'anthropic', apiKey: 'test', cassette: 'off', budget });
+  llm.send = async (request) => ({
+    id: 'stub',
+    model: request.model,
+    content: [{ type: 'text', text: 'I could not classify these fields.' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 2000, output_tokens: 500 }
+  });
+  const classifier = new VerifiedFieldClassifier({ llm, cacheDir });
+  classifier.setPageFields(fields);
+  return { classifier, llm, cleanup: () => rmSync(cacheDir, { recursive: true, force: true }) };
+}
+
+test('a malformed batch reply that spends the budget is not retried field by field', async () => {
+  const { classifier, llm, cleanup } = classifierWith(0.01);
+  try {
+    const results = await classifier.classifyPage(fields);
+    assert.deepEqual(results.map(r => r.source), ['tier3_deferred', 'tier3_deferred', 'tier3_deferred']);
+
+    const totals = llm.usage.totals();
+    assert.equal(totals.calls, 1);
+    assert.equal(totals.inputTokens, 2000);
+    assert.equal(totals.outputTokens, 500);
+    assert.deepEqual(classifier.usage.totals(), totals);
+    assert.equal(classifier.stats.tier3_deferred, 3);
+  } finally {
+    cleanup();
+  }
+});
+
+test('under budget, fields missing from a malformed batch reply are asked on their own', async () => {
+  const { classifier, llm, cleanup } = classifierWith(null);
+  try {
+    await classifier.classifyPage(fields);
+    const totals = llm.usage.totals();
+    assert.ok(totals.calls > 1);
+    assert.deepEqual(classifier.usage.totals(), totals);
+    assert.equal(classifier.stats.tier3_deferred, 0);
+  } finally {
+    cleanup();
+  }
+});